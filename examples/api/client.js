@@ -0,0 +1,193 @@
+/**
+ * Example: Authenticated API Client
+ *
+ * Purpose: Wraps the HTTP client that AuthenticationService receives so
+ * callers never attach tokens or handle expiry themselves
+ *
+ * Key Patterns:
+ * - Bearer token attached from tokenStorage on every request
+ * - 401 triggers the service's single-flight refreshAccessToken()
+ * - Concurrent requests queue behind one refresh and replay once
+ * - A refresh that ends the session rejects every queued request with
+ *   SESSION_EXPIRED; transient failures (REFRESH_FAILED) pass through
+ * - A failed scheduled refresh does not fail requests that only waited
+ *   for it; they go out with the token still in storage
+ * - /auth/* endpoints opt out, so the wrapper never loops on its own calls
+ *
+ * Usage:
+ * ```
+ * import { createAuthenticatedClient } from '@/examples/api/client';
+ * const api = createAuthenticatedClient(authService);
+ * const { data } = await api.get('/reports');
+ * ```
+ *
+ * Security Considerations:
+ * - Tokens are read at send time, never cached in the wrapper
+ * - A request is replayed at most once, so a token the server keeps
+ *   rejecting cannot cause a refresh storm
+ *
+ * Performance Notes:
+ * - Requests started during a refresh wait for it instead of going out
+ *   with a token that is about to be replaced
+ */
+
+import { AuthError } from '../auth/login-flow.js';
+
+// Methods whose axios-style signature is (url, data, config)
+const METHODS_WITH_BODY = ['post', 'put', 'patch'];
+
+/**
+ * Auth-aware wrapper around an axios-style client
+ */
+class AuthenticatedApiClient {
+  /**
+   * @param {Object} options
+   * @param {Object} options.apiClient - Underlying client (get/post/...)
+   * @param {Object} options.tokenStorage - Provides getAccessToken()
+   * @param {Object} options.authService - Provides refreshAccessToken()
+   * @param {string[]} [options.skipAuthPaths=['/auth/']] - Path prefixes
+   *   sent without a token and never refreshed on 401
+   */
+  constructor({ apiClient, tokenStorage, authService, skipAuthPaths = ['/auth/'] }) {
+    this.apiClient = apiClient;
+    this.tokenStorage = tokenStorage;
+    this.authService = authService;
+    this.skipAuthPaths = skipAuthPaths;
+    this.pendingRefresh = null;
+  }
+
+  get(url, config) {
+    return this.request('get', url, undefined, config);
+  }
+
+  delete(url, config) {
+    return this.request('delete', url, undefined, config);
+  }
+
+  post(url, data, config) {
+    return this.request('post', url, data, config);
+  }
+
+  put(url, data, config) {
+    return this.request('put', url, data, config);
+  }
+
+  patch(url, data, config) {
+    return this.request('patch', url, data, config);
+  }
+
+  /**
+   * Send a request with the current access token.
+   *
+   * @param {string} method - HTTP method (lowercase)
+   * @param {string} url - Request URL
+   * @param {*} [data] - Request body for post/put/patch
+   * @param {Object} [config] - Client config; `skipAuth: true` sends the
+   *   request untouched, like the /auth/* endpoints
+   * @returns {Promise<Object>} Client response
+   */
+  async request(method, url, data, config = {}) {
+    const { skipAuth = false, ...clientConfig } = config;
+
+    if (skipAuth || this.isAuthEndpoint(url)) {
+      return this.dispatch(method, url, data, clientConfig);
+    }
+
+    return this.sendWithToken(method, url, data, clientConfig, false);
+  }
+
+  async sendWithToken(method, url, data, config, isReplay) {
+    // Queue behind a refresh already in flight
+    await this.waitForRefresh();
+
+    const token = await this.tokenStorage.getAccessToken();
+
+    try {
+      return await this.dispatch(method, url, data, withBearer(config, token));
+    } catch (error) {
+      if (error.response?.status !== 401 || isReplay) {
+        throw error;
+      }
+
+      // Another request may have rotated the token while this one was in
+      // flight; only refresh if we failed with the current token
+      const current = await this.tokenStorage.getAccessToken();
+      if (!current || current === token) {
+        await this.refresh();
+      }
+
+      return this.sendWithToken(method, url, data, config, true);
+    }
+  }
+
+  /**
+   * Start (or join) the single refresh shared by all queued requests
+   */
+  refresh() {
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.authService.refreshAccessToken()
+        .catch(error => {
+          // The service kept the session; the caller may retry later
+          if (error.code === 'REFRESH_FAILED') throw error;
+          throw new AuthError(
+            'Session expired. Please login again.',
+            'SESSION_EXPIRED',
+            { cause: error.code }
+          );
+        })
+        .finally(() => {
+          this.pendingRefresh = null;
+        });
+    }
+    return this.pendingRefresh;
+  }
+
+  async waitForRefresh() {
+    if (this.pendingRefresh) {
+      await this.pendingRefresh;
+    } else if (this.authService.refreshPromise) {
+      // A scheduled refresh started by the service itself. Its failure
+      // is not this request's: a 401 with the stored token still refreshes
+      await this.authService.refreshPromise.catch(() => {});
+    }
+  }
+
+  isAuthEndpoint(url) {
+    const { pathname } = new URL(url, 'http://localhost');
+    return this.skipAuthPaths.some(prefix => pathname.startsWith(prefix));
+  }
+
+  dispatch(method, url, data, config) {
+    return METHODS_WITH_BODY.includes(method)
+      ? this.apiClient[method](url, data, config)
+      : this.apiClient[method](url, config);
+  }
+}
+
+function withBearer(config, token) {
+  if (!token) return config;
+  return {
+    ...config,
+    headers: { ...config.headers, Authorization: `Bearer ${token}` }
+  };
+}
+
+/**
+ * Build an authenticated client around an AuthenticationService's own
+ * apiClient and tokenStorage. Do not pass the result back into
+ * AuthenticationService: its auth calls must use the raw client.
+ *
+ * @param {AuthenticationService} authService - Service to refresh through
+ * @param {Object} [options] - See AuthenticatedApiClient
+ * @returns {AuthenticatedApiClient}
+ */
+export function createAuthenticatedClient(authService, options = {}) {
+  return new AuthenticatedApiClient({
+    apiClient: authService.apiClient,
+    tokenStorage: authService.tokenStorage,
+    authService,
+    ...options
+  });
+}
+
+export { AuthenticatedApiClient };
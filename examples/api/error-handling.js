@@ -0,0 +1,202 @@
+/**
+ * Example: API Error Classification
+ *
+ * Purpose: Turns whatever the HTTP client threw into a small set of
+ * failure kinds, so callers pick a message and a retry policy from the
+ * kind instead of poking at status codes
+ *
+ * Key Patterns:
+ * - Works with axios-style errors (`error.response`, `error.request`,
+ *   `error.code`) and fetch errors (TypeError, AbortError, TimeoutError)
+ * - Server field errors mapped onto the same `{ path, message }` issues
+ *   that client-side Zod validation produces
+ * - Only transient failures retried, with capped exponential backoff
+ *   and full jitter
+ *
+ * Usage:
+ * ```
+ * import { classifyError, retryWithBackoff, fieldErrorMap } from '@/examples/api/error-handling';
+ * const response = await retryWithBackoff(() => http.get('/reports'));
+ * const kind = classifyError(error); // 'offline', 'timeout', 'server', ...
+ * const messages = fieldErrorMap(error.details.errors); // { email: '...' }
+ * ```
+ *
+ * Security Considerations:
+ * - Field messages come from the server; render them as text, never HTML
+ *
+ * Performance Notes:
+ * - Jitter spreads retries from many clients after an outage
+ */
+
+export const ERROR_KINDS = Object.freeze([
+  'offline',
+  'timeout',
+  'network',
+  'server',
+  'validation',
+  'unauthorized',
+  'rate_limited',
+  'client',
+  'unknown'
+]);
+
+// Axios codes for a request that never got a response in time
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// Axios / Node codes for a request that never reached the server
+const NETWORK_CODES = ['ERR_NETWORK', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const DEFAULT_RETRY = Object.freeze({
+  retries: 2,
+  baseDelay: 500,
+  maxDelay: 4000
+});
+
+/**
+ * Classify a failed request
+ * @param {Error} error - As thrown by the HTTP client
+ * @param {Object} [options]
+ * @param {Navigator} [options.navigator=globalThis.navigator] - For onLine
+ * @returns {string} One of ERROR_KINDS
+ */
+export function classifyError(error, { navigator = globalThis.navigator } = {}) {
+  const status = error?.response?.status;
+
+  if (status !== undefined) {
+    if (status === 401) return 'unauthorized';
+    if (status === 429) return 'rate_limited';
+    if (status === 408) return 'timeout';
+    if (status === 422 || (status === 400 && extractFieldErrors(error.response.data).length > 0)) {
+      return 'validation';
+    }
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'client';
+    return 'unknown';
+  }
+
+  if (TIMEOUT_CODES.includes(error?.code) || error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+    return 'timeout';
+  }
+
+  const noResponse = Boolean(error?.request) ||
+    NETWORK_CODES.includes(error?.code) ||
+    // fetch rejects with a TypeError when the request cannot be made
+    (error?.name === 'TypeError' && /fetch|network|load failed/i.test(error.message));
+
+  if (noResponse) {
+    return navigator?.onLine === false ? 'offline' : 'network';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Whether retrying the same request later may succeed
+ * @param {Error} error
+ * @param {Object} [options] - Passed to classifyError
+ * @returns {boolean}
+ */
+export function isRetryable(error, options) {
+  const kind = classifyError(error, options);
+  // 501 Not Implemented will not change on retry
+  return kind === 'timeout' || kind === 'network' ||
+    (kind === 'server' && error.response.status !== 501);
+}
+
+/**
+ * Read field errors from a 400/422 body, whatever its shape
+ *
+ * Accepted shapes:
+ * - `{ errors: { email: ['Taken'] } }` or `{ errors: { email: 'Taken' } }`
+ * - `{ errors: [{ field: 'email', message: 'Taken' }] }` (also `path`, `param`)
+ * - RFC 9457 `{ 'invalid-params': [{ name: 'email', reason: 'Taken' }] }`
+ *
+ * @param {Object} data - Response body
+ * @returns {Array<{path: string[], message: string, code: string}>}
+ *   Zod-style issues; `code` is always 'server'
+ */
+export function extractFieldErrors(data) {
+  const issue = (field, message) => ({
+    path: Array.isArray(field) ? field.map(String) : String(field ?? '').split('.').filter(Boolean),
+    message: String(message),
+    code: 'server'
+  });
+
+  const listed = data?.errors ?? data?.['invalid-params'];
+
+  if (Array.isArray(listed)) {
+    return listed
+      .filter(item => item && typeof item === 'object')
+      .map(item => issue(item.field ?? item.path ?? item.param ?? item.name, item.message ?? item.reason ?? item.detail));
+  }
+
+  if (listed && typeof listed === 'object') {
+    return Object.entries(listed).flatMap(([field, messages]) =>
+      [].concat(messages).map(message => issue(field, message))
+    );
+  }
+
+  return [];
+}
+
+/**
+ * First message per field, keyed by dotted path ('' for form-level)
+ * @param {Array<{path: Array, message: string}>} [issues] - Zod or server issues
+ * @returns {Object<string, string>}
+ */
+export function fieldErrorMap(issues = []) {
+  const map = {};
+  for (const { path = [], message } of issues) {
+    const key = path.join('.');
+    if (!(key in map)) {
+      map[key] = message;
+    }
+  }
+  return map;
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): full jitter over a
+ * capped exponential
+ * @param {number} attempt
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay=500]
+ * @param {number} [options.maxDelay=4000]
+ * @param {Function} [options.random=Math.random]
+ * @returns {number} ms
+ */
+export function backoffDelay(attempt, { baseDelay = DEFAULT_RETRY.baseDelay, maxDelay = DEFAULT_RETRY.maxDelay, random = Math.random } = {}) {
+  return Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)));
+}
+
+/**
+ * Run `task`, retrying transient failures
+ * @param {Function} task - Returns a promise; called once per attempt
+ * @param {Object} [options]
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.baseDelay=500]
+ * @param {number} [options.maxDelay=4000]
+ * @param {Function} [options.shouldRetry=isRetryable]
+ * @param {Function} [options.sleep] - `ms => Promise`, for tests
+ * @param {Function} [options.random=Math.random]
+ * @returns {Promise<*>} The task's result; rejects with the last error
+ */
+export async function retryWithBackoff(task, {
+  retries = DEFAULT_RETRY.retries,
+  baseDelay,
+  maxDelay,
+  shouldRetry = isRetryable,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  random
+} = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+      await sleep(backoffDelay(attempt + 1, { baseDelay, maxDelay, random }));
+    }
+  }
+}
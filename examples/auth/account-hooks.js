@@ -0,0 +1,169 @@
+/**
+ * Example: Account Flow Hooks
+ *
+ * Purpose: React hooks for registration, email verification and password
+ * reset, built on the AuthenticationService of the nearest <AuthProvider>
+ *
+ * Key Patterns:
+ * - One hook per flow, all with the same shape:
+ *   `{ status, isPending, isSuccess, error, fieldErrors, result, submit, reset }`
+ * - fieldErrors merges client (Zod) and server (400/422) messages per field
+ * - Every outcome announced to screen readers
+ * - Verification links verify once, even under StrictMode double effects
+ *
+ * Usage:
+ * ```
+ * import { useRegistration } from '@/examples/auth/account-hooks';
+ *
+ * const { submit, isPending, fieldErrors } = useRegistration();
+ * <input id="email" aria-invalid={Boolean(fieldErrors.email)} aria-describedby="email-error" />
+ * {fieldErrors.email && <p id="email-error">{fieldErrors.email}</p>}
+ * <button disabled={isPending} onClick={() => submit({ email, password }).catch(() => {})}>Create account</button>
+ * ```
+ *
+ * Security Considerations:
+ * - Reset and resend messages are identical for known and unknown emails
+ * - Tokens from links are passed straight to the service, never stored
+ *
+ * Accessibility:
+ * - Success announced politely; failures other than field validation
+ *   are assertive (see patterns/announcer.js)
+ * - Set `aria-busy={isPending}` on the form while a request runs
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useAuth } from './auth-provider.js';
+import { fieldErrorMap } from '../api/error-handling.js';
+import { useAnnouncer } from '../patterns/announcer.js';
+
+const IDLE_STATE = Object.freeze({ status: 'idle', result: null, error: null });
+
+/**
+ * Shared state machine for a single async account action
+ * @param {Function} run - Performs the action; its args are submit()'s
+ * @param {Object} messages
+ * @param {string} messages.success - Announced on success
+ * @param {string} messages.failure - Prefix for the announced error
+ */
+function useAccountAction(run, { success, failure }) {
+  const [state, setState] = useState(IDLE_STATE);
+  const { announce } = useAnnouncer();
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const submit = useCallback(async (...args) => {
+    setState({ status: 'pending', result: null, error: null });
+
+    try {
+      const result = await run(...args);
+      if (mounted.current) setState({ status: 'success', result, error: null });
+      announce(success);
+      return result;
+    } catch (error) {
+      if (mounted.current) setState({ status: 'error', result: null, error });
+      announce(`${failure}: ${error.message}`, { error });
+      throw error;
+    }
+  }, [run, success, failure, announce]);
+
+  const reset = useCallback(() => setState(IDLE_STATE), []);
+
+  const fieldErrors = useMemo(() => fieldErrorMap(state.error?.details?.errors), [state.error]);
+
+  return {
+    ...state,
+    isPending: state.status === 'pending',
+    isSuccess: state.status === 'success',
+    fieldErrors,
+    submit,
+    reset
+  };
+}
+
+/**
+ * Create an account; `submit({ email, password, name? })`
+ */
+export function useRegistration() {
+  const { authService } = useAuth();
+  const run = useCallback((registration) => authService.register(registration), [authService]);
+
+  return useAccountAction(run, {
+    success: 'Account created. Check your email for a verification link.',
+    failure: 'Registration failed'
+  });
+}
+
+/**
+ * Send the verification email again; `submit(email)`
+ */
+export function useResendVerification() {
+  const { authService } = useAuth();
+  const run = useCallback((email) => authService.resendVerification(email), [authService]);
+
+  return useAccountAction(run, {
+    success: 'If an account exists for that email, a new verification link is on its way.',
+    failure: 'Could not send the link'
+  });
+}
+
+/**
+ * Verify an email address from a link; runs once per token on mount
+ * @param {string} token - From the link's query string
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate=true] - Verify without waiting for submit()
+ */
+export function useEmailVerification(token, { immediate = true } = {}) {
+  const { authService } = useAuth();
+  const run = useCallback(() => authService.verifyEmail(token), [authService, token]);
+
+  const action = useAccountAction(run, {
+    success: 'Email verified. You can now log in.',
+    failure: 'Verification failed'
+  });
+
+  // Tokens are single use: a second request would report the link as used
+  const attempted = useRef(null);
+  const { submit } = action;
+
+  useEffect(() => {
+    if (immediate && token && attempted.current !== token) {
+      attempted.current = token;
+      submit().catch(() => {});
+    }
+  }, [immediate, token, submit]);
+
+  return action;
+}
+
+/**
+ * Email a password reset link; `submit(email)`
+ */
+export function usePasswordResetRequest() {
+  const { authService } = useAuth();
+  const run = useCallback((email) => authService.requestPasswordReset(email), [authService]);
+
+  return useAccountAction(run, {
+    success: 'If an account exists for that email, a reset link is on its way.',
+    failure: 'Could not send the link'
+  });
+}
+
+/**
+ * Set a new password from a reset link; `submit(newPassword)`
+ * @param {string} token - From the link's query string
+ */
+export function usePasswordReset(token) {
+  const { authService } = useAuth();
+  const run = useCallback((newPassword) => authService.resetPassword(token, newPassword), [authService, token]);
+
+  return useAccountAction(run, {
+    success: 'Password changed. Please log in with your new password.',
+    failure: 'Password reset failed'
+  });
+}
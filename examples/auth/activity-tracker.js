@@ -0,0 +1,234 @@
+/**
+ * Example: Activity Tracker
+ *
+ * Purpose: Knows when a session will end, for inactivity or because it
+ * reached its maximum length, and says so early enough to warn the user
+ * (WCAG 2.2.1 Timing Adjustable)
+ *
+ * Key Patterns:
+ * - Two deadlines: idle (last activity + idleTimeout) and absolute
+ *   (session start + maxSessionLength); the earlier one wins
+ * - Status `active` → `warning` (warningTime before the deadline) →
+ *   `expired`, delivered to subscribers
+ * - Activity and the session start are shared through localStorage, so
+ *   working in one tab keeps the others alive too
+ * - One timer for the next transition; no polling while active
+ *
+ * Usage:
+ * ```
+ * import { ActivityTracker } from '@/examples/auth/activity-tracker';
+ * const tracker = new ActivityTracker({ idleTimeout: 15 * 60 * 1000 });
+ * tracker.subscribe(({ status, reason, expiresAt }) => { ... });
+ * tracker.start();
+ * ```
+ *
+ * Security Considerations:
+ * - Client-side timeouts are a courtesy: the server must expire idle and
+ *   over-long sessions itself
+ * - Only timestamps are stored, never tokens or user data
+ *
+ * Performance Notes:
+ * - Activity events are passive listeners and write to storage at most
+ *   once per activityThrottle
+ */
+
+// setTimeout overflows above 2^31 - 1 ms and fires immediately
+const MAX_TIMER_DELAY = 2147483647;
+
+export const ACTIVITY_EVENTS = Object.freeze(['pointerdown', 'keydown', 'wheel', 'touchstart', 'scroll']);
+
+// Why a session ends
+export const TIMEOUT_REASONS = Object.freeze({ IDLE: 'idle', SESSION_LIMIT: 'sessionLimit' });
+
+const LAST_ACTIVITY_KEY = 'auth.lastActivity';
+const SESSION_START_KEY = 'auth.sessionStartedAt';
+
+/**
+ * Tracks idle time and session length
+ */
+export class ActivityTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.idleTimeout=900000] - ms without activity
+   * @param {number|null} [options.maxSessionLength=43200000] - ms from
+   *   login; null for no limit
+   * @param {number} [options.warningTime=120000] - Warn this long before
+   *   the deadline; WCAG asks for at least 20 seconds
+   * @param {number} [options.activityThrottle=1000] - Minimum ms between
+   *   recorded activity events
+   * @param {string[]} [options.events=ACTIVITY_EVENTS]
+   * @param {EventTarget} [options.target=window]
+   * @param {Storage|null} [options.storage=localStorage] - Shared by tabs
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor({
+    idleTimeout = 15 * 60 * 1000,
+    maxSessionLength = 12 * 60 * 60 * 1000,
+    warningTime = 2 * 60 * 1000,
+    activityThrottle = 1000,
+    events = ACTIVITY_EVENTS,
+    target = globalThis.window,
+    storage = globalThis.localStorage ?? null,
+    now = Date.now
+  } = {}) {
+    this.idleTimeout = idleTimeout;
+    this.maxSessionLength = maxSessionLength;
+    this.warningTime = warningTime;
+    this.activityThrottle = activityThrottle;
+    this.events = events;
+    this.target = target;
+    this.storage = storage;
+    this.now = now;
+
+    this.listeners = new Set();
+    this.state = { status: 'active', reason: null, expiresAt: null };
+    this.lastActivity = null;
+    this.sessionStartedAt = null;
+    this.timer = null;
+    this.running = false;
+    this.handleActivity = this.handleActivity.bind(this);
+  }
+
+  /**
+   * Start tracking
+   * @param {Object} [options]
+   * @param {boolean} [options.newSession=false] - Restart the absolute
+   *   clock (after a login); otherwise resume the stored session start
+   */
+  start({ newSession = false } = {}) {
+    const now = this.now();
+    const storedStart = newSession ? null : this.read(SESSION_START_KEY);
+
+    this.sessionStartedAt = storedStart ?? now;
+    this.write(SESSION_START_KEY, this.sessionStartedAt);
+    this.lastActivity = now;
+    this.write(LAST_ACTIVITY_KEY, now);
+
+    if (!this.running) {
+      this.running = true;
+      this.events.forEach(type => this.target?.addEventListener(type, this.handleActivity, { passive: true }));
+    }
+    this.check();
+  }
+
+  /**
+   * Stop tracking
+   * @param {Object} [options]
+   * @param {boolean} [options.endSession=false] - Forget the session start
+   *   (after a logout)
+   */
+  stop({ endSession = false } = {}) {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.events.forEach(type => this.target?.removeEventListener(type, this.handleActivity));
+
+    if (endSession) {
+      this.storage?.removeItem(SESSION_START_KEY);
+      this.storage?.removeItem(LAST_ACTIVITY_KEY);
+    }
+    this.setState({ status: 'active', reason: null, expiresAt: null });
+  }
+
+  /**
+   * Subscribe to status changes
+   * @param {Function} listener - Called with `{ status, reason, expiresAt }`
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * The user chose to stay: reset the idle clock. The session length
+   * still counts from the login, so only logging in again gets past
+   * maxSessionLength
+   */
+  extend() {
+    const now = this.now();
+    this.lastActivity = now;
+    this.write(LAST_ACTIVITY_KEY, now);
+    this.check();
+  }
+
+  /**
+   * The earlier of the idle and absolute deadlines
+   * @returns {{expiresAt: number, reason: string}}
+   */
+  getDeadline() {
+    // Another tab may have seen activity or an extension more recently
+    const lastActivity = Math.max(this.lastActivity ?? 0, this.read(LAST_ACTIVITY_KEY) ?? 0);
+    const sessionStartedAt = Math.max(this.sessionStartedAt ?? 0, this.read(SESSION_START_KEY) ?? 0);
+
+    const idleAt = lastActivity + this.idleTimeout;
+    const limitAt = this.maxSessionLength === null ? Infinity : sessionStartedAt + this.maxSessionLength;
+
+    return idleAt <= limitAt
+      ? { expiresAt: idleAt, reason: TIMEOUT_REASONS.IDLE }
+      : { expiresAt: limitAt, reason: TIMEOUT_REASONS.SESSION_LIMIT };
+  }
+
+  /**
+   * Re-evaluate the status now and schedule the next transition
+   */
+  check() {
+    if (!this.running) return;
+
+    clearTimeout(this.timer);
+    const now = this.now();
+    const { expiresAt, reason } = this.getDeadline();
+
+    if (now >= expiresAt) {
+      this.running = false;
+      this.events.forEach(type => this.target?.removeEventListener(type, this.handleActivity));
+      this.setState({ status: 'expired', reason, expiresAt });
+      return;
+    }
+
+    const warnAt = expiresAt - this.warningTime;
+    this.setState(now >= warnAt
+      ? { status: 'warning', reason, expiresAt }
+      : { status: 'active', reason: null, expiresAt });
+
+    const next = now >= warnAt ? expiresAt : warnAt;
+    this.timer = setTimeout(() => this.check(), Math.min(next - now, MAX_TIMER_DELAY));
+  }
+
+  handleActivity() {
+    // While warning, only an explicit extend() keeps the session
+    if (this.state.status !== 'active') return;
+
+    const now = this.now();
+    if (now - this.lastActivity < this.activityThrottle) return;
+
+    this.lastActivity = now;
+    this.write(LAST_ACTIVITY_KEY, now);
+    // The next check() reads the new deadline; no need to re-arm per event
+  }
+
+  setState(next) {
+    const { status, reason, expiresAt } = this.state;
+    if (status === next.status && reason === next.reason && expiresAt === next.expiresAt) return;
+
+    this.state = next;
+    this.listeners.forEach(listener => listener(next));
+  }
+
+  read(key) {
+    try {
+      const value = Number(this.storage?.getItem(key));
+      return Number.isFinite(value) && value > 0 ? value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  write(key, value) {
+    try {
+      this.storage?.setItem(key, String(value));
+    } catch {
+      // Storage full or blocked: tracking continues in this tab only
+    }
+  }
+}
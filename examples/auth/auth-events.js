@@ -0,0 +1,129 @@
+/**
+ * Example: Auth Lifecycle Events
+ *
+ * Purpose: Lets analytics, audit trails and UI observe what
+ * AuthenticationService does without the service knowing about them
+ *
+ * Key Patterns:
+ * - Closed set of event types; emitting or subscribing to anything else
+ *   is a programming error and throws
+ * - `'*'` subscribes to every event (audit trails)
+ * - A throwing listener is logged and never breaks the auth flow
+ *
+ * Events:
+ * - login          `{ user, method }` (method: password, totp, recovery_code, webauthn)
+ * - loginFailed    `{ email, code, method }`
+ * - rateLimited    `{ email, retryAt, retryAfter }`
+ * - refreshed      `{ expiresAt }`
+ * - sessionExpired `{ error }`
+ * - logout         `{ reason }` (reason: user, sessionExpired, passwordReset,
+ *                    idle, sessionLimit)
+ *
+ * login, refreshed and logout also arrive with `remote: true` when another
+ * tab made the change (see session-sync.js)
+ *
+ * Usage:
+ * ```
+ * const unsubscribe = authService.on('loginFailed', ({ code }) => analytics.track('login_failed', { code }));
+ * authService.on('*', (type, payload) => audit.write(type, payload));
+ * ```
+ *
+ * Security Considerations:
+ * - Payloads never contain passwords or tokens; they may contain the
+ *   email, so log them through the redacting logger
+ */
+
+export const AUTH_EVENTS = Object.freeze([
+  'login',
+  'loginFailed',
+  'rateLimited',
+  'refreshed',
+  'sessionExpired',
+  'logout'
+]);
+
+const WILDCARD = '*';
+
+/**
+ * Synchronous, typed event emitter
+ */
+export class AuthEventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - Receives listener failures
+   */
+  constructor({ logger } = {}) {
+    this.logger = logger;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event, or to every event with `'*'`
+   * @param {string} type - One of AUTH_EVENTS, or '*'
+   * @param {Function} listener - `(payload)`, or `(type, payload)` for '*'
+   * @returns {Function} Unsubscribe
+   */
+  on(type, listener) {
+    assertType(type, true);
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Subscribe for a single delivery
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {Function} Unsubscribe
+   */
+  once(type, listener) {
+    const unsubscribe = this.on(type, (...args) => {
+      unsubscribe();
+      listener(...args);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * @param {string} type
+   * @param {Function} listener
+   */
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * Deliver an event to its listeners, then to '*' listeners
+   * @param {string} type - One of AUTH_EVENTS
+   * @param {Object} [payload={}]
+   */
+  emit(type, payload = {}) {
+    assertType(type, false);
+
+    // Copy so listeners may unsubscribe while being called
+    for (const listener of [...(this.listeners.get(type) ?? [])]) {
+      this.deliver(type, () => listener(payload));
+    }
+    for (const listener of [...(this.listeners.get(WILDCARD) ?? [])]) {
+      this.deliver(type, () => listener(type, payload));
+    }
+  }
+
+  deliver(type, call) {
+    try {
+      call();
+    } catch (error) {
+      this.logger?.warn('Auth event listener failed', { event: type, error });
+    }
+  }
+}
+
+function assertType(type, allowWildcard) {
+  if (!AUTH_EVENTS.includes(type) && !(allowWildcard && type === WILDCARD)) {
+    throw new TypeError(`Unknown auth event "${type}"`);
+  }
+}
@@ -0,0 +1,427 @@
+/**
+ * Example: Auth Provider and Session State Machine
+ *
+ * Purpose: One AuthenticationService and one session state for the whole
+ * app, so every component calling useAuth() agrees on who is logged in
+ *
+ * Key Patterns:
+ * - React context holding a single service instance
+ * - Explicit state machine; events that are invalid in the current state
+ *   are ignored instead of producing impossible combinations
+ * - Session restored from tokenStorage on mount; transient failures are
+ *   retried with the service's backoff and never discard stored tokens
+ * - useAuth() is a thin selector over the shared state
+ * - Login lockouts (see login-throttle.js) exposed as a live countdown
+ * - Login and logout in other tabs applied live when the service has a
+ *   SessionSync (see session-sync.js)
+ * - Idle and session-length timeouts (see session-timeout.js) end in the
+ *   expired state with a SESSION_TIMEOUT error
+ *
+ * States:
+ * ```
+ * idle → restoring → authenticated | unauthenticated | expired | unavailable
+ * restoring → authenticated | mfa-pending (a login submitted meanwhile)
+ * unavailable → restoring (restore()) | authenticated | unauthenticated | expired
+ * unauthenticated | expired → authenticated | mfa-pending
+ * mfa-pending → authenticated | unauthenticated
+ * authenticated → authenticated | mfa-pending (another login) |
+ *   unauthenticated (logout) | expired
+ * ```
+ *
+ * Usage:
+ * ```
+ * import { AuthProvider, useAuth } from '@/examples/auth/auth-provider';
+ *
+ * <AuthProvider apiClient={http} tokenStorage={new SessionTokenStorage()}>
+ *   <App />
+ * </AuthProvider>
+ *
+ * const { status, user, login, fieldErrors } = useAuth();
+ * // fieldErrors.email: first client or server message for the email field
+ * ```
+ *
+ * Security Considerations:
+ * - The user object only ever comes from a verified login or refresh
+ *   response, never from storage
+ *
+ * Accessibility:
+ * - Login, MFA and session changes announced to screen readers through
+ *   the shared announcer (see patterns/announcer.js), including changes
+ *   made in another tab; failures and expiries are assertive
+ * - The end of a lockout is announced, not just the start
+ */
+
+import {
+  createContext,
+  createElement,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useReducer,
+  useState
+} from 'react';
+import { AuthenticationService, AuthError } from './login-flow.js';
+import { useLockoutCountdown } from './login-throttle.js';
+import { fieldErrorMap, retryWithBackoff } from '../api/error-handling.js';
+import { useAnnouncer } from '../patterns/announcer.js';
+
+export const AUTH_STATUS = Object.freeze({
+  IDLE: 'idle',
+  RESTORING: 'restoring',
+  AUTHENTICATED: 'authenticated',
+  UNAUTHENTICATED: 'unauthenticated',
+  MFA_PENDING: 'mfa-pending',
+  EXPIRED: 'expired',
+  // A stored session could not be checked; tokens are kept for restore()
+  UNAVAILABLE: 'unavailable'
+});
+
+const {
+  IDLE,
+  RESTORING,
+  AUTHENTICATED,
+  UNAUTHENTICATED,
+  MFA_PENDING,
+  EXPIRED,
+  UNAVAILABLE
+} = AUTH_STATUS;
+
+// status → event → next status
+const TRANSITIONS = {
+  [IDLE]: {
+    RESTORE: RESTORING
+  },
+  [RESTORING]: {
+    LOGGED_IN: AUTHENTICATED,
+    MFA_REQUIRED: MFA_PENDING,
+    RESTORED: AUTHENTICATED,
+    NO_SESSION: UNAUTHENTICATED,
+    RESTORE_FAILED: UNAUTHENTICATED,
+    RESTORE_UNAVAILABLE: UNAVAILABLE,
+    SESSION_EXPIRED: EXPIRED
+  },
+  [UNAVAILABLE]: {
+    RESTORE: RESTORING,
+    LOGGED_IN: AUTHENTICATED,
+    MFA_REQUIRED: MFA_PENDING,
+    LOGGED_OUT: UNAUTHENTICATED,
+    SESSION_EXPIRED: EXPIRED
+  },
+  [UNAUTHENTICATED]: {
+    RESTORE: RESTORING,
+    LOGGED_IN: AUTHENTICATED,
+    MFA_REQUIRED: MFA_PENDING,
+    MFA_RESET: UNAUTHENTICATED,
+    LOGGED_OUT: UNAUTHENTICATED
+  },
+  [MFA_PENDING]: {
+    LOGGED_IN: AUTHENTICATED,
+    MFA_REQUIRED: MFA_PENDING,
+    MFA_RESET: UNAUTHENTICATED,
+    LOGGED_OUT: UNAUTHENTICATED
+  },
+  [AUTHENTICATED]: {
+    LOGGED_IN: AUTHENTICATED,
+    MFA_REQUIRED: MFA_PENDING,
+    LOGGED_OUT: UNAUTHENTICATED,
+    SESSION_EXPIRED: EXPIRED
+  },
+  [EXPIRED]: {
+    LOGGED_IN: AUTHENTICATED,
+    MFA_REQUIRED: MFA_PENDING,
+    LOGGED_OUT: UNAUTHENTICATED
+  }
+};
+
+export const initialAuthState = Object.freeze({
+  status: IDLE,
+  user: null,
+  mfaChallenge: null,
+  error: null,
+  isLoading: false,
+  // End of the current login lockout (ms timestamp)
+  retryAt: null
+});
+
+// Restore failures that say nothing about the stored tokens: refresh
+// network errors and 5xx (REFRESH_FAILED) and request errors from login-flow.js
+const RETRYABLE_RESTORE_ERRORS = new Set(['REFRESH_FAILED', 'OFFLINE', 'NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR']);
+
+// Logouts by the session timeout (see session-timeout.js)
+const TIMEOUT_MESSAGES = {
+  idle: 'You were signed out after a period of inactivity. Please log in again.',
+  sessionLimit: 'Your session reached its time limit. Please log in again.'
+};
+
+/**
+ * Pure reducer for the session state
+ *
+ * REQUEST_STARTED / REQUEST_FAILED track an in-flight call and LOCKOUT
+ * tracks the login lockout, all without changing status; every other
+ * event goes through TRANSITIONS. An event ignored there still ends the
+ * request in flight, keeping its error, so isLoading never sticks.
+ *
+ * @param {Object} state - Current state
+ * @param {Object} event - `{ type, user?, challenge?, error? }`
+ * @returns {Object} Next state (the same object if the event is ignored)
+ */
+export function authReducer(state, event) {
+  switch (event.type) {
+    case 'REQUEST_STARTED':
+      return { ...state, isLoading: true, error: null };
+    case 'REQUEST_FAILED':
+      return {
+        ...state,
+        isLoading: false,
+        error: event.error,
+        retryAt: event.error?.details?.retryAt ?? state.retryAt
+      };
+    case 'LOCKOUT':
+      return { ...state, retryAt: event.retryAt };
+    default:
+      break;
+  }
+
+  const next = TRANSITIONS[state.status]?.[event.type];
+  if (!next) {
+    return state.isLoading ? { ...state, isLoading: false, error: event.error ?? state.error } : state;
+  }
+
+  return {
+    status: next,
+    user: next === AUTHENTICATED ? event.user : null,
+    mfaChallenge: next === MFA_PENDING ? event.challenge : null,
+    error: event.error ?? null,
+    isLoading: false,
+    retryAt: next === AUTHENTICATED ? null : state.retryAt
+  };
+}
+
+const AuthContext = createContext(null);
+
+/**
+ * Provide one AuthenticationService and its session state to the tree
+ *
+ * @param {Object} props
+ * @param {Object} props.apiClient - HTTP client for AuthenticationService
+ * @param {Object} props.tokenStorage - Token persistence adapter
+ * @param {Object} [props.options] - AuthenticationService options
+ * @param {React.ReactNode} props.children
+ */
+export function AuthProvider({ apiClient, tokenStorage, options = {}, children }) {
+  const [state, dispatch] = useReducer(authReducer, initialAuthState);
+  const { announce } = useAnnouncer();
+
+  // Created once; later prop changes do not replace a live session
+  const [authService] = useState(() =>
+    new AuthenticationService(apiClient, tokenStorage, {
+      ...options,
+      onSessionExpired: (error) => {
+        dispatch({ type: 'SESSION_EXPIRED', error });
+        announce('Your session has expired. Please log in again.', { error });
+        options.onSessionExpired?.(error);
+      }
+    })
+  );
+
+  const restore = useCallback(async () => {
+    dispatch({ type: 'RESTORE' });
+
+    try {
+      const session = await retryWithBackoff(() => authService.restoreSession(), {
+        ...authService.retryOptions,
+        shouldRetry: error => RETRYABLE_RESTORE_ERRORS.has(error.code)
+      });
+      dispatch(session ? { type: 'RESTORED', user: session.user } : { type: 'NO_SESSION' });
+    } catch (error) {
+      // SESSION_EXPIRED has already moved the state via onSessionExpired
+      const retryable = RETRYABLE_RESTORE_ERRORS.has(error.code);
+      dispatch({ type: retryable ? 'RESTORE_UNAVAILABLE' : 'RESTORE_FAILED', error });
+    }
+  }, [authService]);
+
+  // Ticks once a second while locked out, re-rendering consumers
+  const lockoutSecondsLeft = useLockoutCountdown(state.retryAt, {
+    onExpire: () => {
+      dispatch({ type: 'LOCKOUT', retryAt: null });
+      announce('You can try signing in again.');
+    }
+  });
+
+  // Show a lockout persisted by an earlier page load, e.g. on email blur
+  const checkLockout = useCallback((email) => {
+    const lockout = authService.throttle.getLockout(email);
+    dispatch({ type: 'LOCKOUT', retryAt: lockout?.retryAt ?? null });
+    return lockout;
+  }, [authService]);
+
+  // Async reads of the stored access token's expiry (server clock)
+  const isTokenExpired = useCallback((margin) => authService.isTokenExpired(margin), [authService]);
+  const timeUntilExpiry = useCallback(() => authService.timeUntilExpiry(), [authService]);
+
+  useEffect(() => {
+    authService.connectSessionSync();
+    restore();
+    return () => authService.dispose();
+  }, [authService, restore]);
+
+  // Follow logins and logouts made in other tabs (or by a password reset)
+  useEffect(() => {
+    const unsubscribers = [
+      authService.on('login', ({ user, remote }) => {
+        if (!remote) return;
+        dispatch({ type: 'LOGGED_IN', user });
+        announce('You signed in from another tab.');
+      }),
+      authService.on('logout', ({ reason, remote }) => {
+        // Timeouts end the session here and in every other tab alike
+        if (TIMEOUT_MESSAGES[reason]) {
+          const error = new AuthError(TIMEOUT_MESSAGES[reason], 'SESSION_TIMEOUT', { reason });
+          dispatch({ type: 'SESSION_EXPIRED', error });
+          announce(error);
+          return;
+        }
+        // A password reset ends the session outside of logout() below
+        if (!remote) {
+          if (reason === 'passwordReset') dispatch({ type: 'LOGGED_OUT' });
+          return;
+        }
+        if (reason === 'sessionExpired') {
+          const error = new AuthError('Session expired. Please login again.', 'SESSION_EXPIRED');
+          dispatch({ type: 'SESSION_EXPIRED', error });
+          announce('Your session has expired. Please log in again.', { error });
+        } else {
+          dispatch({ type: 'LOGGED_OUT' });
+          announce('You signed out from another tab.');
+        }
+      })
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [authService, announce]);
+
+  const login = useCallback(async (credentials) => {
+    dispatch({ type: 'REQUEST_STARTED' });
+
+    try {
+      const result = await authService.login(credentials);
+      dispatch({ type: 'LOGGED_IN', user: result.user });
+      announce('Login successful');
+      return result;
+    } catch (error) {
+      // Not a failure: the form should move on to the second factor
+      if (error.code === 'MFA_REQUIRED') {
+        dispatch({ type: 'MFA_REQUIRED', challenge: error.details });
+        announce('Password accepted. Verification code required.');
+        return { mfaRequired: true, ...error.details };
+      }
+
+      dispatch({ type: 'REQUEST_FAILED', error });
+      announce(`Login failed: ${error.message}`, { error });
+      throw error;
+    }
+  }, [authService, announce]);
+
+  // Shared by every second factor method
+  const verify = useCallback(async (runVerification) => {
+    dispatch({ type: 'REQUEST_STARTED' });
+
+    try {
+      const result = await runVerification();
+      dispatch({ type: 'LOGGED_IN', user: result.user });
+      announce('Login successful');
+      return result;
+    } catch (error) {
+      // Expired or abandoned challenges send the user back to the password
+      const reset = error.code === 'MFA_CHALLENGE_EXPIRED' || error.code === 'MFA_NOT_STARTED';
+      dispatch({ type: reset ? 'MFA_RESET' : 'REQUEST_FAILED', error });
+      announce(`Verification failed: ${error.message}`, { error });
+      throw error;
+    }
+  }, [announce]);
+
+  const verifyTotp = useCallback(
+    (code) => verify(() => authService.verifyTotp(code)),
+    [authService, verify]
+  );
+
+  const verifyRecoveryCode = useCallback(
+    (code) => verify(() => authService.verifyRecoveryCode(code)),
+    [authService, verify]
+  );
+
+  const verifyWebAuthn = useCallback(
+    () => verify(() => authService.verifyWebAuthn()),
+    [authService, verify]
+  );
+
+  const cancelMfa = useCallback(() => {
+    authService.cancelMfa();
+    dispatch({ type: 'MFA_RESET' });
+  }, [authService]);
+
+  const logout = useCallback(async () => {
+    dispatch({ type: 'REQUEST_STARTED' });
+
+    try {
+      await authService.logout();
+      dispatch({ type: 'LOGGED_OUT' });
+      announce('Logout successful');
+    } catch (error) {
+      authService.logger.error('Logout error', { error });
+      dispatch({ type: 'REQUEST_FAILED', error });
+    }
+  }, [authService, announce]);
+
+  // Per-field messages from client (Zod) or server (400/422) validation
+  const fieldErrors = useMemo(
+    () => (state.error?.code === 'VALIDATION_ERROR' ? fieldErrorMap(state.error.details?.errors) : {}),
+    [state.error]
+  );
+
+  const value = useMemo(() => ({
+    ...state,
+    fieldErrors,
+    lockoutSecondsLeft,
+    authService,
+    restore,
+    checkLockout,
+    isTokenExpired,
+    timeUntilExpiry,
+    login,
+    logout,
+    verifyTotp,
+    verifyRecoveryCode,
+    verifyWebAuthn,
+    cancelMfa
+  }), [
+    state, fieldErrors, lockoutSecondsLeft, authService, restore, checkLockout, isTokenExpired, timeUntilExpiry,
+    login, logout, verifyTotp, verifyRecoveryCode, verifyWebAuthn, cancelMfa
+  ]);
+
+  return createElement(AuthContext.Provider, { value }, children);
+}
+
+/**
+ * Read the shared session state and actions
+ * @returns {Object} State, derived flags and actions
+ */
+export function useAuth() {
+  const context = useContext(AuthContext);
+
+  if (!context) {
+    throw new Error('useAuth must be used within an <AuthProvider>');
+  }
+
+  const { status } = context;
+
+  return {
+    ...context,
+    isRestoring: status === IDLE || status === RESTORING,
+    isAuthenticated: status === AUTHENTICATED,
+    isAwaitingSecondFactor: status === MFA_PENDING,
+    isSessionExpired: status === EXPIRED,
+    isSessionUnavailable: status === UNAVAILABLE,
+    isLockedOut: context.lockoutSecondsLeft > 0
+  };
+}
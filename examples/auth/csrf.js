@@ -0,0 +1,266 @@
+/**
+ * Example: CSRF Strategies
+ *
+ * Purpose: Interchangeable ways of proving to the server that a request
+ * came from the app, so AuthenticationService is not tied to a
+ * `<meta>` tag and runs wherever `document` is missing (SSR, Node, tests)
+ *
+ * Key Patterns:
+ * - One small interface per strategy: `getToken()`, `prepare(request)`,
+ *   `refresh()` and optionally `observe(response)`
+ * - Meta tag (server-rendered pages), double-submit cookie, token
+ *   endpoint with caching and rotation, or a custom header
+ * - refresh() reports whether a retry could succeed, so a CSRF 403 is
+ *   retried once and only when the token actually changed
+ *
+ * Usage:
+ * ```
+ * import { cookieStrategy } from '@/examples/auth/csrf';
+ *
+ * new AuthenticationService(apiClient, tokenStorage, { csrf: 'endpoint' });
+ * new AuthenticationService(apiClient, tokenStorage, {
+ *   csrf: cookieStrategy({ cookieName: 'csrftoken', headerName: 'X-CSRFToken' })
+ * });
+ * ```
+ *
+ * Security Considerations:
+ * - Tokens are only ever attached to the request being prepared, never
+ *   logged (the logger redacts `csrf`/`xsrf` keys)
+ * - The custom header strategy relies on the server rejecting requests
+ *   without it and on CORS blocking cross-site custom headers; it is no
+ *   substitute for a token on forms posted without JavaScript
+ * - Meta and cookie strategies return no token without a `document`
+ *   instead of throwing
+ *
+ * Performance Notes:
+ * - The endpoint strategy fetches once per maxAge; concurrent callers
+ *   share a single request
+ */
+
+export const CSRF_STRATEGIES = Object.freeze(['meta', 'cookie', 'endpoint', 'header']);
+
+// Codes servers and frameworks use for a rejected CSRF token
+const CSRF_ERROR_PATTERN = /csrf|xsrf/i;
+
+/**
+ * Whether a failed request was rejected for its CSRF token
+ * @param {Error} error - axios-style error with `response`
+ * @returns {boolean}
+ */
+export function isCsrfError(error) {
+  const { status, data } = error?.response ?? {};
+
+  // 419 is Laravel's "Page Expired" for a token mismatch
+  if (status === 419) return true;
+  if (status !== 403) return false;
+
+  return [data?.code, data?.error, data?.message]
+    .some(value => typeof value === 'string' && CSRF_ERROR_PATTERN.test(value));
+}
+
+/**
+ * Put a token in the request body field and/or header
+ * @param {Object} request - `{ body, config }`
+ * @param {string|null} token
+ * @param {Object} placement - `{ field, headerName }`; either may be null
+ * @returns {{body: Object, config: Object}}
+ */
+function attachToken({ body, config }, token, { field, headerName }) {
+  if (!token) return { body, config };
+
+  return {
+    body: field ? { ...body, [field]: token } : body,
+    config: headerName ? withHeader(config, headerName, token) : config
+  };
+}
+
+function withHeader(config, name, value) {
+  return { ...config, headers: { ...config?.headers, [name]: value } };
+}
+
+/**
+ * Token from `<meta name="csrf-token" content="...">` in a server-rendered page
+ * @param {Object} [options]
+ * @param {string} [options.metaName='csrf-token']
+ * @param {string|null} [options.field='csrfToken'] - Body field
+ * @param {string|null} [options.headerName=null]
+ * @param {Document} [options.document=document]
+ */
+export function metaTagStrategy({
+  metaName = 'csrf-token',
+  field = 'csrfToken',
+  headerName = null,
+  document: doc = globalThis.document
+} = {}) {
+  let current = null;
+
+  const read = () => {
+    const content = doc?.querySelector(`meta[name="${metaName}"]`)?.getAttribute('content');
+    return content || null;
+  };
+
+  return {
+    name: 'meta',
+    async getToken() {
+      current = read();
+      return current;
+    },
+    async prepare(request) {
+      return attachToken(request, await this.getToken(), { field, headerName });
+    },
+    // Only helps if the page replaced the tag (e.g. after a partial reload)
+    async refresh() {
+      const previous = current;
+      return Boolean(await this.getToken()) && current !== previous;
+    }
+  };
+}
+
+/**
+ * Double-submit cookie: the server sets a readable cookie and expects
+ * its value back in a header (the axios / Angular convention)
+ * @param {Object} [options]
+ * @param {string} [options.cookieName='XSRF-TOKEN']
+ * @param {string} [options.headerName='X-XSRF-TOKEN']
+ * @param {Document} [options.document=document]
+ */
+export function cookieStrategy({
+  cookieName = 'XSRF-TOKEN',
+  headerName = 'X-XSRF-TOKEN',
+  document: doc = globalThis.document
+} = {}) {
+  let current = null;
+
+  const read = () => {
+    const cookies = doc?.cookie ? doc.cookie.split(/;\s*/) : [];
+    const entry = cookies.find(cookie => cookie.startsWith(`${cookieName}=`));
+    return entry ? decodeURIComponent(entry.slice(cookieName.length + 1)) : null;
+  };
+
+  return {
+    name: 'cookie',
+    async getToken() {
+      current = read();
+      return current;
+    },
+    async prepare(request) {
+      return attachToken(request, await this.getToken(), { field: null, headerName });
+    },
+    // Servers usually set a fresh cookie on the 403 itself
+    async refresh() {
+      const previous = current;
+      return Boolean(await this.getToken()) && current !== previous;
+    }
+  };
+}
+
+/**
+ * Token fetched from an endpoint, cached until it expires, rotates or is
+ * rejected
+ * @param {Object} options
+ * @param {Object} options.apiClient - Client with `get()`
+ * @param {string} [options.url='/auth/csrf'] - Responds `{ csrfToken }`
+ * @param {number} [options.maxAge=1800000] - Cache lifetime in ms
+ * @param {string|null} [options.field='csrfToken'] - Body field
+ * @param {string|null} [options.headerName='X-CSRF-Token'] - Also read from
+ *   responses, so a token the server rotates is picked up
+ * @param {Function} [options.now=Date.now]
+ */
+export function endpointStrategy({
+  apiClient,
+  url = '/auth/csrf',
+  maxAge = 30 * 60 * 1000,
+  field = 'csrfToken',
+  headerName = 'X-CSRF-Token',
+  now = Date.now
+}) {
+  let cached = null;
+  let pending = null;
+
+  const fetchToken = () => {
+    pending ??= apiClient.get(url)
+      .then(response => {
+        const token = response.data?.csrfToken ?? null;
+        cached = token ? { token, fetchedAt: now() } : null;
+        return token;
+      })
+      .finally(() => {
+        pending = null;
+      });
+    return pending;
+  };
+
+  return {
+    name: 'endpoint',
+    async getToken() {
+      if (cached && now() - cached.fetchedAt < maxAge) {
+        return cached.token;
+      }
+      return fetchToken();
+    },
+    async prepare(request) {
+      return attachToken(request, await this.getToken(), { field, headerName });
+    },
+    async refresh() {
+      const previous = cached?.token;
+      cached = null;
+      const token = await fetchToken();
+      return Boolean(token) && token !== previous;
+    },
+    // Pick up a token the server rotated (e.g. on login)
+    observe(response) {
+      const rotated = headerName && response?.headers?.[headerName.toLowerCase()];
+      if (rotated) {
+        cached = { token: rotated, fetchedAt: now() };
+      }
+    }
+  };
+}
+
+/**
+ * No token: a custom header that cross-site forms cannot send and CORS
+ * blocks for cross-origin scripts
+ * @param {Object} [options]
+ * @param {string} [options.headerName='X-Requested-With']
+ * @param {string} [options.value='XMLHttpRequest']
+ */
+export function headerStrategy({ headerName = 'X-Requested-With', value = 'XMLHttpRequest' } = {}) {
+  return {
+    name: 'header',
+    async getToken() {
+      return null;
+    },
+    async prepare({ body, config }) {
+      return { body, config: withHeader(config, headerName, value) };
+    },
+    // Nothing changes between attempts
+    async refresh() {
+      return false;
+    }
+  };
+}
+
+/**
+ * Resolve the `csrf` option of AuthenticationService
+ * @param {string|Object} csrf - One of CSRF_STRATEGIES, or a strategy
+ * @param {Object} defaults - `{ apiClient }` for the endpoint strategy
+ * @returns {Object} Strategy
+ */
+export function resolveCsrfStrategy(csrf, { apiClient } = {}) {
+  if (csrf && typeof csrf === 'object') {
+    return csrf;
+  }
+
+  switch (csrf) {
+    case 'meta':
+      return metaTagStrategy();
+    case 'cookie':
+      return cookieStrategy();
+    case 'endpoint':
+      return endpointStrategy({ apiClient });
+    case 'header':
+      return headerStrategy();
+    default:
+      throw new TypeError(`Unknown CSRF strategy "${csrf}"; expected one of ${CSRF_STRATEGIES.join(', ')} or a strategy object`);
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Example: Proactive JWT Refresh Scheduling
+ *
+ * Purpose: Refreshes the access token shortly before it expires so that
+ * long-lived sessions (dashboards, editors) never hit SESSION_EXPIRED
+ * mid-action
+ *
+ * Key Patterns:
+ * - Refresh a configurable lead time before expiry
+ * - Schedule survives a page reload (reads the stored expiry)
+ * - Exponential backoff with jitter after transient failures
+ * - Paused while the tab is hidden, caught up when it becomes visible
+ * - Single-flight refresh is delegated to AuthenticationService
+ *
+ * Usage:
+ * ```
+ * import { TokenRefreshScheduler } from '@/examples/auth/jwt-refresh';
+ * const scheduler = new TokenRefreshScheduler({
+ *   refresh: () => authService.refreshAccessToken(),
+ *   getExpiresAt: () => tokenStorage.getExpiresAt()
+ * });
+ * await scheduler.start();
+ * ```
+ *
+ * Security Considerations:
+ * - Terminal failures (revoked or missing refresh token) stop the
+ *   schedule instead of retrying with a token the server rejected
+ *
+ * Performance Notes:
+ * - One timer per session; hidden tabs hold no timer at all
+ * - Delays beyond the setTimeout limit (~24.8 days) are re-armed in steps
+ */
+
+// setTimeout overflows above 2^31 - 1 ms and fires immediately
+const MAX_TIMER_DELAY = 2147483647;
+
+// Never refresh more often than this, even for very short-lived tokens
+const MIN_REFRESH_DELAY = 1000;
+
+// Errors after which retrying cannot help
+const TERMINAL_CODES = ['SESSION_EXPIRED', 'NO_REFRESH_TOKEN', 'MALFORMED_TOKEN', 'INVALID_TOKEN_CLAIMS'];
+
+/**
+ * Schedules token refreshes ahead of expiry
+ */
+class TokenRefreshScheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.refresh - Performs the refresh; resolves once
+   *   the new tokens and expiry have been stored
+   * @param {Function} [options.getExpiresAt] - Returns the stored expiry
+   *   timestamp (ms), used to resume after a reload
+   * @param {Function} [options.onSessionExpired] - Called on terminal failure
+   * @param {number} [options.leadTime=60000] - Refresh this long before expiry
+   * @param {Object} [options.backoff] - Retry delays after transient failures
+   * @param {number} [options.backoff.initial=2000] - First retry delay
+   * @param {number} [options.backoff.max=300000] - Upper bound for a delay
+   * @param {number} [options.backoff.factor=2] - Growth per attempt
+   * @param {Document} [options.document] - Document for visibility tracking
+   * @param {Function} [options.now] - Clock, injectable for tests
+   * @param {Function} [options.random] - Jitter source, injectable for tests
+   */
+  constructor({
+    refresh,
+    getExpiresAt = async () => null,
+    onSessionExpired = () => {},
+    leadTime = 60 * 1000,
+    backoff = {},
+    document: doc = globalThis.document,
+    now = Date.now,
+    random = Math.random
+  }) {
+    this.refresh = refresh;
+    this.getExpiresAt = getExpiresAt;
+    this.onSessionExpired = onSessionExpired;
+    this.leadTime = leadTime;
+    this.backoff = { initial: 2000, max: 5 * 60 * 1000, factor: 2, ...backoff };
+    this.document = doc;
+    this.now = now;
+    this.random = random;
+
+    this.timer = null;
+    this.dueAt = null;
+    this.failures = 0;
+    this.running = false;
+    this.listening = false;
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Resume scheduling from the stored expiry (e.g. after a page reload)
+   */
+  async start() {
+    this.listen();
+    this.running = true;
+
+    const expiresAt = await this.getExpiresAt();
+    if (expiresAt) {
+      this.schedule(expiresAt);
+    }
+  }
+
+  /**
+   * Schedule the next refresh for a token expiring at `expiresAt`.
+   * Resets the failure count, so call it after every successful refresh.
+   * @param {number} expiresAt - Expiry timestamp in ms
+   */
+  schedule(expiresAt) {
+    this.listen();
+    this.running = true;
+    this.failures = 0;
+
+    const remaining = expiresAt - this.now();
+    const delay = remaining > this.leadTime
+      ? remaining - this.leadTime
+      // Token lives shorter than the lead time: refresh halfway through
+      : Math.max(remaining / 2, MIN_REFRESH_DELAY);
+
+    this.arm(this.now() + delay);
+  }
+
+  /**
+   * Cancel any pending refresh and stop listening for visibility changes
+   */
+  stop() {
+    this.clearTimer();
+    this.dueAt = null;
+    this.running = false;
+    if (this.listening) {
+      this.document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+      this.listening = false;
+    }
+  }
+
+  listen() {
+    if (this.document && !this.listening) {
+      this.document.addEventListener('visibilitychange', this.handleVisibilityChange);
+      this.listening = true;
+    }
+  }
+
+  /**
+   * Set the timer for `dueAt`, unless the tab is hidden
+   */
+  arm(dueAt) {
+    this.clearTimer();
+    this.dueAt = dueAt;
+
+    if (this.isHidden()) {
+      // Paused; handleVisibilityChange re-arms when the tab is visible
+      return;
+    }
+
+    const delay = Math.max(0, dueAt - this.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (this.now() < this.dueAt) {
+        // Re-arm in steps for delays beyond the timer limit
+        this.arm(this.dueAt);
+      } else {
+        this.run();
+      }
+    }, Math.min(delay, MAX_TIMER_DELAY));
+  }
+
+  async run() {
+    this.dueAt = null;
+
+    try {
+      await this.refresh();
+
+      // AuthenticationService reschedules as soon as the new tokens are
+      // stored; otherwise pick the new expiry up from storage
+      if (this.running && this.dueAt === null) {
+        const expiresAt = await this.getExpiresAt();
+        if (expiresAt) this.schedule(expiresAt);
+      }
+    } catch (error) {
+      if (!this.running) return;
+
+      if (TERMINAL_CODES.includes(error.code)) {
+        this.stop();
+        this.onSessionExpired(error);
+        return;
+      }
+
+      this.failures += 1;
+      this.arm(this.now() + this.retryDelay(this.failures));
+    }
+  }
+
+  /**
+   * Exponential backoff with "equal jitter": half the delay is fixed, half
+   * random, so tabs and clients that failed together do not retry together
+   */
+  retryDelay(attempt) {
+    const { initial, max, factor } = this.backoff;
+    const delay = Math.min(max, initial * Math.pow(factor, attempt - 1));
+    return delay / 2 + this.random() * (delay / 2);
+  }
+
+  handleVisibilityChange() {
+    if (this.isHidden()) {
+      // Keep dueAt, drop the timer: hidden tabs are paused
+      this.clearTimer();
+    } else if (this.dueAt !== null) {
+      // Runs immediately if the refresh fell due while hidden
+      this.arm(this.dueAt);
+    }
+  }
+
+  isHidden() {
+    return this.document?.visibilityState === 'hidden';
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export { TokenRefreshScheduler };
@@ -5,15 +5,30 @@
  * 
  * Key Patterns:
  * - Secure credential handling (never log passwords)
- * - JWT token management
+ * - JWT token management, with exp/nbf/iat/aud/iss checked on receipt
  * - Refresh token rotation
- * - Rate limit awareness
- * - Error handling with user-friendly messages
+ * - Proactive refresh before the access token expires
+ * - Second factor step (TOTP, recovery code, WebAuthn) when the server asks
+ * - Registration, email verification and password reset
+ * - New passwords checked against a PasswordPolicy (length, banned
+ *   words, strength, breached passwords) before they are sent
+ * - Rate limit awareness with persistent, escalating lockouts
+ * - Error handling with user-friendly messages, one code per failure
+ *   kind (offline, timeout, server, field validation, ...)
+ * - Transient login failures retried with backoff
+ * - Lifecycle events (see auth-events.js) and a redacting logger
+ * - Optional cross-tab sync of login, logout and refresh (session-sync.js)
  * 
  * Security Considerations:
- * - Passwords never stored in memory longer than needed
- * - Tokens stored in httpOnly cookies when possible
- * - CSRF protection enabled
+ * - Passwords never stored in memory longer than needed; the MFA step
+ *   only keeps the server's challenge id
+ * - Password reset and verification resend never reveal whether an
+ *   account exists: both resolve the same way for unknown emails
+ * - Tokens stored through a tokenStorage adapter (see token-storage.js);
+ *   httpOnly cookies can only be set by the server
+ * - CSRF protection through a pluggable strategy (meta tag, double-submit
+ *   cookie, token endpoint or custom header; see csrf.js); a CSRF 403 is
+ *   retried once with a fresh token
  * - Rate limiting to prevent brute force
  * 
  * Accessibility:
@@ -23,6 +38,15 @@
  */
 
 import { z } from 'zod';
+import { TokenRefreshScheduler } from './jwt-refresh.js';
+import { getAssertion } from './webauthn.js';
+import { LoginThrottle, parseRetryAfter } from './login-throttle.js';
+import { TokenInspector } from './token-inspector.js';
+import { AuthEventEmitter } from './auth-events.js';
+import { PasswordPolicy } from './password-policy.js';
+import { isCsrfError, resolveCsrfStrategy } from './csrf.js';
+import { createLogger } from '../patterns/logger.js';
+import { classifyError, extractFieldErrors, retryWithBackoff } from '../api/error-handling.js';
 
 // Validation schema for login credentials
 const LoginSchema = z.object({
@@ -44,106 +68,719 @@ const AuthResponseSchema = z.object({
   })
 });
 
+// Login response when the account requires a second factor
+const MfaChallengeSchema = z.object({
+  mfaRequired: z.literal(true),
+  challengeId: z.string(),
+  methods: z.array(z.enum(['totp', 'recovery_code', 'webauthn'])).nonempty(),
+  // Seconds until the challenge is no longer accepted
+  expiresIn: z.number().optional(),
+  // PublicKeyCredentialRequestOptions with base64url binary fields
+  webauthn: z.object({
+    challenge: z.string(),
+    rpId: z.string().optional(),
+    timeout: z.number().optional(),
+    userVerification: z.enum(['required', 'preferred', 'discouraged']).optional(),
+    allowCredentials: z.array(z.object({
+      id: z.string(),
+      type: z.literal('public-key'),
+      transports: z.array(z.string()).optional()
+    })).optional()
+  }).optional()
+});
+
+// Second factor codes as typed by the user
+const TotpCodeSchema = z.string().trim().regex(/^\d{6}$/, 'Enter the 6-digit code from your authenticator app');
+const RecoveryCodeSchema = z.string().trim().min(8, 'Enter one of your recovery codes');
+
+// Length and strength rules come from the service's PasswordPolicy
+const NewPasswordSchema = z.string().min(1, 'Enter a new password');
+
+const RegisterSchema = z.object({
+  email: z.string().trim().email('Invalid email address'),
+  password: NewPasswordSchema,
+  name: z.string().trim().min(1, 'Enter your name').max(100, 'Name must be 100 characters or fewer').optional()
+});
+
+const EmailSchema = z.string().trim().email('Invalid email address');
+
+// Single-use tokens from verification and reset links
+const EmailTokenSchema = z.string().trim().min(1, 'This link is incomplete. Please use the full link from your email.');
+
+const ResetPasswordSchema = z.object({
+  token: EmailTokenSchema,
+  password: NewPasswordSchema
+});
+
 /**
  * Main authentication class handling login flow
  */
 class AuthenticationService {
-  constructor(apiClient, tokenStorage) {
+  /**
+   * @param {Object} apiClient - HTTP client with a `post()` method
+   * @param {Object} tokenStorage - Token persistence adapter
+   * @param {Object} [options]
+   * @param {boolean} [options.autoRefresh=true] - Refresh before expiry
+   * @param {number} [options.refreshLeadTime=60000] - How long before
+   *   expiry to refresh, in ms
+   * @param {Function} [options.onSessionExpired] - Called when a refresh
+   *   (scheduled or on demand) fails for good and the user has been
+   *   logged out; shorthand for `on('sessionExpired', ...)`
+   * @param {LoginThrottle} [options.throttle] - Lockout tracking; defaults
+   *   to one persisted in localStorage
+   * @param {Object} [options.tokenValidation] - TokenInspector options
+   *   (audience, issuer, leeway) applied to every access token received
+   * @param {Object} [options.logger] - Structured logger (see
+   *   patterns/logger.js); defaults to a redacting console logger
+   * @param {AuthEventEmitter} [options.events] - Share one emitter between
+   *   services; one is created otherwise
+   * @param {SessionSync} [options.sessionSync] - Keep other tabs in step;
+   *   changes they report are emitted here with `remote: true`
+   * @param {Object} [options.retry] - retryWithBackoff options for the
+   *   login request (retries, baseDelay, maxDelay); `{ retries: 0 }`
+   *   disables retrying
+   * @param {PasswordPolicy} [options.passwordPolicy] - Rules for new
+   *   passwords in register() and resetPassword(); share it with the
+   *   strength meter so both agree
+   * @param {string|Object} [options.csrf='meta'] - 'meta', 'cookie',
+   *   'endpoint' (GET /auth/csrf through apiClient), 'header', or a
+   *   strategy from csrf.js
+   */
+  constructor(apiClient, tokenStorage, options = {}) {
     this.apiClient = apiClient;
     this.tokenStorage = tokenStorage;
     this.refreshPromise = null;
-    this.rateLimitRetryAfter = null;
+    this.pendingMfa = null;
+    // Last user seen by this tab, so a refresh done elsewhere can be reused
+    this.user = null;
+
+    const {
+      autoRefresh = true,
+      refreshLeadTime,
+      onSessionExpired,
+      throttle = new LoginThrottle(),
+      tokenValidation,
+      logger = createLogger({ context: { module: 'auth' } }),
+      events = new AuthEventEmitter({ logger }),
+      sessionSync = null,
+      retry = {},
+      passwordPolicy = new PasswordPolicy({ logger }),
+      csrf = 'meta'
+    } = options;
+    this.throttle = throttle;
+    this.tokenInspector = new TokenInspector(tokenValidation);
+    this.logger = logger;
+    this.events = events;
+    this.sessionSync = sessionSync;
+    this.retryOptions = retry;
+    this.passwordPolicy = passwordPolicy;
+    this.csrf = resolveCsrfStrategy(csrf, { apiClient });
+    this.disconnectSync = null;
+    if (onSessionExpired) {
+      this.events.on('sessionExpired', ({ error }) => onSessionExpired(error));
+    }
+    // Terminal refresh failures are reported by _performRefresh, so the
+    // scheduler needs no onSessionExpired of its own
+    this.refreshScheduler = autoRefresh
+      ? new TokenRefreshScheduler({
+        refresh: () => this.refreshAccessToken(),
+        getExpiresAt: () => this.tokenStorage.getExpiresAt?.() ?? null,
+        leadTime: refreshLeadTime
+      })
+      : null;
+
+    this.connectSessionSync();
+  }
+
+  /**
+   * Start applying changes reported by other tabs (idempotent); dispose()
+   * disconnects again
+   */
+  connectSessionSync() {
+    if (this.sessionSync && !this.disconnectSync) {
+      this.disconnectSync = this.sessionSync.subscribe(message => {
+        this.applyRemoteChange(message).catch(error => {
+          this.logger.warn('Cross-tab sync failed', { type: message.type, error });
+        });
+      });
+    }
+  }
+
+  /**
+   * Bring this tab in line with a change made in another tab
+   * @param {Object} message - `{ type, payload }` from SessionSync
+   */
+  async applyRemoteChange({ type, payload }) {
+    switch (type) {
+      case 'logout':
+        this.refreshScheduler?.stop();
+        this.pendingMfa = null;
+        this.user = null;
+        await this.tokenStorage.clearTokens();
+        this.events.emit('logout', { reason: payload.reason, remote: true });
+        break;
+
+      case 'login':
+      case 'refreshed':
+        // Per-tab storage (memory, sessionStorage) never sees the other
+        // tab's tokens; nothing to follow
+        if (!(await this.tokenStorage.getRefreshToken())) return;
+
+        this.user = payload.user;
+        // Shared storage already holds the new tokens and expiry
+        await this.refreshScheduler?.start();
+        this.events.emit(type, type === 'login'
+          ? { user: payload.user, method: payload.method, remote: true }
+          : { expiresAt: payload.expiresAt, remote: true });
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Subscribe to a lifecycle event (see AUTH_EVENTS), or '*' for all
+   * @param {string} type
+   * @param {Function} listener
+   * @returns {Function} Unsubscribe
+   */
+  on(type, listener) {
+    return this.events.on(type, listener);
   }
 
   /**
    * Authenticate user with email and password
+   *
+   * When the account requires a second factor this rejects with an
+   * MFA_REQUIRED AuthError whose details carry `challengeId` and
+   * `methods`; finish with verifyTotp(), verifyRecoveryCode() or
+   * verifyWebAuthn().
+   *
    * @param {Object} credentials - User credentials
    * @returns {Promise<Object>} User object with tokens
    */
   async login(credentials) {
+    this.pendingMfa = null;
+
     try {
       // Validate input
       const validatedData = LoginSchema.parse(credentials);
       
-      // Check if rate limited
-      if (this.isRateLimited()) {
-        throw new AuthError(
-          'Too many login attempts. Please try again later.',
-          'RATE_LIMITED',
-          { retryAfter: this.rateLimitRetryAfter }
-        );
+      // Check if rate limited (survives reloads)
+      const lockout = this.throttle.getLockout(validatedData.email);
+      if (lockout) {
+        throw rateLimitError(lockout);
       }
 
       // Prepare request (never log password)
       const requestData = {
         email: validatedData.email,
-        password: validatedData.password,
-        // Add CSRF token if available
-        csrfToken: await this.getCSRFToken()
+        password: validatedData.password
       };
 
-      // Make login request
-      const response = await this.apiClient.post('/auth/login', requestData, {
-        timeout: 10000, // 10 second timeout
-        retry: false // Don't retry failed auth attempts
+      // Make login request; only failures that never reached a verdict
+      // (network, timeout, 5xx) are retried, never a rejected password
+      let requestStartedAt;
+      const response = await retryWithBackoff(() => {
+        requestStartedAt = Date.now();
+        return this.postWithCsrf('/auth/login', requestData, {
+          timeout: 10000, // 10 second timeout
+          retry: false // The client must not retry on top of this
+        });
+      }, this.retryOptions);
+
+      // Password accepted, but a second factor is still required
+      const challenge = MfaChallengeSchema.safeParse(response.data);
+      if (challenge.success) {
+        throw this.startMfaChallenge(challenge.data, validatedData);
+      }
+
+      // Validate response structure and token claims
+      const authData = this.parseAuthResponse(response, requestStartedAt);
+
+      return await this.completeLogin(authData, validatedData);
+
+    } catch (error) {
+      throw this.reportFailure(this.toLoginError(error, credentials.email), credentials.email, 'password');
+    }
+  }
+
+  /**
+   * Map a failed login attempt to an AuthError
+   * @param {Error} error
+   * @param {string} email - As typed; may be invalid
+   * @returns {AuthError}
+   */
+  toLoginError(error, email) {
+    // Already mapped (MFA_REQUIRED, RATE_LIMITED)
+    if (error instanceof AuthError) {
+      return error;
+    }
+
+    // Handle different error types
+    if (error.response?.status === 401) {
+      // Repeated failures lock the form for escalating delays
+      const lockout = this.throttle.recordFailure(email);
+      return new AuthError(
+        lockout
+          ? `Invalid email or password. Please wait ${lockout.retryAfter} seconds before trying again.`
+          : 'Invalid email or password',
+        'INVALID_CREDENTIALS',
+        lockout ?? {}
+      );
+    }
+
+    if (error.response?.status === 429) {
+      // Handle rate limiting
+      return rateLimitError(
+        this.throttle.recordRateLimit(email, error.response.headers?.['retry-after'])
+      );
+    }
+
+    // Correct password, but the account is not usable yet
+    if (error.response?.status === 403 && error.response.data?.code === 'EMAIL_NOT_VERIFIED') {
+      return new AuthError(
+        'Please verify your email address first. Check your inbox for the link.',
+        'EMAIL_NOT_VERIFIED'
+      );
+    }
+
+    // Input only; response schema mismatches are INVALID_RESPONSE
+    if (error instanceof z.ZodError) {
+      return new AuthError(
+        'Invalid input data',
+        'VALIDATION_ERROR',
+        { errors: error.errors }
+      );
+    }
+
+    const failed = requestError(error);
+    if (failed) {
+      return failed;
+    }
+
+    // The logger redacts the password and masks the email
+    this.logger.error('Login error', { error, email });
+
+    return new AuthError(
+      'An error occurred during login. Please try again.',
+      'UNKNOWN_ERROR'
+    );
+  }
+
+  /**
+   * Complete an MFA challenge with a code from an authenticator app
+   * @param {string} code - 6-digit TOTP code
+   * @returns {Promise<Object>} Same shape as login()
+   */
+  async verifyTotp(code) {
+    return this.verifySecondFactor('totp', () => ({ code: TotpCodeSchema.parse(code) }));
+  }
+
+  /**
+   * Complete an MFA challenge with a single-use recovery code
+   * @param {string} code - Recovery code
+   * @returns {Promise<Object>} Same shape as login()
+   */
+  async verifyRecoveryCode(code) {
+    return this.verifySecondFactor('recovery_code', () => ({ code: RecoveryCodeSchema.parse(code) }));
+  }
+
+  /**
+   * Complete an MFA challenge with a security key or platform authenticator
+   * @returns {Promise<Object>} Same shape as login()
+   */
+  async verifyWebAuthn() {
+    return this.verifySecondFactor('webauthn', async ({ webauthn }) => ({
+      assertion: await getAssertion(webauthn)
+    }));
+  }
+
+  /**
+   * Abandon a pending MFA challenge (e.g. "use a different account")
+   */
+  cancelMfa() {
+    this.pendingMfa = null;
+  }
+
+  /**
+   * Remember the server's challenge and build the MFA_REQUIRED error
+   */
+  startMfaChallenge({ challengeId, methods, expiresIn, webauthn }, { email, rememberMe }) {
+    this.pendingMfa = {
+      challengeId,
+      methods,
+      webauthn,
+      email,
+      rememberMe,
+      expiresAt: expiresIn ? Date.now() + (expiresIn * 1000) : null
+    };
+
+    return new AuthError(
+      'Additional verification required',
+      'MFA_REQUIRED',
+      { challengeId, methods }
+    );
+  }
+
+  /**
+   * Send a second factor for the pending challenge and finish the login
+   * @param {string} method - One of the challenge's methods
+   * @param {Function} buildProof - Returns the method-specific payload
+   */
+  async verifySecondFactor(method, buildProof) {
+    const challenge = this.pendingMfa;
+
+    if (!challenge) {
+      throw new AuthError('No verification in progress. Please login again.', 'MFA_NOT_STARTED');
+    }
+
+    const lockout = this.throttle.getLockout(challenge.email);
+    if (lockout) {
+      throw rateLimitError(lockout);
+    }
+
+    if (challenge.expiresAt && Date.now() >= challenge.expiresAt) {
+      this.pendingMfa = null;
+      throw new AuthError('Verification timed out. Please login again.', 'MFA_CHALLENGE_EXPIRED');
+    }
+
+    if (!challenge.methods.includes(method) || (method === 'webauthn' && !challenge.webauthn)) {
+      throw new AuthError(
+        'This verification method is not available for your account',
+        'MFA_METHOD_UNAVAILABLE',
+        { methods: challenge.methods }
+      );
+    }
+
+    try {
+      const proof = await buildProof(challenge);
+
+      const requestStartedAt = Date.now();
+      const response = await this.postWithCsrf('/auth/mfa/verify', {
+        challengeId: challenge.challengeId,
+        method,
+        ...proof
+      }, {
+        timeout: 10000,
+        retry: false
       });
 
-      // Validate response structure
-      const authData = AuthResponseSchema.parse(response.data);
+      const authData = this.parseAuthResponse(response, requestStartedAt);
+      this.pendingMfa = null;
 
-      // Store tokens securely
-      await this.storeTokens(authData, validatedData.rememberMe);
+      return await this.completeLogin(authData, challenge, method);
 
-      // Clear any rate limit tracking
-      this.clearRateLimit();
+    } catch (error) {
+      throw this.reportFailure(this.toVerificationError(error, challenge, method), challenge.email, method);
+    }
+  }
 
-      // Return user data (without tokens)
-      return {
-        user: authData.user,
-        expiresAt: Date.now() + (authData.expiresIn * 1000)
-      };
+  /**
+   * Map a failed second factor attempt to an AuthError
+   * @param {Error} error
+   * @param {Object} challenge - The pending challenge
+   * @param {string} method
+   * @returns {AuthError}
+   */
+  toVerificationError(error, challenge, method) {
+    // Already mapped (MALFORMED_TOKEN, INVALID_TOKEN_CLAIMS)
+    if (error instanceof AuthError) {
+      return error;
+    }
+
+    if (error instanceof z.ZodError) {
+      return new AuthError(
+        error.errors[0]?.message ?? 'Invalid input data',
+        'VALIDATION_ERROR',
+        { errors: error.errors }
+      );
+    }
+
+    // Wrong code: the challenge stays open for another attempt, but
+    // guesses count towards the same lockout as passwords
+    if (error.response?.status === 401) {
+      const lockout = this.throttle.recordFailure(challenge.email);
+      return new AuthError(
+        lockout
+          ? `That code is not valid. Please wait ${lockout.retryAfter} seconds before trying again.`
+          : 'That code is not valid. Please try again.',
+        'INVALID_MFA_CODE',
+        lockout ?? {}
+      );
+    }
+
+    // Server no longer knows the challenge; start over from the password
+    if (error.response?.status === 404 || error.response?.status === 410) {
+      this.pendingMfa = null;
+      return new AuthError('Verification timed out. Please login again.', 'MFA_CHALLENGE_EXPIRED');
+    }
+
+    if (error.response?.status === 429) {
+      return rateLimitError(
+        this.throttle.recordRateLimit(challenge.email, error.response.headers?.['retry-after'])
+      );
+    }
+
+    // Raised by navigator.credentials.get()
+    if (error.name === 'NotAllowedError') {
+      return new AuthError('Security key verification was cancelled or timed out.', 'WEBAUTHN_CANCELLED');
+    }
+
+    if (error.name === 'NotSupportedError') {
+      return new AuthError('Security keys are not supported in this browser.', 'WEBAUTHN_UNSUPPORTED');
+    }
+
+    const failed = requestError(error);
+    if (failed) {
+      return failed;
+    }
+
+    this.logger.error('MFA verification error', { error, method });
+
+    return new AuthError(
+      'An error occurred during verification. Please try again.',
+      'UNKNOWN_ERROR'
+    );
+  }
+
+  /**
+   * Emit `rateLimited` or `loginFailed` for an error about to be thrown
+   * @param {AuthError} error
+   * @param {string} email
+   * @param {string} method - password, totp, recovery_code or webauthn
+   * @returns {AuthError} The same error
+   */
+  reportFailure(error, email, method) {
+    if (error.code === 'MFA_REQUIRED') {
+      return error;
+    }
+
+    if (error.code === 'RATE_LIMITED') {
+      const { retryAt, retryAfter } = error.details;
+      this.events.emit('rateLimited', { email, retryAt, retryAfter });
+    } else {
+      this.events.emit('loginFailed', { email, code: error.code, method });
+    }
+
+    return error;
+  }
+
+  /**
+   * Store tokens and start the session once every factor is verified
+   * @param {Object} authData - Parsed AuthResponseSchema
+   * @param {Object} attempt - `{ email, rememberMe }` as typed at login
+   * @param {string} [method='password'] - Factor that completed the login
+   */
+  async completeLogin(authData, { email, rememberMe }, method = 'password') {
+    // Store tokens securely
+    const expiresAt = await this.storeTokens(authData, rememberMe);
+
+    // Refresh ahead of expiry from now on
+    this.refreshScheduler?.schedule(expiresAt);
+
+    // Clear any rate limit tracking
+    this.throttle.recordSuccess(email);
+
+    this.user = authData.user;
+    this.events.emit('login', { user: authData.user, method });
+    this.sessionSync?.broadcast('login', { user: authData.user, method });
+
+    // Return user data (without tokens)
+    return {
+      user: authData.user,
+      expiresAt
+    };
+  }
+
+  /**
+   * Create an account; the user verifies their email before logging in
+   * @param {Object} registration - `{ email, password, name? }`
+   * @returns {Promise<{email: string, verificationRequired: boolean}>}
+   * @throws {AuthError} VALIDATION_ERROR, EMAIL_IN_USE, RATE_LIMITED, ...
+   */
+  async register(registration) {
+    try {
+      const { email, password, name } = await this.withPasswordPolicy(RegisterSchema).parseAsync(registration);
+
+      await this.postWithCsrf('/auth/register', {
+        email,
+        password,
+        name
+      }, {
+        timeout: 10000,
+        retry: false
+      });
+
+      return { email, verificationRequired: true };
 
     } catch (error) {
-      // Handle different error types
-      if (error.response?.status === 401) {
+      // Only servers that chose to reveal existing accounts send this
+      if (error.response?.status === 409) {
         throw new AuthError(
-          'Invalid email or password',
-          'INVALID_CREDENTIALS'
-        );
-      }
-      
-      if (error.response?.status === 429) {
-        // Handle rate limiting
-        const retryAfter = error.response.headers['retry-after'];
-        this.setRateLimit(retryAfter);
-        throw new AuthError(
-          `Too many attempts. Please try again in ${retryAfter} seconds.`,
-          'RATE_LIMITED',
-          { retryAfter }
+          'An account with this email already exists. Try logging in or resetting your password.',
+          'EMAIL_IN_USE',
+          { errors: [{ path: ['email'], message: 'An account with this email already exists', code: 'server' }] }
         );
       }
+      throw this.toAccountError(error, 'Registration');
+    }
+  }
 
-      if (error instanceof z.ZodError) {
-        throw new AuthError(
-          'Invalid input data',
-          'VALIDATION_ERROR',
-          { errors: error.errors }
-        );
-      }
+  /**
+   * Send the verification email again
+   * @param {string} email
+   * @returns {Promise<void>} Resolves for unknown emails too
+   */
+  async resendVerification(email) {
+    try {
+      await this.postWithCsrf('/auth/verify-email/resend', {
+        email: EmailSchema.parse(email)
+      });
+    } catch (error) {
+      // Same outcome as for a known email, so the form reveals nothing
+      if (error.response?.status === 404) return;
+      throw this.toAccountError(error, 'Verification resend');
+    }
+  }
 
-      // Log error for debugging (never log passwords!)
-      console.error('Login error:', {
-        error: error.message,
-        code: error.code,
-        // Safe to log email, but not password
-        email: credentials.email
+  /**
+   * Confirm an email address with the token from the verification link
+   * @param {string} token
+   * @returns {Promise<{verified: true}>}
+   * @throws {AuthError} VERIFICATION_TOKEN_INVALID when expired or used
+   */
+  async verifyEmail(token) {
+    try {
+      await this.postWithCsrf('/auth/verify-email', {
+        token: EmailTokenSchema.parse(token)
+      });
+      return { verified: true };
+    } catch (error) {
+      throw this.toAccountError(error, 'Email verification', {
+        invalidToken: new AuthError(
+          'This verification link has expired or was already used. Request a new one.',
+          'VERIFICATION_TOKEN_INVALID'
+        )
       });
+    }
+  }
 
-      throw new AuthError(
-        'An error occurred during login. Please try again.',
-        'UNKNOWN_ERROR'
+  /**
+   * Email a password reset link
+   * @param {string} email
+   * @returns {Promise<void>} Resolves for unknown emails too
+   */
+  async requestPasswordReset(email) {
+    try {
+      await this.postWithCsrf('/auth/password-reset/request', {
+        email: EmailSchema.parse(email)
+      });
+    } catch (error) {
+      // Same outcome as for a known email, so the form reveals nothing
+      if (error.response?.status === 404) return;
+      throw this.toAccountError(error, 'Password reset request');
+    }
+  }
+
+  /**
+   * Set a new password with the token from the reset link
+   *
+   * The server ends every session of the account; a session stored in
+   * this tab is logged out too.
+   *
+   * @param {string} token
+   * @param {string} newPassword
+   * @returns {Promise<{reset: true}>}
+   * @throws {AuthError} RESET_TOKEN_INVALID when expired or used
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      const data = await this.withPasswordPolicy(ResetPasswordSchema).parseAsync({ token, password: newPassword });
+
+      await this.postWithCsrf('/auth/password-reset', {
+        ...data
+      }, {
+        timeout: 10000,
+        retry: false
+      });
+    } catch (error) {
+      throw this.toAccountError(error, 'Password reset', {
+        invalidToken: new AuthError(
+          'This reset link has expired or was already used. Request a new one.',
+          'RESET_TOKEN_INVALID'
+        )
+      });
+    }
+
+    if (await this.tokenStorage.getRefreshToken()) {
+      await this.logout({ reason: 'passwordReset' });
+    }
+    return { reset: true };
+  }
+
+  /**
+   * Extend a schema with a `password` field so every failed policy check
+   * becomes a Zod issue on that field, next to the schema's own issues
+   * @param {z.ZodObject} schema
+   * @returns {z.ZodEffects}
+   */
+  withPasswordPolicy(schema) {
+    return schema.superRefine(async ({ password, email, name }, ctx) => {
+      const feedback = await this.passwordPolicy.validate(password, { email, name });
+
+      for (const check of feedback.checks) {
+        if (!check.passed) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['password'], message: check.message, params: { check: check.id } });
+        }
+      }
+    });
+  }
+
+  /**
+   * Map a failed account request (register, verify, reset) to an AuthError
+   * @param {Error} error
+   * @param {string} action - For the log entry
+   * @param {Object} [options]
+   * @param {AuthError} [options.invalidToken] - Returned for 400/404/410
+   *   without field errors (expired, used or unknown link)
+   * @returns {AuthError}
+   */
+  toAccountError(error, action, { invalidToken } = {}) {
+    if (error instanceof AuthError) {
+      return error;
+    }
+
+    if (error instanceof z.ZodError) {
+      return new AuthError(
+        error.errors[0]?.message ?? 'Invalid input data',
+        'VALIDATION_ERROR',
+        { errors: error.errors }
       );
     }
+
+    const status = error.response?.status;
+
+    if (status === 429) {
+      return rateLimitError(serverLockout(error.response.headers?.['retry-after']));
+    }
+
+    if (invalidToken && [400, 404, 410].includes(status) && classifyError(error) !== 'validation') {
+      return invalidToken;
+    }
+
+    const failed = requestError(error);
+    if (failed) {
+      return failed;
+    }
+
+    this.logger.error(`${action} error`, { error });
+
+    return new AuthError(
+      'Something went wrong. Please try again.',
+      'UNKNOWN_ERROR'
+    );
   }
 
   /**
@@ -155,7 +792,9 @@ class AuthenticationService {
       return this.refreshPromise;
     }
 
-    this.refreshPromise = this._performRefresh();
+    this.refreshPromise = this.sessionSync
+      ? this._refreshAcrossTabs()
+      : this._performRefresh();
     
     try {
       const result = await this.refreshPromise;
@@ -165,6 +804,28 @@ class AuthenticationService {
     }
   }
 
+  /**
+   * Refresh while holding the cross-tab lock; if another tab rotated the
+   * tokens while this one waited, use its result instead of rotating again
+   */
+  async _refreshAcrossTabs() {
+    const refreshTokenBefore = await this.tokenStorage.getRefreshToken();
+
+    return this.sessionSync.withRefreshLock(async () => {
+      const refreshToken = await this.tokenStorage.getRefreshToken();
+
+      // Rotation replaced the token we saw: another tab just refreshed
+      if (refreshToken && refreshToken !== refreshTokenBefore && this.user) {
+        const expiresAt = await this.tokenStorage.getExpiresAt?.() ?? null;
+        if (expiresAt !== null) this.refreshScheduler?.schedule(expiresAt);
+        return { user: this.user, expiresAt };
+      }
+
+      // Reads the refresh token again, so it is the latest one
+      return this._performRefresh();
+    });
+  }
+
   async _performRefresh() {
     try {
       const refreshToken = await this.tokenStorage.getRefreshToken();
@@ -173,43 +834,71 @@ class AuthenticationService {
         throw new AuthError('No refresh token available', 'NO_REFRESH_TOKEN');
       }
 
-      const response = await this.apiClient.post('/auth/refresh', {
-        refreshToken,
-        csrfToken: await this.getCSRFToken()
+      const requestStartedAt = Date.now();
+      const response = await this.postWithCsrf('/auth/refresh', {
+        refreshToken
       });
 
-      const authData = AuthResponseSchema.parse(response.data);
+      const authData = this.parseAuthResponse(response, requestStartedAt);
+      const { expiresAt } = authData;
       
       // Update stored tokens
       await this.tokenStorage.updateTokens({
         accessToken: authData.accessToken,
         refreshToken: authData.refreshToken,
-        expiresIn: authData.expiresIn
+        expiresIn: authData.expiresIn,
+        expiresAt
       });
 
+      // Schedule the next refresh for the new token
+      this.refreshScheduler?.schedule(expiresAt);
+
+      this.user = authData.user;
+      this.events.emit('refreshed', { expiresAt });
+      this.sessionSync?.broadcast('refreshed', { user: authData.user, expiresAt });
+
       return authData;
       
     } catch (error) {
+      // Network errors, timeouts and 5xx say nothing about the refresh
+      // token; keep the session so the scheduler can retry with backoff
+      if (isTransientFailure(error)) {
+        throw new AuthError(
+          'Unable to refresh session. Retrying shortly.',
+          'REFRESH_FAILED',
+          { status: error.response?.status }
+        );
+      }
+
       // Clear tokens on refresh failure
-      await this.logout();
-      throw new AuthError(
-        'Session expired. Please login again.',
-        'SESSION_EXPIRED'
-      );
+      await this.logout({ reason: 'sessionExpired' });
+
+      // An unusable token is reported as such, not as a plain expiry
+      const expired = isTokenError(error)
+        ? error
+        : new AuthError('Session expired. Please login again.', 'SESSION_EXPIRED');
+
+      this.events.emit('sessionExpired', { error: expired });
+      throw expired;
     }
   }
 
   /**
    * Logout user and clear tokens
+   * @param {Object} [options]
+   * @param {string} [options.reason='user'] - Passed on in the `logout` event
    */
-  async logout() {
+  async logout({ reason = 'user' } = {}) {
+    this.refreshScheduler?.stop();
+    this.pendingMfa = null;
+    this.user = null;
+
     try {
       // Notify server of logout
       const refreshToken = await this.tokenStorage.getRefreshToken();
       if (refreshToken) {
-        await this.apiClient.post('/auth/logout', {
-          refreshToken,
-          csrfToken: await this.getCSRFToken()
+        await this.postWithCsrf('/auth/logout', {
+          refreshToken
         }).catch(() => {
           // Ignore logout errors - clear tokens anyway
         });
@@ -218,153 +907,244 @@ class AuthenticationService {
       // Always clear local tokens
       await this.tokenStorage.clearTokens();
     }
+
+    this.events.emit('logout', { reason });
+    this.sessionSync?.broadcast('logout', { reason });
+  }
+
+  /**
+   * Restore the session stored by a previous page load
+   *
+   * Stored tokens carry no user profile, so this rotates them once and
+   * takes the user from the refresh response; that also re-arms the
+   * refresh schedule.
+   *
+   * @returns {Promise<Object|null>} `{ user }`, or null if nothing is stored
+   */
+  async restoreSession() {
+    const refreshToken = await this.tokenStorage.getRefreshToken();
+    if (!refreshToken) {
+      return null;
+    }
+
+    const authData = await this.refreshAccessToken();
+    return { user: authData.user };
+  }
+
+  /**
+   * Resume proactive refresh from the stored expiry (e.g. after a reload)
+   */
+  async resumeRefreshSchedule() {
+    await this.refreshScheduler?.start();
+  }
+
+  /**
+   * Stop background work; call when the service is no longer used
+   */
+  dispose() {
+    this.refreshScheduler?.stop();
+    this.disconnectSync?.();
+    this.disconnectSync = null;
+  }
+
+  /**
+   * Whether the stored access token has expired, on the server's clock
+   * @param {number} [margin=0] - Treat as expired this many ms early
+   * @returns {Promise<boolean>} true when no usable token is stored
+   */
+  async isTokenExpired(margin = 0) {
+    return (await this.timeUntilExpiry()) <= margin;
+  }
+
+  /**
+   * Milliseconds until the stored access token expires
+   * @returns {Promise<number>} 0 when expired, missing or malformed
+   */
+  async timeUntilExpiry() {
+    const accessToken = await this.tokenStorage.getAccessToken();
+    return accessToken ? this.tokenInspector.timeUntilExpiry(accessToken) : 0;
+  }
+
+  /**
+   * Validate a login/refresh response and the access token inside it
+   * @param {Object} response - Client response (data, headers)
+   * @param {number} requestStartedAt - For clock skew estimation
+   * @returns {Object} AuthResponseSchema data plus `expiresAt`
+   * @throws {AuthError} INVALID_RESPONSE, MALFORMED_TOKEN or INVALID_TOKEN_CLAIMS
+   */
+  parseAuthResponse(response, requestStartedAt) {
+    const parsed = AuthResponseSchema.safeParse(response.data);
+    if (!parsed.success) {
+      // The server's fault, not the user's: never report it as VALIDATION_ERROR
+      throw new AuthError(
+        'The server sent an unexpected response. Please try again later.',
+        'INVALID_RESPONSE',
+        { issues: parsed.error.errors }
+      );
+    }
+    const authData = parsed.data;
+
+    this.tokenInspector.updateSkew(response.headers, requestStartedAt);
+    const { expiresAt: claimedExpiry } = this.tokenInspector.inspect(authData.accessToken);
+
+    // Whichever of `exp` and `expiresIn` comes first
+    const expiresAt = Math.min(
+      claimedExpiry ?? Infinity,
+      Date.now() + (authData.expiresIn * 1000)
+    );
+
+    return { ...authData, expiresAt };
   }
 
   /**
    * Store tokens securely
+   * @returns {Promise<number>} Access token expiry timestamp (ms)
    */
   async storeTokens(authData, rememberMe) {
+    // Cookie flags (Secure, SameSite) are configured on the storage
+    // adapter; httpOnly cannot be set from browser JavaScript at all.
+    // Each adapter documents what it does with rememberMe.
     const options = {
-      // Use secure storage for sensitive tokens
-      secure: true,
-      // HttpOnly cookies if in browser
-      httpOnly: true,
-      // SameSite for CSRF protection
-      sameSite: 'strict',
+      rememberMe,
       // Longer expiry if "remember me" checked
       maxAge: rememberMe ? 30 * 24 * 60 * 60 : undefined
     };
 
+    const expiresAt = authData.expiresAt ?? Date.now() + (authData.expiresIn * 1000);
+
     await this.tokenStorage.setTokens({
       accessToken: authData.accessToken,
       refreshToken: authData.refreshToken,
-      expiresIn: authData.expiresIn
+      expiresIn: authData.expiresIn,
+      // Absolute expiry lets the refresh schedule survive a reload
+      expiresAt
     }, options);
-  }
 
-  /**
-   * Get CSRF token for requests
-   */
-  async getCSRFToken() {
-    // Implementation depends on your CSRF strategy
-    return document.querySelector('meta[name="csrf-token"]')?.content || '';
+    return expiresAt;
   }
 
   /**
-   * Check if currently rate limited
+   * POST with the CSRF strategy's token or header; a CSRF rejection is
+   * retried once if the strategy can come up with a new token
+   * @param {string} url
+   * @param {Object} data
+   * @param {Object} [config] - Passed to apiClient.post()
    */
-  isRateLimited() {
-    if (!this.rateLimitRetryAfter) return false;
-    return Date.now() < this.rateLimitRetryAfter;
-  }
+  async postWithCsrf(url, data, config) {
+    const send = async () => {
+      const request = await this.csrf.prepare({ body: data, config });
+      // No config argument unless the caller or strategy supplied one
+      const response = await this.apiClient.post(url, request.body, ...(request.config ? [request.config] : []));
+      this.csrf.observe?.(response);
+      return response;
+    };
 
-  /**
-   * Set rate limit retry time
-   */
-  setRateLimit(retryAfterSeconds) {
-    const retryAfter = parseInt(retryAfterSeconds, 10) || 60;
-    this.rateLimitRetryAfter = Date.now() + (retryAfter * 1000);
+    try {
+      return await send();
+    } catch (error) {
+      if (!isCsrfError(error) || !(await this.csrf.refresh())) {
+        throw error;
+      }
+      this.logger.info('CSRF token rejected; retrying with a new one', { url, strategy: this.csrf.name });
+      return send();
+    }
   }
 
   /**
-   * Clear rate limit
+   * Current CSRF token, for requests made outside this service
+   * @returns {Promise<string>} Empty when the strategy has no token
    */
-  clearRateLimit() {
-    this.rateLimitRetryAfter = null;
+  async getCSRFToken() {
+    return (await this.csrf.getToken()) ?? '';
   }
 }
 
 /**
- * Custom error class for authentication errors
+ * Whether a failed request may succeed if simply retried later
  */
-class AuthError extends Error {
-  constructor(message, code, details = {}) {
-    super(message);
-    this.name = 'AuthError';
-    this.code = code;
-    this.details = details;
-  }
+function isTransientFailure(error) {
+  if (error instanceof AuthError || error instanceof z.ZodError) return false;
+  const status = error.response?.status;
+  return status === undefined || status >= 500 || status === 429;
 }
 
 /**
- * React Hook Example for using auth service
+ * Errors raised by TokenInspector for a token the server issued
  */
-export function useAuth() {
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [user, setUser] = useState(null);
-  
-  const authService = useMemo(() => 
-    new AuthenticationService(apiClient, tokenStorage), 
-    []
-  );
+function isTokenError(error) {
+  return error instanceof AuthError &&
+    (error.code === 'MALFORMED_TOKEN' || error.code === 'INVALID_TOKEN_CLAIMS');
+}
 
-  const login = useCallback(async (credentials) => {
-    setIsLoading(true);
-    setError(null);
-    
-    try {
-      const result = await authService.login(credentials);
-      setUser(result.user);
-      
-      // Announce success to screen readers
-      announceToScreenReader('Login successful');
-      
-      return result;
-    } catch (error) {
-      setError(error);
-      
-      // Announce error to screen readers
-      announceToScreenReader(`Login failed: ${error.message}`);
-      
-      throw error;
-    } finally {
-      setIsLoading(false);
+/**
+ * AuthError for a request that failed for reasons other than the
+ * credentials (connectivity, server faults, field validation)
+ * @param {Error} error
+ * @returns {AuthError|null} null when the kind is not one of these
+ */
+function requestError(error) {
+  const status = error.response?.status;
+
+  switch (classifyError(error)) {
+    case 'offline':
+      return new AuthError('You appear to be offline. Check your connection and try again.', 'OFFLINE');
+    case 'timeout':
+      return new AuthError('The server took too long to respond. Please try again.', 'TIMEOUT');
+    case 'network':
+      return new AuthError('Could not reach the server. Please try again.', 'NETWORK_ERROR');
+    case 'server':
+      return new AuthError('Something went wrong on our side. Please try again in a moment.', 'SERVER_ERROR', { status });
+    case 'validation': {
+      // Same `{ errors }` shape as client-side Zod validation
+      const errors = extractFieldErrors(error.response.data);
+      return new AuthError(
+        errors[0]?.message ?? 'Please correct the highlighted fields.',
+        'VALIDATION_ERROR',
+        { errors, status }
+      );
     }
-  }, [authService]);
+    default:
+      return null;
+  }
+}
 
-  const logout = useCallback(async () => {
-    setIsLoading(true);
-    
-    try {
-      await authService.logout();
-      setUser(null);
-      announceToScreenReader('Logout successful');
-    } catch (error) {
-      console.error('Logout error:', error);
-    } finally {
-      setIsLoading(false);
-    }
-  }, [authService]);
-
-  return {
-    user,
-    login,
-    logout,
-    isLoading,
-    error,
-    isAuthenticated: !!user
-  };
+/**
+ * Lockout from a 429 on an endpoint LoginThrottle does not track
+ * @param {string} [retryAfterHeader]
+ * @returns {{retryAt: number, retryAfter: number}}
+ */
+function serverLockout(retryAfterHeader) {
+  const now = Date.now();
+  const delay = Math.max(1000, parseRetryAfter(retryAfterHeader, now) ?? 60 * 1000);
+  return { retryAt: now + delay, retryAfter: Math.ceil(delay / 1000) };
+}
+
+/**
+ * RATE_LIMITED error for a lockout from LoginThrottle
+ */
+function rateLimitError(lockout) {
+  return new AuthError(
+    `Too many attempts. Please try again in ${lockout.retryAfter} seconds.`,
+    'RATE_LIMITED',
+    lockout
+  );
 }
 
 /**
- * Helper to announce messages to screen readers
+ * Custom error class for authentication errors
  */
-function announceToScreenReader(message) {
-  const announcement = document.createElement('div');
-  announcement.setAttribute('role', 'status');
-  announcement.setAttribute('aria-live', 'polite');
-  announcement.setAttribute('aria-atomic', 'true');
-  announcement.style.position = 'absolute';
-  announcement.style.left = '-10000px';
-  announcement.textContent = message;
-  
-  document.body.appendChild(announcement);
-  
-  setTimeout(() => {
-    document.body.removeChild(announcement);
-  }, 1000);
+class AuthError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.details = details;
+  }
 }
 
+// Kept here so existing `import { useAuth } from './login-flow'` works;
+// the hook now reads the shared state of an <AuthProvider>
+export { useAuth } from './auth-provider.js';
+
 // Export for use in other components
 export { AuthenticationService, AuthError };
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * Example: Client-Side Login Throttle
+ *
+ * Purpose: Keeps the login form from hammering the server after repeated
+ * failures and honours the server's Retry-After, across page reloads
+ *
+ * Key Patterns:
+ * - Retry-After parsed as delta-seconds or HTTP-date (RFC 9110 §10.2.3)
+ * - Lockouts persisted per email in localStorage
+ * - Escalating delays after repeated invalid-credential failures
+ * - Live countdown hook for rendering and screen reader announcements
+ *
+ * Usage:
+ * ```
+ * import { LoginThrottle } from '@/examples/auth/login-throttle';
+ * const throttle = new LoginThrottle();
+ * const lockout = throttle.getLockout(email); // null or { retryAt, retryAfter }
+ * ```
+ *
+ * Security Considerations:
+ * - This is a courtesy to the server and the user, not a defence: the
+ *   server must enforce its own limits
+ * - Emails are stored as a short hash, not in plain text
+ *
+ * Accessibility:
+ * - The countdown hook reports when the user may try again, so the form
+ *   can announce it instead of silently re-enabling the button
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { hashString } from '../patterns/logger.js';
+
+const DEFAULT_RETRY_AFTER_MS = 60 * 1000;
+
+const DEFAULT_ESCALATION = Object.freeze({
+  // Failures allowed before any delay applies
+  freeAttempts: 3,
+  initialDelay: 5 * 1000,
+  factor: 2,
+  maxDelay: 15 * 60 * 1000,
+  // Failure count resets after this long without a failure
+  resetAfter: 30 * 60 * 1000
+});
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number|null|undefined} value - Delta-seconds or HTTP-date
+ * @param {number} [now=Date.now()] - Reference time for HTTP-dates
+ * @returns {number|null} Delay in ms, or null if missing or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  // Every HTTP-date form starts with a day name; Date.parse alone would
+  // also accept things like "-5"
+  const date = /^[a-z]{3}/i.test(text) ? Date.parse(text) : NaN;
+  if (Number.isNaN(date)) return null;
+
+  return Math.max(0, date - now);
+}
+
+/**
+ * Persistent per-email login throttle
+ */
+export class LoginThrottle {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage=localStorage] - Where lockouts persist
+   * @param {string} [options.key='auth.throttle'] - Storage key
+   * @param {Object} [options.escalation] - Overrides DEFAULT_ESCALATION
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor({
+    storage = globalThis.localStorage,
+    key = 'auth.throttle',
+    escalation = {},
+    now = Date.now
+  } = {}) {
+    this.storage = storage;
+    this.key = key;
+    this.escalation = { ...DEFAULT_ESCALATION, ...escalation };
+    this.now = now;
+    // Used when storage is unavailable (private mode, quota)
+    this.memory = {};
+  }
+
+  /**
+   * Current lockout for an email
+   * @param {string} email
+   * @returns {{retryAt: number, retryAfter: number}|null} retryAfter in
+   *   whole seconds, rounded up
+   */
+  getLockout(email) {
+    const entry = this.read()[hashEmail(email)];
+    return entry ? this.toLockout(entry) : null;
+  }
+
+  /**
+   * Count an invalid-credential failure and escalate the delay
+   * @param {string} email
+   * @returns {Object|null} Lockout now in effect, if any
+   */
+  recordFailure(email) {
+    const { freeAttempts, initialDelay, factor, maxDelay, resetAfter } = this.escalation;
+    const now = this.now();
+
+    return this.update(email, (entry) => {
+      const stale = now - entry.lastFailureAt > resetAfter;
+      const failures = stale ? 1 : entry.failures + 1;
+      const over = failures - freeAttempts;
+      const delay = over > 0 ? Math.min(maxDelay, initialDelay * factor ** (over - 1)) : 0;
+
+      return {
+        failures,
+        lastFailureAt: now,
+        lockedUntil: Math.max(entry.lockedUntil, now + delay)
+      };
+    });
+  }
+
+  /**
+   * Apply a server-imposed limit (HTTP 429)
+   * @param {string} email
+   * @param {string} [retryAfterHeader] - Raw Retry-After value
+   * @returns {Object} Lockout now in effect
+   */
+  recordRateLimit(email, retryAfterHeader) {
+    const now = this.now();
+    // A 429 always means "not right now", even with a date in the past
+    const delay = Math.max(1000, parseRetryAfter(retryAfterHeader, now) ?? DEFAULT_RETRY_AFTER_MS);
+
+    return this.update(email, (entry) => ({
+      ...entry,
+      lockedUntil: Math.max(entry.lockedUntil, now + delay)
+    }));
+  }
+
+  /**
+   * Forget failures after a successful login
+   * @param {string} email
+   */
+  recordSuccess(email) {
+    const entries = this.read();
+    delete entries[hashEmail(email)];
+    this.write(entries);
+  }
+
+  update(email, change) {
+    const entries = this.read();
+    const id = hashEmail(email);
+    const entry = entries[id] ?? { failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+
+    entries[id] = change(entry);
+    this.write(entries);
+
+    return this.toLockout(entries[id]);
+  }
+
+  toLockout({ lockedUntil }) {
+    const remaining = lockedUntil - this.now();
+    if (remaining <= 0) return null;
+    return { retryAt: lockedUntil, retryAfter: Math.ceil(remaining / 1000) };
+  }
+
+  read() {
+    try {
+      const raw = this.storage?.getItem(this.key);
+      return raw ? JSON.parse(raw) : { ...this.memory };
+    } catch {
+      return { ...this.memory };
+    }
+  }
+
+  write(entries) {
+    // Drop entries that no longer lock and whose failures have reset
+    const now = this.now();
+    const live = Object.fromEntries(
+      Object.entries(entries).filter(([, entry]) =>
+        entry.lockedUntil > now || now - entry.lastFailureAt <= this.escalation.resetAfter)
+    );
+
+    this.memory = live;
+    try {
+      this.storage?.setItem(this.key, JSON.stringify(live));
+    } catch {
+      // Keep the in-memory copy only
+    }
+  }
+}
+
+/**
+ * Only needs to keep emails out of plain sight, not be secret
+ */
+function hashEmail(email) {
+  return hashString(String(email).trim().toLowerCase());
+}
+
+/**
+ * Whole seconds from now until `retryAt`; 0 when unset or past
+ */
+function secondsUntil(retryAt) {
+  return retryAt ? Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)) : 0;
+}
+
+/**
+ * Seconds left until `retryAt`, updated every second
+ *
+ * @param {number|null} retryAt - Lockout end (ms timestamp)
+ * @param {Object} [options]
+ * @param {Function} [options.onExpire] - Called once when the lockout ends
+ * @returns {number} Whole seconds remaining; 0 when not locked
+ */
+export function useLockoutCountdown(retryAt, { onExpire } = {}) {
+  const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(retryAt));
+
+  // Latest callback without restarting the interval
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  useEffect(() => {
+    setSecondsLeft(secondsUntil(retryAt));
+    if (!retryAt || retryAt <= Date.now()) return undefined;
+
+    const timer = setInterval(() => {
+      const next = secondsUntil(retryAt);
+      setSecondsLeft(next);
+
+      if (next === 0) {
+        clearInterval(timer);
+        onExpireRef.current?.();
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  return secondsLeft;
+}
+
+/**
+ * Format seconds as m:ss for display
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatCountdown(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,566 @@
+/**
+ * Example: Password Policy
+ *
+ * Purpose: Decides whether a new password (registration, reset) is
+ * acceptable and explains why not, in a shape a strength meter can render
+ * and announce
+ *
+ * Key Patterns:
+ * - Configurable rules: length, banned words (app name, the user's name
+ *   and email, custom list), minimum strength score
+ * - zxcvbn-style scoring: the password is split into the cheapest mix of
+ *   guessable patterns (common passwords, banned words, repeats,
+ *   sequences, keyboard runs, years) and brute-forced characters; the
+ *   estimated guesses map to a 0-4 score
+ * - Breached password check against HIBP range files served locally
+ *   (k-anonymity: only the first 5 hex chars of the SHA-1 select a file)
+ * - Structured feedback: `{ valid, score, label, checks, warning,
+ *   suggestions }`, one check per rule
+ *
+ * Usage:
+ * ```
+ * import { PasswordPolicy } from '@/examples/auth/password-policy';
+ *
+ * const policy = new PasswordPolicy({ appName: 'Acme' });
+ * policy.check(password, { email });          // sync, for every keystroke
+ * await policy.validate(password, { email }); // adds the breach check
+ * ```
+ *
+ * Range files use the layout of the Pwned Passwords downloader: one
+ * `<PREFIX>.txt` per prefix with `SUFFIX:COUNT` lines. Serve them from the
+ * app's own origin (default `/pwned-passwords`); `npm run
+ * generate:pwned-ranges` builds them into the frontend's public directory.
+ * A missing file, or a response that is not a range file (such as an SPA
+ * fallback page), makes the check unavailable. A partial mirror only has
+ * files for the prefixes it covers: pass `createRangeLoader({ partial:
+ * true })` to count the rest as not breached.
+ *
+ * Security Considerations:
+ * - The password never leaves the browser; only a 5 character hash
+ *   prefix is requested, from your own origin
+ * - Client checks are guidance: the server must enforce the same policy
+ * - If the range file cannot be loaded the check is skipped (fail open)
+ *   and logged, rather than blocking registration: `breachCount` is null
+ *   and there is no `breached` check, never a passed one
+ *
+ * Performance Notes:
+ * - check() is synchronous and cheap enough to run on every keystroke
+ *   (passwords are capped at maxLength characters)
+ * - Range files are cached per prefix; validate() only fetches one once
+ *   every other check passes
+ *
+ * Accessibility:
+ * - Every check carries a `label` for a visible checklist and a
+ *   `message` for the error, so the meter never relies on colour alone
+ */
+
+import { createLogger } from '../patterns/logger.js';
+
+export const STRENGTH_LABELS = Object.freeze(['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong']);
+
+// zxcvbn's guess counts at which the score steps up
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+
+// Guesses per character not covered by a pattern
+const BRUTEFORCE_CARDINALITY = 10;
+
+// Most common leaked passwords, most common first; the rank is the guess count
+const COMMON_PASSWORDS = [
+  '123456', 'password', '123456789', '12345678', '12345', 'qwerty', '1234567', '111111',
+  '1234567890', '123123', 'abc123', '1234', 'password1', 'iloveyou', '1q2w3e4r', '000000',
+  'qwerty123', 'zaq12wsx', 'dragon', 'sunshine', 'princess', 'letmein', '654321', 'monkey',
+  '1qaz2wsx', '123321', 'qwertyuiop', 'superman', 'asdfghjkl', 'football', 'baseball',
+  'welcome', 'admin', 'login', 'master', 'hello', 'freedom', 'whatever', 'trustno1',
+  'starwars', 'shadow', 'michael', 'jennifer', 'charlie', 'summer', 'winter', 'secret',
+  'changeme', 'computer', 'internet', 'access', 'flower', 'hunter', 'ninja', 'mustang',
+  'batman', 'soccer', 'hockey', 'killer', 'pokemon', 'cheese', 'chocolate', 'love'
+];
+
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+const LEET = { '4': 'a', '@': 'a', '8': 'b', '3': 'e', '6': 'g', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z' };
+
+const COMMON_RANKS = new Map(COMMON_PASSWORDS.map((word, index) => [word, index + 1]));
+
+/**
+ * Words to keep out of a password, from the user's own details
+ * @param {Object} context
+ * @param {string} [context.email]
+ * @param {string} [context.name]
+ * @returns {string[]} Lowercase, at least 3 characters
+ */
+export function userInputWords({ email, name } = {}) {
+  const words = [];
+
+  if (email) {
+    const [local, domain = ''] = String(email).toLowerCase().split('@');
+    words.push(local, ...local.split(/[._+-]+/), domain.split('.')[0]);
+  }
+  if (name) {
+    words.push(...String(name).toLowerCase().split(/\s+/));
+  }
+
+  return [...new Set(words)].filter(word => word.length >= 3);
+}
+
+/**
+ * Estimate how many guesses a password takes and explain the weak spots
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {string[]} [options.bannedWords=[]] - Matched like common
+ *   passwords of rank 1 (app name, user's details)
+ * @returns {{score: number, guesses: number, guessesLog10: number, sequence: Object[], warning: string|null, suggestions: string[]}}
+ */
+export function estimateStrength(password, { bannedWords = [] } = {}) {
+  const banned = new Map(bannedWords.map(word => [word.toLowerCase(), 1]));
+  const matches = [
+    ...dictionaryMatches(password, COMMON_RANKS, 'common'),
+    ...dictionaryMatches(password, banned, 'banned'),
+    ...repeatMatches(password),
+    ...sequenceMatches(password),
+    ...keyboardMatches(password),
+    ...yearMatches(password)
+  ];
+
+  // best[k]: fewest guesses for the first k characters, and how we got there
+  const best = [{ guesses: 1, match: null }];
+  for (let k = 1; k <= password.length; k++) {
+    best[k] = { guesses: best[k - 1].guesses * BRUTEFORCE_CARDINALITY, match: null };
+    for (const match of matches) {
+      if (match.j !== k - 1) continue;
+      const guesses = best[match.i].guesses * match.guesses;
+      if (guesses < best[k].guesses) best[k] = { guesses, match };
+    }
+  }
+
+  const sequence = [];
+  for (let k = password.length; k > 0;) {
+    const { match } = best[k];
+    if (match) {
+      sequence.unshift(match);
+      k = match.i;
+    } else {
+      k -= 1;
+    }
+  }
+
+  const guesses = best[password.length].guesses;
+  const score = SCORE_THRESHOLDS.filter(threshold => guesses >= threshold).length;
+
+  return {
+    score,
+    guesses,
+    guessesLog10: Math.log10(guesses),
+    sequence,
+    ...strengthFeedback(password, score, sequence)
+  };
+}
+
+/**
+ * Configurable password rules with structured feedback
+ */
+export class PasswordPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minLength=12]
+   * @param {number} [options.maxLength=128]
+   * @param {number} [options.minScore=3] - Index into STRENGTH_LABELS
+   * @param {string} [options.appName] - Banned, like the user's details
+   * @param {string[]} [options.bannedWords=[]]
+   * @param {Object|false} [options.breached] - `false` disables the check
+   * @param {Function} [options.breached.loadRange] - `prefix => text` of
+   *   the range file; defaults to createRangeLoader()
+   * @param {Crypto} [options.breached.crypto=crypto] - WebCrypto for SHA-1
+   * @param {Object} [options.logger] - Receives breach check failures
+   */
+  constructor({
+    minLength = 12,
+    maxLength = 128,
+    minScore = 3,
+    appName,
+    bannedWords = [],
+    breached = {},
+    logger = createLogger({ context: { module: 'password-policy' } })
+  } = {}) {
+    this.minLength = minLength;
+    this.maxLength = maxLength;
+    this.minScore = minScore;
+    this.bannedWords = [appName, ...bannedWords]
+      .filter(Boolean)
+      .map(word => word.toLowerCase().replace(/\s+/g, ''));
+    this.breached = breached && {
+      loadRange: breached.loadRange ?? createRangeLoader(),
+      crypto: breached.crypto ?? globalThis.crypto
+    };
+    this.logger = logger;
+    // prefix → Promise<Map<suffix, count>>
+    this.ranges = new Map();
+  }
+
+  /**
+   * Run every rule except the breach check
+   * @param {string} password
+   * @param {Object} [context] - `{ email, name }` of the user
+   * @returns {{valid: boolean, score: number, label: string, checks: Object[], warning: string|null, suggestions: string[]}}
+   *   Each check is `{ id, passed, label, message }`; message is null
+   *   when the check passed
+   */
+  check(password = '', context = {}) {
+    const candidate = password.slice(0, this.maxLength);
+    const banned = [...this.bannedWords, ...userInputWords(context)];
+    const strength = estimateStrength(candidate, { bannedWords: banned });
+    const bannedFound = containsBannedWord(candidate, banned);
+
+    const checks = [
+      rule('length', password.length >= this.minLength,
+        `At least ${this.minLength} characters`,
+        `Password must be at least ${this.minLength} characters`),
+      rule('maxLength', password.length <= this.maxLength,
+        `No more than ${this.maxLength} characters`,
+        `Password must be ${this.maxLength} characters or fewer`),
+      rule('banned', !bannedFound,
+        'Does not contain your name, email or the site name',
+        'Password must not contain your name, email or the name of this site'),
+      rule('strength', strength.score >= this.minScore,
+        `Strength at least "${STRENGTH_LABELS[this.minScore]}"`,
+        strength.warning ?? 'This password is too easy to guess')
+    ];
+
+    return {
+      valid: checks.every(({ passed }) => passed),
+      score: strength.score,
+      label: STRENGTH_LABELS[strength.score],
+      checks,
+      warning: strength.warning,
+      suggestions: strength.suggestions
+    };
+  }
+
+  /**
+   * check() plus the breached password check, once everything else passes
+   * @param {string} password
+   * @param {Object} [context] - `{ email, name }` of the user
+   * @returns {Promise<Object>} check()'s feedback; `breachCount` is the
+   *   number of times the password was seen in breaches, or null if not
+   *   checked
+   */
+  async validate(password = '', context = {}) {
+    const feedback = this.check(password, context);
+    if (!this.breached || !feedback.valid) {
+      return { ...feedback, breachCount: null };
+    }
+
+    let breachCount;
+    try {
+      breachCount = await this.breachCount(password);
+    } catch (error) {
+      this.logger.warn('Breached password check unavailable', { error });
+      return { ...feedback, breachCount: null };
+    }
+
+    const checks = [
+      ...feedback.checks,
+      rule('breached', breachCount === 0,
+        'Not found in known data breaches',
+        'This password has appeared in a data breach. Choose a different one.')
+    ];
+
+    return {
+      ...feedback,
+      valid: breachCount === 0,
+      checks,
+      breachCount
+    };
+  }
+
+  /**
+   * Times a password appears in the range files
+   * @param {string} password
+   * @returns {Promise<number>}
+   */
+  async breachCount(password) {
+    const hash = await sha1Hex(password, this.breached.crypto);
+    const prefix = hash.slice(0, 5);
+
+    if (!this.ranges.has(prefix)) {
+      const range = Promise.resolve(this.breached.loadRange(prefix)).then(parseRangeFile);
+      this.ranges.set(prefix, range);
+      // Failed loads are retried on the next call
+      range.catch(() => this.ranges.delete(prefix));
+    }
+
+    const range = await this.ranges.get(prefix);
+    return range.get(hash.slice(5)) ?? 0;
+  }
+}
+
+/**
+ * Parse a Pwned Passwords range file
+ * @param {string} text - `SUFFIX:COUNT` per line
+ * @returns {Map<string, number>} Uppercase 35 char suffix → count; padding
+ *   entries (count 0) are dropped
+ */
+export function parseRangeFile(text = '') {
+  const range = new Map();
+
+  for (const line of text.split(/\r?\n/)) {
+    const [suffix, count] = line.trim().split(':');
+    const times = Number(count);
+    if (suffix && times > 0) {
+      range.set(suffix.toUpperCase(), times);
+    }
+  }
+
+  return range;
+}
+
+/**
+ * Load range files from a static directory on the app's origin
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='/pwned-passwords']
+ * @param {boolean} [options.partial=false] - The directory only has the
+ *   prefixes it has entries for, so a 404 means no matches
+ * @param {Function} [options.fetch=fetch]
+ * @returns {Function} `prefix => Promise<string>`; rejects when the file
+ *   is missing or is not a range file
+ */
+export function createRangeLoader({
+  baseUrl = '/pwned-passwords',
+  partial = false,
+  fetch: fetchImpl = globalThis.fetch
+} = {}) {
+  return async (prefix) => {
+    const response = await fetchImpl(`${baseUrl}/${prefix}.txt`, { credentials: 'omit' });
+
+    if (response.status === 404 && partial) return '';
+    if (!response.ok) {
+      throw new Error(`Range ${prefix} unavailable (HTTP ${response.status})`);
+    }
+
+    const text = await response.text();
+    // An SPA fallback answers 200 with index.html, which has no entries
+    if (!isRangeFile(text)) {
+      throw new Error(`Range ${prefix} is not a SUFFIX:COUNT file`);
+    }
+    return text;
+  };
+}
+
+function isRangeFile(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  return lines.length > 0 && lines.every(line => /^[0-9A-F]{35}:\d+$/i.test(line));
+}
+
+/**
+ * Uppercase hex SHA-1, as used by Pwned Passwords
+ * @param {string} text
+ * @param {Crypto} [webCrypto=crypto]
+ * @returns {Promise<string>}
+ */
+export async function sha1Hex(text, webCrypto = globalThis.crypto) {
+  const digest = await webCrypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+function rule(id, passed, label, message) {
+  return { id, passed, label, message: passed ? null : message };
+}
+
+function unleet(text) {
+  return [...text].map(char => LEET[char] ?? char).join('');
+}
+
+function containsBannedWord(password, banned) {
+  const lower = password.toLowerCase();
+  const plain = unleet(lower);
+  // Short tokens ("ann", "bob") would flag too many unrelated words
+  return banned.some(word => word.length >= 4 && (lower.includes(word) || plain.includes(word)));
+}
+
+/**
+ * Substrings found in a ranked word list, as typed, de-leeted or reversed
+ */
+function dictionaryMatches(password, ranks, source) {
+  const matches = [];
+  const lower = password.toLowerCase();
+
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 2; j < password.length; j++) {
+      const token = lower.slice(i, j + 1);
+      const variants = [
+        { word: token, leet: false, reversed: false },
+        { word: unleet(token), leet: true, reversed: false },
+        { word: [...token].reverse().join(''), leet: false, reversed: true }
+      ];
+
+      for (const { word, leet, reversed } of variants) {
+        const rank = ranks.get(word);
+        if (!rank || (leet && word === token)) continue;
+
+        const original = password.slice(i, j + 1);
+        matches.push({
+          pattern: 'dictionary',
+          source,
+          i,
+          j,
+          token: original,
+          leet,
+          reversed,
+          uppercase: original !== token,
+          guesses: rank * uppercaseVariations(original) * (leet ? 2 : 1) * (reversed ? 2 : 1)
+        });
+      }
+    }
+  }
+
+  return matches;
+}
+
+function uppercaseVariations(token) {
+  const upper = (token.match(/[A-Z]/g) ?? []).length;
+  if (upper === 0) return 1;
+  // Capitalised or all caps: the first thing attackers try
+  if (/^[A-Z][^A-Z]+$/.test(token) || upper === token.replace(/[^a-zA-Z]/g, '').length) return 2;
+  return 2 ** Math.min(upper, 10);
+}
+
+// "aaa", "abab", "xyzxyz"
+function repeatMatches(password) {
+  return [...password.matchAll(/(.+?)\1+/g)]
+    .filter(([token]) => token.length >= 3)
+    .map(match => ({
+      pattern: 'repeat',
+      i: match.index,
+      j: match.index + match[0].length - 1,
+      token: match[0],
+      guesses: BRUTEFORCE_CARDINALITY ** match[1].length * (match[0].length / match[1].length)
+    }));
+}
+
+// "abcd", "9876", "MNOP": one step up or down within letters or digits
+function sequenceMatches(password) {
+  const matches = [];
+  const classOf = char => (/[a-z]/.test(char) ? 'lower' : /[A-Z]/.test(char) ? 'upper' : /\d/.test(char) ? 'digit' : null);
+  let start = 0;
+  let step = null;
+
+  const addRun = (end) => {
+    if (end - start < 2) return;
+    const token = password.slice(start, end + 1);
+    const obvious = 'aAzZ019'.includes(token[0]);
+    matches.push({
+      pattern: 'sequence',
+      i: start,
+      j: end,
+      token,
+      guesses: (obvious ? 4 : classOf(token[0]) === 'digit' ? 10 : 26) * token.length * (step < 0 ? 2 : 1)
+    });
+  };
+
+  for (let k = 1; k < password.length; k++) {
+    const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    const adjacent = Math.abs(delta) === 1 && classOf(password[k]) !== null && classOf(password[k]) === classOf(password[k - 1]);
+
+    if (adjacent && (step === null || delta === step)) {
+      step = delta;
+      continue;
+    }
+
+    addRun(k - 1);
+    // The previous character may start a run in the other direction
+    start = adjacent ? k - 1 : k;
+    step = adjacent ? delta : null;
+  }
+  addRun(password.length - 1);
+
+  return matches;
+}
+
+// Runs of 4+ adjacent keys on one row, either direction
+function keyboardMatches(password) {
+  const matches = [];
+  const lower = password.toLowerCase();
+  const rows = KEYBOARD_ROWS.flatMap(row => [row, [...row].reverse().join('')]);
+
+  for (let i = 0; i < lower.length; i++) {
+    let longest = 0;
+    for (let j = i + 3; j < lower.length; j++) {
+      if (rows.some(row => row.includes(lower.slice(i, j + 1)))) longest = j;
+    }
+    if (longest) {
+      matches.push({
+        pattern: 'keyboard',
+        i,
+        j: longest,
+        token: password.slice(i, longest + 1),
+        guesses: 40 * (longest - i + 1)
+      });
+    }
+  }
+
+  return matches;
+}
+
+function yearMatches(password) {
+  return [...password.matchAll(/19\d\d|20\d\d/g)].map(match => ({
+    pattern: 'year',
+    i: match.index,
+    j: match.index + 3,
+    token: match[0],
+    guesses: 120
+  }));
+}
+
+/**
+ * Warning and suggestions for the weakest part of the password
+ */
+function strengthFeedback(password, score, sequence) {
+  if (!password) {
+    return { warning: null, suggestions: ['Use a few words, avoid common phrases'] };
+  }
+  if (score >= 3) {
+    return { warning: null, suggestions: [] };
+  }
+
+  const suggestions = ['Add another word or two. Uncommon words are better.'];
+  const [longest] = [...sequence].sort((a, b) => b.token.length - a.token.length);
+  let warning = 'This password is too easy to guess';
+
+  switch (longest?.pattern) {
+    case 'dictionary':
+      if (longest.source === 'banned') {
+        warning = 'Avoid your name, email or the name of this site';
+      } else {
+        warning = longest.token.length === password.length
+          ? 'This is a commonly used password'
+          : 'Contains a commonly used password';
+      }
+      if (longest.uppercase) suggestions.push('Capitalisation doesn\'t help very much');
+      if (longest.leet) suggestions.push('Predictable substitutions like "@" instead of "a" don\'t help very much');
+      if (longest.reversed) suggestions.push('Reversed words aren\'t much harder to guess');
+      break;
+    case 'repeat':
+      warning = 'Repeats like "aaa" or "abcabc" are easy to guess';
+      suggestions.push('Avoid repeated words and characters');
+      break;
+    case 'sequence':
+      warning = 'Sequences like "abc" or "6543" are easy to guess';
+      suggestions.push('Avoid sequences');
+      break;
+    case 'keyboard':
+      warning = 'Keyboard patterns like "qwerty" are easy to guess';
+      suggestions.push('Use a longer keyboard pattern with more turns');
+      break;
+    case 'year':
+      warning = 'Recent years are easy to guess';
+      suggestions.push('Avoid years that are associated with you');
+      break;
+    default:
+      break;
+  }
+
+  return { warning, suggestions };
+}
@@ -0,0 +1,152 @@
+/**
+ * Example: Password Strength Meter
+ *
+ * Purpose: Live feedback on a new password from the same PasswordPolicy
+ * the AuthenticationService enforces on register() and resetPassword()
+ *
+ * Key Patterns:
+ * - Synchronous rules on every keystroke; the breached password check
+ *   once typing pauses
+ * - `role="meter"` with a text value, plus a checklist of every rule
+ * - One polite live region, updated only after typing pauses
+ *
+ * Usage:
+ * ```
+ * import { PasswordStrengthMeter } from '@/examples/auth/password-strength-meter';
+ *
+ * <input id="new-password" type="password" autoComplete="new-password"
+ *   aria-describedby="password-strength" value={password} onChange={...} />
+ * <PasswordStrengthMeter id="password-strength" password={password} email={email} />
+ * ```
+ *
+ * Security Considerations:
+ * - The password stays in the component tree; only a 5 character hash
+ *   prefix is ever requested (see password-policy.js)
+ *
+ * Performance Notes:
+ * - The breach check is debounced and stale results are discarded
+ *
+ * Accessibility:
+ * - The meter's value is text ("Weak"), not only a coloured bar
+ * - Each rule reads as "Met" or "Not met" to screen readers
+ * - Announcements wait for a pause so every keystroke is not read out
+ */
+
+import { createElement, useEffect, useId, useMemo, useState } from 'react';
+import { useAuth } from './auth-provider.js';
+import { STRENGTH_LABELS } from './password-policy.js';
+
+const VISUALLY_HIDDEN = Object.freeze({ position: 'absolute', left: '-10000px' });
+
+/**
+ * Sentence for the live region
+ * @param {Object} feedback - From PasswordPolicy#check or #validate
+ * @returns {string}
+ */
+export function describePasswordFeedback(feedback) {
+  const failed = feedback.checks.find(check => !check.passed);
+  return `Password strength: ${feedback.label}. ${failed ? failed.message : 'All requirements met.'}`
+    .replace(/([^.])$/, '$1.');
+}
+
+/**
+ * Policy feedback for a password as it is typed
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {string} [options.email] - Banned from the password
+ * @param {string} [options.name] - Banned from the password
+ * @param {number} [options.delay=500] - Pause (ms) before the breach
+ *   check and the announcement
+ * @returns {Object} Policy feedback plus `isChecking` and `announcement`
+ */
+export function usePasswordStrength(password = '', { email, name, delay = 500 } = {}) {
+  const { authService } = useAuth();
+  const policy = authService.passwordPolicy;
+  const key = JSON.stringify([password, email, name]);
+
+  const feedback = useMemo(
+    () => policy.check(password, { email, name }),
+    [policy, password, email, name]
+  );
+  const [settled, setSettled] = useState(null);
+
+  useEffect(() => {
+    if (!password) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const result = await policy.validate(password, { email, name });
+      if (!cancelled) setSettled({ key, result });
+    }, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [policy, key, password, email, name, delay]);
+
+  const current = password && settled?.key === key ? settled.result : null;
+
+  return {
+    ...(current ?? { ...feedback, breachCount: null }),
+    isChecking: Boolean(password) && !current,
+    announcement: current ? describePasswordFeedback(current) : ''
+  };
+}
+
+/**
+ * Strength meter and rule checklist for a new password field
+ * @param {Object} props
+ * @param {string} props.password
+ * @param {string} [props.email]
+ * @param {string} [props.name]
+ * @param {string} [props.id] - Point the input's aria-describedby here
+ * @param {number} [props.delay=500]
+ */
+export function PasswordStrengthMeter({ password, email, name, id, delay }) {
+  const labelId = useId();
+  const { score, label, checks, suggestions, announcement } = usePasswordStrength(password, { email, name, delay });
+
+  return createElement(
+    'div',
+    { id, className: 'password-strength', 'data-score': score },
+    createElement('p', { id: labelId }, `Password strength: ${label}`),
+    createElement(
+      'div',
+      {
+        role: 'meter',
+        'aria-labelledby': labelId,
+        'aria-valuemin': 0,
+        'aria-valuemax': STRENGTH_LABELS.length - 1,
+        'aria-valuenow': score,
+        'aria-valuetext': label,
+        className: 'password-strength__track'
+      },
+      createElement('div', {
+        className: 'password-strength__bar',
+        style: { width: `${((score + 1) / STRENGTH_LABELS.length) * 100}%` }
+      })
+    ),
+    createElement(
+      'ul',
+      { className: 'password-strength__checks' },
+      checks.map(check => createElement(
+        'li',
+        { key: check.id, 'data-passed': check.passed },
+        createElement('span', { 'aria-hidden': true }, check.passed ? '✓ ' : '✗ '),
+        createElement('span', { style: VISUALLY_HIDDEN }, check.passed ? 'Met: ' : 'Not met: '),
+        check.label
+      ))
+    ),
+    password && suggestions.length > 0 && createElement(
+      'ul',
+      { className: 'password-strength__suggestions' },
+      suggestions.map(suggestion => createElement('li', { key: suggestion }, suggestion))
+    ),
+    createElement(
+      'div',
+      { role: 'status', 'aria-live': 'polite', 'aria-atomic': 'true', style: VISUALLY_HIDDEN },
+      announcement
+    )
+  );
+}
@@ -0,0 +1,257 @@
+/**
+ * Example: Role-Based Access
+ *
+ * Purpose: Turns the `role` and `permissions[]` on the authenticated user
+ * into authorization checks for code, components and routes
+ *
+ * Key Patterns:
+ * - Permissions are `resource:action[:detail]` strings
+ * - `*` matches one segment; a trailing `*` matches everything below,
+ *   so `reports:*` grants `reports:read` and `reports:export:pdf`
+ * - Roles expand to permissions and may inherit other roles
+ * - <RequirePermission> for component-level checks, <ProtectedRoute>
+ *   for whole views with an accessible "not authorized" fallback
+ *
+ * Usage:
+ * ```
+ * import { can, RequirePermission } from '@/examples/auth/role-guard';
+ * if (can(user, 'reports:export')) { ... }
+ *
+ * <RequirePermission permission="reports:write" fallback={<ReadOnlyBadge />}>
+ *   <EditButton />
+ * </RequirePermission>
+ * ```
+ *
+ * Security Considerations:
+ * - UI checks only hide what the user cannot do; the server must
+ *   enforce the same permissions on every request
+ * - Unknown roles grant nothing
+ *
+ * Accessibility:
+ * - The "not authorized" view is a labelled region whose heading takes
+ *   focus, so screen reader users hear why the page is empty
+ */
+
+import { createElement, useEffect, useId, useRef } from 'react';
+import { AUTH_STATUS, useAuth } from './auth-provider.js';
+
+/**
+ * Default role hierarchy; replace with the roles your API issues
+ */
+export const DEFAULT_ROLES = Object.freeze({
+  viewer: { permissions: ['reports:read', 'profile:*'] },
+  editor: { inherits: ['viewer'], permissions: ['reports:write', 'reports:export:*'] },
+  admin: { inherits: ['editor'], permissions: ['users:*', 'settings:*'] },
+  owner: { permissions: ['*'] }
+});
+
+/**
+ * Whether a single granted permission covers the required one
+ * @param {string} granted - e.g. `reports:*`
+ * @param {string} required - e.g. `reports:export:pdf`
+ * @returns {boolean}
+ */
+export function permissionMatches(granted, required) {
+  const grantedParts = granted.split(':');
+  const requiredParts = required.split(':');
+
+  for (let i = 0; i < grantedParts.length; i++) {
+    const part = grantedParts[i];
+    const isLast = i === grantedParts.length - 1;
+
+    // Trailing wildcard covers this segment and everything below it
+    if (part === '*' && isLast) return i < requiredParts.length;
+
+    if (i >= requiredParts.length) return false;
+    if (part !== '*' && part !== requiredParts[i]) return false;
+  }
+
+  return grantedParts.length === requiredParts.length;
+}
+
+/**
+ * All permissions a role grants, including inherited roles
+ * @param {string} role - Role name
+ * @param {Object} [roles=DEFAULT_ROLES] - Role definitions
+ * @returns {string[]}
+ */
+export function expandRole(role, roles = DEFAULT_ROLES) {
+  const permissions = new Set();
+  const visited = new Set();
+  const pending = [role];
+
+  while (pending.length > 0) {
+    const name = pending.pop();
+    // Guards against inheritance cycles in hand-written role tables
+    if (visited.has(name)) continue;
+    visited.add(name);
+
+    const definition = roles[name];
+    if (!definition) continue;
+
+    definition.permissions?.forEach(permission => permissions.add(permission));
+    pending.push(...(definition.inherits ?? []));
+  }
+
+  return [...permissions];
+}
+
+/**
+ * Explicit grants plus everything the user's role expands to
+ * @param {Object|null} user - Authenticated user
+ * @param {Object} [roles=DEFAULT_ROLES]
+ * @returns {string[]}
+ */
+export function permissionsFor(user, roles = DEFAULT_ROLES) {
+  if (!user) return [];
+  return [...new Set([...(user.permissions ?? []), ...expandRole(user.role, roles)])];
+}
+
+/**
+ * Check a single permission
+ * @param {Object|null} user - Authenticated user
+ * @param {string} permission - Required permission
+ * @param {Object} [roles=DEFAULT_ROLES]
+ * @returns {boolean}
+ */
+export function can(user, permission, roles = DEFAULT_ROLES) {
+  return permissionsFor(user, roles).some(granted => permissionMatches(granted, permission));
+}
+
+/**
+ * Check a requirement object as accepted by the components below
+ * @param {Object|null} user
+ * @param {Object} requirement - `{ permission?, allOf?, anyOf? }`; every
+ *   given field must pass
+ * @param {Object} [roles=DEFAULT_ROLES]
+ * @returns {boolean}
+ */
+export function isAuthorized(user, { permission, allOf = [], anyOf = [] }, roles = DEFAULT_ROLES) {
+  const granted = permissionsFor(user, roles);
+  const has = required => granted.some(g => permissionMatches(g, required));
+
+  if (permission && !has(permission)) return false;
+  if (!allOf.every(has)) return false;
+  if (anyOf.length > 0 && !anyOf.some(has)) return false;
+  return true;
+}
+
+/**
+ * Decide what a guarded route should do for the current session
+ * @param {Object} session - `{ status, user }` from useAuth()
+ * @param {Object} requirement - See isAuthorized
+ * @param {Object} [roles=DEFAULT_ROLES]
+ * @returns {'pending'|'unavailable'|'login'|'forbidden'|'allow'}
+ *   'unavailable' when a stored session could not be checked yet
+ */
+export function checkRouteAccess({ status, user }, requirement, roles = DEFAULT_ROLES) {
+  if (status === AUTH_STATUS.IDLE || status === AUTH_STATUS.RESTORING) return 'pending';
+  if (status === AUTH_STATUS.UNAVAILABLE) return 'unavailable';
+  if (status !== AUTH_STATUS.AUTHENTICATED) return 'login';
+  return isAuthorized(user, requirement, roles) ? 'allow' : 'forbidden';
+}
+
+/**
+ * Render children only when the current user meets the requirement
+ *
+ * @param {Object} props
+ * @param {string} [props.permission] - Single required permission
+ * @param {string[]} [props.allOf] - All required
+ * @param {string[]} [props.anyOf] - At least one required
+ * @param {Object} [props.roles] - Role definitions
+ * @param {React.ReactNode} [props.fallback=null] - Rendered otherwise
+ */
+export function RequirePermission({ permission, allOf, anyOf, roles, fallback = null, children }) {
+  const { user } = useAuth();
+  return isAuthorized(user, { permission, allOf, anyOf }, roles) ? children : fallback;
+}
+
+/**
+ * Guard a whole view: wait for restore, offer a retry when the session
+ * could not be checked, send anonymous users to login, and explain the
+ * refusal to authenticated users without the permission
+ *
+ * @param {Object} props
+ * @param {string} [props.permission] - See RequirePermission
+ * @param {string[]} [props.allOf]
+ * @param {string[]} [props.anyOf]
+ * @param {Object} [props.roles]
+ * @param {string} [props.redirectTo='/login'] - Login route
+ * @param {Function} [props.navigate] - Router navigate function; defaults
+ *   to a full page load
+ * @param {React.ReactNode} [props.loading] - Shown while restoring
+ * @param {React.ReactNode} [props.unavailable] - Replaces the default
+ *   "try again" view when the session could not be checked
+ * @param {React.ReactNode} [props.forbidden] - Replaces <NotAuthorized>
+ */
+export function ProtectedRoute({
+  permission,
+  allOf,
+  anyOf,
+  roles,
+  redirectTo = '/login',
+  navigate = assignLocation,
+  loading,
+  unavailable,
+  forbidden,
+  children
+}) {
+  const session = useAuth();
+  const access = checkRouteAccess(session, { permission, allOf, anyOf }, roles);
+
+  useEffect(() => {
+    if (access === 'login') {
+      navigate(redirectTo);
+    }
+  }, [access, navigate, redirectTo]);
+
+  switch (access) {
+    case 'allow':
+      return children;
+    case 'forbidden':
+      return forbidden ?? createElement(NotAuthorized, { permission });
+    case 'pending':
+      return loading ?? createElement('p', { role: 'status' }, 'Checking your session…');
+    case 'unavailable':
+      // The stored session is kept; restore() checks it again
+      return unavailable ?? createElement('div', { role: 'alert' },
+        createElement('p', null, 'We could not check your session. Check your connection and try again.'),
+        createElement('button', { type: 'button', onClick: () => session.restore() }, 'Try again'));
+    default:
+      return null;
+  }
+}
+
+// Module-level so the redirect effect does not re-run on every render
+function assignLocation(path) {
+  window.location.assign(path);
+}
+
+/**
+ * Accessible "not authorized" view
+ * @param {Object} props
+ * @param {string} [props.permission] - Named in the explanation
+ * @param {string} [props.title='You do not have access to this page']
+ */
+export function NotAuthorized({ permission, title = 'You do not have access to this page' }) {
+  const headingRef = useRef(null);
+  const headingId = useId();
+
+  // Move focus so screen readers announce the refusal on navigation
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, []);
+
+  return createElement(
+    'section',
+    { 'aria-labelledby': headingId, 'data-testid': 'not-authorized' },
+    createElement('h1', { id: headingId, ref: headingRef, tabIndex: -1 }, title),
+    createElement(
+      'p',
+      null,
+      permission
+        ? `Your account is missing the "${permission}" permission. Ask an administrator if you need access.`
+        : 'Ask an administrator if you need access.'
+    )
+  );
+}
@@ -0,0 +1,185 @@
+/**
+ * Example: Cross-Tab Session Sync
+ *
+ * Purpose: Keeps every open tab on the same session: a logout, login or
+ * token rotation in one tab reaches the others, and only one tab at a
+ * time rotates the refresh token
+ *
+ * Key Patterns:
+ * - BroadcastChannel, with a localStorage `storage` event fallback
+ * - Messages carry what happened, never tokens
+ * - Refresh serialized across tabs with the Web Locks API
+ *
+ * Usage:
+ * ```
+ * import { SessionSync } from '@/examples/auth/session-sync';
+ * const authService = new AuthenticationService(http, new CookieTokenStorage(), {
+ *   sessionSync: new SessionSync()
+ * });
+ * ```
+ *
+ * Security Considerations:
+ * - Tabs share tokens only through a storage adapter they all read
+ *   (cookie, encrypted IndexedDB); per-tab adapters keep one session per
+ *   tab, and a logout anywhere still clears them all
+ * - Any script on the origin can post to the channel; a message can make
+ *   a tab drop its session or re-read storage, never grant access
+ * - Without Web Locks (older browsers) concurrent refreshes are not
+ *   serialized; each tab still re-reads the refresh token right before
+ *   using it, which narrows the race
+ *
+ * Performance Notes:
+ * - One channel per tab; messages are a few hundred bytes
+ */
+
+export const SYNC_MESSAGES = Object.freeze(['login', 'logout', 'refreshed']);
+
+const DEFAULT_CHANNEL = 'auth.session';
+const REFRESH_LOCK = 'auth.refresh';
+
+/**
+ * Broadcasts session changes to other tabs of the same origin
+ */
+export class SessionSync {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.channel='auth.session'] - Channel name, also
+   *   the localStorage key of the fallback
+   * @param {Function} [options.BroadcastChannel=globalThis.BroadcastChannel]
+   * @param {Storage} [options.storage=globalThis.localStorage] - Fallback transport
+   * @param {EventTarget} [options.window=globalThis.window] - Receives `storage` events
+   * @param {LockManager} [options.locks=navigator.locks]
+   * @param {string} [options.tabId] - Identifies this tab's own messages
+   */
+  constructor({
+    channel = DEFAULT_CHANNEL,
+    BroadcastChannel = globalThis.BroadcastChannel,
+    storage = globalThis.localStorage,
+    window = globalThis.window,
+    locks = globalThis.navigator?.locks,
+    tabId = createTabId()
+  } = {}) {
+    this.channelName = channel;
+    this.BroadcastChannel = BroadcastChannel;
+    this.storage = storage;
+    this.window = window;
+    this.locks = locks;
+    this.tabId = tabId;
+    this.listeners = new Set();
+    this.channel = null;
+    this.listening = false;
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStorage = this.handleStorage.bind(this);
+  }
+
+  /**
+   * Receive messages from other tabs
+   * @param {Function} listener - `({ type, payload, tabId, sentAt })`
+   * @returns {Function} Unsubscribe; the transport closes with the last listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    this.open();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Tell the other tabs what happened here
+   * @param {string} type - One of SYNC_MESSAGES
+   * @param {Object} [payload={}] - Must not contain tokens
+   */
+  broadcast(type, payload = {}) {
+    if (!SYNC_MESSAGES.includes(type)) {
+      throw new TypeError(`Unknown sync message "${type}"`);
+    }
+
+    const message = { type, payload, tabId: this.tabId, sentAt: Date.now() };
+
+    if (this.BroadcastChannel) {
+      // A sender needs its own channel object; it never receives its own posts
+      const channel = this.channel ?? new this.BroadcastChannel(this.channelName);
+      channel.postMessage(message);
+      if (channel !== this.channel) channel.close();
+      return;
+    }
+
+    try {
+      // Other tabs see the setItem as a `storage` event; removing the key
+      // right away keeps nothing behind and lets the same message repeat
+      this.storage?.setItem(this.channelName, JSON.stringify(message));
+      this.storage?.removeItem(this.channelName);
+    } catch {
+      // Storage unavailable (private mode, quota): tabs stay independent
+    }
+  }
+
+  /**
+   * Run `task` while no other tab is refreshing
+   * @param {Function} task - Returns a promise
+   * @returns {Promise<*>} The task's result
+   */
+  withRefreshLock(task) {
+    if (!this.locks) {
+      return task();
+    }
+    return this.locks.request(REFRESH_LOCK, { mode: 'exclusive' }, task);
+  }
+
+  open() {
+    if (this.channel || this.listening) return;
+
+    if (this.BroadcastChannel) {
+      this.channel = new this.BroadcastChannel(this.channelName);
+      this.channel.addEventListener('message', this.handleMessage);
+    } else if (this.window) {
+      this.window.addEventListener('storage', this.handleStorage);
+      this.listening = true;
+    }
+  }
+
+  /**
+   * Stop receiving; also called once the last listener unsubscribes
+   */
+  close() {
+    this.channel?.removeEventListener('message', this.handleMessage);
+    this.channel?.close();
+    this.channel = null;
+
+    if (this.listening) {
+      this.window.removeEventListener('storage', this.handleStorage);
+      this.listening = false;
+    }
+  }
+
+  handleMessage(event) {
+    this.deliver(event.data);
+  }
+
+  handleStorage(event) {
+    if (event.key !== this.channelName || !event.newValue) return;
+
+    try {
+      this.deliver(JSON.parse(event.newValue));
+    } catch {
+      // Not ours, or truncated
+    }
+  }
+
+  deliver(message) {
+    if (!SYNC_MESSAGES.includes(message?.type) || message.tabId === this.tabId) return;
+
+    for (const listener of [...this.listeners]) {
+      listener(message);
+    }
+  }
+}
+
+function createTabId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
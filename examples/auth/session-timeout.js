@@ -0,0 +1,259 @@
+/**
+ * Example: Session Timeout Warning
+ *
+ * Purpose: Warns before a session ends for inactivity or length and lets
+ * the user extend it, instead of silently dropping them on the login
+ * page (WCAG 2.2.1 Timing Adjustable)
+ *
+ * Key Patterns:
+ * - useSessionTimeout() drives an ActivityTracker from the AuthProvider's
+ *   session: started on login or restore, ended on logout
+ * - Extend refreshes the access token through refreshAccessToken(); the
+ *   server stays the authority and may still refuse
+ * - At the deadline the service logs out with reason `idle` or
+ *   `sessionLimit`, which the provider reports as an expired session
+ * - <SessionTimeoutDialog> is a modal alertdialog with Extend and Log out;
+ *   at the session limit, which no refresh extends, Log in again instead
+ *
+ * Usage:
+ * ```
+ * import { SessionTimeoutDialog } from '@/examples/auth/session-timeout';
+ *
+ * <AuthProvider apiClient={apiClient} tokenStorage={tokenStorage}>
+ *   <SessionTimeoutDialog idleTimeout={15 * 60 * 1000} warningTime={2 * 60 * 1000} />
+ *   <App />
+ * </AuthProvider>
+ * ```
+ *
+ * Security Considerations:
+ * - The dialog only extends a session the server agrees to refresh
+ *
+ * Accessibility:
+ * - Focus moves to the first button ("Stay signed in" or "Log in again")
+ *   when the dialog opens, Tab stays in the dialog and focus returns to
+ *   where it was on close
+ * - Escape extends an idle session; it never logs anyone out
+ * - The warning is announced when it opens and again at 60, 30 and 10
+ *   seconds, not every second
+ * - Colors meet WCAG AAA contrast (see SESSION_DIALOG_THEME) and the
+ *   browser's focus ring is left in place
+ */
+
+import { createElement, useCallback, useEffect, useId, useRef, useState } from 'react';
+import { useAuth } from './auth-provider.js';
+import { ActivityTracker, TIMEOUT_REASONS } from './activity-tracker.js';
+
+// Checked against the a11y contrast thresholds in the unit tests
+export const SESSION_DIALOG_THEME = Object.freeze({
+  text: '#1a1a1a',
+  background: '#ffffff',
+  primaryText: '#ffffff',
+  primaryBackground: '#0b3d91',
+  border: '#1a1a1a',
+  backdrop: 'rgba(0, 0, 0, 0.6)',
+  error: '#8a1c1c'
+});
+
+// Seconds left at which the countdown is announced again
+const ANNOUNCE_AT = [60, 30, 10];
+
+const VISUALLY_HIDDEN = Object.freeze({ position: 'absolute', left: '-10000px' });
+
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Session timeout state and actions for the signed-in user
+ * @param {Object} [options] - ActivityTracker options (idleTimeout,
+ *   maxSessionLength, warningTime, ...); read once, like AuthProvider's
+ * @returns {{isWarning: boolean, reason: string|null, secondsLeft: number|null, canExtend: boolean, isExtending: boolean, error: Error|null, extend: Function, logInAgain: Function, logout: Function}}
+ *   `canExtend` is false at the session limit; logInAgain() ends the
+ *   session now with the timeout reason, so the app shows its login page
+ */
+export function useSessionTimeout(options = {}) {
+  const { authService, isAuthenticated, logout } = useAuth();
+  const [tracker] = useState(() => options.tracker ?? new ActivityTracker(options));
+  const [timeout, setTimeoutState] = useState(tracker.state);
+  const [now, setNow] = useState(() => Date.now());
+  const [isExtending, setIsExtending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const endSession = useCallback((reason) => {
+    tracker.stop({ endSession: true });
+    authService.logout({ reason }).catch(logoutError => {
+      authService.logger.error('Timeout logout error', { error: logoutError });
+    });
+  }, [tracker, authService]);
+
+  useEffect(() => tracker.subscribe(next => {
+    setTimeoutState(next);
+    setNow(tracker.now());
+    if (next.status === 'expired') endSession(next.reason);
+  }), [tracker, endSession]);
+
+  // A fresh login restarts the session clock; any logout ends it
+  useEffect(() => {
+    const unsubscribers = [
+      authService.on('login', () => tracker.start({ newSession: true })),
+      authService.on('logout', () => tracker.stop({ endSession: true }))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [authService, tracker]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    tracker.start();
+    return () => tracker.stop();
+  }, [tracker, isAuthenticated]);
+
+  // Countdown; also notices an extension made in another tab
+  const isWarning = timeout.status === 'warning';
+  useEffect(() => {
+    if (!isWarning) return undefined;
+    const interval = setInterval(() => {
+      setNow(tracker.now());
+      tracker.check();
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [tracker, isWarning]);
+
+  const extend = useCallback(async () => {
+    setIsExtending(true);
+    setError(null);
+
+    try {
+      await authService.refreshAccessToken();
+      tracker.extend();
+    } catch (refreshError) {
+      // Terminal failures log out through the service's sessionExpired path
+      setError(refreshError);
+    } finally {
+      setIsExtending(false);
+    }
+  }, [authService, tracker]);
+
+  const logInAgain = useCallback(() => endSession(timeout.reason), [endSession, timeout.reason]);
+
+  return {
+    isWarning,
+    reason: timeout.reason,
+    secondsLeft: isWarning ? Math.max(0, Math.ceil((timeout.expiresAt - now) / 1000)) : null,
+    canExtend: timeout.reason !== TIMEOUT_REASONS.SESSION_LIMIT,
+    isExtending,
+    error,
+    extend,
+    logInAgain,
+    logout
+  };
+}
+
+/**
+ * "Your session will expire" dialog; renders nothing until the warning
+ * @param {Object} props - ActivityTracker options (see useSessionTimeout)
+ */
+export function SessionTimeoutDialog(props) {
+  const { isWarning, reason, secondsLeft, canExtend, isExtending, error, extend, logInAgain, logout } = useSessionTimeout(props);
+  const titleId = useId();
+  const descriptionId = useId();
+  const dialogRef = useRef(null);
+  const extendRef = useRef(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  // Focus in on open, back to where the user was on close
+  useEffect(() => {
+    if (!isWarning) return undefined;
+    const previous = document.activeElement;
+    extendRef.current?.focus();
+    return () => {
+      if (previous && document.contains(previous)) previous.focus();
+    };
+  }, [isWarning]);
+
+  useEffect(() => {
+    if (ANNOUNCE_AT.includes(secondsLeft)) {
+      setAnnouncement(`Your session will expire in ${secondsLeft} seconds.`);
+    } else if (!isWarning) {
+      setAnnouncement('');
+    }
+  }, [isWarning, secondsLeft]);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      if (canExtend) extend();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  if (!isWarning) return null;
+
+  const theme = SESSION_DIALOG_THEME;
+  const buttonStyle = { font: 'inherit', padding: '0.5rem 1rem', borderRadius: '4px', border: `2px solid ${theme.border}` };
+  const primaryStyle = { ...buttonStyle, color: theme.primaryText, background: theme.primaryBackground, borderColor: theme.primaryBackground };
+
+  return createElement(
+    'div',
+    { className: 'session-timeout-backdrop', style: { position: 'fixed', inset: 0, background: theme.backdrop, display: 'grid', placeItems: 'center' } },
+    createElement(
+      'div',
+      {
+        ref: dialogRef,
+        role: 'alertdialog',
+        'aria-modal': 'true',
+        'aria-labelledby': titleId,
+        'aria-describedby': descriptionId,
+        onKeyDown: handleKeyDown,
+        className: 'session-timeout-dialog',
+        style: { color: theme.text, background: theme.background, padding: '1.5rem', maxWidth: '28rem', borderRadius: '8px' }
+      },
+      createElement('h2', { id: titleId }, 'Your session is about to expire'),
+      createElement(
+        'p',
+        { id: descriptionId },
+        `Your session will expire in ${secondsLeft} seconds`,
+        canExtend ? ' because you have been inactive.' : ' because it has reached its time limit.',
+        canExtend ? ' Unsaved changes may be lost.' : ' Save your work, then log in again to continue.'
+      ),
+      error && createElement(
+        'p',
+        { role: 'alert', style: { color: theme.error } },
+        `Your session could not be extended: ${error.message}`
+      ),
+      createElement(
+        'div',
+        { style: { display: 'flex', gap: '0.75rem' } },
+        canExtend ? createElement('button', {
+          ref: extendRef,
+          type: 'button',
+          onClick: extend,
+          disabled: isExtending,
+          'aria-busy': isExtending,
+          style: primaryStyle
+        }, isExtending ? 'Extending…' : 'Stay signed in') : createElement('button', {
+          ref: extendRef,
+          type: 'button',
+          onClick: logInAgain,
+          style: primaryStyle
+        }, 'Log in again'),
+        createElement('button', {
+          type: 'button',
+          onClick: () => logout(),
+          style: { ...buttonStyle, color: theme.text, background: theme.background }
+        }, 'Log out')
+      ),
+      createElement('div', { role: 'status', 'aria-live': 'polite', 'aria-atomic': 'true', style: VISUALLY_HIDDEN }, announcement)
+    )
+  );
+}
@@ -0,0 +1,231 @@
+/**
+ * Example: JWT Claim Inspection
+ *
+ * Purpose: Reads the claims inside an access token so the client can
+ * tell when it really expires, instead of trusting `expiresIn` alone
+ *
+ * Key Patterns:
+ * - Decode header and claims without verifying the signature
+ * - exp / nbf / iat / aud / iss checked against configured expectations
+ * - Client/server clock skew estimated from the response Date header
+ * - Malformed tokens raise MALFORMED_TOKEN, bad claims INVALID_TOKEN_CLAIMS
+ *
+ * Usage:
+ * ```
+ * import { TokenInspector } from '@/examples/auth/token-inspector';
+ * const inspector = new TokenInspector({ audience: 'web', issuer: 'https://auth.example.com' });
+ * inspector.updateSkew(response.headers, requestStartedAt);
+ * const { claims, expiresAt } = inspector.inspect(accessToken);
+ * ```
+ *
+ * Security Considerations:
+ * - Decoding is NOT verification: never make authorization decisions
+ *   from these claims; the server verifies the signature on every call
+ * - The checks only catch tokens the server would reject anyway, early
+ * - Cross-origin APIs must list `Date` in Access-Control-Expose-Headers,
+ *   otherwise skew stays 0
+ *
+ * Performance Notes:
+ * - Decoding is a base64 pass over a short string; no caching needed
+ */
+
+import { AuthError } from './login-flow.js';
+
+// Allowance for clock drift on top of the measured skew
+const DEFAULT_LEEWAY_MS = 30 * 1000;
+
+// The Date header only has second resolution
+const MIN_SKEW_MS = 1000;
+
+/**
+ * Decode a compact JWS without verifying it
+ * @param {string} token
+ * @returns {{header: Object, claims: Object}}
+ * @throws {AuthError} MALFORMED_TOKEN
+ */
+export function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+
+  if (parts.length !== 3) {
+    throw malformed('Token must have three dot-separated parts');
+  }
+
+  const [header, claims] = parts.slice(0, 2).map((part, index) => {
+    try {
+      const value = JSON.parse(decodeBase64Url(part));
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('not an object');
+      }
+      return value;
+    } catch {
+      throw malformed(`Token ${index === 0 ? 'header' : 'payload'} is not base64url JSON`);
+    }
+  });
+
+  for (const claim of ['exp', 'nbf', 'iat']) {
+    if (claim in claims && !Number.isFinite(claims[claim])) {
+      throw malformed(`Claim "${claim}" must be a NumericDate`);
+    }
+  }
+
+  return { header, claims };
+}
+
+/**
+ * Estimate how far the server clock is ahead of the client clock
+ * @param {string} dateHeader - Response Date header
+ * @param {number} requestStartedAt - Client time the request was sent
+ * @param {number} [receivedAt=Date.now()] - Client time it came back
+ * @returns {number|null} Skew in ms (server − client), null if unknown
+ */
+export function estimateClockSkew(dateHeader, requestStartedAt, receivedAt = Date.now()) {
+  const serverTime = dateHeader ? Date.parse(dateHeader) : NaN;
+  if (Number.isNaN(serverTime)) return null;
+
+  // The server stamped the response somewhere during the round trip
+  const skew = serverTime - (requestStartedAt + receivedAt) / 2;
+  return Math.abs(skew) < MIN_SKEW_MS ? 0 : Math.round(skew);
+}
+
+/**
+ * Claim checks plus skew-corrected expiry maths
+ */
+export class TokenInspector {
+  /**
+   * @param {Object} [options]
+   * @param {string|string[]} [options.audience] - Accepted `aud` value(s)
+   * @param {string} [options.issuer] - Expected `iss`
+   * @param {number} [options.leeway=30000] - Tolerance for time claims, ms
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor({ audience, issuer, leeway = DEFAULT_LEEWAY_MS, now = Date.now } = {}) {
+    this.audiences = audience === undefined ? null : [].concat(audience);
+    this.issuer = issuer ?? null;
+    this.leeway = leeway;
+    this.now = now;
+    this.skew = 0;
+  }
+
+  /**
+   * Update the skew from a response
+   * @param {Object} [headers] - Response headers (lowercase keys)
+   * @param {number} requestStartedAt - Client time the request was sent
+   */
+  updateSkew(headers, requestStartedAt) {
+    const skew = estimateClockSkew(headers?.date, requestStartedAt, this.now());
+    if (skew !== null) {
+      this.skew = skew;
+    }
+  }
+
+  /**
+   * Current time on the server's clock
+   * @returns {number}
+   */
+  serverNow() {
+    return this.now() + this.skew;
+  }
+
+  /**
+   * Decode and validate a token
+   * @param {string} token
+   * @returns {{header: Object, claims: Object, expiresAt: number|null}}
+   *   expiresAt on the client clock, null without an exp claim
+   * @throws {AuthError} MALFORMED_TOKEN or INVALID_TOKEN_CLAIMS
+   */
+  inspect(token) {
+    const { header, claims } = decodeJwt(token);
+    const problems = this.validateClaims(claims);
+
+    if (problems.length > 0) {
+      throw new AuthError(
+        'The server returned a token this app cannot use.',
+        'INVALID_TOKEN_CLAIMS',
+        { problems }
+      );
+    }
+
+    return { header, claims, expiresAt: this.expiresAt(claims) };
+  }
+
+  /**
+   * List every claim that fails the configured expectations
+   * @param {Object} claims
+   * @returns {string[]} Empty when valid
+   */
+  validateClaims(claims) {
+    const problems = [];
+    const now = this.serverNow();
+
+    if (claims.exp !== undefined && claims.exp * 1000 <= now - this.leeway) {
+      problems.push('exp: token has already expired');
+    }
+    if (claims.nbf !== undefined && claims.nbf * 1000 > now + this.leeway) {
+      problems.push('nbf: token is not valid yet');
+    }
+    if (claims.iat !== undefined && claims.iat * 1000 > now + this.leeway) {
+      problems.push('iat: token was issued in the future');
+    }
+    if (this.audiences) {
+      const audiences = [].concat(claims.aud ?? []);
+      if (!audiences.some(aud => this.audiences.includes(aud))) {
+        problems.push(`aud: expected one of ${this.audiences.join(', ')}`);
+      }
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      problems.push(`iss: expected ${this.issuer}`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Expiry translated to the client clock
+   * @param {Object} claims
+   * @returns {number|null}
+   */
+  expiresAt(claims) {
+    return claims.exp === undefined ? null : claims.exp * 1000 - this.skew;
+  }
+
+  /**
+   * Whether a token is expired (or within `margin` of expiring)
+   * @param {string} token
+   * @param {number} [margin=0] - Treat as expired this many ms early
+   * @returns {boolean} true for malformed tokens too
+   */
+  isExpired(token, margin = 0) {
+    return this.timeUntilExpiry(token) <= margin;
+  }
+
+  /**
+   * Milliseconds until the token expires on the server's clock
+   * @param {string} token
+   * @returns {number} 0 if expired or malformed, Infinity without exp
+   */
+  timeUntilExpiry(token) {
+    try {
+      const { claims } = decodeJwt(token);
+      if (claims.exp === undefined) return Infinity;
+      return Math.max(0, claims.exp * 1000 - this.serverNow());
+    } catch {
+      return 0;
+    }
+  }
+}
+
+function decodeBase64Url(part) {
+  if (!/^[A-Za-z0-9_-]*$/.test(part)) {
+    throw new Error('not base64url');
+  }
+  const base64 = part.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  // UTF-8 bytes → string via percent-decoding
+  return decodeURIComponent(
+    Array.from(binary, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+  );
+}
+
+function malformed(reason) {
+  return new AuthError('The server returned an unreadable token.', 'MALFORMED_TOKEN', { reason });
+}
@@ -0,0 +1,427 @@
+/**
+ * Example: Token Storage Adapters
+ *
+ * Purpose: First-party implementations of the `tokenStorage` contract
+ * that AuthenticationService depends on, with honest documentation of
+ * what each one can and cannot protect against
+ *
+ * Key Patterns:
+ * - One async contract, four interchangeable adapters
+ * - Explicit "remember me" semantics per adapter (survivesReload)
+ * - Injectable globals (storage, document, indexedDB, crypto) so adapters
+ *   construct safely in SSR/Node and are testable
+ *
+ * Contract (all methods async):
+ * - setTokens({ accessToken, refreshToken, expiresIn, expiresAt }, { rememberMe, maxAge })
+ * - updateTokens({ accessToken, refreshToken, expiresIn, expiresAt })
+ * - getAccessToken() / getRefreshToken() / getExpiresAt() -> value or null
+ * - clearTokens()
+ * - survivesReload(rememberMe) -> boolean, what the adapter promises
+ *
+ * Usage:
+ * ```
+ * import { SessionTokenStorage } from '@/examples/auth/token-storage';
+ * const authService = new AuthenticationService(apiClient, new SessionTokenStorage());
+ * ```
+ *
+ * Security Considerations:
+ * - Browser JavaScript cannot create httpOnly cookies. Every adapter here
+ *   is readable by script running on the page, so XSS can steal tokens.
+ *   For httpOnly refresh tokens the server must set the cookie itself.
+ * - Encryption at rest (IndexedDB adapter) protects against reading the
+ *   profile from disk, not against XSS: the page can still use the key.
+ * - Prefer short-lived access tokens whatever the adapter.
+ */
+
+// Default lifetime of a remembered session: 30 days
+const DEFAULT_REMEMBER_MAX_AGE = 30 * 24 * 60 * 60;
+
+/**
+ * Fill in expiresAt from expiresIn when a caller only has the latter
+ */
+function withExpiry(tokens, now = Date.now()) {
+  if (tokens.expiresAt || tokens.expiresIn === undefined) return tokens;
+  return { ...tokens, expiresAt: now + tokens.expiresIn * 1000 };
+}
+
+/**
+ * In-memory storage.
+ *
+ * rememberMe: ignored. Tokens live in this JavaScript context only and
+ * are gone after a reload or in another tab. Best choice when a refresh
+ * token is kept server-side in an httpOnly cookie.
+ */
+class MemoryTokenStorage {
+  constructor() {
+    this.tokens = null;
+  }
+
+  survivesReload() {
+    return false;
+  }
+
+  async setTokens(tokens) {
+    this.tokens = withExpiry(tokens);
+  }
+
+  async updateTokens(tokens) {
+    this.tokens = { ...this.tokens, ...withExpiry(tokens) };
+  }
+
+  async getAccessToken() {
+    return this.tokens?.accessToken ?? null;
+  }
+
+  async getRefreshToken() {
+    return this.tokens?.refreshToken ?? null;
+  }
+
+  async getExpiresAt() {
+    return this.tokens?.expiresAt ?? null;
+  }
+
+  async clearTokens() {
+    this.tokens = null;
+  }
+}
+
+/**
+ * sessionStorage storage.
+ *
+ * rememberMe: ignored. sessionStorage is scoped to one tab and survives
+ * reloads of that tab only; closing the tab ends the session whatever
+ * the user chose. Use the cookie or IndexedDB adapter to remember users.
+ */
+class SessionTokenStorage {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage=sessionStorage] - Web Storage object
+   * @param {string} [options.key='auth.tokens'] - Storage key
+   */
+  constructor({ storage = globalThis.sessionStorage, key = 'auth.tokens' } = {}) {
+    this.storage = storage;
+    this.key = key;
+  }
+
+  survivesReload() {
+    return true;
+  }
+
+  read() {
+    const raw = this.storage?.getItem(this.key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  write(tokens) {
+    this.storage?.setItem(this.key, JSON.stringify(tokens));
+  }
+
+  async setTokens(tokens) {
+    this.write(withExpiry(tokens));
+  }
+
+  async updateTokens(tokens) {
+    this.write({ ...this.read(), ...withExpiry(tokens) });
+  }
+
+  async getAccessToken() {
+    return this.read()?.accessToken ?? null;
+  }
+
+  async getRefreshToken() {
+    return this.read()?.refreshToken ?? null;
+  }
+
+  async getExpiresAt() {
+    return this.read()?.expiresAt ?? null;
+  }
+
+  async clearTokens() {
+    this.storage?.removeItem(this.key);
+  }
+}
+
+/**
+ * Cookie storage (script-readable cookies).
+ *
+ * rememberMe: honored. With rememberMe the refresh token cookie gets
+ * Max-Age (default 30 days) and survives browser restarts; without it the
+ * cookie is a session cookie, kept across reloads until the browser
+ * session ends (some browsers restore session cookies on restart).
+ * SameSite and Secure are applied; httpOnly cannot be set from script.
+ */
+class CookieTokenStorage {
+  /**
+   * @param {Object} [options]
+   * @param {Document} [options.document=document] - Document to use
+   * @param {string} [options.prefix='auth'] - Cookie name prefix
+   * @param {boolean} [options.secure=true] - Send over HTTPS only
+   * @param {'Strict'|'Lax'} [options.sameSite='Strict'] - SameSite policy
+   * @param {string} [options.path='/'] - Cookie path
+   */
+  constructor({
+    document: doc = globalThis.document,
+    prefix = 'auth',
+    secure = true,
+    sameSite = 'Strict',
+    path = '/'
+  } = {}) {
+    this.document = doc;
+    this.prefix = prefix;
+    this.secure = secure;
+    this.sameSite = sameSite;
+    this.path = path;
+  }
+
+  survivesReload() {
+    return true;
+  }
+
+  name(field) {
+    return `${this.prefix}.${field}`;
+  }
+
+  readCookie(field) {
+    if (!this.document) return null;
+    const wanted = `${encodeURIComponent(this.name(field))}=`;
+    const entry = this.document.cookie.split('; ').find(c => c.startsWith(wanted));
+    return entry ? decodeURIComponent(entry.slice(wanted.length)) : null;
+  }
+
+  writeCookie(field, value, maxAge) {
+    if (!this.document) return;
+    const parts = [
+      `${encodeURIComponent(this.name(field))}=${encodeURIComponent(value)}`,
+      `Path=${this.path}`,
+      `SameSite=${this.sameSite}`
+    ];
+    if (this.secure) parts.push('Secure');
+    if (maxAge !== undefined) parts.push(`Max-Age=${Math.max(0, Math.floor(maxAge))}`);
+    this.document.cookie = parts.join('; ');
+  }
+
+  async setTokens(tokens, { rememberMe = false, maxAge } = {}) {
+    const lifetime = rememberMe ? (maxAge ?? DEFAULT_REMEMBER_MAX_AGE) : undefined;
+    this.writeCookie('remember', lifetime === undefined ? 'session' : String(lifetime), lifetime);
+    this.writeTokens(withExpiry(tokens), lifetime);
+  }
+
+  async updateTokens(tokens) {
+    // Rotated tokens keep the lifetime the user chose at login
+    const remember = this.readCookie('remember');
+    const lifetime = remember && remember !== 'session' ? Number(remember) : undefined;
+    this.writeTokens(withExpiry(tokens), lifetime);
+  }
+
+  writeTokens({ accessToken, refreshToken, expiresAt }, lifetime) {
+    if (accessToken !== undefined) this.writeCookie('access', accessToken, lifetime);
+    if (refreshToken !== undefined) this.writeCookie('refresh', refreshToken, lifetime);
+    if (expiresAt !== undefined) this.writeCookie('expiresAt', String(expiresAt), lifetime);
+  }
+
+  async getAccessToken() {
+    return this.readCookie('access');
+  }
+
+  async getRefreshToken() {
+    return this.readCookie('refresh');
+  }
+
+  async getExpiresAt() {
+    const value = this.readCookie('expiresAt');
+    return value ? Number(value) : null;
+  }
+
+  async clearTokens() {
+    for (const field of ['access', 'refresh', 'expiresAt', 'remember']) {
+      this.writeCookie(field, '', 0);
+    }
+  }
+}
+
+/**
+ * IndexedDB storage encrypted with WebCrypto AES-GCM.
+ *
+ * rememberMe: honored. With rememberMe the encrypted tokens are written
+ * to IndexedDB and survive restarts until `maxAge` (default 30 days)
+ * passes. Without it, tokens are kept in memory only and a reload
+ * requires logging in again; IndexedDB has no "end of browser session".
+ *
+ * The AES key is a non-extractable CryptoKey stored next to the data, so
+ * script on this origin can decrypt but the raw key never leaves WebCrypto.
+ */
+class EncryptedIndexedDBTokenStorage {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName='auth-token-store'] - Database name
+   * @param {IDBFactory} [options.indexedDB=indexedDB] - IndexedDB factory
+   * @param {Crypto} [options.crypto=crypto] - WebCrypto implementation
+   * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+   */
+  constructor({
+    dbName = 'auth-token-store',
+    indexedDB: idb = globalThis.indexedDB,
+    crypto: webCrypto = globalThis.crypto,
+    now = Date.now
+  } = {}) {
+    this.dbName = dbName;
+    this.idb = idb;
+    this.crypto = webCrypto;
+    this.now = now;
+    this.memory = null;
+    this.dbPromise = null;
+    this.keyPromise = null;
+  }
+
+  survivesReload(rememberMe) {
+    return Boolean(rememberMe);
+  }
+
+  async setTokens(tokens, { rememberMe = false, maxAge } = {}) {
+    const record = withExpiry(tokens, this.now());
+
+    if (!rememberMe) {
+      this.memory = record;
+      await this.remove();
+      return;
+    }
+
+    this.memory = null;
+    const persistUntil = this.now() + (maxAge ?? DEFAULT_REMEMBER_MAX_AGE) * 1000;
+    await this.persist({ ...record, persistUntil });
+  }
+
+  async updateTokens(tokens) {
+    const update = withExpiry(tokens, this.now());
+
+    if (this.memory) {
+      this.memory = { ...this.memory, ...update };
+      return;
+    }
+
+    const current = await this.load();
+    if (current) await this.persist({ ...current, ...update });
+  }
+
+  async getAccessToken() {
+    return (await this.current())?.accessToken ?? null;
+  }
+
+  async getRefreshToken() {
+    return (await this.current())?.refreshToken ?? null;
+  }
+
+  async getExpiresAt() {
+    return (await this.current())?.expiresAt ?? null;
+  }
+
+  async clearTokens() {
+    this.memory = null;
+    await this.remove();
+  }
+
+  async current() {
+    return this.memory ?? this.load();
+  }
+
+  async load() {
+    if (!this.idb) return null;
+    const stored = await this.transaction('tokens', 'readonly', store => store.get('current'));
+    if (!stored) return null;
+
+    let record;
+    try {
+      record = await this.decrypt(stored);
+    } catch {
+      // Corrupt record, or the key was lost or rotated: it can never be read
+      await this.remove();
+      return null;
+    }
+    if (record.persistUntil <= this.now()) {
+      await this.remove();
+      return null;
+    }
+    return record;
+  }
+
+  async persist(record) {
+    if (!this.idb) return;
+    const encrypted = await this.encrypt(record);
+    await this.transaction('tokens', 'readwrite', store => store.put(encrypted, 'current'));
+  }
+
+  async remove() {
+    if (!this.idb) return;
+    await this.transaction('tokens', 'readwrite', store => store.delete('current'));
+  }
+
+  async encrypt(record) {
+    const key = await this.getKey();
+    // Fresh 96-bit IV per write; reusing an IV with AES-GCM is fatal
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(record));
+    const data = await this.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv, data };
+  }
+
+  async decrypt({ iv, data }) {
+    const key = await this.getKey();
+    const plaintext = await this.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  getKey() {
+    // Cached so concurrent first writes cannot generate two keys
+    if (!this.keyPromise) {
+      this.keyPromise = (async () => {
+        const existing = await this.transaction('keys', 'readonly', store => store.get('aes'));
+        if (existing) return existing;
+
+        const key = await this.crypto.subtle.generateKey(
+          { name: 'AES-GCM', length: 256 },
+          false, // non-extractable
+          ['encrypt', 'decrypt']
+        );
+        await this.transaction('keys', 'readwrite', store => store.put(key, 'aes'));
+        return key;
+      })();
+      this.keyPromise.catch(() => {
+        this.keyPromise = null;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  openDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.idb.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('tokens');
+          request.result.createObjectStore('keys');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(storeName, mode, operation) {
+    const db = await this.openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+export {
+  MemoryTokenStorage,
+  SessionTokenStorage,
+  CookieTokenStorage,
+  EncryptedIndexedDBTokenStorage
+};
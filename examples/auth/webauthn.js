@@ -0,0 +1,101 @@
+/**
+ * Example: WebAuthn Assertion Helpers
+ *
+ * Purpose: Turns the JSON challenge sent by the server into the binary
+ * options navigator.credentials.get() expects, and the resulting
+ * assertion back into JSON the server can verify
+ *
+ * Key Patterns:
+ * - base64url on the wire, ArrayBuffer in the browser API
+ * - Only the fields the relying party verifies are sent back
+ *
+ * Usage:
+ * ```
+ * import { getAssertion } from '@/examples/auth/webauthn';
+ * const assertion = await getAssertion(challenge.webauthn);
+ * await api.post('/auth/mfa/verify', { method: 'webauthn', assertion });
+ * ```
+ *
+ * Security Considerations:
+ * - The challenge always comes from the server; never generate it here
+ * - rpId is left to the browser default (current origin) unless the
+ *   server names one
+ */
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+export function toBase64Url(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode (padded or unpadded) base64url into an ArrayBuffer
+ * @param {string} value
+ * @returns {ArrayBuffer}
+ */
+export function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+/**
+ * Build PublicKeyCredentialRequestOptions from the server's JSON
+ * @param {Object} options - { challenge, rpId?, allowCredentials?, timeout?, userVerification? }
+ * @returns {PublicKeyCredentialRequestOptions}
+ */
+export function toRequestOptions({ challenge, allowCredentials = [], ...rest }) {
+  return {
+    ...rest,
+    challenge: fromBase64Url(challenge),
+    allowCredentials: allowCredentials.map(credential => ({
+      ...credential,
+      id: fromBase64Url(credential.id)
+    }))
+  };
+}
+
+/**
+ * Serialize a PublicKeyCredential assertion for the server
+ * @param {PublicKeyCredential} credential
+ * @returns {Object} JSON-safe assertion
+ */
+export function serializeAssertion(credential) {
+  const { response } = credential;
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      authenticatorData: toBase64Url(response.authenticatorData),
+      signature: toBase64Url(response.signature),
+      userHandle: response.userHandle ? toBase64Url(response.userHandle) : null
+    }
+  };
+}
+
+/**
+ * Ask the browser for an assertion and serialize it
+ * @param {Object} options - Server JSON, see toRequestOptions
+ * @param {CredentialsContainer} [credentials=navigator.credentials]
+ * @returns {Promise<Object>} Serialized assertion
+ */
+export async function getAssertion(options, credentials = globalThis.navigator?.credentials) {
+  if (!credentials?.get) {
+    const error = new Error('WebAuthn is not supported in this browser');
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+
+  const credential = await credentials.get({ publicKey: toRequestOptions(options) });
+  return serializeAssertion(credential);
+}
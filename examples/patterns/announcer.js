@@ -0,0 +1,271 @@
+/**
+ * Example: Live Region Announcer
+ *
+ * Purpose: Screen reader announcements that are actually read. Text
+ * inserted together with a brand-new live region is often skipped, and
+ * overwriting one region drops whatever had not been read yet
+ *
+ * Key Patterns:
+ * - One polite and one assertive region, mounted once and kept
+ * - Messages queued and written one at a time as new nodes, so quick
+ *   successive messages add up instead of replacing each other
+ * - Duplicates (already queued or just announced) dropped
+ * - Errors routed by code: AuthErrors interrupt (assertive), except codes
+ *   the user is already looking at, such as field validation
+ * - useAnnouncer() mounts the regions with the component, ahead of the
+ *   first message
+ * - getAnnouncements() lists the last maxHistory messages written, for
+ *   tests
+ *
+ * Usage:
+ * ```
+ * import { announcer, useAnnouncer } from '@/examples/patterns/announcer';
+ *
+ * const { announce } = useAnnouncer();
+ * announce('Changes saved');
+ * announce(`Login failed: ${error.message}`, { error }); // assertive for most codes
+ *
+ * // Tests
+ * await waitFor(() => expect(announcer.getAnnouncements()).toContainEqual(
+ *   expect.objectContaining({ message: 'Changes saved' })
+ * ));
+ * afterEach(() => announcer.destroy());
+ * ```
+ *
+ * Security Considerations:
+ * - Messages are set as textContent, never HTML
+ *
+ * Performance Notes:
+ * - Announced nodes are removed after clearAfter, so the regions stay small
+ *
+ * Accessibility:
+ * - Use assertive sparingly: it interrupts whatever is being read
+ * - Inside an `aria-modal` dialog, announce from a region within the dialog
+ *   instead; some screen readers ignore everything outside it
+ */
+
+import { useEffect, useMemo } from 'react';
+
+export const POLITENESS = Object.freeze({ POLITE: 'polite', ASSERTIVE: 'assertive' });
+
+// Error codes that do not need to interrupt: the form already shows the
+// problem, or the user caused it themselves
+export const POLITE_ERROR_CODES = Object.freeze(['VALIDATION_ERROR', 'WEBAUTHN_CANCELLED', 'MFA_REQUIRED']);
+
+const VISUALLY_HIDDEN = Object.freeze({
+  position: 'absolute',
+  left: '-10000px',
+  width: '1px',
+  height: '1px',
+  overflow: 'hidden'
+});
+
+/**
+ * Politeness for an announcement about an error
+ * @param {Error} [error] - AuthError or any error with a `code`
+ * @param {string[]} [politeCodes=POLITE_ERROR_CODES]
+ * @returns {'polite'|'assertive'}
+ */
+export function politenessFor(error, politeCodes = POLITE_ERROR_CODES) {
+  if (!error) return POLITENESS.POLITE;
+  return politeCodes.includes(error.code) ? POLITENESS.POLITE : POLITENESS.ASSERTIVE;
+}
+
+/**
+ * Queued announcements through persistent live regions
+ */
+export class Announcer {
+  /**
+   * @param {Object} [options]
+   * @param {Document} [options.document=document]
+   * @param {number} [options.delay=150] - ms between writes; also lets a
+   *   freshly mounted region register before its first message
+   * @param {number} [options.clearAfter=7000] - ms before a written
+   *   message is removed from the region
+   * @param {number} [options.dedupeWindow=1000] - ms in which the same
+   *   message is announced only once
+   * @param {number} [options.maxHistory=100] - Written messages kept for
+   *   getAnnouncements() and deduplication; the oldest are dropped
+   * @param {string[]} [options.politeErrorCodes=POLITE_ERROR_CODES]
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor({
+    document: doc = globalThis.document,
+    delay = 150,
+    clearAfter = 7000,
+    dedupeWindow = 1000,
+    maxHistory = 100,
+    politeErrorCodes = POLITE_ERROR_CODES,
+    now = Date.now
+  } = {}) {
+    this.document = doc;
+    this.delay = delay;
+    this.clearAfter = clearAfter;
+    this.dedupeWindow = dedupeWindow;
+    this.maxHistory = maxHistory;
+    this.politeErrorCodes = politeErrorCodes;
+    this.now = now;
+
+    this.regions = null;
+    this.queue = [];
+    this.history = [];
+    this.timer = null;
+    this.removals = new Set();
+  }
+
+  /**
+   * Add the live regions to the page; safe to call repeatedly
+   * @returns {boolean} Whether regions are mounted (false without a document)
+   */
+  mount() {
+    const doc = this.document;
+    if (!doc?.body) return false;
+    if (this.regions && doc.body.contains(this.regions.polite)) return true;
+
+    this.regions = {
+      polite: this.createRegion(POLITENESS.POLITE, 'status'),
+      assertive: this.createRegion(POLITENESS.ASSERTIVE, 'alert')
+    };
+    return true;
+  }
+
+  createRegion(politeness, role) {
+    const region = this.document.createElement('div');
+    region.setAttribute('role', role);
+    region.setAttribute('aria-live', politeness);
+    // Each message is its own node; only additions are read
+    region.setAttribute('aria-atomic', 'false');
+    region.setAttribute('aria-relevant', 'additions');
+    region.dataset.announcer = politeness;
+    Object.assign(region.style, VISUALLY_HIDDEN);
+    this.document.body.appendChild(region);
+    return region;
+  }
+
+  /**
+   * Queue a message
+   * @param {string|Error} message - An Error announces its message
+   * @param {Object} [options]
+   * @param {'polite'|'assertive'} [options.politeness] - Overrides routing
+   * @param {Error} [options.error] - Routes by its code (see politenessFor)
+   * @returns {boolean} false when dropped (empty, duplicate, no document)
+   */
+  announce(message, { politeness, error } = {}) {
+    if (message instanceof Error) {
+      error ??= message;
+      message = message.message;
+    }
+
+    const text = String(message ?? '').trim();
+    if (!text || !this.mount()) return false;
+
+    const level = politeness ?? politenessFor(error, this.politeErrorCodes);
+    if (this.isDuplicate(text, level)) return false;
+
+    // Assertive messages go ahead of queued polite ones
+    const item = { message: text, politeness: level };
+    const index = level === POLITENESS.ASSERTIVE
+      ? this.queue.findIndex(queued => queued.politeness === POLITENESS.POLITE)
+      : -1;
+    if (index === -1) this.queue.push(item);
+    else this.queue.splice(index, 0, item);
+
+    this.schedule();
+    return true;
+  }
+
+  isDuplicate(message, politeness) {
+    const same = entry => entry.message === message && entry.politeness === politeness;
+    if (this.queue.some(same)) return true;
+
+    const last = this.history.findLast(same);
+    return Boolean(last) && this.now() - last.timestamp < this.dedupeWindow;
+  }
+
+  schedule() {
+    if (this.timer || this.queue.length === 0) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.delay);
+  }
+
+  // Write the next queued message
+  flush() {
+    const item = this.queue.shift();
+    if (!item || !this.mount()) return;
+
+    const node = this.document.createElement('div');
+    node.textContent = item.message;
+    this.regions[item.politeness].appendChild(node);
+    this.history.push({ ...item, timestamp: this.now() });
+    // Long-lived pages announce indefinitely; keep a bounded buffer
+    if (this.history.length > this.maxHistory) {
+      this.history.splice(0, this.history.length - this.maxHistory);
+    }
+
+    const removal = setTimeout(() => {
+      this.removals.delete(removal);
+      node.remove();
+    }, this.clearAfter);
+    this.removals.add(removal);
+
+    this.schedule();
+  }
+
+  /**
+   * The last maxHistory messages written to the regions, oldest first
+   * @param {Object} [filter]
+   * @param {'polite'|'assertive'} [filter.politeness]
+   * @returns {Array<{message: string, politeness: string, timestamp: number}>}
+   */
+  getAnnouncements({ politeness } = {}) {
+    return this.history.filter(entry => !politeness || entry.politeness === politeness);
+  }
+
+  /**
+   * Drop queued messages and empty the regions, e.g. on navigation
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.queue = [];
+    this.removals.forEach(clearTimeout);
+    this.removals.clear();
+    if (this.regions) {
+      this.regions.polite.replaceChildren();
+      this.regions.assertive.replaceChildren();
+    }
+  }
+
+  /**
+   * Remove the regions and forget all history; the next announce() mounts
+   * them again
+   */
+  destroy() {
+    this.clear();
+    this.regions?.polite.remove();
+    this.regions?.assertive.remove();
+    this.regions = null;
+    this.history = [];
+  }
+}
+
+// Shared by the examples; one pair of regions per page
+export const announcer = new Announcer();
+
+/**
+ * Announce from components; mounts the regions when the component mounts
+ * @param {Announcer} [instance=announcer]
+ * @returns {{announce: Function, clear: Function}}
+ */
+export function useAnnouncer(instance = announcer) {
+  useEffect(() => {
+    instance.mount();
+  }, [instance]);
+
+  return useMemo(() => ({
+    announce: (message, options) => instance.announce(message, options),
+    clear: () => instance.clear()
+  }), [instance]);
+}
@@ -0,0 +1,199 @@
+/**
+ * Example: Redacting Structured Logger
+ *
+ * Purpose: One logging call site for the examples that never writes a
+ * password, token or CSRF value, and handles emails per configuration
+ *
+ * Key Patterns:
+ * - Structured entries `{ level, message, timestamp, ...fields }`
+ * - Pluggable sink (console by default; ship to your log pipeline)
+ * - Redaction by key name and by value shape (JWTs, Bearer headers)
+ * - Emails masked, hashed, omitted or kept, per configuration
+ * - child() loggers carry context such as `{ module: 'auth' }`
+ *
+ * Usage:
+ * ```
+ * import { createLogger } from '@/examples/patterns/logger';
+ * const logger = createLogger({ emails: 'hash', context: { module: 'auth' } });
+ * logger.error('Login failed', { email, error });
+ * ```
+ *
+ * Security Considerations:
+ * - Redaction is a safety net, not permission to log request bodies
+ * - Hashed emails let you correlate entries for one user without
+ *   storing the address; add a salt so hashes are not portable
+ *
+ * Performance Notes:
+ * - Entries below the configured level are dropped before redaction
+ */
+
+export const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error']);
+
+export const REDACTED = '[REDACTED]';
+
+// Matched against lowercased keys with `-` and `_` removed
+const SECRET_KEY_PATTERN = /pass(word|code|phrase)|secret|token|csrf|xsrf|authorization|cookie|^t?otp$|recoverycode|assertion|apikey/;
+
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[^\s@"'<>]+/g;
+const JWT_PATTERN = /\beyJ[\w-]*\.[\w-]+\.[\w-]*/g;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+
+// Deeper structures are cut off rather than walked
+const MAX_DEPTH = 6;
+
+/**
+ * FNV-1a (32-bit); stable and fast, NOT a cryptographic hash
+ * @param {string} value
+ * @returns {string} 8 hex characters
+ */
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (const char of String(value)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Mask an email as `j***@example.com`
+ * @param {string} email
+ * @returns {string}
+ */
+export function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+/**
+ * Build the email transform for a mode
+ * @param {'mask'|'hash'|'omit'|'plain'} mode
+ * @param {string} [salt='']
+ * @returns {Function}
+ */
+function emailTransform(mode, salt = '') {
+  switch (mode) {
+    case 'plain':
+      return email => email;
+    case 'omit':
+      return () => REDACTED;
+    case 'hash':
+      return email => `email:${hashString(salt + email.trim().toLowerCase())}`;
+    case 'mask':
+      return maskEmail;
+    default:
+      throw new TypeError(`Unknown email mode "${mode}"`);
+  }
+}
+
+/**
+ * Redact a log value
+ * @param {*} value - Any loggable value
+ * @param {Object} [options]
+ * @param {'mask'|'hash'|'omit'|'plain'} [options.emails='mask']
+ * @param {string} [options.salt] - Prefix for hashed emails
+ * @returns {*} A redacted copy; the input is not modified
+ */
+export function redact(value, { emails = 'mask', salt } = {}) {
+  const transformEmail = emailTransform(emails, salt);
+  // Objects on the path from the root: only these make a cycle
+  const ancestors = new WeakSet();
+
+  const redactString = text => text
+    .replace(BEARER_PATTERN, (match, scheme) => `${scheme} ${REDACTED}`)
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(EMAIL_PATTERN, transformEmail);
+
+  const walk = (current, depth) => {
+    if (typeof current === 'string') return redactString(current);
+    if (current === null || typeof current !== 'object') return current;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (ancestors.has(current)) return '[Circular]';
+
+    ancestors.add(current);
+    const copy = walkChildren(current, depth);
+    ancestors.delete(current);
+    return copy;
+  };
+
+  const walkChildren = (current, depth) => {
+    if (current instanceof Error) {
+      // Stack traces can embed request data; keep what identifies the error
+      return walk({ name: current.name, message: current.message, code: current.code }, depth);
+    }
+
+    if (Array.isArray(current)) {
+      return current.map(item => walk(item, depth + 1));
+    }
+
+    return Object.fromEntries(
+      Object.entries(current).map(([key, item]) => [
+        key,
+        isSecretKey(key) && item !== undefined && item !== null ? REDACTED : walk(item, depth + 1)
+      ])
+    );
+  };
+
+  return walk(value, 0);
+}
+
+function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key.toLowerCase().replace(/[-_]/g, ''));
+}
+
+/**
+ * Default sink: one console call per entry
+ * @param {Object} entry
+ */
+export function consoleSink(entry) {
+  const { level, message, ...fields } = entry;
+  console[level === 'debug' ? 'log' : level](message, fields);
+}
+
+/**
+ * Create a structured, redacting logger
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.sink=consoleSink] - Receives each entry
+ * @param {string} [options.level='info'] - Minimum level written
+ * @param {'mask'|'hash'|'omit'|'plain'} [options.emails='mask']
+ * @param {string} [options.salt] - Prefix for hashed emails
+ * @param {Object} [options.context] - Fields added to every entry
+ * @param {Function} [options.now=Date.now]
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ */
+export function createLogger({
+  sink = consoleSink,
+  level = 'info',
+  emails = 'mask',
+  salt,
+  context = {},
+  now = Date.now
+} = {}) {
+  const minimum = LOG_LEVELS.indexOf(level);
+  if (minimum === -1) {
+    throw new TypeError(`Unknown log level "${level}"`);
+  }
+  // Fail fast on a bad mode instead of at the first log call
+  emailTransform(emails, salt);
+
+  const write = (entryLevel, message, fields = {}) => {
+    if (LOG_LEVELS.indexOf(entryLevel) < minimum) return;
+
+    const safe = redact({ ...context, ...fields }, { emails, salt });
+    sink({
+      level: entryLevel,
+      message: redact(String(message), { emails, salt }),
+      timestamp: new Date(now()).toISOString(),
+      ...safe
+    });
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: extra => createLogger({ sink, level, emails, salt, context: { ...context, ...extra }, now })
+  };
+}
@@ -0,0 +1,494 @@
+/**
+ * Example: Mock Auth Server
+ *
+ * Purpose: An in-process stand-in for the auth API, so the login flow
+ * and integration tests run offline against real HTTP instead of stubbed
+ * `post()` calls; run standalone, it can back the pa11y login scenario
+ *
+ * Key Patterns:
+ * - /auth/login, /auth/mfa/verify, /auth/refresh, /auth/logout and
+ *   /auth/csrf, with bodies matching AuthResponseSchema
+ * - /auth/register, /auth/verify-email(/resend) and
+ *   /auth/password-reset(/request); emails land in `state.outbox`
+ * - New passwords checked with the same PasswordPolicy as the client,
+ *   and Pwned Passwords range files for it under /pwned-passwords
+ * - Refresh token rotation with reuse detection: presenting a rotated
+ *   token revokes its whole family
+ * - CSRF token checked on every POST (body `csrfToken`, X-CSRF-Token or
+ *   X-XSRF-TOKEN); rotateCsrfToken() invalidates the one clients hold
+ * - Scripted MFA challenges (TOTP, single-use recovery codes, WebAuthn)
+ * - Scripted failures (401/429/500, optional Retry-After) via failNext()
+ *   or `POST /__mock/fail` when running as a separate process
+ *
+ * Usage:
+ * ```
+ * // In tests
+ * const server = createMockAuthServer();
+ * const { url, close } = await server.listen();
+ * server.failNext('/auth/login', { status: 429, retryAfter: 30 });
+ *
+ * // Standalone (proxy the app's /auth/* here)
+ * npm run mock:auth
+ * ```
+ *
+ * Security Considerations:
+ * - Test-only: passwords are compared in plain text, tokens are unsigned
+ *   (alg "none") and all state lives in memory
+ * - Never expose it beyond localhost
+ */
+
+import express from 'express';
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { STATUS_CODES } from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildJwt } from './mocks.js';
+import { PasswordPolicy } from '../auth/password-policy.js';
+
+// The pa11y login scenario types these credentials
+export const DEFAULT_ACCOUNTS = Object.freeze([
+  {
+    email: 'test@example.com',
+    password: 'testpassword123',
+    user: { id: 'user-test', email: 'test@example.com', role: 'editor', permissions: [] }
+  },
+  {
+    email: 'mfa@example.com',
+    password: 'testpassword123',
+    user: { id: 'user-mfa', email: 'mfa@example.com', role: 'viewer', permissions: [] },
+    mfa: { totp: '123456', recoveryCodes: ['RECOVERY-0001', 'RECOVERY-0002'] }
+  }
+]);
+
+// Served as range files and rejected as new passwords
+export const DEFAULT_BREACHED_PASSWORDS = Object.freeze(['correct horse battery staple', 'password123456']);
+
+const DEFAULT_PORT = 4010;
+
+/**
+ * Create a mock auth server
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.accounts=DEFAULT_ACCOUNTS] - `{ email, password,
+ *   user, mfa?, verified? }`; mfa is `{ totp?, recoveryCodes?,
+ *   webauthnCredentialIds? }`; accounts are verified unless `verified: false`
+ * @param {boolean} [options.csrf=true] - Require the CSRF token on POSTs
+ * @param {number} [options.accessTokenTtl=900] - Seconds
+ * @param {number} [options.mfaChallengeTtl=300] - Seconds
+ * @param {number} [options.emailTokenTtl=3600] - Seconds a verification or
+ *   reset link stays valid
+ * @param {string[]} [options.breachedPasswords=DEFAULT_BREACHED_PASSWORDS]
+ * @param {string} [options.issuer] - `iss` claim of issued tokens
+ * @param {string} [options.audience] - `aud` claim of issued tokens
+ * @returns {{app: Function, state: Object, csrfToken: string, rotateCsrfToken: Function, failNext: Function, reset: Function, listen: Function}}
+ */
+export function createMockAuthServer({
+  accounts = DEFAULT_ACCOUNTS,
+  csrf = true,
+  accessTokenTtl = 900,
+  mfaChallengeTtl = 300,
+  emailTokenTtl = 3600,
+  breachedPasswords = DEFAULT_BREACHED_PASSWORDS,
+  issuer,
+  audience
+} = {}) {
+  let csrfToken = randomToken();
+  const state = {};
+
+  const reset = () => {
+    Object.assign(state, {
+      // Copies, so registration and password changes stay per server
+      accounts: accounts.map(account => ({ verified: true, ...account })),
+      // Emails "sent": { to, type: 'verification' | 'passwordReset', token }
+      outbox: [],
+      // link token → { email, type, expiresAt }
+      emailTokens: new Map(),
+      // refresh token → { familyId, email, used }
+      refreshTokens: new Map(),
+      revokedFamilies: new Set(),
+      // challenge id → { email, methods, expiresAt, webauthn }
+      challenges: new Map(),
+      // email → unused recovery codes
+      recoveryCodes: new Map(accounts.map(account => [account.email, new Set(account.mfa?.recoveryCodes ?? [])])),
+      failures: []
+    });
+  };
+  reset();
+
+  /**
+   * Fail the next request(s) to a path
+   * @param {string} route - e.g. '/auth/login'
+   * @param {Object} [failure]
+   * @param {number} [failure.status=500]
+   * @param {number|string} [failure.retryAfter] - Seconds or HTTP-date
+   * @param {number} [failure.times=1]
+   * @param {Object} [failure.body] - Defaults to `{ error, code }`
+   */
+  const failNext = (route, { status = 500, retryAfter, times = 1, body } = {}) => {
+    state.failures.push({ route, status, retryAfter, remaining: times, body });
+  };
+
+  const findAccount = email =>
+    state.accounts.find(account => account.email.toLowerCase() === String(email).trim().toLowerCase());
+
+  const sendEmail = (email, type) => {
+    const token = randomToken();
+    state.emailTokens.set(token, { email, type, expiresAt: Date.now() + emailTokenTtl * 1000 });
+    state.outbox.push({ to: email, type, token });
+  };
+
+  // Single use: a valid token is consumed
+  const redeemEmailToken = (token, type) => {
+    const record = state.emailTokens.get(token);
+    state.emailTokens.delete(token);
+    return record && record.type === type && Date.now() < record.expiresAt ? record : null;
+  };
+
+  const ranges = buildRangeFiles(breachedPasswords);
+  const passwordPolicy = new PasswordPolicy({
+    breached: { loadRange: async prefix => ranges.get(prefix) ?? '' }
+  });
+
+  // First failed policy check, as a real server would enforce it
+  const passwordProblem = async (password, context) => {
+    if (typeof password !== 'string' || !password) return 'Enter a new password';
+
+    const feedback = await passwordPolicy.validate(password, context);
+    return feedback.checks.find(check => !check.passed)?.message ?? null;
+  };
+
+  const issueSession = (account, familyId = randomToken()) => {
+    const refreshToken = randomToken();
+    state.refreshTokens.set(refreshToken, { familyId, email: account.email, used: false });
+
+    const iat = Math.floor(Date.now() / 1000);
+    return {
+      accessToken: buildJwt({ sub: account.user.id, iat, exp: iat + accessTokenTtl, iss: issuer, aud: audience }),
+      refreshToken,
+      expiresIn: accessTokenTtl,
+      user: account.user
+    };
+  };
+
+  const startChallenge = (account) => {
+    const { mfa } = account;
+    const methods = [
+      mfa.totp && 'totp',
+      mfa.recoveryCodes?.length && 'recovery_code',
+      mfa.webauthnCredentialIds?.length && 'webauthn'
+    ].filter(Boolean);
+
+    const challengeId = randomToken();
+    const webauthn = methods.includes('webauthn')
+      ? {
+        challenge: randomToken(),
+        userVerification: 'preferred',
+        allowCredentials: mfa.webauthnCredentialIds.map(id => ({ id, type: 'public-key' }))
+      }
+      : undefined;
+
+    state.challenges.set(challengeId, {
+      email: account.email,
+      methods,
+      webauthn,
+      expiresAt: Date.now() + mfaChallengeTtl * 1000
+    });
+
+    return { mfaRequired: true, challengeId, methods, expiresIn: mfaChallengeTtl, webauthn };
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  // Scripted failures win over everything else
+  app.use((req, res, next) => {
+    const failure = state.failures.find(item => item.route === req.path && item.remaining > 0);
+    if (!failure) return next();
+
+    failure.remaining -= 1;
+    state.failures = state.failures.filter(item => item.remaining > 0);
+
+    if (failure.retryAfter !== undefined) {
+      res.set('Retry-After', String(failure.retryAfter));
+    }
+    return res.status(failure.status).json(
+      failure.body ?? { error: STATUS_CODES[failure.status], code: `HTTP_${failure.status}` }
+    );
+  });
+
+  const requireCsrf = (req, res, next) => {
+    if (!csrf) return next();
+
+    const sent = req.get('x-csrf-token') ?? req.get('x-xsrf-token') ?? req.body?.csrfToken;
+    if (!safeEqual(sent, csrfToken)) {
+      return reject(res, 403, 'CSRF_INVALID', 'Missing or invalid CSRF token');
+    }
+    return next();
+  };
+
+  app.get('/auth/csrf', (req, res) => {
+    res.json({ csrfToken });
+  });
+
+  // Static range files, as the app would serve from its own origin; a
+  // partial mirror (only the breached passwords' prefixes)
+  app.get('/pwned-passwords/:file', (req, res) => {
+    const prefix = /^([0-9A-F]{5})\.txt$/i.exec(req.params.file)?.[1].toUpperCase();
+    const range = prefix && ranges.get(prefix);
+    if (!range) {
+      return res.status(404).end();
+    }
+    return res.type('text/plain').send(range);
+  });
+
+  app.post('/auth/login', requireCsrf, (req, res) => {
+    const { email, password } = req.body ?? {};
+    const account = findAccount(email);
+
+    if (!account || typeof password !== 'string' || !safeEqual(password, account.password)) {
+      return reject(res, 401, 'INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+    if (!account.verified) {
+      return reject(res, 403, 'EMAIL_NOT_VERIFIED', 'Email address not verified');
+    }
+
+    return res.json(account.mfa ? startChallenge(account) : issueSession(account));
+  });
+
+  app.post('/auth/register', requireCsrf, async (req, res) => {
+    const { email, password, name } = req.body ?? {};
+
+    const problem = await passwordProblem(password, { email, name });
+    if (typeof email !== 'string' || !email.includes('@') || problem) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors: {
+          ...(typeof email === 'string' && email.includes('@') ? {} : { email: ['Invalid email address'] }),
+          ...(problem ? { password: [problem] } : {})
+        }
+      });
+    }
+    if (findAccount(email)) {
+      return reject(res, 409, 'EMAIL_IN_USE', 'An account with this email already exists');
+    }
+
+    const id = `user-${state.accounts.length + 1}`;
+    state.accounts.push({
+      email,
+      password,
+      verified: false,
+      user: { id, email, name, role: 'viewer', permissions: [] }
+    });
+    sendEmail(email, 'verification');
+    return res.status(201).json({ email });
+  });
+
+  // Resend and reset requests answer the same for unknown emails
+  app.post('/auth/verify-email/resend', requireCsrf, (req, res) => {
+    const account = findAccount(req.body?.email);
+    if (account && !account.verified) {
+      sendEmail(account.email, 'verification');
+    }
+    res.status(202).end();
+  });
+
+  app.post('/auth/verify-email', requireCsrf, (req, res) => {
+    const record = redeemEmailToken(req.body?.token, 'verification');
+    if (!record) {
+      return reject(res, 410, 'TOKEN_INVALID', 'Link expired or already used');
+    }
+
+    findAccount(record.email).verified = true;
+    return res.json({ verified: true });
+  });
+
+  app.post('/auth/password-reset/request', requireCsrf, (req, res) => {
+    const account = findAccount(req.body?.email);
+    if (account) {
+      sendEmail(account.email, 'passwordReset');
+    }
+    res.status(202).end();
+  });
+
+  app.post('/auth/password-reset', requireCsrf, async (req, res) => {
+    const { token, password } = req.body ?? {};
+
+    // Checked before redeeming, so a weak password does not burn the link
+    const problem = await passwordProblem(password, { email: state.emailTokens.get(token)?.email });
+    if (problem) {
+      return res.status(422).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', errors: { password: [problem] } });
+    }
+
+    const record = redeemEmailToken(token, 'passwordReset');
+    if (!record) {
+      return reject(res, 410, 'TOKEN_INVALID', 'Link expired or already used');
+    }
+
+    findAccount(record.email).password = password;
+    // A new password ends every existing session
+    for (const session of state.refreshTokens.values()) {
+      if (session.email === record.email) state.revokedFamilies.add(session.familyId);
+    }
+    return res.json({ reset: true });
+  });
+
+  app.post('/auth/mfa/verify', requireCsrf, (req, res) => {
+    const { challengeId, method, code, assertion } = req.body ?? {};
+    const challenge = state.challenges.get(challengeId);
+
+    if (!challenge || Date.now() >= challenge.expiresAt) {
+      state.challenges.delete(challengeId);
+      return reject(res, 410, 'MFA_CHALLENGE_EXPIRED', 'Verification timed out');
+    }
+    if (!challenge.methods.includes(method)) {
+      return reject(res, 400, 'MFA_METHOD_UNAVAILABLE', 'Method not offered for this challenge');
+    }
+
+    const account = findAccount(challenge.email);
+    const unusedCodes = state.recoveryCodes.get(account.email);
+    const verified = {
+      totp: () => safeEqual(code, account.mfa.totp),
+      // Single use: a matching code is consumed
+      recovery_code: () => unusedCodes.delete(code),
+      webauthn: () => challenge.webauthn.allowCredentials.some(({ id }) => id === assertion?.id)
+    }[method]();
+
+    if (!verified) {
+      return reject(res, 401, 'INVALID_MFA_CODE', 'That code is not valid');
+    }
+
+    state.challenges.delete(challengeId);
+    return res.json(issueSession(account));
+  });
+
+  app.post('/auth/refresh', requireCsrf, (req, res) => {
+    const record = state.refreshTokens.get(req.body?.refreshToken);
+
+    if (!record || state.revokedFamilies.has(record.familyId)) {
+      return reject(res, 401, 'INVALID_REFRESH_TOKEN', 'Refresh token is not valid');
+    }
+
+    // A rotated token came back: someone kept a copy, end every session
+    // descended from the same login
+    if (record.used) {
+      state.revokedFamilies.add(record.familyId);
+      return reject(res, 401, 'REFRESH_TOKEN_REUSED', 'Refresh token was already used');
+    }
+
+    record.used = true;
+    return res.json(issueSession(findAccount(record.email), record.familyId));
+  });
+
+  app.post('/auth/logout', requireCsrf, (req, res) => {
+    const record = state.refreshTokens.get(req.body?.refreshToken);
+    if (record) {
+      state.revokedFamilies.add(record.familyId);
+    }
+    res.status(204).end();
+  });
+
+  // Control endpoints for a server running in its own process
+  app.post('/__mock/fail', (req, res) => {
+    const { route, ...failure } = req.body ?? {};
+    if (typeof route !== 'string') {
+      return reject(res, 400, 'VALIDATION_ERROR', '`route` is required');
+    }
+    failNext(route, failure);
+    return res.status(204).end();
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.status(204).end();
+  });
+
+  /**
+   * Start listening on localhost
+   * @param {number} [port=0] - 0 picks a free port
+   * @returns {Promise<{url: string, close: Function}>}
+   */
+  const listen = (port = 0) => new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+
+  /**
+   * Replace the CSRF token, as a server does when a session changes
+   * @returns {string} The new token
+   */
+  const rotateCsrfToken = () => {
+    csrfToken = randomToken();
+    return csrfToken;
+  };
+
+  return {
+    app,
+    state,
+    get csrfToken() {
+      return csrfToken;
+    },
+    rotateCsrfToken,
+    failNext,
+    reset,
+    listen
+  };
+}
+
+function reject(res, status, code, error) {
+  return res.status(status).json({ error, code });
+}
+
+/**
+ * Pwned Passwords range files (`SUFFIX:COUNT` lines) keyed by prefix;
+ * every password counts as seen once
+ */
+function buildRangeFiles(passwords) {
+  const ranges = new Map();
+
+  for (const password of passwords) {
+    const hash = createHash('sha1').update(password).digest('hex').toUpperCase();
+    const prefix = hash.slice(0, 5);
+    ranges.set(prefix, `${ranges.get(prefix) ?? ''}${hash.slice(5)}:1\r\n`);
+  }
+
+  return ranges;
+}
+
+function randomToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(actual, expected) {
+  if (typeof actual !== 'string' || typeof expected !== 'string') return false;
+  const a = Buffer.from(actual);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+async function main() {
+  const server = createMockAuthServer();
+  const port = Number(process.env.MOCK_AUTH_PORT) || DEFAULT_PORT;
+  const { url } = await server.listen(port);
+
+  console.log(`Mock auth server listening on ${url}`);
+  console.log(`CSRF token: ${server.csrfToken} (also from GET ${url}/auth/csrf)`);
+  for (const { email, password, mfa } of DEFAULT_ACCOUNTS) {
+    console.log(`  ${email} / ${password}${mfa ? ` (TOTP ${mfa.totp})` : ''}`);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * Example: Mock Data Factories
+ *
+ * Purpose: Deterministic builders for the objects the auth examples
+ * exchange, so tests state only what they care about
+ *
+ * Key Patterns:
+ * - Factory functions with overrides
+ * - Sequential ids instead of random ones (stable snapshots)
+ * - Output matches AuthResponseSchema in auth/login-flow.js
+ *
+ * Usage:
+ * ```
+ * import { buildUser, buildAuthResponse } from '@/examples/testing/mocks';
+ * const editor = buildUser({ role: 'editor' });
+ * const exporter = buildUser({ permissions: ['reports:export:*'] });
+ * apiClient.post.mockResolvedValue({ data: buildAuthResponse(exporter) });
+ * ```
+ *
+ * Security Considerations:
+ * - Tokens are obviously fake strings; never paste real tokens into tests
+ */
+
+let sequence = 0;
+
+/**
+ * Reset the id sequence (call in beforeEach for stable ids per test)
+ */
+export function resetMockSequence() {
+  sequence = 0;
+}
+
+/**
+ * Build an authenticated user with specific grants
+ * @param {Object} [overrides]
+ * @param {string} [overrides.role='viewer'] - Role from role-guard.js
+ * @param {string[]} [overrides.permissions=[]] - Explicit grants on top
+ *   of the role
+ * @returns {Object} User as returned by login()
+ */
+export function buildUser(overrides = {}) {
+  sequence += 1;
+  return {
+    id: `user-${sequence}`,
+    email: `user${sequence}@example.com`,
+    role: 'viewer',
+    permissions: [],
+    ...overrides
+  };
+}
+
+/**
+ * Build a user with a role that grants nothing, so only the listed
+ * permissions apply
+ * @param {...string} permissions
+ * @returns {Object}
+ */
+export function buildUserWithGrants(...permissions) {
+  return buildUser({ role: 'none', permissions });
+}
+
+/**
+ * Build an unsigned, JWT-shaped token; enough for TokenInspector, which
+ * never verifies signatures
+ * @param {Object} [claims] - Overrides; exp/iat default to a 15 minute
+ *   token issued now
+ * @returns {string}
+ */
+export function buildJwt(claims = {}) {
+  const iat = Math.floor(Date.now() / 1000);
+  const encode = value => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+  return [
+    encode({ alg: 'none', typ: 'JWT' }),
+    encode({ sub: `user-${sequence}`, iat, exp: iat + 900, ...claims }),
+    'signature'
+  ].join('.');
+}
+
+/**
+ * Build a /auth/login or /auth/refresh response body
+ * @param {Object} [user=buildUser()]
+ * @param {Object} [overrides] - Token fields
+ * @returns {Object}
+ */
+export function buildAuthResponse(user = buildUser(), overrides = {}) {
+  return {
+    accessToken: buildJwt({ sub: user.id }),
+    refreshToken: `refresh-${user.id}`,
+    expiresIn: 900,
+    user,
+    ...overrides
+  };
+}
@@ -0,0 +1,12 @@
+/**
+ * Jest configuration for integration tests
+ *
+ * Same native ESM setup as jest.unit.config.js.
+ */
+
+import unit from './jest.unit.config.js';
+
+export default {
+  ...unit,
+  testMatch: ['<rootDir>/tests/integration/**/*.test.js']
+};
@@ -0,0 +1,18 @@
+/**
+ * Jest configuration for unit tests
+ *
+ * Sources are native ES modules (scripts use `import.meta`), so Jest runs
+ * them untransformed under `--experimental-vm-modules`; see the test:unit
+ * script in package.json.
+ */
+
+export default {
+  rootDir: '.',
+  testEnvironment: 'jsdom',
+  testMatch: ['<rootDir>/tests/unit/**/*.test.js'],
+  transform: {},
+  setupFilesAfterEnv: ['<rootDir>/tests/setup/jest.setup.js'],
+  moduleNameMapper: {
+    '^@/(.*)$': '<rootDir>/src/$1'
+  }
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Regenerate the colorblind scenarios in .pa11yci
+ *
+ * The vision profiles in tests/a11y/helpers/cvd-simulation.js are the
+ * single source of truth for colorblind simulation. This script rewrites
+ * every "Colorblind Testing - *" scenario in .pa11yci from those profiles,
+ * leaving the rest of the file untouched, so pa11y and the Playwright
+ * suite always simulate the same vision.
+ *
+ * axe and HTML_CodeSniffer read computed styles rather than pixels, so
+ * each scenario also captures a screenshot of the simulated rendering for
+ * review; measured information loss is covered by the Playwright suite.
+ *
+ * Usage:
+ *   npm run generate:pa11yci                  # rewrite .pa11yci
+ *   node scripts/generate-pa11yci.js --check  # exit 1 if out of date (pretest:a11y)
+ *
+ * .pa11yci is tracked, so it is only rewritten on request; regenerate and
+ * commit it after changing the profiles or CVD_SEVERITIES.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { VISION_PROFILES, cssFilter } from '../tests/a11y/helpers/cvd-simulation.js';
+
+const CONFIG_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '.pa11yci');
+const SCENARIO_PREFIX = 'Colorblind Testing - ';
+const BASE_URL = process.env.PA11Y_BASE_URL || 'http://localhost:3000';
+
+/**
+ * Build one pa11y scenario per vision profile
+ */
+export function buildColorblindScenarios(profiles = VISION_PROFILES, baseUrl = BASE_URL) {
+  return profiles.map(profile => ({
+    name: `${SCENARIO_PREFIX}${profile.label}`,
+    url: `${baseUrl}/`,
+    actions: [
+      `inject css html { filter: ${cssFilter(profile)}; }`,
+      'wait for element body to be visible',
+      `screen capture tests/screenshots/pa11y-colorblind-${profile.id}.png`
+    ]
+  }));
+}
+
+/**
+ * Replace the colorblind scenarios in a pa11y-ci config, keeping the
+ * position of the first one so the file diff stays readable
+ */
+export function updateConfig(config, scenarios = buildColorblindScenarios()) {
+  const existing = config.scenarios || [];
+  const firstIndex = existing.findIndex(s => s.name.startsWith(SCENARIO_PREFIX));
+  const others = existing.filter(s => !s.name.startsWith(SCENARIO_PREFIX));
+  const insertAt = firstIndex === -1 ? others.length : firstIndex;
+
+  return {
+    ...config,
+    scenarios: [...others.slice(0, insertAt), ...scenarios, ...others.slice(insertAt)]
+  };
+}
+
+function main() {
+  const current = readFileSync(CONFIG_PATH, 'utf8');
+  const next = JSON.stringify(updateConfig(JSON.parse(current)), null, 2) + '\n';
+
+  if (process.argv.includes('--check')) {
+    if (current !== next) {
+      console.error('.pa11yci colorblind scenarios are out of date. Run: npm run generate:pa11yci');
+      process.exit(1);
+    }
+    console.log('.pa11yci colorblind scenarios are up to date.');
+    return;
+  }
+
+  writeFileSync(CONFIG_PATH, next);
+  console.log(`Wrote ${VISION_PROFILES.length} colorblind scenarios to .pa11yci`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
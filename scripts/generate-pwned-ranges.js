@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Build the breached password range files that PasswordPolicy loads
+ *
+ * examples/auth/password-policy.js checks new passwords against Pwned
+ * Passwords range files served from the app's own origin, by default
+ * `/pwned-passwords/<PREFIX>.txt`. This script turns the single file
+ * written by the Pwned Passwords downloader (`haveibeenpwned-downloader
+ * pwnedpasswords`: one `HASH:COUNT` line per SHA-1, in hash order) into
+ * one `<PREFIX>.txt` of `SUFFIX:COUNT` lines per prefix, in the frontend's
+ * public directory.
+ *
+ * The full set is about a million files. --min-count keeps only hashes
+ * seen at least that many times, a partial mirror: prefixes with nothing
+ * above the cut get no file, so load it with `createRangeLoader({ partial:
+ * true })`. Without that option a missing file makes the check
+ * unavailable rather than passing.
+ *
+ * Usage:
+ *   npm run generate:pwned-ranges -- pwnedpasswords.txt
+ *   node scripts/generate-pwned-ranges.js pwnedpasswords.txt --min-count 100
+ *   node scripts/generate-pwned-ranges.js pwnedpasswords.txt --out-dir dist/pwned-passwords
+ *
+ * Run it before building the frontend; the output is git-ignored.
+ * Existing range files in the output directory are replaced.
+ */
+
+import { appendFileSync, createReadStream, mkdirSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const DEFAULT_OUT_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'frontend', 'public', 'pwned-passwords'
+);
+const HASH_LINE = /^([0-9A-F]{5})([0-9A-F]{35}):(\d+)$/i;
+const RANGE_FILE = /^[0-9A-F]{5}\.txt$/;
+
+/**
+ * Split a downloader line into its range file entry
+ * @param {string} line - `HASH:COUNT`, 40 hex characters of SHA-1
+ * @returns {{prefix: string, suffix: string, count: number}|null} null if
+ *   the line is not a SHA-1 hash and count
+ */
+export function parseHashLine(line) {
+  const match = HASH_LINE.exec(line.trim());
+  return match && {
+    prefix: match[1].toUpperCase(),
+    suffix: match[2].toUpperCase(),
+    count: Number(match[3])
+  };
+}
+
+/**
+ * Write one range file per prefix
+ * @param {AsyncIterable<string>|Iterable<string>} lines - Downloader output
+ * @param {string} outDir
+ * @param {Object} [options]
+ * @param {number} [options.minCount=1] - Drop hashes seen fewer times
+ * @returns {Promise<{files: number, hashes: number}>}
+ */
+export async function writeRangeFiles(lines, outDir, { minCount = 1 } = {}) {
+  mkdirSync(outDir, { recursive: true });
+  for (const file of readdirSync(outDir).filter(name => RANGE_FILE.test(name))) {
+    rmSync(path.join(outDir, file));
+  }
+
+  const written = new Set();
+  let prefix = null;
+  let entries = [];
+  let hashes = 0;
+  let lineNumber = 0;
+
+  const flush = () => {
+    if (entries.length === 0) return;
+    const file = path.join(outDir, `${prefix}.txt`);
+    const text = `${entries.join('\r\n')}\r\n`;
+    // Input that is not in hash order revisits a prefix
+    if (written.has(prefix)) {
+      appendFileSync(file, text);
+    } else {
+      writeFileSync(file, text);
+    }
+    written.add(prefix);
+    entries = [];
+  };
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    const hash = parseHashLine(line);
+    if (!hash) {
+      throw new Error(`Line ${lineNumber} is not a SHA-1 HASH:COUNT line`);
+    }
+    if (hash.count < minCount) continue;
+
+    if (hash.prefix !== prefix) {
+      flush();
+      prefix = hash.prefix;
+    }
+    entries.push(`${hash.suffix}:${hash.count}`);
+    hashes++;
+  }
+  flush();
+
+  return { files: written.size, hashes };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const outDir = option('--out-dir') ?? DEFAULT_OUT_DIR;
+  const minCount = Number(option('--min-count') ?? 1);
+  const [input] = args.filter((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+
+  if (!input || !(minCount >= 1)) {
+    console.error('Usage: node scripts/generate-pwned-ranges.js <pwnedpasswords.txt> [--min-count N] [--out-dir DIR]');
+    process.exit(1);
+  }
+
+  const lines = createInterface({ input: createReadStream(input), crlfDelay: Infinity });
+  const { files, hashes } = await writeRangeFiles(lines, outDir, { minCount });
+  console.log(`Wrote ${hashes} hashes in ${files} range files to ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,612 @@
+#!/usr/bin/env node
+/**
+ * Static contrast audit of the design tokens
+ *
+ * Checks color pairings straight from the stylesheets and token files,
+ * so a regression fails CI before any page renders it. The Playwright
+ * suite (tests/a11y/color-contrast.spec.js) still covers what only a
+ * rendered page knows: images, overlays and inherited colors.
+ *
+ * Tokens:
+ * - CSS custom properties. `:root` / `html` is the light theme; dark and
+ *   high-contrast themes are recognised by a root selector
+ *   (`[data-theme="dark"]`, `.dark`, `.theme-dark`, `html.high-contrast`,
+ *   ...) or media query (`prefers-color-scheme: dark`,
+ *   `prefers-contrast: more`) and override light. Properties set on any
+ *   other selector (`.card { --color-background: ... }`) are scoped to
+ *   that rule: they resolve its own pairings and nothing else
+ * - JSON token files (name containing "token"): `{ light, dark,
+ *   "high-contrast" }` groups, or one theme per file (`tokens.dark.json`).
+ *   Nested groups flatten to custom property names (`color.text` →
+ *   `--color-text`); `$value` and `{color.text}` aliases are supported
+ *
+ * Pairings (the combinations the UI relies on):
+ * - CSS rules that set both `color` and `background(-color)` (text), and
+ *   `border-color` / `outline-color` against that background (non-text)
+ * - Comments: `/* @contrast --color-link on --color-surface text AAA *\/`
+ * - JSON: `"$pairings": [{ "foreground": "color.text", "background":
+ *   "color.surface", "use": "large-text", "level": "AAA" }]`
+ *
+ * Every pairing is checked in every theme at its `use` (text, large-text,
+ * non-text) and `level` (AA unless stated), and the report includes a
+ * full foreground × background matrix per theme. Translucent backgrounds
+ * are composited over the theme's `--color-background` (or white).
+ *
+ * Usage:
+ *   node scripts/test-contrast.js                    # src, styles, tokens
+ *   node scripts/test-contrast.js src/styles/theme.css tokens/
+ *   node scripts/test-contrast.js --out-dir reports  # default test-results/contrast
+ *   node scripts/test-contrast.js --json             # JSON report on stdout
+ *
+ * Exits 1 when a pairing falls below its threshold or cannot be resolved,
+ * or when a path given on the command line is missing or has nothing to
+ * audit.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { THRESHOLDS, composite, contrastRatio, parseColor } from '../tests/a11y/helpers/contrast.js';
+
+export const THEMES = ['light', 'dark', 'high-contrast'];
+
+export const USES = ['text', 'large-text', 'non-text'];
+
+// Text from WCAG 1.4.3 / 1.4.6; non-text from 1.4.11, which has no AAA
+export const PAIRING_THRESHOLDS = Object.freeze({
+  text: { AA: THRESHOLDS.AA.normal, AAA: THRESHOLDS.AAA.normal },
+  'large-text': { AA: THRESHOLDS.AA.large, AAA: THRESHOLDS.AAA.large },
+  'non-text': { AA: 3, AAA: 3 }
+});
+
+const DEFAULT_SOURCES = ['src', 'styles', 'tokens'];
+const DEFAULT_OUT_DIR = 'test-results/contrast';
+const CANVAS_TOKENS = ['--color-background', '--color-bg', '--background'];
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+const ANNOTATION_PATTERN = /@contrast\s+(\S+)\s+on\s+(\S+)(?:\s+(text|large-text|non-text))?(?:\s+(AAA|AA))?/g;
+
+const THEME_MEDIA = {
+  'high-contrast': /prefers-contrast\s*:\s*more/i,
+  dark: /prefers-color-scheme\s*:\s*dark/i
+};
+
+// `html` or `:root`, optionally with a theme class or `data-theme`
+const ROOT_SELECTOR = /^(?:html|:root)?(?:\[data-theme\s*=\s*(["']?)[\w-]+\1\]|\.(?:theme-)?(?:light|dark|high-?contrast))*$/i;
+
+/**
+ * First compound selector of each selector in a list, e.g. `html.dark`
+ * for `html.dark .card > a`
+ */
+const leadingCompounds = selectorList => selectorList
+  .split(',')
+  .map(selector => selector.trim().split(/\s*[>+~]\s*|\s+/)[0]);
+
+/**
+ * Whether a compound selector switches the page to `theme`:
+ * `[data-theme="dark"]`, or `.dark` / `.theme-dark` on the root
+ */
+function isThemeHook(compound, theme) {
+  const name = theme.replace('-', '-?');
+  return new RegExp(`\\[data-theme\\s*=\\s*(["']?)${name}\\1\\]`, 'i').test(compound) ||
+    (ROOT_SELECTOR.test(compound) && new RegExp(`\\.(?:theme-)?${name}(?![\\w-])`, 'i').test(compound));
+}
+
+/**
+ * Theme a rule belongs to, from its selectors and enclosing at-rules
+ * @param {string[]} context - Selectors and at-rule preludes, outermost first
+ * @returns {string|null} null when the rule is not theme-specific
+ */
+export function themeOf(context) {
+  return ['high-contrast', 'dark'].find(theme => context.some(prelude => (prelude.startsWith('@')
+    ? THEME_MEDIA[theme].test(prelude)
+    : leadingCompounds(prelude).some(compound => isThemeHook(compound, theme))))) ?? null;
+}
+
+/**
+ * Whether a rule's custom properties are theme tokens rather than
+ * overrides scoped to one component
+ * @param {string} selectorList
+ * @returns {boolean}
+ */
+export function isThemeRoot(selectorList) {
+  return selectorList.split(',').every(selector => {
+    const text = selector.trim();
+    return text !== '' && ROOT_SELECTOR.test(text);
+  });
+}
+
+/**
+ * Split a stylesheet into rules with their declarations
+ * @param {string} css
+ * @returns {Array<{selector: string, context: string[], line: number, declarations: Object}>}
+ */
+export function parseCssRules(css) {
+  // Blank out comments, keeping line numbers
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+  const rules = [];
+  const stack = [];
+  let buffer = '';
+  let line = 1;
+  let startLine = 1;
+
+  const declare = () => {
+    const top = stack.at(-1);
+    const colon = buffer.indexOf(':');
+    if (top && colon > 0) {
+      const property = buffer.slice(0, colon).trim();
+      const value = buffer.slice(colon + 1).replace(/!important\s*$/, '').trim();
+      // Custom property names are case-sensitive; standard ones are not
+      top.declarations[property.startsWith('--') ? property : property.toLowerCase()] = value;
+    }
+    buffer = '';
+  };
+
+  for (const char of source) {
+    if (char === '{') {
+      stack.push({ prelude: buffer.trim(), line: startLine, declarations: {} });
+      buffer = '';
+    } else if (char === ';') {
+      declare();
+    } else if (char === '}') {
+      declare();
+      const rule = stack.pop();
+      if (rule && Object.keys(rule.declarations).length > 0) {
+        rules.push({
+          selector: rule.prelude,
+          context: [...stack.map(parent => parent.prelude), rule.prelude],
+          line: rule.line,
+          declarations: rule.declarations
+        });
+      }
+    } else {
+      if (!buffer.trim() && char.trim()) startLine = line;
+      buffer += char;
+    }
+    if (char === '\n') line += 1;
+  }
+
+  return rules;
+}
+
+/**
+ * Normalise a token reference: `--x`, `var(--x)`, `color.x` or `{color.x}`
+ * in JSON, or a literal color
+ */
+function toReference(value, { json = false } = {}) {
+  const text = String(value).trim();
+  const alias = text.match(/^\{([\w.-]+)\}$/);
+  if (alias) return `--${alias[1].replace(/\./g, '-')}`;
+  if (json && /^[a-z][\w-]*(\.[\w-]+)+$/i.test(text)) return `--${text.replace(/\./g, '-')}`;
+  const variable = text.match(/^var\(\s*(--[\w-]+)\s*\)$/);
+  return variable ? variable[1] : text;
+}
+
+function pairing(foreground, background, { use = 'text', level = 'AA', theme = null, source }) {
+  if (!USES.includes(use)) throw new RangeError(`Unknown pairing use "${use}" in ${source}`);
+  if (!PAIRING_THRESHOLDS[use][level]) throw new RangeError(`Unknown WCAG level "${level}" in ${source}`);
+  return { foreground, background, use, level, theme, source };
+}
+
+/**
+ * Replace a reference to one of the rule's own custom properties with
+ * its value there
+ */
+function resolveScoped(reference, locals, seen = new Set()) {
+  if (!(reference in locals) || seen.has(reference)) return reference;
+  return resolveScoped(toReference(locals[reference]), locals, new Set([...seen, reference]));
+}
+
+const isOwnColor = value => Boolean(value) && !/^(inherit|initial|unset|revert|currentcolor|none)$/i.test(value);
+
+/**
+ * Tokens and pairings declared in a stylesheet
+ * @param {string} css
+ * @param {string} [file='inline.css'] - For messages
+ * @returns {{themes: Object, pairings: Object[]}}
+ */
+export function parseCss(css, file = 'inline.css') {
+  const themes = Object.fromEntries(THEMES.map(theme => [theme, {}]));
+  const pairings = [];
+
+  for (const rule of parseCssRules(css)) {
+    const theme = themeOf(rule.context);
+    const source = `${file}:${rule.line} ${rule.selector}`;
+    const { declarations } = rule;
+    const custom = Object.entries(declarations).filter(([property]) => property.startsWith('--'));
+    const themeTokens = isThemeRoot(rule.selector);
+    const locals = themeTokens ? {} : Object.fromEntries(custom);
+    const reference = value => resolveScoped(toReference(value), locals);
+
+    if (themeTokens) {
+      custom.forEach(([property, value]) => {
+        themes[theme ?? 'light'][property] = value;
+      });
+    }
+
+    // Images, gradients and inherited values have no color of their own
+    const background = declarations['background-color'] ?? declarations.background;
+    if (!isOwnColor(background) || /url\(|gradient\(/.test(background)) continue;
+
+    if (isOwnColor(declarations.color)) {
+      pairings.push(pairing(reference(declarations.color), reference(background), { theme, source }));
+    }
+    ['border-color', 'outline-color'].filter(property => isOwnColor(declarations[property])).forEach(property => {
+      pairings.push(pairing(reference(declarations[property]), reference(background), { use: 'non-text', theme, source }));
+    });
+  }
+
+  css.split('\n').forEach((text, index) => {
+    for (const [, foreground, background, use, level] of text.matchAll(ANNOTATION_PATTERN)) {
+      pairings.push(pairing(toReference(foreground), toReference(background), {
+        use,
+        level,
+        source: `${file}:${index + 1} @contrast`
+      }));
+    }
+  });
+
+  return { themes, pairings };
+}
+
+function flattenTokens(group, prefix, into) {
+  Object.entries(group ?? {}).forEach(([key, value]) => {
+    if (key.startsWith('$')) return;
+    const name = `${prefix}-${key}`;
+
+    if (value && typeof value === 'object' && !('$value' in value) && !('value' in value)) {
+      flattenTokens(value, name, into);
+      return;
+    }
+
+    const raw = value && typeof value === 'object' ? value.$value ?? value.value : value;
+    const alias = String(raw).match(/^\{([\w.-]+)\}$/);
+    into[name] = alias ? `var(--${alias[1].replace(/\./g, '-')})` : String(raw);
+  });
+  return into;
+}
+
+/**
+ * Tokens and pairings from a JSON token file
+ * @param {Object} data - Parsed JSON
+ * @param {string} [file='tokens.json'] - Also decides the theme of a
+ *   single-theme file, e.g. `tokens.dark.json`
+ * @returns {{themes: Object, pairings: Object[]}}
+ */
+export function parseTokenJson(data, file = 'tokens.json') {
+  const themes = Object.fromEntries(THEMES.map(theme => [theme, {}]));
+  const base = path.basename(file);
+  const fileTheme = THEMES.find(theme => base.includes(`.${theme}.`));
+
+  if (THEMES.some(theme => theme in data)) {
+    THEMES.forEach(theme => flattenTokens(data[theme], '-', themes[theme]));
+  } else {
+    flattenTokens(data, '-', themes[fileTheme ?? 'light']);
+  }
+
+  const pairings = (data.$pairings ?? []).map((entry, index) => pairing(
+    toReference(entry.foreground, { json: true }),
+    toReference(entry.background, { json: true }),
+    { use: entry.use, level: entry.level, theme: entry.theme ?? fileTheme ?? null, source: `${file} $pairings[${index}]` }
+  ));
+
+  return { themes, pairings };
+}
+
+/**
+ * Merge sources; dark and high-contrast inherit from light
+ * @param {Array<{themes: Object, pairings: Object[]}>} sources
+ * @returns {{themes: Object, pairings: Object[], declaredThemes: string[]}}
+ */
+export function mergeSources(sources) {
+  const declared = Object.fromEntries(THEMES.map(theme => [theme, {}]));
+  const pairings = [];
+
+  sources.forEach(source => {
+    THEMES.forEach(theme => Object.assign(declared[theme], source.themes[theme]));
+    pairings.push(...source.pairings);
+  });
+
+  const themes = Object.fromEntries(THEMES.map(theme => [
+    theme,
+    theme === 'light' ? declared.light : { ...declared.light, ...declared[theme] }
+  ]));
+
+  // A theme without its own tokens or pairings would repeat light
+  const declaredThemes = THEMES.filter(theme => theme === 'light'
+    || Object.keys(declared[theme]).length > 0
+    || pairings.some(entry => entry.theme === theme));
+
+  return { themes, pairings, declaredThemes };
+}
+
+/**
+ * Resolve a token reference or CSS value to a color
+ * @param {string} value - `--token`, `var(--token, fallback)` or a color
+ * @param {Object} tokens - Custom properties of one theme
+ * @returns {{color: Object|null, value: string|null, error: string|null}}
+ */
+export function resolveColor(value, tokens, seen = new Set()) {
+  const text = String(value).trim();
+  const reference = text.startsWith('--') ? text : null;
+  const variable = text.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/);
+  const name = reference ?? variable?.[1];
+
+  if (name) {
+    if (seen.has(name)) return { color: null, value: null, error: `${name} refers to itself` };
+    if (name in tokens) return resolveColor(tokens[name], tokens, new Set([...seen, name]));
+    if (variable?.[2]) return resolveColor(variable[2], tokens, seen);
+    return { color: null, value: null, error: `${name} is not defined` };
+  }
+
+  const color = parseColor(text);
+  return color
+    ? { color, value: text, error: null }
+    : { color: null, value: text, error: `"${text}" is not a color` };
+}
+
+function canvasFor(tokens) {
+  const name = CANVAS_TOKENS.find(token => token in tokens);
+  const resolved = name ? resolveColor(name, tokens) : null;
+  return resolved?.color?.a === 1 ? resolved.color : WHITE;
+}
+
+/**
+ * Contrast of one foreground over one background in a theme
+ * @returns {{ratio: number|null, error: string|null}}
+ */
+export function measure(foreground, background, tokens) {
+  const fg = resolveColor(foreground, tokens);
+  const bg = resolveColor(background, tokens);
+  const error = fg.error ?? bg.error;
+  if (error) return { ratio: null, error };
+
+  const opaqueBackground = bg.color.a < 1 ? composite(bg.color, canvasFor(tokens)) : bg.color;
+  return { ratio: contrastRatio(fg.color, opaqueBackground), error: null };
+}
+
+/**
+ * Which thresholds a ratio meets
+ * @param {number|null} ratio
+ * @returns {{text: Object, 'large-text': Object, 'non-text': Object}}
+ */
+export function grade(ratio) {
+  return Object.fromEntries(USES.map(use => [use, {
+    AA: ratio !== null && ratio >= PAIRING_THRESHOLDS[use].AA,
+    AAA: ratio !== null && ratio >= PAIRING_THRESHOLDS[use].AAA
+  }]));
+}
+
+/**
+ * Check every pairing in every theme it applies to, and build the matrix
+ * @param {{themes: Object, pairings: Object[], declaredThemes: string[]}} merged
+ * @returns {Object} Report: `{ summary, results, matrices }`
+ */
+export function audit({ themes, pairings, declaredThemes }) {
+  const results = [];
+  const matrices = {};
+
+  declaredThemes.forEach(theme => {
+    const tokens = themes[theme];
+    const applicable = pairings.filter(entry => !entry.theme || entry.theme === theme);
+
+    // The same pairing declared twice keeps the strictest requirement
+    const unique = new Map();
+    applicable.forEach(entry => {
+      const key = `${entry.foreground}|${entry.background}|${entry.use}`;
+      const existing = unique.get(key);
+      if (!existing) {
+        unique.set(key, { ...entry, sources: [entry.source] });
+      } else {
+        existing.sources.push(entry.source);
+        if (entry.level === 'AAA') existing.level = 'AAA';
+      }
+    });
+
+    unique.forEach(({ source, ...entry }) => {
+      const { ratio, error } = measure(entry.foreground, entry.background, tokens);
+      const required = PAIRING_THRESHOLDS[entry.use][entry.level];
+      results.push({
+        ...entry,
+        theme,
+        ratio: ratio === null ? null : round(ratio),
+        required,
+        passed: error === null && ratio >= required,
+        error
+      });
+    });
+
+    const foregrounds = [...new Set(applicable.map(entry => entry.foreground))];
+    const backgrounds = [...new Set(applicable.map(entry => entry.background))];
+    matrices[theme] = {
+      foregrounds,
+      backgrounds,
+      cells: foregrounds.map(foreground => backgrounds.map(background => {
+        const { ratio } = measure(foreground, background, tokens);
+        return ratio === null ? null : round(ratio);
+      }))
+    };
+  });
+
+  const failed = results.filter(result => !result.passed).length;
+  return {
+    summary: { themes: declaredThemes, pairings: results.length, failed, passed: failed === 0 },
+    results,
+    matrices
+  };
+}
+
+const round = ratio => Math.floor(ratio * 100) / 100;
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function describeGrade(ratio) {
+  const grades = grade(ratio);
+  if (grades.text.AAA) return 'AAA';
+  if (grades.text.AA) return 'AA';
+  if (grades['large-text'].AA) return 'AA large, non-text';
+  return 'Fails';
+}
+
+/**
+ * Standalone HTML report: failures first, then a matrix per theme
+ * @param {Object} report - From audit()
+ * @returns {string}
+ */
+export function renderHtml(report) {
+  const { summary, results, matrices } = report;
+  const row = result => `
+      <tr class="${result.passed ? 'pass' : 'fail'}">
+        <td>${escapeHtml(result.theme)}</td>
+        <td><code>${escapeHtml(result.foreground)}</code></td>
+        <td><code>${escapeHtml(result.background)}</code></td>
+        <td>${escapeHtml(result.use)} ${escapeHtml(result.level)} (${result.required}:1)</td>
+        <td>${result.ratio === null ? escapeHtml(result.error) : `${result.ratio}:1`}</td>
+        <td>${result.passed ? 'Pass' : '<strong>Fail</strong>'}</td>
+        <td>${result.sources.map(escapeHtml).join('<br>')}</td>
+      </tr>`;
+
+  const ordered = [...results].sort((a, b) => Number(a.passed) - Number(b.passed));
+
+  const matrixTables = Object.entries(matrices).map(([theme, { foregrounds, backgrounds, cells }]) => `
+    <table>
+      <caption>${escapeHtml(theme)} theme: foreground (rows) on background (columns)</caption>
+      <thead>
+        <tr><td></td>${backgrounds.map(background => `<th scope="col"><code>${escapeHtml(background)}</code></th>`).join('')}</tr>
+      </thead>
+      <tbody>${foregrounds.map((foreground, row) => `
+        <tr>
+          <th scope="row"><code>${escapeHtml(foreground)}</code></th>${cells[row].map(ratio => `
+          <td>${ratio === null ? '—' : `${ratio}:1 <small>${describeGrade(ratio)}</small>`}</td>`).join('')}
+        </tr>`).join('')}
+      </tbody>
+    </table>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Contrast audit</title>
+  <style>
+    body { font: 16px/1.5 system-ui, sans-serif; color: #1a1a1a; background: #ffffff; margin: 2rem; }
+    table { border-collapse: collapse; margin-bottom: 2rem; }
+    caption { font-weight: bold; text-align: left; padding: 0.5rem 0; }
+    th, td { border: 1px solid #595959; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+    tr.fail td { background: #fbe9e9; }
+  </style>
+</head>
+<body>
+  <h1>Contrast audit</h1>
+  <p>${summary.pairings} pairings in ${escapeHtml(summary.themes.join(', '))}: ${summary.failed === 0 ? 'all pass' : `<strong>${summary.failed} failed</strong>`}.</p>
+  <table>
+    <caption>Declared pairings</caption>
+    <thead>
+      <tr><th scope="col">Theme</th><th scope="col">Foreground</th><th scope="col">Background</th><th scope="col">Requirement</th><th scope="col">Ratio</th><th scope="col">Result</th><th scope="col">Declared in</th></tr>
+    </thead>
+    <tbody>${ordered.map(row).join('')}
+    </tbody>
+  </table>
+  <h2>Matrix</h2>
+  ${matrixTables}
+</body>
+</html>
+`;
+}
+
+/**
+ * Stylesheets and token files under the given paths
+ * @param {string[]} paths - Files or directories
+ * @returns {string[]}
+ */
+export function findSources(paths) {
+  const files = [];
+  const visit = (entry) => {
+    if (!existsSync(entry)) return;
+    if (statSync(entry).isDirectory()) {
+      readdirSync(entry)
+        .filter(name => name !== 'node_modules' && !name.startsWith('.'))
+        .forEach(name => visit(path.join(entry, name)));
+      return;
+    }
+    const name = path.basename(entry);
+    if (name.endsWith('.css') || (name.endsWith('.json') && /token/i.test(name))) files.push(entry);
+  };
+  paths.forEach(visit);
+  return files;
+}
+
+/**
+ * Paths given on the command line that are missing or hold nothing to
+ * audit; a typo there must not pass as an empty audit
+ * @param {string[]} paths - Files or directories
+ * @returns {Array<{path: string, reason: string}>}
+ */
+export function unusablePaths(paths) {
+  return paths.flatMap(entry => {
+    if (!existsSync(entry)) return [{ path: entry, reason: 'does not exist' }];
+    return findSources([entry]).length === 0 ? [{ path: entry, reason: 'has no stylesheets or token files' }] : [];
+  });
+}
+
+/**
+ * Parse, merge and audit files
+ * @param {string[]} files
+ * @returns {Object} Report from audit(), plus `files`
+ */
+export function auditFiles(files) {
+  const sources = files.map(file => {
+    const text = readFileSync(file, 'utf8');
+    return file.endsWith('.json') ? parseTokenJson(JSON.parse(text), file) : parseCss(text, file);
+  });
+  return { files, ...audit(mergeSources(sources)) };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out-dir');
+  const outDir = outIndex === -1 ? DEFAULT_OUT_DIR : args[outIndex + 1];
+  const paths = args.filter((arg, index) => !arg.startsWith('--') && (outIndex === -1 || index !== outIndex + 1));
+  const roots = paths.length > 0 ? paths : DEFAULT_SOURCES;
+
+  const unusable = unusablePaths(paths);
+  if (unusable.length > 0) {
+    unusable.forEach(entry => console.error(`✖ ${entry.path} ${entry.reason}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = findSources(roots);
+
+  if (files.length === 0) {
+    console.log(`No stylesheets or token files found in ${roots.join(', ')}; nothing to audit.`);
+    return;
+  }
+
+  const report = auditFiles(files);
+
+  mkdirSync(outDir, { recursive: true });
+  writeFileSync(path.join(outDir, 'contrast-report.json'), `${JSON.stringify(report, null, 2)}\n`);
+  writeFileSync(path.join(outDir, 'contrast-report.html'), renderHtml(report));
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const { summary, results } = report;
+    console.log(`Contrast audit: ${summary.pairings} pairings in ${summary.themes.join(', ')} from ${files.length} ${files.length === 1 ? 'file' : 'files'}`);
+    results.filter(result => !result.passed).forEach(result => {
+      const measured = result.error ?? `${result.ratio}:1`;
+      console.error(`  ✖ ${result.theme}: ${result.foreground} on ${result.background} is ${measured}; ${result.use} ${result.level} needs ${result.required}:1 (${result.sources[0]})`);
+    });
+    console.log(`${summary.failed} failed. Report: ${path.join(outDir, 'contrast-report.html')}`);
+  }
+
+  process.exitCode = report.summary.passed ? 0 : 1;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
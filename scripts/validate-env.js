@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+/**
+ * Validate the environment against .env.schema.json
+ *
+ * .env.schema.json is the single source of truth for which variables
+ * exist and what they may contain. This script loads `.env`, then
+ * `.env.<NODE_ENV>`, then `process.env` (later sources win, as with
+ * dotenv), checks the result against the schema and adds the rules a
+ * JSON schema cannot express:
+ *
+ * - production and staging reject the development defaults from
+ *   docker-compose.yml and the placeholders from .env.example
+ * - SESSION_SECRET and JWT_SECRET need an estimated 112 bits of entropy
+ *   (NIST SP 800-57's minimum) and must differ from each other
+ * - ALLOWED_ORIGINS must be a comma-separated list of http(s) origins;
+ *   production allows neither `*`, plain http nor localhost
+ *
+ * The same checks warn instead of fail in development and test. Values
+ * are never printed, so the output is safe for CI logs.
+ *
+ * Usage:
+ *   node scripts/validate-env.js                     # readable report
+ *   node scripts/validate-env.js --json              # machine-readable
+ *   node scripts/validate-env.js --env-file .env.ci  # instead of .env
+ *   node scripts/validate-env.js --strict            # warnings fail too
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SCHEMA_PATH = path.join(ROOT, '.env.schema.json');
+
+// Environments that hold real data; elsewhere the extra rules only warn
+const DEPLOYED_ENVIRONMENTS = ['production', 'staging'];
+
+export const SECRET_KEYS = ['SESSION_SECRET', 'JWT_SECRET'];
+
+export const MIN_SECRET_BITS = 112;
+
+// docker-compose.yml defaults and .env.example placeholders
+export const KNOWN_DEFAULT_SECRETS = Object.freeze([
+  'development_secret_change_in_production',
+  'development_session_secret',
+  'development_secret_key',
+  'generate_secure_random_string_min_32_chars',
+  'generate_another_secure_random_string',
+  'your_secret_here',
+  'your_jwt_secret'
+]);
+
+const PLACEHOLDER_PATTERN = /change_?me|change_in_production|^generate_|^your_/i;
+
+// Credentials from docker-compose.yml and .env.example
+const DEFAULT_DATABASE_CREDENTIALS = ['postgres:postgres@', 'user:password@', 'user:pass@'];
+
+/**
+ * Parse the contents of a .env file
+ *
+ * Supports comments, `export KEY=value`, single quotes (literal) and
+ * double quotes (with \n escapes); unquoted values end at ` #`.
+ * @param {string} text
+ * @returns {{values: Object, problems: Array<{line: number, message: string}>}}
+ */
+export function parseEnvFile(text) {
+  const values = {};
+  const problems = [];
+  const seen = new Map();
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const trimmed = raw.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const match = trimmed.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) {
+      problems.push({ line, message: 'Expected KEY=value' });
+      return;
+    }
+
+    const [, key, rest] = match;
+    let value;
+
+    if (rest.startsWith('"') || rest.startsWith('\'')) {
+      const quote = rest[0];
+      const end = rest.indexOf(quote, 1);
+      if (end === -1) {
+        problems.push({ line, message: `${key} has an unterminated ${quote === '"' ? 'double' : 'single'} quote` });
+        return;
+      }
+      value = rest.slice(1, end);
+      if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+    } else {
+      value = rest.replace(/\s+#.*$/, '').trim();
+    }
+
+    if (seen.has(key)) {
+      problems.push({ line, message: `${key} is also set on line ${seen.get(key)}; the last one wins` });
+    }
+    seen.set(key, line);
+    values[key] = value;
+  });
+
+  return { values, problems };
+}
+
+/**
+ * Load the environment the app would see
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory holding the .env files
+ * @param {string} [options.envFile='.env']
+ * @param {Object} [options.processEnv=process.env] - Wins over files
+ * @returns {{env: Object, sources: string[], problems: Array<{file: string, line: number, message: string}>}}
+ */
+export function loadEnv({ cwd = ROOT, envFile = '.env', processEnv = process.env } = {}) {
+  const sources = [];
+  const problems = [];
+  let fromFiles = {};
+
+  const read = (file) => {
+    const fullPath = path.resolve(cwd, file);
+    if (!existsSync(fullPath)) return;
+
+    const parsed = parseEnvFile(readFileSync(fullPath, 'utf8'));
+    fromFiles = { ...fromFiles, ...parsed.values };
+    sources.push(file);
+    problems.push(...parsed.problems.map(problem => ({ file, ...problem })));
+  };
+
+  read(envFile);
+  const nodeEnv = processEnv.NODE_ENV || fromFiles.NODE_ENV;
+  if (nodeEnv && envFile === '.env') read(`.env.${nodeEnv}`);
+  sources.push('process.env');
+
+  return { env: { ...fromFiles, ...processEnv }, sources, problems };
+}
+
+const isSet = value => value !== undefined && value !== '';
+
+function matchesIf(env, condition) {
+  return Object.entries(condition?.properties ?? {})
+    .every(([key, rule]) => !('const' in rule) || env[key] === rule.const);
+}
+
+// Also rejects "localhost:3000", which parses with "localhost:" as scheme
+function isUri(value) {
+  try {
+    return new URL(value).host !== '';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check an environment against the subset of JSON Schema that
+ * .env.schema.json uses: required, enum, const, pattern, minLength,
+ * maxLength, format "uri" and if/then/else on constants
+ * @param {Object} env
+ * @param {Object} schema
+ * @returns {Array<{key: string, rule: string, severity: string, message: string}>}
+ */
+export function validateSchema(env, schema) {
+  const issues = [];
+  const error = (key, rule, message) => issues.push({ key, rule, severity: 'error', message });
+
+  (schema.required ?? []).forEach(key => {
+    if (!isSet(env[key])) error(key, 'required', `${key} is required`);
+  });
+
+  Object.entries(schema.properties ?? {}).forEach(([key, rule]) => {
+    const value = env[key];
+    // An empty value, as in `SENTRY_DSN=`, counts as unset
+    if (!isSet(value)) return;
+
+    const about = rule.description ? ` (${rule.description})` : '';
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      error(key, 'enum', `${key} must be one of: ${rule.enum.join(', ')}`);
+    }
+    if ('const' in rule && value !== rule.const) {
+      error(key, 'const', `${key} must be "${rule.const}"`);
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      error(key, 'pattern', `${key} must match ${rule.pattern}${about}`);
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      error(key, 'minLength', `${key} must be at least ${rule.minLength} characters (has ${value.length})`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      error(key, 'maxLength', `${key} must be at most ${rule.maxLength} characters (has ${value.length})`);
+    }
+    if (rule.format === 'uri' && !isUri(value)) {
+      error(key, 'format', `${key} must be an absolute URL${about}`);
+    }
+  });
+
+  if (schema.if) {
+    const branch = matchesIf(env, schema.if) ? schema.then : schema.else;
+    if (branch) {
+      const seen = new Set(issues.map(({ key, rule }) => `${key}:${rule}`));
+      validateSchema(env, branch)
+        .filter(({ key, rule }) => !seen.has(`${key}:${rule}`))
+        .forEach(issue => issues.push(issue));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Lower-bound estimate of a secret's entropy in bits: the smaller of the
+ * character pool estimate and the observed (Shannon) character entropy,
+ * so long but repetitive values score low
+ * @param {string} secret
+ * @returns {number} Whole bits
+ */
+export function estimateEntropy(secret) {
+  const chars = [...(secret ?? '')];
+  if (chars.length === 0) return 0;
+
+  const pool = [
+    [/[a-z]/, 26],
+    [/[A-Z]/, 26],
+    [/[0-9]/, 10],
+    [/[^a-zA-Z0-9]/, 33]
+  ].reduce((size, [pattern, count]) => (pattern.test(secret) ? size + count : size), 0);
+
+  // Hex is common for generated secrets and much smaller than a-z0-9
+  const poolSize = /^[0-9a-f]+$/i.test(secret) ? 16 : pool;
+  const poolBits = chars.length * Math.log2(poolSize);
+
+  const counts = new Map();
+  chars.forEach(char => counts.set(char, (counts.get(char) ?? 0) + 1));
+  const perChar = [...counts.values()].reduce((sum, count) => {
+    const p = count / chars.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+
+  return Math.floor(Math.min(poolBits, perChar * chars.length));
+}
+
+/**
+ * Parse ALLOWED_ORIGINS
+ * @param {string} value - Comma-separated origins, or `*`
+ * @returns {{origins: string[], wildcard: boolean, problems: string[]}}
+ */
+export function parseOrigins(value) {
+  const origins = [];
+  const problems = [];
+  let wildcard = false;
+
+  String(value ?? '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    if (entry === '*') {
+      wildcard = true;
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(entry);
+    } catch {
+      problems.push(`"${entry}" is not a URL`);
+      return;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      problems.push(`"${entry}" must use http or https`);
+    } else if (url.pathname !== '/' || url.search || url.hash || url.username) {
+      problems.push(`"${entry}" must be an origin without a path, e.g. "${url.origin}"`);
+    } else {
+      origins.push(url.origin);
+    }
+  });
+
+  return { origins, wildcard, problems };
+}
+
+const isLocalhost = origin => /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin);
+
+function isDefaultSecret(value) {
+  return KNOWN_DEFAULT_SECRETS.includes(value) || PLACEHOLDER_PATTERN.test(value);
+}
+
+/**
+ * Rules that depend on NODE_ENV; errors in production and staging,
+ * warnings elsewhere
+ * @param {Object} env
+ * @returns {Array<{key: string, rule: string, severity: string, message: string}>}
+ */
+export function validateForEnvironment(env) {
+  const nodeEnv = env.NODE_ENV;
+  const deployed = DEPLOYED_ENVIRONMENTS.includes(nodeEnv);
+  const production = nodeEnv === 'production';
+  const severity = deployed ? 'error' : 'warning';
+  const issues = [];
+  const add = (key, rule, message, level = severity) => issues.push({ key, rule, severity: level, message });
+
+  SECRET_KEYS.filter(key => isSet(env[key])).forEach(key => {
+    if (isDefaultSecret(env[key])) {
+      add(key, 'default-secret', `${key} is a development default or placeholder. Generate one with: openssl rand -base64 32`);
+      return;
+    }
+    const bits = estimateEntropy(env[key]);
+    if (bits < MIN_SECRET_BITS) {
+      add(key, 'entropy', `${key} has about ${bits} bits of entropy; use at least ${MIN_SECRET_BITS} (openssl rand -base64 32)`);
+    }
+  });
+
+  if (deployed && isSet(env.SESSION_SECRET) && env.SESSION_SECRET === env.JWT_SECRET) {
+    add('JWT_SECRET', 'distinct-secrets', 'JWT_SECRET must differ from SESSION_SECRET');
+  }
+
+  if (isSet(env.ALLOWED_ORIGINS)) {
+    const { origins, wildcard, problems } = parseOrigins(env.ALLOWED_ORIGINS);
+    problems.forEach(problem => add('ALLOWED_ORIGINS', 'origins', `ALLOWED_ORIGINS: ${problem}`, 'error'));
+
+    if (wildcard) {
+      add('ALLOWED_ORIGINS', 'origins', 'ALLOWED_ORIGINS must list origins instead of "*" when credentials are sent');
+    }
+    if (production) {
+      origins.filter(origin => origin.startsWith('http:') || isLocalhost(origin)).forEach(origin => {
+        add('ALLOWED_ORIGINS', 'origins', `ALLOWED_ORIGINS includes "${origin}"; production origins must be public https URLs`);
+      });
+    }
+  }
+
+  if (production && isSet(env.PUBLIC_URL) && isUri(env.PUBLIC_URL) && new URL(env.PUBLIC_URL).protocol !== 'https:') {
+    add('PUBLIC_URL', 'https', 'PUBLIC_URL must use https in production');
+  }
+
+  if (deployed && isSet(env.DATABASE_URL) && DEFAULT_DATABASE_CREDENTIALS.some(credentials => env.DATABASE_URL.includes(credentials))) {
+    add('DATABASE_URL', 'default-credentials', 'DATABASE_URL uses the default development credentials');
+  }
+
+  return issues;
+}
+
+/**
+ * Validate an environment: the schema, then the NODE_ENV rules
+ * @param {Object} env
+ * @param {Object} schema - Parsed .env.schema.json
+ * @returns {{valid: boolean, nodeEnv: string|null, errors: Object[], warnings: Object[], origins: string[]}}
+ */
+export function validateEnv(env, schema) {
+  const issues = [...validateSchema(env, schema), ...validateForEnvironment(env)];
+
+  return {
+    valid: !issues.some(issue => issue.severity === 'error'),
+    nodeEnv: env.NODE_ENV ?? null,
+    errors: issues.filter(issue => issue.severity === 'error'),
+    warnings: issues.filter(issue => issue.severity === 'warning'),
+    origins: parseOrigins(env.ALLOWED_ORIGINS).origins
+  };
+}
+
+/**
+ * Human-readable report; never includes values
+ * @param {Object} result - From validateEnv, plus `sources` and `problems`
+ * @returns {string}
+ */
+export function formatReport({ nodeEnv, errors, warnings, sources = [], problems = [] }) {
+  const lines = [`Checked ${sources.join(', ') || 'the environment'} for NODE_ENV=${nodeEnv ?? '(unset)'}`, ''];
+  problems.forEach(({ file, line, message }) => lines.push(`  ⚠ ${file}:${line}  ${message}`));
+  errors.forEach(({ message }) => lines.push(`  ✖ ${message}`));
+  warnings.forEach(({ message }) => lines.push(`  ⚠ ${message}`));
+
+  if (errors.length === 0 && warnings.length === 0 && problems.length === 0) {
+    lines.push('  ✔ All checks passed');
+  }
+
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  lines.push('', `${plural(errors.length, 'error')}, ${plural(warnings.length + problems.length, 'warning')}`);
+  return lines.join('\n');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const fileIndex = args.indexOf('--env-file');
+  const envFile = fileIndex === -1 ? '.env' : args[fileIndex + 1];
+
+  const schema = JSON.parse(readFileSync(SCHEMA_PATH, 'utf8'));
+  const { env, sources, problems } = loadEnv({ cwd: process.cwd(), envFile });
+  const result = validateEnv(env, schema);
+  const strict = args.includes('--strict');
+  const passed = result.valid && !(strict && (result.warnings.length > 0 || problems.length > 0));
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ ...result, valid: passed, sources, problems }, null, 2));
+  } else {
+    (passed ? console.log : console.error)(formatReport({ ...result, sources, problems }));
+  }
+
+  process.exitCode = passed ? 0 : 1;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
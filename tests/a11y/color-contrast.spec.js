@@ -8,48 +8,12 @@
 
 import { test, expect } from '@playwright/test';
 import { injectAxe, checkA11y, getViolations } from 'axe-playwright';
-
-// Color vision deficiency filters
-const colorblindFilters = {
-  deuteranopia: 'url("#deuteranopia")', // Red-green (most common, ~8% of males)
-  protanopia: 'url("#protanopia")',     // Red-green (~1% of males)
-  tritanopia: 'url("#tritanopia")',     // Blue-yellow (rare)
-  achromatopsia: 'grayscale(100%)'      // Complete color blindness (very rare)
-};
-
-// SVG filters for accurate colorblind simulation
-const svgFilters = `
-<svg xmlns="http://www.w3.org/2000/svg" style="display: none">
-  <defs>
-    <!-- Deuteranopia (Red-Green Color Blindness) -->
-    <filter id="deuteranopia">
-      <feColorMatrix type="matrix" values="
-        0.625 0.375 0.000 0 0
-        0.700 0.300 0.000 0 0
-        0.000 0.300 0.700 0 0
-        0.000 0.000 0.000 1 0"/>
-    </filter>
-    
-    <!-- Protanopia (Red-Green Color Blindness) -->
-    <filter id="protanopia">
-      <feColorMatrix type="matrix" values="
-        0.567 0.433 0.000 0 0
-        0.558 0.442 0.000 0 0
-        0.000 0.242 0.758 0 0
-        0.000 0.000 0.000 1 0"/>
-    </filter>
-    
-    <!-- Tritanopia (Blue-Yellow Color Blindness) -->
-    <filter id="tritanopia">
-      <feColorMatrix type="matrix" values="
-        0.950 0.050 0.000 0 0
-        0.000 0.433 0.567 0 0
-        0.000 0.475 0.525 0 0
-        0.000 0.000 0.000 1 0"/>
-    </filter>
-  </defs>
-</svg>
-`;
+import { installContrastKit } from './helpers/contrast.js';
+import { VISION_PROFILES, applyVisionProfile } from './helpers/cvd-simulation.js';
+import { collectSemanticPairs, findInformationLoss, formatLoss } from './helpers/information-loss.js';
+import { collectNonTextContrast, configureAxeNonTextRule, formatNonTextFinding } from './helpers/non-text-contrast.js';
+import { formatPixelResult, measurePixelContrast } from './helpers/pixel-contrast.js';
+import { FOCUS_CRITERIA, formatFocusResult, measureFocusAppearance } from './helpers/focus-appearance.js';
 
 test.describe('Color Contrast Compliance', () => {
   test.beforeEach(async ({ page }) => {
@@ -83,6 +47,8 @@ test.describe('Color Contrast Compliance', () => {
   });
 
   test('meets WCAG AAA contrast requirements for critical text', async ({ page }) => {
+    await installContrastKit(page);
+
     // Critical text elements that should meet AAA standards (7:1 ratio)
     const criticalSelectors = [
       'h1', 'h2', 'h3',           // Headings
@@ -92,109 +58,89 @@ test.describe('Color Contrast Compliance', () => {
       'a'                         // Links
     ];
 
+    const failures = [];
+
     for (const selector of criticalSelectors) {
-      const elements = await page.$$(selector);
-      
-      for (const element of elements) {
-        const contrastRatio = await element.evaluate(el => {
-          const style = window.getComputedStyle(el);
-          const backgroundColor = style.backgroundColor;
-          const color = style.color;
-          
-          // This is a simplified check - in production, use a proper
-          // contrast calculation library
-          return calculateContrast(color, backgroundColor);
-        });
+      const results = await page.$$eval(selector, elements => elements
+        // Only rendered elements that actually contain text
+        .filter(el => el.textContent.trim() !== '' &&
+          el.getClientRects().length > 0 &&
+          window.getComputedStyle(el).visibility !== 'hidden')
+        .map(el => ({
+          text: el.textContent.trim().slice(0, 60),
+          ...window.__a11y.contrast.measureElement(el, 'AAA')
+        })));
 
-        // AAA standard requires 7:1 for normal text, 4.5:1 for large text
-        const fontSize = await element.evaluate(el => 
-          parseFloat(window.getComputedStyle(el).fontSize)
-        );
-        
-        const requiredRatio = fontSize >= 18 ? 4.5 : 7;
-        
-        if (contrastRatio < requiredRatio) {
-          const text = await element.textContent();
-          console.warn(`Low contrast on "${text}": ${contrastRatio}:1 (needs ${requiredRatio}:1)`);
+      for (const result of results) {
+        // Text over images/gradients cannot be judged from computed style
+        if (result.indeterminate) {
+          test.info().annotations.push({
+            type: 'contrast-indeterminate',
+            description: `${selector} "${result.text}" is over a background image`
+          });
+          continue;
+        }
+
+        // AAA requires 7:1 for normal text, 4.5:1 for large or bold text
+        if (!result.passes) {
+          failures.push(
+            `${selector} "${result.text}": ${result.ratio.toFixed(2)}:1 ` +
+            `(needs ${result.required}:1, ${result.foreground} on ${result.background})`
+          );
         }
       }
     }
+
+    expect(failures, 'Critical text below WCAG AAA contrast').toEqual([]);
+  });
+
+  test('text meets WCAG AA against the rendered background', async ({ page }) => {
+    // Screenshot-based, so text over images, gradients, video posters and
+    // overlays is measured instead of skipped
+    const results = await measurePixelContrast(page, { overlays: true });
+    const failing = results.filter(result => !result.passes);
+
+    for (const result of failing) {
+      await test.info().attach(`contrast-${result.index}-${result.label}.png`, {
+        body: Buffer.from(result.overlay, 'base64'),
+        contentType: 'image/png'
+      });
+    }
+
+    expect(failing.map(formatPixelResult), 'Text with background regions below WCAG AA').toEqual([]);
   });
 });
 
 test.describe('Colorblind Accessibility', () => {
   test.beforeEach(async ({ page }) => {
     await page.goto('/');
-    
-    // Inject SVG filters for colorblind simulation
-    await page.evaluate(filters => {
-      const div = document.createElement('div');
-      div.innerHTML = filters;
-      document.body.appendChild(div);
-    }, svgFilters);
   });
 
-  Object.entries(colorblindFilters).forEach(([condition, filter]) => {
-    test(`information is perceivable with ${condition}`, async ({ page }) => {
-      // Apply colorblind filter
-      await page.evaluate(filter => {
-        document.documentElement.style.filter = filter;
-      }, filter);
+  // Severity-graded profiles shared with the pa11y scenarios
+  VISION_PROFILES.forEach(profile => {
+    test(`information is perceivable with ${profile.label}`, async ({ page }) => {
+      // Apply colorblind simulation
+      await applyVisionProfile(page, profile);
 
       // Check that all important information is still accessible
       await verifyInformationAccessibility(page);
       
       // Take screenshot for manual review
       await page.screenshot({
-        path: `tests/screenshots/colorblind-${condition}.png`,
+        path: `tests/screenshots/colorblind-${profile.id}.png`,
         fullPage: true
       });
     });
 
-    test(`no information lost with ${condition}`, async ({ page }) => {
-      // Get all text content before applying filter
-      const originalContent = await page.evaluate(() => {
-        const walker = document.createTreeWalker(
-          document.body,
-          NodeFilter.SHOW_TEXT,
-          null,
-          false
-        );
-        
-        const texts = [];
-        let node;
-        while (node = walker.nextNode()) {
-          const text = node.textContent.trim();
-          if (text) texts.push(text);
-        }
-        return texts;
-      });
+    test(`no information lost with ${profile.label}`, async ({ page }) => {
+      // Rendered colors of paired semantic states (error/success, series, badges)
+      const collected = await collectSemanticPairs(page);
 
-      // Apply colorblind filter
-      await page.evaluate(filter => {
-        document.documentElement.style.filter = filter;
-      }, filter);
-
-      // Verify all text is still visible
-      const filteredContent = await page.evaluate(() => {
-        const walker = document.createTreeWalker(
-          document.body,
-          NodeFilter.SHOW_TEXT,
-          null,
-          false
-        );
-        
-        const texts = [];
-        let node;
-        while (node = walker.nextNode()) {
-          const text = node.textContent.trim();
-          if (text) texts.push(text);
-        }
-        return texts;
-      });
+      // Pairs that are distinct for typical vision but merge under simulation
+      const losses = findInformationLoss(collected, profile);
 
-      // All original content should still be present
-      expect(filteredContent).toEqual(originalContent);
+      expect(losses.map(formatLoss), `Colors that stop being distinguishable with ${profile.label}`)
+        .toEqual([]);
     });
   });
 
@@ -262,66 +208,52 @@ test.describe('Colorblind Accessibility', () => {
       expect(hasNonColorIndicator).toBeTruthy();
     }
   });
+});
 
-  test('interactive elements are identifiable without color', async ({ page }) => {
-    // Apply complete color blindness filter
-    await page.evaluate(() => {
-      document.documentElement.style.filter = 'grayscale(100%)';
+test.describe('Non-text Contrast', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('controls, toggle states and icons reach 3:1 (WCAG 1.4.11)', async ({ page }) => {
+    const findings = await collectNonTextContrast(page);
+
+    findings.filter(finding => finding.indeterminate).forEach(finding => {
+      test.info().annotations.push({ type: 'non-text-contrast-indeterminate', description: formatNonTextFinding(finding) });
     });
-    
-    // Check that all interactive elements are still identifiable
-    const interactiveSelectors = ['a', 'button', 'input', 'select', 'textarea'];
-    
-    for (const selector of interactiveSelectors) {
-      const elements = await page.$$(selector);
-      
-      for (const element of elements) {
-        const isIdentifiable = await element.evaluate(el => {
-          const style = window.getComputedStyle(el);
-          
-          // Check for visual indicators besides color
-          return (
-            style.textDecoration !== 'none' ||     // Underline for links
-            style.border !== 'none' ||              // Border
-            style.backgroundColor !== 'transparent' || // Background
-            style.boxShadow !== 'none' ||          // Shadow
-            style.outline !== 'none' ||            // Outline
-            el.tagName === 'BUTTON' ||             // Semantic button
-            el.tagName === 'INPUT' ||              // Form input
-            el.tagName === 'SELECT' ||             // Dropdown
-            el.tagName === 'TEXTAREA'              // Text area
-          );
-        });
-        
-        expect(isIdentifiable).toBeTruthy();
-      }
-    }
+
+    expect(findings.filter(finding => !finding.passes && !finding.indeterminate).map(formatNonTextFinding),
+      'Non-text contrast below 3:1').toEqual([]);
+  });
+
+  test('passes the non-text-contrast axe rule', async ({ page }) => {
+    await injectAxe(page);
+    await configureAxeNonTextRule(page);
+
+    const violations = await getViolations(page, null, {
+      runOnly: { type: 'rule', values: ['non-text-contrast'] }
+    });
+
+    expect(violations.flatMap(violation => violation.nodes.map(node => node.target.join(' ')))).toEqual([]);
   });
 });
 
 test.describe('Focus Indicators', () => {
-  test('focus indicators have sufficient contrast', async ({ page }) => {
+  test('focus indicators meet WCAG 2.2 focus appearance', async ({ page }) => {
     await page.goto('/');
-    
-    // Tab through all focusable elements
-    const focusableElements = await page.$$('a, button, input, select, textarea, [tabindex]');
-    
-    for (const element of focusableElements) {
-      await element.focus();
-      
-      const hasVisibleFocus = await element.evaluate(el => {
-        const style = window.getComputedStyle(el);
-        
-        // Check for visible focus indicator
-        return (
-          style.outline !== 'none' ||
-          style.boxShadow !== 'none' ||
-          style.border !== window.getComputedStyle(el, ':not(:focus)').border
-        );
-      });
-      
-      expect(hasVisibleFocus).toBeTruthy();
-    }
+
+    // Real Tab order, each stop captured focused and unfocused
+    const results = await measureFocusAppearance(page);
+    const failing = criterion => results.filter(result => !result.passes[criterion]).map(formatFocusResult);
+
+    expect.soft(failing('focusVisible'), FOCUS_CRITERIA.focusVisible).toEqual([]);
+    expect.soft(failing('notObscured'), FOCUS_CRITERIA.notObscured).toEqual([]);
+    expect.soft(failing('focusAppearance'), FOCUS_CRITERIA.focusAppearance).toEqual([]);
+
+    // Partly hidden stops pass AA; record them for review
+    results.filter(result => result.passes.notObscured && !result.passes.notObscuredEnhanced).forEach(result => {
+      test.info().annotations.push({ type: 'focus-partly-obscured', description: formatFocusResult(result) });
+    });
   });
 });
 
@@ -372,10 +304,3 @@ async function verifyInformationAccessibility(page) {
     expect(hasAlternative).toBeTruthy();
   }
 }
-
-// Simplified contrast calculation (use a proper library in production)
-function calculateContrast(color1, color2) {
-  // This is a placeholder - use a proper contrast calculation library
-  // like color-contrast-checker or wcag-contrast
-  return 7.1; // Mock value for testing
-}
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * Perceptual Color Difference (CIEDE2000)
+ *
+ * Converts sRGB colors to CIELAB (D65) and computes ΔE00 as specified in
+ * CIE 15:2004, following the reference implementation notes of Sharma,
+ * Wu & Dalal (2005). ΔE00 ≈ 1 is a just-noticeable difference; values
+ * around 10 and above read as clearly different colors at a glance.
+ */
+
+import { srgbToLinear } from './contrast.js';
+
+const D65_WHITE = [0.3127 / 0.329, 1, (1 - 0.3127 - 0.329) / 0.329];
+
+const SRGB_TO_XYZ = [
+  [0.4123907992659595, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151036, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559185, 0.11919477979462598, 0.9505321522496606]
+];
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+/**
+ * Convert an sRGB color (0-255 channels) to CIELAB under D65
+ * @param {{r:number,g:number,b:number}} color - sRGB color
+ * @returns {{L:number,a:number,b:number}} CIELAB color
+ */
+export function rgbToLab({ r, g, b }) {
+  const linear = [r, g, b].map(c => srgbToLinear(c / 255));
+  const xyz = SRGB_TO_XYZ.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+
+  const epsilon = 216 / 24389;
+  const kappa = 24389 / 27;
+  const [fx, fy, fz] = xyz.map((value, i) => {
+    const t = value / D65_WHITE[i];
+    return t > epsilon ? Math.cbrt(t) : (kappa * t + 16) / 116;
+  });
+
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ * @param {{L:number,a:number,b:number}} lab1 - Reference color
+ * @param {{L:number,a:number,b:number}} lab2 - Sample color
+ * @param {{kL?:number,kC?:number,kH?:number}} [weights] - Parametric factors
+ * @returns {number} ΔE00
+ */
+export function deltaE2000(lab1, lab2, { kL = 1, kC = 1, kH = 1 } = {}) {
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const meanC = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+
+  const a1 = (1 + G) * lab1.a;
+  const a2 = (1 + G) * lab2.a;
+  const c1 = Math.hypot(a1, lab1.b);
+  const c2 = Math.hypot(a2, lab2.b);
+
+  const hueAngle = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = toDegrees(Math.atan2(b, a));
+    return h >= 0 ? h : h + 360;
+  };
+  const h1 = hueAngle(lab1.b, a1);
+  const h2 = hueAngle(lab2.b, a2);
+
+  const deltaL = lab2.L - lab1.L;
+  const deltaC = c2 - c1;
+
+  let deltah = 0;
+  if (c1 * c2 !== 0) {
+    deltah = h2 - h1;
+    if (deltah > 180) deltah -= 360;
+    else if (deltah < -180) deltah += 360;
+  }
+  const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltah / 2));
+
+  const meanL = (lab1.L + lab2.L) / 2;
+  const meanc = (c1 + c2) / 2;
+
+  let meanH = h1 + h2;
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) meanH = (h1 + h2) / 2;
+    else if (h1 + h2 < 360) meanH = (h1 + h2 + 360) / 2;
+    else meanH = (h1 + h2 - 360) / 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(toRadians(meanH - 30)) +
+    0.24 * Math.cos(toRadians(2 * meanH)) +
+    0.32 * Math.cos(toRadians(3 * meanH + 6)) -
+    0.2 * Math.cos(toRadians(4 * meanH - 63));
+
+  const deltaTheta = 30 * Math.exp(-Math.pow((meanH - 275) / 25, 2));
+  const Rc = 2 * Math.sqrt(Math.pow(meanc, 7) / (Math.pow(meanc, 7) + Math.pow(25, 7)));
+  const Sl = 1 + (0.015 * Math.pow(meanL - 50, 2)) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+  const Sc = 1 + 0.045 * meanc;
+  const Sh = 1 + 0.015 * meanc * T;
+  const Rt = -Math.sin(toRadians(2 * deltaTheta)) * Rc;
+
+  const l = deltaL / (kL * Sl);
+  const c = deltaC / (kC * Sc);
+  const h = deltaH / (kH * Sh);
+
+  return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+}
+
+/**
+ * ΔE00 between two sRGB colors
+ */
+export function colorDifference(color1, color2) {
+  return deltaE2000(rgbToLab(color1), rgbToLab(color2));
+}
@@ -0,0 +1,439 @@
+/**
+ * WCAG 2.x Contrast Engine
+ *
+ * Parses every color form getComputedStyle() can return, resolves the
+ * effective background behind an element by alpha-compositing translucent
+ * ancestor layers (including `opacity`), and applies the WCAG 2.x
+ * thresholds for normal, large and bold text.
+ *
+ * All logic lives in createContrastKit() so it runs unchanged in Node and
+ * in the browser (see installContrastKit). Colors are `{ r, g, b, a }`
+ * with sRGB channels in 0-255 and alpha in 0-1.
+ */
+
+import { installKit } from './inject.js';
+
+/**
+ * Build the contrast API. Must stay self-contained: it is serialized
+ * into the page by source text.
+ * @returns {Object} Contrast kit
+ */
+export function createContrastKit() {
+  const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+  // WCAG 2.x success criteria 1.4.3 (AA) and 1.4.6 (AAA)
+  const THRESHOLDS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+  };
+
+  // CSS Level 2 named colors; anything else should be resolved through
+  // getComputedStyle(), which always returns a functional notation
+  const NAMED = {
+    black: '#000000', silver: '#c0c0c0', gray: '#808080', grey: '#808080',
+    white: '#ffffff', maroon: '#800000', red: '#ff0000', purple: '#800080',
+    fuchsia: '#ff00ff', green: '#008000', lime: '#00ff00', olive: '#808000',
+    yellow: '#ffff00', navy: '#000080', blue: '#0000ff', teal: '#008080',
+    aqua: '#00ffff', orange: '#ffa500'
+  };
+
+  // Linear-light RGB -> CIE XYZ (D65) matrices for color() spaces
+  const TO_XYZ = {
+    srgb: [
+      [0.4123907992659595, 0.357584339383878, 0.1804807884018343],
+      [0.21263900587151036, 0.715168678767756, 0.07219231536073371],
+      [0.01933081871559185, 0.11919477979462598, 0.9505321522496606]
+    ],
+    'display-p3': [
+      [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+      [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+      [0, 0.04511338185890264, 1.043944368900976]
+    ],
+    rec2020: [
+      [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+      [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+      [0, 0.028072693049087428, 1.060985057710791]
+    ]
+  };
+
+  const XYZ_TO_LINEAR_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ];
+
+  // Bradford chromatic adaptation, D50 -> D65 (Lab, LCH, xyz-d50)
+  const D50_TO_D65 = [
+    [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+    [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+    [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+  ];
+
+  const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+  const multiply = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+  const clamp = (x, min = 0, max = 1) => Math.min(max, Math.max(min, x));
+
+  const srgbToLinear = c => {
+    const abs = Math.abs(c);
+    const lin = abs <= 0.04045 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4);
+    return Math.sign(c) * lin;
+  };
+
+  const linearToSrgb = c => {
+    const abs = Math.abs(c);
+    const enc = abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055;
+    return Math.sign(c) * enc;
+  };
+
+  const rec2020ToLinear = c => {
+    const alpha = 1.09929682680944;
+    const beta = 0.018053968510807;
+    const abs = Math.abs(c);
+    const lin = abs < beta * 4.5 ? abs / 4.5 : Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+    return Math.sign(c) * lin;
+  };
+
+  /**
+   * Turn linear-light sRGB into a clipped 0-255 color
+   */
+  const fromLinearSrgb = (rgb, a) => {
+    const [r, g, b] = rgb.map(c => clamp(linearToSrgb(c)) * 255);
+    return { r, g, b, a: clamp(a) };
+  };
+
+  const fromXyzD65 = (xyz, a) => fromLinearSrgb(multiply(XYZ_TO_LINEAR_SRGB, xyz), a);
+
+  const labToXyzD50 = (L, A, B) => {
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+    const fy = (L + 16) / 116;
+    const fx = A / 500 + fy;
+    const fz = fy - B / 200;
+    const x = Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa;
+    const y = L > kappa * epsilon ? Math.pow(fy, 3) : L / kappa;
+    const z = Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa;
+    return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
+  };
+
+  const oklabToLinearSrgb = (L, A, B) => {
+    const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+    const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+    const s = Math.pow(L - 0.0894841775 * A - 1.291485548 * B, 3);
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s
+    ];
+  };
+
+  /**
+   * Parse one numeric component. `percentScale` is the value 100% maps to.
+   */
+  const component = (token, percentScale = 1) => {
+    if (token === undefined || token === 'none') return 0;
+    if (token.endsWith('%')) return (parseFloat(token) / 100) * percentScale;
+    return parseFloat(token);
+  };
+
+  const hue = token => {
+    if (token === undefined || token === 'none') return 0;
+    const value = parseFloat(token);
+    if (token.endsWith('turn')) return value * 360;
+    if (token.endsWith('grad')) return value * 0.9;
+    if (token.endsWith('rad')) return (value * 180) / Math.PI;
+    return value;
+  };
+
+  const hslToRgb = (h, s, l) => {
+    const f = n => {
+      const k = (n + h / 30) % 12;
+      const chroma = s * Math.min(l, 1 - l);
+      return l - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [f(0), f(8), f(4)];
+  };
+
+  const parseHex = hex => {
+    const digits = hex.length <= 4
+      ? hex.split('').map(d => d + d).join('')
+      : hex;
+    if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(digits)) return null;
+    const n = i => parseInt(digits.slice(i, i + 2), 16);
+    return { r: n(0), g: n(2), b: n(4), a: digits.length === 8 ? n(6) / 255 : 1 };
+  };
+
+  /**
+   * Parse a CSS color string.
+   *
+   * Supports hex, CSS2 names, transparent, rgb()/rgba() and hsl()/hsla()
+   * in legacy and space syntax, color() in srgb, srgb-linear, display-p3,
+   * rec2020 and xyz spaces, lab(), lch(), oklab() and oklch(). Out-of-gamut
+   * results are clipped to sRGB.
+   *
+   * @param {string} input - CSS color
+   * @returns {{r:number,g:number,b:number,a:number}|null} Parsed color, or
+   *   null when the string is not a color this engine understands
+   */
+  function parseColor(input) {
+    if (typeof input !== 'string') return null;
+    const value = input.trim().toLowerCase();
+
+    if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (NAMED[value]) return parseHex(NAMED[value].slice(1));
+    if (value.startsWith('#')) return parseHex(value.slice(1));
+
+    const match = value.match(/^([a-z-]+)\((.*)\)$/);
+    if (!match) return null;
+
+    const [, fn, body] = match;
+    const [channelPart, alphaPart] = body.includes('/')
+      ? body.split('/')
+      : [body, undefined];
+    let tokens = channelPart.trim().split(/[\s,]+/).filter(Boolean);
+    let alphaToken = alphaPart?.trim();
+
+    // Legacy comma syntax carries alpha as the fourth argument
+    if (!alphaToken && body.includes(',') && tokens.length === 4) {
+      alphaToken = tokens.pop();
+    }
+    const alpha = alphaToken === undefined ? 1 : component(alphaToken, 1);
+
+    switch (fn) {
+      case 'rgb':
+      case 'rgba': {
+        const [r, g, b] = tokens.map(t => component(t, 255));
+        return { r: clamp(r, 0, 255), g: clamp(g, 0, 255), b: clamp(b, 0, 255), a: clamp(alpha) };
+      }
+      case 'hsl':
+      case 'hsla': {
+        const rgb = hslToRgb(
+          ((hue(tokens[0]) % 360) + 360) % 360,
+          clamp(component(tokens[1], 100) / 100),
+          clamp(component(tokens[2], 100) / 100)
+        );
+        const [r, g, b] = rgb.map(c => c * 255);
+        return { r, g, b, a: clamp(alpha) };
+      }
+      case 'color': {
+        const space = tokens.shift();
+        const channels = tokens.map(t => component(t, 1));
+        if (space === 'srgb') {
+          return fromLinearSrgb(channels.map(srgbToLinear), alpha);
+        }
+        if (space === 'srgb-linear') return fromLinearSrgb(channels, alpha);
+        if (space === 'display-p3') {
+          return fromXyzD65(multiply(TO_XYZ['display-p3'], channels.map(srgbToLinear)), alpha);
+        }
+        if (space === 'rec2020') {
+          return fromXyzD65(multiply(TO_XYZ.rec2020, channels.map(rec2020ToLinear)), alpha);
+        }
+        if (space === 'xyz' || space === 'xyz-d65') return fromXyzD65(channels, alpha);
+        if (space === 'xyz-d50') return fromXyzD65(multiply(D50_TO_D65, channels), alpha);
+        return null;
+      }
+      case 'lab':
+      case 'lch': {
+        const L = component(tokens[0], 100);
+        let A;
+        let B;
+        if (fn === 'lab') {
+          A = component(tokens[1], 125);
+          B = component(tokens[2], 125);
+        } else {
+          const C = component(tokens[1], 150);
+          const h = (hue(tokens[2]) * Math.PI) / 180;
+          A = C * Math.cos(h);
+          B = C * Math.sin(h);
+        }
+        return fromXyzD65(multiply(D50_TO_D65, labToXyzD50(L, A, B)), alpha);
+      }
+      case 'oklab':
+      case 'oklch': {
+        const L = component(tokens[0], 1);
+        let A;
+        let B;
+        if (fn === 'oklab') {
+          A = component(tokens[1], 0.4);
+          B = component(tokens[2], 0.4);
+        } else {
+          const C = component(tokens[1], 0.4);
+          const h = (hue(tokens[2]) * Math.PI) / 180;
+          A = C * Math.cos(h);
+          B = C * Math.sin(h);
+        }
+        return fromLinearSrgb(oklabToLinearSrgb(L, A, B), alpha);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Composite `top` over `bottom` (Porter-Duff source-over).
+   */
+  function composite(top, bottom) {
+    const a = top.a + bottom.a * (1 - top.a);
+    if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+    const mix = key => (top[key] * top.a + bottom[key] * bottom.a * (1 - top.a)) / a;
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a };
+  }
+
+  /**
+   * Blend an opacity group over its backdrop: `amount` of `over`,
+   * the rest of `under`. Exact for source-over groups on a single pixel.
+   */
+  function mixColors(under, over, amount) {
+    const mix = key => under[key] + (over[key] - under[key]) * amount;
+    return { r: mix('r'), g: mix('g'), b: mix('b'), a: mix('a') };
+  }
+
+  /**
+   * WCAG 2.x relative luminance of an opaque sRGB color
+   */
+  function relativeLuminance({ r, g, b }) {
+    const [R, G, B] = [r, g, b].map(c => srgbToLinear(c / 255));
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  }
+
+  /**
+   * Contrast ratio between two colors. A translucent foreground is first
+   * composited over the background, and a translucent background over
+   * white (the default canvas). Never rounded, per WCAG.
+   */
+  function contrastRatio(foreground, background) {
+    const fg = typeof foreground === 'string' ? parseColor(foreground) : foreground;
+    const bg = typeof background === 'string' ? parseColor(background) : background;
+    if (!fg || !bg) throw new TypeError(`Cannot compare colors ${foreground} / ${background}`);
+
+    const opaqueBg = bg.a < 1 ? composite(bg, WHITE) : bg;
+    const opaqueFg = fg.a < 1 ? composite(fg, opaqueBg) : fg;
+    const l1 = relativeLuminance(opaqueFg);
+    const l2 = relativeLuminance(opaqueBg);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  /**
+   * WCAG "large scale" text: at least 18pt (24px), or 14pt (18.66px) bold
+   */
+  function isLargeText(fontSizePx, fontWeight = 400) {
+    const weight = fontWeight === 'bold' || fontWeight === 'bolder'
+      ? 700
+      : parseInt(fontWeight, 10) || 400;
+    const size = parseFloat(fontSizePx);
+    return size >= 24 || (size >= 18.66 && weight >= 700);
+  }
+
+  /**
+   * Minimum ratio for a text size/weight at a conformance level
+   */
+  function requiredRatio({ fontSize, fontWeight, level = 'AA' }) {
+    const levelThresholds = THRESHOLDS[level];
+    if (!levelThresholds) throw new RangeError(`Unknown WCAG level: ${level}`);
+    return isLargeText(fontSize, fontWeight) ? levelThresholds.large : levelThresholds.normal;
+  }
+
+  /**
+   * Resolve the color actually painted behind an element (browser only).
+   *
+   * Walks the ancestor chain from the root down, compositing each
+   * background-color layer over the canvas and blending opacity groups,
+   * so translucent overlays and faded containers are accounted for.
+   * Backgrounds painted by non-ancestors (absolutely positioned siblings)
+   * are out of scope; background images and gradients are reported as
+   * `indeterminate` because their pixels are not in computed style.
+   *
+   * @param {Element} el - Element whose backdrop to resolve
+   * @param {Function} [leaf] - Paints the element's own content over its
+   *   backdrop; defaults to returning the backdrop itself
+   * @returns {{color: Object, indeterminate: boolean}}
+   */
+  function resolveBackground(el, leaf = backdrop => backdrop) {
+    const chain = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      chain.unshift(node);
+    }
+
+    let indeterminate = false;
+    const paint = (index, backdrop) => {
+      if (index === chain.length) return leaf(backdrop);
+      const style = window.getComputedStyle(chain[index]);
+      if (style.backgroundImage && style.backgroundImage !== 'none') indeterminate = true;
+      const layer = parseColor(style.backgroundColor) || { r: 0, g: 0, b: 0, a: 0 };
+      const opacity = parseFloat(style.opacity);
+      const inner = paint(index + 1, composite(layer, backdrop));
+      return opacity < 1 ? mixColors(backdrop, inner, opacity) : inner;
+    };
+
+    const color = paint(0, WHITE);
+    return { color, indeterminate };
+  }
+
+  /**
+   * Measure text contrast for an element (browser only).
+   *
+   * @param {Element} el - Element containing text
+   * @param {'AA'|'AAA'} [level='AA'] - Conformance level
+   * @returns {Object} ratio, required ratio, verdict and the resolved colors
+   */
+  function measureElement(el, level = 'AA') {
+    const style = window.getComputedStyle(el);
+    const textColor = parseColor(style.color);
+    const background = resolveBackground(el);
+    const foreground = resolveBackground(el, backdrop => composite(textColor, backdrop));
+
+    const ratio = contrastRatio(foreground.color, background.color);
+    const required = requiredRatio({
+      fontSize: style.fontSize,
+      fontWeight: style.fontWeight,
+      level
+    });
+
+    const toCss = c => `rgb(${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)})`;
+    return {
+      ratio,
+      required,
+      passes: ratio >= required,
+      large: isLargeText(style.fontSize, style.fontWeight),
+      indeterminate: background.indeterminate,
+      foreground: toCss(foreground.color),
+      background: toCss(background.color)
+    };
+  }
+
+  return {
+    THRESHOLDS,
+    parseColor,
+    composite,
+    mixColors,
+    relativeLuminance,
+    contrastRatio,
+    isLargeText,
+    requiredRatio,
+    resolveBackground,
+    measureElement,
+    srgbToLinear,
+    linearToSrgb
+  };
+}
+
+export const {
+  THRESHOLDS,
+  parseColor,
+  composite,
+  mixColors,
+  relativeLuminance,
+  contrastRatio,
+  isLargeText,
+  requiredRatio,
+  srgbToLinear,
+  linearToSrgb
+} = createContrastKit();
+
+/**
+ * Make the kit available in the page as `window.__a11y.contrast`
+ * @param {import('@playwright/test').Page} page - Playwright page
+ */
+export function installContrastKit(page) {
+  return installKit(page, 'contrast', createContrastKit);
+}
@@ -0,0 +1,291 @@
+/**
+ * Color Vision Deficiency Simulation
+ *
+ * Severity-graded simulation of protan, deutan and tritan deficiencies
+ * plus achromatopsia and blue-cone monochromacy. One set of profiles
+ * drives both the Playwright suite (in-document SVG filters) and the
+ * pa11y scenarios (see scripts/generate-pa11yci.js), so both tools
+ * simulate the same vision.
+ *
+ * Models:
+ * - Anomalous trichromacy uses the Machado, Oliveira & Fernandes (2009)
+ *   matrices, tabulated at 0.1 severity steps and linearly interpolated.
+ * - Per-color simulation of full dichromacy uses Brettel, Viénot & Mollon
+ *   (1997), which projects onto two half-planes in LMS space. It cannot be
+ *   expressed as a single matrix, so SVG filters fall back to Machado 1.0.
+ * - Monochromacies project onto a single luminance response: Rec. 709
+ *   luminance for rod monochromacy, the S-cone row of the sRGB->LMS
+ *   transform for blue-cone monochromacy.
+ *
+ * All matrices operate on linear-light RGB, which is also the default
+ * `color-interpolation-filters` space of SVG filters.
+ */
+
+import { srgbToLinear, linearToSrgb } from './contrast.js';
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// Machado et al. 2009, severities 0.0 to 1.0 in 0.1 steps (row-major 3x3)
+const MACHADO = {
+  protan: [
+    IDENTITY,
+    [0.856167, 0.182038, -0.038205, 0.029342, 0.955115, 0.015544, -0.00288, -0.001563, 1.004443],
+    [0.734766, 0.334872, -0.069637, 0.05184, 0.919198, 0.028963, -0.004928, -0.004209, 1.009137],
+    [0.630323, 0.465641, -0.095964, 0.069181, 0.890046, 0.040773, -0.006308, -0.007724, 1.014032],
+    [0.539009, 0.579343, -0.118352, 0.082546, 0.866121, 0.051332, -0.007136, -0.011959, 1.019095],
+    [0.458064, 0.679578, -0.137642, 0.092785, 0.846313, 0.060902, -0.007494, -0.016807, 1.024301],
+    [0.38545, 0.769005, -0.154455, 0.100526, 0.829802, 0.069673, -0.007442, -0.02219, 1.029632],
+    [0.319627, 0.849633, -0.169261, 0.106241, 0.815969, 0.07779, -0.007025, -0.028051, 1.035076],
+    [0.259411, 0.923008, -0.18242, 0.110296, 0.80434, 0.085364, -0.006276, -0.034346, 1.040622],
+    [0.203876, 0.990338, -0.194214, 0.112975, 0.794542, 0.092483, -0.005222, -0.041043, 1.046265],
+    [0.152286, 1.052583, -0.204868, 0.114503, 0.786281, 0.099216, -0.003882, -0.048116, 1.051998]
+  ],
+  deutan: [
+    IDENTITY,
+    [0.866435, 0.177704, -0.044139, 0.049567, 0.939063, 0.01137, -0.003453, 0.007233, 0.99622],
+    [0.760729, 0.319078, -0.079807, 0.090568, 0.889315, 0.020117, -0.006027, 0.013325, 0.992702],
+    [0.675425, 0.43385, -0.109275, 0.125303, 0.847755, 0.026942, -0.00795, 0.018572, 0.989378],
+    [0.605511, 0.52856, -0.134071, 0.155318, 0.812366, 0.032316, -0.009376, 0.023176, 0.9862],
+    [0.547494, 0.607765, -0.155259, 0.181692, 0.781742, 0.036566, -0.01041, 0.027275, 0.983136],
+    [0.498864, 0.674741, -0.173604, 0.205199, 0.754872, 0.039929, -0.011131, 0.030969, 0.980162],
+    [0.457771, 0.731899, -0.18967, 0.226409, 0.731012, 0.042579, -0.011595, 0.034333, 0.977261],
+    [0.422823, 0.781057, -0.203881, 0.245752, 0.709602, 0.044646, -0.011843, 0.037423, 0.974421],
+    [0.392952, 0.82361, -0.216562, 0.263559, 0.69021, 0.046232, -0.01191, 0.040281, 0.97163],
+    [0.367322, 0.860646, -0.227968, 0.280085, 0.672501, 0.047413, -0.01182, 0.04294, 0.968881]
+  ],
+  tritan: [
+    IDENTITY,
+    [0.92667, 0.092514, -0.019184, 0.021191, 0.964503, 0.014306, 0.008437, 0.054813, 0.93675],
+    [0.89572, 0.13333, -0.02905, 0.029997, 0.9454, 0.024603, 0.013027, 0.104707, 0.882266],
+    [0.905871, 0.127791, -0.033662, 0.026856, 0.941251, 0.031893, 0.01341, 0.148296, 0.838294],
+    [0.948035, 0.08949, -0.037526, 0.014364, 0.946792, 0.038844, 0.010853, 0.193991, 0.795156],
+    [1.017277, 0.027029, -0.044306, -0.006113, 0.958479, 0.047634, 0.006379, 0.248708, 0.744913],
+    [1.104996, -0.046633, -0.058363, -0.032137, 0.971635, 0.060503, 0.001336, 0.317922, 0.680742],
+    [1.193214, -0.109812, -0.083402, -0.058496, 0.97941, 0.079086, -0.002346, 0.403492, 0.598854],
+    [1.257728, -0.139648, -0.118081, -0.078003, 0.975409, 0.102594, -0.003316, 0.501214, 0.502102],
+    [1.278864, -0.125333, -0.153531, -0.084748, 0.957674, 0.127074, -0.000989, 0.601151, 0.399838],
+    [1.255528, -0.076749, -0.178779, -0.078411, 0.930809, 0.147602, 0.004733, 0.691367, 0.3039]
+  ]
+};
+
+// Brettel et al. 1997 in linear sRGB: one matrix per half-plane and the
+// normal of the plane separating them (precomputed as in libDaltonLens)
+const BRETTEL = {
+  protan: {
+    halfPlanes: [
+      [0.1498, 1.19548, -0.34528, 0.10764, 0.84864, 0.04372, 0.00384, -0.0054, 1.00156],
+      [0.1457, 1.16172, -0.30742, 0.10816, 0.85291, 0.03892, 0.00386, -0.00524, 1.00139]
+    ],
+    separationNormal: [0.00048, 0.00393, -0.00441]
+  },
+  deutan: {
+    halfPlanes: [
+      [0.36477, 0.86381, -0.22858, 0.26294, 0.64245, 0.09462, -0.02006, 0.02728, 0.99278],
+      [0.37298, 0.88166, -0.25464, 0.25954, 0.63506, 0.1054, -0.0198, 0.02784, 0.99196]
+    ],
+    separationNormal: [-0.00281, -0.00611, 0.00892]
+  },
+  tritan: {
+    halfPlanes: [
+      [1.01277, 0.13548, -0.14826, -0.01243, 0.86812, 0.14431, 0.07589, 0.805, 0.11911],
+      [0.93678, 0.18979, -0.12657, 0.06154, 0.81526, 0.1232, -0.37562, 1.12767, 0.24796]
+    ],
+    separationNormal: [0.03901, -0.02788, -0.01113]
+  }
+};
+
+// Single-response weights for the monochromacies (linear RGB)
+const MONOCHROMACY = {
+  achromat: [0.2126, 0.7152, 0.0722],
+  'blue-cone': [0.01775, 0.10945, 0.87262]
+};
+
+const NAMES = {
+  protan: ['Protanomaly', 'Protanopia'],
+  deutan: ['Deuteranomaly', 'Deuteranopia'],
+  tritan: ['Tritanomaly', 'Tritanopia'],
+  achromat: ['Partial achromatopsia', 'Achromatopsia'],
+  'blue-cone': ['Partial blue-cone monochromacy', 'Blue-cone monochromacy']
+};
+
+export const CVD_TYPES = Object.keys(NAMES);
+
+export const DEFAULT_SEVERITIES = [0.2, 0.6, 1];
+
+const assertType = type => {
+  if (!NAMES[type]) {
+    throw new RangeError(`Unknown color vision deficiency "${type}" (expected ${CVD_TYPES.join(', ')})`);
+  }
+};
+
+const assertSeverity = severity => {
+  if (!(severity >= 0 && severity <= 1)) {
+    throw new RangeError(`Severity must be between 0 and 1, got ${severity}`);
+  }
+};
+
+const lerpMatrix = (from, to, t) => from.map((value, i) => value + (to[i] - value) * t);
+
+const apply = (m, [r, g, b]) => [
+  m[0] * r + m[1] * g + m[2] * b,
+  m[3] * r + m[4] * g + m[5] * b,
+  m[6] * r + m[7] * g + m[8] * b
+];
+
+/**
+ * Linear-RGB simulation matrix for a deficiency at a given severity.
+ *
+ * @param {string} type - One of CVD_TYPES
+ * @param {number} severity - 0 (normal vision) to 1 (full deficiency)
+ * @returns {number[]} Row-major 3x3 matrix
+ */
+export function simulationMatrix(type, severity) {
+  assertType(type);
+  assertSeverity(severity);
+
+  if (MONOCHROMACY[type]) {
+    const weights = MONOCHROMACY[type];
+    return lerpMatrix(IDENTITY, [...weights, ...weights, ...weights], severity);
+  }
+
+  const table = MACHADO[type];
+  const position = severity * (table.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, table.length - 1);
+  return lerpMatrix(table[lower], table[upper], position - lower);
+}
+
+/**
+ * Simulate how a color is perceived.
+ *
+ * Full protan/deutan/tritan dichromacy uses Brettel's model; every other
+ * case uses the interpolated simulation matrix.
+ *
+ * @param {{r:number,g:number,b:number,a:number}} color - sRGB 0-255
+ * @param {{type:string, severity:number}} profile - Vision profile
+ * @returns {{r:number,g:number,b:number,a:number}} Simulated color
+ */
+export function simulateColor(color, { type, severity }) {
+  assertType(type);
+  assertSeverity(severity);
+
+  const linear = [color.r, color.g, color.b].map(c => srgbToLinear(c / 255));
+  let simulated;
+
+  if (severity === 1 && BRETTEL[type]) {
+    const { halfPlanes, separationNormal } = BRETTEL[type];
+    const side = linear[0] * separationNormal[0] +
+      linear[1] * separationNormal[1] +
+      linear[2] * separationNormal[2];
+    simulated = apply(side >= 0 ? halfPlanes[0] : halfPlanes[1], linear);
+  } else {
+    simulated = apply(simulationMatrix(type, severity), linear);
+  }
+
+  const [r, g, b] = simulated.map(c => Math.min(1, Math.max(0, linearToSrgb(c))) * 255);
+  return { r, g, b, a: color.a ?? 1 };
+}
+
+/**
+ * Build the list of vision profiles to test.
+ *
+ * Each dichromacy type gets one profile per severity; the monochromacies,
+ * which are not graded in practice, are only simulated at full severity.
+ *
+ * @param {Object} [options]
+ * @param {number[]} [options.severities] - Severities for protan, deutan
+ *   and tritan (defaults to CVD_SEVERITIES env var, then 0.2/0.6/1.0)
+ * @returns {Array<{id:string,label:string,type:string,severity:number}>}
+ */
+export function createVisionProfiles({ severities = severitiesFromEnv() } = {}) {
+  severities.forEach(assertSeverity);
+
+  const profiles = [];
+  for (const type of ['deutan', 'protan', 'tritan']) {
+    for (const severity of severities) {
+      profiles.push(createProfile(type, severity));
+    }
+  }
+  profiles.push(createProfile('achromat', 1), createProfile('blue-cone', 1));
+  return profiles;
+}
+
+function createProfile(type, severity) {
+  const [anomalous, full] = NAMES[type];
+  const isFull = severity === 1;
+  const base = (isFull ? full : anomalous).toLowerCase().replace(/\s+/g, '-');
+  return {
+    id: isFull ? base : `${base}-${Math.round(severity * 100)}`,
+    label: isFull ? full : `${anomalous} (severity ${severity})`,
+    type,
+    severity
+  };
+}
+
+function severitiesFromEnv() {
+  const raw = typeof process !== 'undefined' ? process.env.CVD_SEVERITIES : undefined;
+  if (!raw) return DEFAULT_SEVERITIES;
+  return raw.split(',').map(s => parseFloat(s.trim()));
+}
+
+export const VISION_PROFILES = createVisionProfiles();
+
+/**
+ * SVG <filter> element for a profile (linear RGB feColorMatrix)
+ */
+export function svgFilter(profile) {
+  const m = simulationMatrix(profile.type, profile.severity).map(v => +v.toFixed(6));
+  const values = [
+    m[0], m[1], m[2], 0, 0,
+    m[3], m[4], m[5], 0, 0,
+    m[6], m[7], m[8], 0, 0,
+    0, 0, 0, 1, 0
+  ].join(' ');
+  return `<filter id="${profile.id}" color-interpolation-filters="linearRGB">` +
+    `<feColorMatrix type="matrix" values="${values}"/></filter>`;
+}
+
+/**
+ * Hidden <svg> defining a filter for every profile
+ */
+export function svgFilterMarkup(profiles = VISION_PROFILES) {
+  return '<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" ' +
+    'style="position:absolute;width:0;height:0;overflow:hidden">' +
+    `<defs>${profiles.map(svgFilter).join('')}</defs></svg>`;
+}
+
+/**
+ * Self-contained CSS `filter` value for a profile.
+ *
+ * Embeds the filter as a data URI so it works from injected CSS alone,
+ * without the page defining the SVG (used by the pa11y scenarios).
+ */
+export function cssFilter(profile) {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg">' + svgFilter(profile) + '</svg>';
+  return `url("data:image/svg+xml,${encodeURIComponent(svg)}#${profile.id}")`;
+}
+
+/**
+ * Render the page as seen with a vision profile (Playwright).
+ *
+ * Injects the profile's filter definition if the page does not have it
+ * yet and applies it to the root element. Pass `null` to restore normal
+ * vision.
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object|null} profile - A vision profile
+ */
+export async function applyVisionProfile(page, profile) {
+  await page.evaluate(({ markup, id }) => {
+    if (id && !document.getElementById(id)) {
+      const container = document.createElement('div');
+      container.setAttribute('data-a11y-cvd-filter', id);
+      container.innerHTML = markup;
+      document.body.appendChild(container);
+    }
+    document.documentElement.style.filter = id ? `url("#${id}")` : '';
+  }, {
+    markup: profile ? svgFilterMarkup([profile]) : '',
+    id: profile?.id ?? null
+  });
+}
@@ -0,0 +1,359 @@
+/**
+ * WCAG 2.2 Focus Appearance
+ *
+ * Walks the page in real Tab order and, at each stop, screenshots the
+ * element and its surroundings focused and unfocused. The pixels that
+ * change are the focus indicator: their area is compared with a 2 CSS px
+ * perimeter of the component and their change with 3:1 (2.4.13 Focus
+ * Appearance). Hit-testing across the element finds content such as
+ * sticky headers or cookie banners that hides it (2.4.11 / 2.4.12 Focus
+ * Not Obscured).
+ *
+ * The comparison runs in the page, where the screenshots can be decoded
+ * (see image.js). Its pixel functions take plain `{ width, height, data }`
+ * images and also run in Node for unit tests.
+ */
+
+import { installContrastKit } from './contrast.js';
+import { installImageKit } from './image.js';
+import { installKit } from './inject.js';
+
+export const FOCUS_CRITERIA = Object.freeze({
+  focusVisible: '2.4.7 Focus Visible',
+  notObscured: '2.4.11 Focus Not Obscured (Minimum)',
+  notObscuredEnhanced: '2.4.12 Focus Not Obscured (Enhanced)',
+  focusAppearance: '2.4.13 Focus Appearance'
+});
+
+/**
+ * Build the focus API. Must stay self-contained: it is serialized into
+ * the page by source text.
+ * @param {Object} kits - Needs `kits.contrast` (createContrastKit()), and
+ *   `kits.image` (createImageKit()) for evaluatePngs
+ * @returns {Object} Focus kit
+ */
+export function createFocusKit(kits) {
+  const { contrastRatio } = kits.contrast;
+
+  // Elements reached by Tab, in order; kept here so the DOM is not touched
+  const stops = [];
+
+  /**
+   * Area of a `thickness` CSS px perimeter around a w × h component
+   */
+  function perimeterArea(width, height, thickness = 2) {
+    return 2 * thickness * (width + height);
+  }
+
+  /**
+   * Pixels that differ between two same-sized RGBA images, and how many
+   * of them change by at least `minContrast`
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} unfocused
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} focused
+   * @param {Object} [options]
+   * @param {number} [options.minContrast=3]
+   * @param {number} [options.tolerance=2] - Per-channel difference treated
+   *   as unchanged (antialiasing, compression)
+   */
+  function compareStates(unfocused, focused, { minContrast = 3, tolerance = 2 } = {}) {
+    if (unfocused.width !== focused.width || unfocused.height !== focused.height) {
+      throw new RangeError('Focused and unfocused captures differ in size');
+    }
+
+    let changedPixels = 0;
+    let contrastingPixels = 0;
+    let maxContrast = 1;
+
+    for (let i = 0; i < focused.data.length; i += 4) {
+      const before = { r: unfocused.data[i], g: unfocused.data[i + 1], b: unfocused.data[i + 2], a: 1 };
+      const after = { r: focused.data[i], g: focused.data[i + 1], b: focused.data[i + 2], a: 1 };
+      if (Math.abs(before.r - after.r) <= tolerance &&
+        Math.abs(before.g - after.g) <= tolerance &&
+        Math.abs(before.b - after.b) <= tolerance) continue;
+
+      changedPixels += 1;
+      const ratio = contrastRatio(after, before);
+      if (ratio >= minContrast) contrastingPixels += 1;
+      if (ratio > maxContrast) maxContrast = ratio;
+    }
+
+    return { changedPixels, contrastingPixels, maxContrast };
+  }
+
+  /**
+   * Judge one Tab stop from its captures
+   * @param {Object} capture
+   * @param {Object} capture.unfocused - Image
+   * @param {Object} capture.focused - Image
+   * @param {number} capture.scale - Device pixels per CSS px
+   * @param {{width: number, height: number}} capture.box - Unfocused size in CSS px
+   * @param {number} [capture.hiddenFraction=0] - Share of the element covered
+   * @param {Object} [options] - minContrast, tolerance, thickness (2)
+   */
+  function evaluateCapture({ unfocused, focused, scale, box, hiddenFraction = 0 }, options = {}) {
+    const { thickness = 2 } = options;
+    const { changedPixels, contrastingPixels, maxContrast } = compareStates(unfocused, focused, options);
+    const pixelArea = scale * scale;
+
+    const indicatorArea = contrastingPixels / pixelArea;
+    const requiredArea = perimeterArea(box.width, box.height, thickness);
+
+    return {
+      changedArea: changedPixels / pixelArea,
+      indicatorArea,
+      requiredArea,
+      maxContrast,
+      hiddenFraction,
+      passes: {
+        focusVisible: changedPixels > 0,
+        notObscured: hiddenFraction < 1,
+        notObscuredEnhanced: hiddenFraction === 0,
+        focusAppearance: indicatorArea >= requiredArea
+      }
+    };
+  }
+
+  function describe(el) {
+    const id = el.id ? `#${el.id}` : '';
+    const name = (el.getAttribute('aria-label') || el.textContent || el.getAttribute('placeholder') || '')
+      .trim().replace(/\s+/g, ' ').slice(0, 40);
+    return `${el.tagName.toLowerCase()}${id}${name ? ` "${name}"` : ''}`;
+  }
+
+  // Follows focus into shadow roots
+  function deepActiveElement() {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    return el;
+  }
+
+  // `ancestor` contains `node`, crossing shadow boundaries
+  function composedContains(ancestor, node) {
+    for (let current = node; current; current = current.parentNode || current.host) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record where the last Tab press landed
+   * @returns {{index: number, label: string, revisit: boolean}|null} null
+   *   when focus left the document
+   */
+  function recordStop() {
+    const el = deepActiveElement();
+    if (!el || el === document.body || el === document.documentElement) return null;
+
+    const seen = stops.indexOf(el);
+    if (seen !== -1) return { index: seen, label: describe(el), revisit: true };
+
+    stops.push(el);
+    return { index: stops.length - 1, label: describe(el), revisit: false };
+  }
+
+  function resetStops() {
+    stops.length = 0;
+  }
+
+  // How far outlines and box shadows reach beyond the border box
+  function indicatorMargin(el) {
+    const style = window.getComputedStyle(el);
+    const outline = style.outlineStyle === 'none'
+      ? 0
+      : (parseFloat(style.outlineWidth) || 0) + Math.max(0, parseFloat(style.outlineOffset) || 0);
+
+    const shadows = style.boxShadow === 'none'
+      ? []
+      : style.boxShadow.split(/,(?![^(]*\))/).map(shadow => {
+        const [x = 0, y = 0, blur = 0, spread = 0] = (shadow.match(/-?[\d.]+px/g) || []).map(parseFloat);
+        return Math.max(Math.abs(x), Math.abs(y)) + blur + Math.max(0, spread);
+      });
+
+    return Math.ceil(Math.min(32, Math.max(4, outline, ...shadows)));
+  }
+
+  /**
+   * Screenshot region for a stop, in viewport CSS px, while it is focused
+   */
+  function captureArea(index) {
+    const el = stops[index];
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+
+    const margin = indicatorMargin(el);
+    const left = Math.max(0, Math.floor(rect.left - margin));
+    const top = Math.max(0, Math.floor(rect.top - margin));
+    const right = Math.min(window.innerWidth, Math.ceil(rect.right + margin));
+    const bottom = Math.min(window.innerHeight, Math.ceil(rect.bottom + margin));
+    if (right <= left || bottom <= top) return null;
+
+    return {
+      clip: { x: left, y: top, width: right - left, height: bottom - top },
+      box: { width: rect.width, height: rect.height }
+    };
+  }
+
+  /**
+   * Share of the element's area hidden by other content or the viewport,
+   * from a grid of hit tests
+   */
+  function obscured(index, samples = 5) {
+    const el = stops[index];
+    const rect = el.getBoundingClientRect();
+    let hidden = 0;
+    let coveredBy = null;
+
+    for (let row = 0; row < samples; row++) {
+      for (let column = 0; column < samples; column++) {
+        const x = rect.left + 1 + (rect.width - 2) * (column / (samples - 1));
+        const y = rect.top + 1 + (rect.height - 2) * (row / (samples - 1));
+        const top = x >= 0 && y >= 0 && x < window.innerWidth && y < window.innerHeight
+          ? document.elementFromPoint(x, y)
+          : null;
+
+        // An ancestor on top means the element is not hit-testable
+        // (pointer-events: none), not that it is covered
+        if (top && (composedContains(el, top) || composedContains(top, el))) continue;
+        hidden += 1;
+        if (top && !coveredBy) coveredBy = describe(top);
+      }
+    }
+
+    return { hiddenFraction: hidden / (samples * samples), coveredBy };
+  }
+
+  function blurStop(index) {
+    stops[index].blur();
+  }
+
+  function focusStop(index) {
+    stops[index].focus({ preventScroll: true });
+  }
+
+  /**
+   * Decode two base64 PNG captures and judge them (see evaluateCapture)
+   */
+  async function evaluatePngs({ focused, unfocused, clip, ...capture }, options) {
+    const { decodePng } = kits.image;
+    const [focusedImage, unfocusedImage] = await Promise.all([decodePng(focused), decodePng(unfocused)]);
+    return evaluateCapture({
+      ...capture,
+      focused: focusedImage,
+      unfocused: unfocusedImage,
+      scale: focusedImage.width / clip.width
+    }, options);
+  }
+
+  return {
+    perimeterArea,
+    compareStates,
+    evaluateCapture,
+    recordStop,
+    resetStops,
+    indicatorMargin,
+    captureArea,
+    obscured,
+    blurStop,
+    focusStop,
+    evaluatePngs
+  };
+}
+
+/**
+ * Make the kit available in the page as `window.__a11y.focus`
+ * @param {import('@playwright/test').Page} page - Playwright page
+ */
+export async function installFocusKit(page) {
+  await installContrastKit(page);
+  await installImageKit(page);
+  await installKit(page, 'focus', createFocusKit);
+}
+
+/**
+ * Press Tab from the top of the page until focus wraps or leaves it
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} [options]
+ * @param {number} [options.maxStops=200]
+ * @param {Function} [options.onStop] - `async (stop) => {}`, called while
+ *   the stop is focused
+ * @returns {Promise<Array<{index: number, label: string}>>}
+ */
+export async function walkTabOrder(page, { maxStops = 200, onStop } = {}) {
+  await installFocusKit(page);
+  await page.evaluate(() => {
+    window.__a11y.focus.resetStops();
+    document.activeElement?.blur();
+  });
+
+  const order = [];
+  while (order.length < maxStops) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(() => window.__a11y.focus.recordStop());
+    if (!stop || stop.revisit) break;
+
+    order.push(stop);
+    if (onStop) await onStop(stop);
+  }
+  return order;
+}
+
+const screenshotOptions = clip => ({ clip, animations: 'disabled', caret: 'hide' });
+
+/**
+ * Measure the focus indicator of every stop in the Tab order
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} [options] - maxStops, minContrast, tolerance, thickness
+ * @returns {Promise<Array<Object>>} One result per stop, see formatFocusResult
+ */
+export async function measureFocusAppearance(page, options = {}) {
+  const results = [];
+
+  await walkTabOrder(page, {
+    maxStops: options.maxStops,
+    onStop: async ({ index, label }) => {
+      const area = await page.evaluate(i => window.__a11y.focus.captureArea(i), index);
+      if (!area) return;
+
+      const { hiddenFraction, coveredBy } = await page.evaluate(i => window.__a11y.focus.obscured(i), index);
+      const focused = await page.screenshot(screenshotOptions(area.clip));
+      await page.evaluate(i => window.__a11y.focus.blurStop(i), index);
+      const unfocused = await page.screenshot(screenshotOptions(area.clip));
+      // Back on the element, so the next Tab continues from it
+      await page.evaluate(i => window.__a11y.focus.focusStop(i), index);
+
+      const evaluation = await page.evaluate(
+        ([capture, settings]) => window.__a11y.focus.evaluatePngs(capture, settings),
+        [{
+          ...area,
+          hiddenFraction,
+          focused: focused.toString('base64'),
+          unfocused: unfocused.toString('base64')
+        }, options]
+      );
+
+      results.push({ index, label, box: area.box, coveredBy, ...evaluation });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * One-line, human-readable description of a stop's failures
+ * @param {Object} result - From measureFocusAppearance()
+ * @returns {string}
+ */
+export function formatFocusResult(result) {
+  const problems = [];
+  if (!result.passes.focusVisible) {
+    problems.push('no visible change on focus');
+  } else if (!result.passes.focusAppearance) {
+    problems.push(`indicator ${Math.round(result.indicatorArea)} px² at 3:1 ` +
+      `(needs ${Math.round(result.requiredArea)} px², strongest change ${result.maxContrast.toFixed(2)}:1)`);
+  }
+  if (!result.passes.notObscuredEnhanced) {
+    problems.push(`${Math.round(result.hiddenFraction * 100)}% hidden` +
+      (result.coveredBy ? ` by ${result.coveredBy}` : ' outside the viewport'));
+  }
+  return `Tab stop ${result.index + 1}, ${result.label}: ${problems.join('; ') || 'passes'}`;
+}
@@ -0,0 +1,87 @@
+/**
+ * Screenshot Pixels
+ *
+ * Playwright screenshots are PNGs, which Node cannot decode without a
+ * dependency, so screenshot-based checks send them back into the page and
+ * work there. Images are `{ width, height, data }` with RGBA bytes, the
+ * shape of ImageData, so the pure helpers also run in Node for unit tests.
+ */
+
+import { installKit } from './inject.js';
+
+/**
+ * Build the image API. Must stay self-contained: it is serialized into
+ * the page by source text.
+ * @returns {Object} Image kit
+ */
+export function createImageKit() {
+  /**
+   * Decode a base64 PNG (browser only)
+   * @param {string} base64
+   * @returns {Promise<ImageData>}
+   */
+  async function decodePng(base64) {
+    const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    return context.getImageData(0, 0, bitmap.width, bitmap.height);
+  }
+
+  /**
+   * Encode an image as a base64 PNG (browser only)
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+   * @returns {Promise<string>}
+   */
+  async function encodePng(image) {
+    const canvas = new OffscreenCanvas(image.width, image.height);
+    canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    const bytes = new Uint8Array(await (await canvas.convertToBlob({ type: 'image/png' })).arrayBuffer());
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Copy a rectangle of device pixels, clamped to the image
+   */
+  function crop(image, { x, y, width, height }) {
+    const left = Math.max(0, Math.floor(x));
+    const top = Math.max(0, Math.floor(y));
+    const right = Math.min(image.width, Math.ceil(x + width));
+    const bottom = Math.min(image.height, Math.ceil(y + height));
+    const out = {
+      width: Math.max(0, right - left),
+      height: Math.max(0, bottom - top),
+      data: new Uint8ClampedArray(Math.max(0, right - left) * Math.max(0, bottom - top) * 4)
+    };
+
+    for (let row = 0; row < out.height; row++) {
+      const start = ((top + row) * image.width + left) * 4;
+      out.data.set(image.data.subarray(start, start + out.width * 4), row * out.width * 4);
+    }
+    return out;
+  }
+
+  /**
+   * Opaque color of one device pixel
+   */
+  function pixelAt(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return { r: image.data[i], g: image.data[i + 1], b: image.data[i + 2], a: 1 };
+  }
+
+  return { decodePng, encodePng, crop, pixelAt };
+}
+
+/**
+ * Make the kit available in the page as `window.__a11y.image`
+ * @param {import('@playwright/test').Page} page - Playwright page
+ */
+export function installImageKit(page) {
+  return installKit(page, 'image', createImageKit);
+}
@@ -0,0 +1,162 @@
+/**
+ * Information Loss Under Color Vision Deficiency
+ *
+ * Colors that carry meaning come in pairs or sets: an error border versus
+ * a success border, the series of a chart, the states of a status badge.
+ * This module reads the rendered colors of those semantic states, runs
+ * them through each vision profile, and flags pairs whose CIEDE2000
+ * distance falls below a distinguishability threshold. Filters never
+ * change the DOM, so comparing text before and after a filter cannot
+ * detect this; comparing simulated colors can.
+ */
+
+import { installContrastKit } from './contrast.js';
+import { simulateColor } from './cvd-simulation.js';
+import { colorDifference } from './color-difference.js';
+
+// ΔE00 below which two states are no longer told apart at a glance
+export const DEFAULT_MIN_DELTA_E = 10;
+
+/**
+ * Which rendered colors must stay distinguishable.
+ *
+ * `between` rules compare every color on one side with every color on the
+ * other; `within` rules compare one representative per distinct key (for
+ * example each `data-status` value). The first property that resolves to
+ * a visible color is used.
+ */
+export const SEMANTIC_PAIR_RULES = [
+  {
+    name: 'Error vs success borders',
+    // Only explicit success states: aria-invalid="false" is every valid field
+    between: ['.error, [aria-invalid="true"]', '.success, [data-state="success"]'],
+    properties: ['borderTopColor', 'outlineColor']
+  },
+  {
+    name: 'Error vs success messages',
+    between: ['.error-message, [role="alert"]', '.success-message'],
+    properties: ['color']
+  },
+  {
+    name: 'Chart series',
+    within: '[data-series]',
+    keyAttribute: 'data-series',
+    properties: ['fill', 'stroke', 'backgroundColor']
+  },
+  {
+    name: 'Status badges',
+    within: '[data-status], .status',
+    keyAttribute: 'data-status',
+    properties: ['backgroundColor', 'borderTopColor', 'color']
+  }
+];
+
+/**
+ * Read the painted colors for each rule (runs in the page).
+ * Requires the contrast kit as `window.__a11y.contrast`.
+ */
+function collectSemanticColors(rules) {
+  const { parseColor, composite, resolveBackground } = window.__a11y.contrast;
+
+  const describe = el => {
+    const id = el.id ? `#${el.id}` : '';
+    const classes = (el.getAttribute('class') || '').trim();
+    const text = (el.textContent || '').trim().slice(0, 40);
+    return `${el.tagName.toLowerCase()}${id}${classes ? '.' + classes.split(/\s+/).join('.') : ''}` +
+      (text ? ` "${text}"` : '');
+  };
+
+  const sample = (el, properties) => {
+    const style = window.getComputedStyle(el);
+    for (const property of properties) {
+      const color = parseColor(style[property]);
+      if (color && color.a > 0) {
+        // Translucent state colors are judged as they are painted
+        const painted = color.a < 1 ? composite(color, resolveBackground(el).color) : color;
+        return { label: describe(el), property, color: painted };
+      }
+    }
+    return null;
+  };
+
+  return rules.map(rule => {
+    if (rule.between) {
+      // Every element, so the report names each offending pair
+      const sides = rule.between.map(selector => [...document.querySelectorAll(selector)]
+        .map(el => sample(el, rule.properties))
+        .filter(Boolean));
+      return { name: rule.name, sides };
+    }
+
+    const members = new Map();
+    for (const el of document.querySelectorAll(rule.within)) {
+      const key = el.getAttribute(rule.keyAttribute) || el.getAttribute('class') || '';
+      if (members.has(key)) continue;
+      const found = sample(el, rule.properties);
+      if (found) members.set(key, found);
+    }
+    return { name: rule.name, members: [...members.values()] };
+  });
+}
+
+/**
+ * Collect the semantic state colors rendered on the current page
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Array} [rules=SEMANTIC_PAIR_RULES] - Pairing rules
+ */
+export async function collectSemanticPairs(page, rules = SEMANTIC_PAIR_RULES) {
+  await installContrastKit(page);
+  return page.evaluate(collectSemanticColors, rules);
+}
+
+/**
+ * Expand collected rule results into concrete pairs
+ */
+function toPairs(collected) {
+  const pairs = [];
+  for (const group of collected) {
+    if (group.sides) {
+      const [first, second] = group.sides;
+      first.forEach(a => second.forEach(b => pairs.push({ rule: group.name, a, b })));
+    } else {
+      group.members.forEach((a, i) => group.members.slice(i + 1)
+        .forEach(b => pairs.push({ rule: group.name, a, b })));
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Find semantic pairs that are distinct for typical vision but merge for
+ * a vision profile.
+ *
+ * Pairs that are already too close for typical vision are not reported
+ * here: that is a design problem for everyone, not a loss caused by the
+ * deficiency.
+ *
+ * @param {Array} collected - Result of collectSemanticPairs()
+ * @param {Object} profile - Vision profile from VISION_PROFILES
+ * @param {Object} [options]
+ * @param {number} [options.minDeltaE=DEFAULT_MIN_DELTA_E] - Threshold
+ * @returns {Array<Object>} One entry per offending element pair
+ */
+export function findInformationLoss(collected, profile, { minDeltaE = DEFAULT_MIN_DELTA_E } = {}) {
+  return toPairs(collected)
+    .map(({ rule, a, b }) => ({
+      rule,
+      first: a.label,
+      second: b.label,
+      profile: profile.id,
+      originalDeltaE: colorDifference(a.color, b.color),
+      simulatedDeltaE: colorDifference(simulateColor(a.color, profile), simulateColor(b.color, profile))
+    }))
+    .filter(pair => pair.originalDeltaE >= minDeltaE && pair.simulatedDeltaE < minDeltaE);
+}
+
+/**
+ * One-line, human-readable description of a flagged pair
+ */
+export function formatLoss(loss) {
+  return `${loss.rule}: ${loss.first} vs ${loss.second} ` +
+    `(ΔE00 ${loss.originalDeltaE.toFixed(1)} -> ${loss.simulatedDeltaE.toFixed(1)} with ${loss.profile})`;
+}
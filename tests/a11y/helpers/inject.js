@@ -0,0 +1,29 @@
+/**
+ * Page Injection Helper for Accessibility Kits
+ *
+ * The a11y helpers are written as self-contained factory functions so the
+ * same source can run in Node (unit tests, scripts) and inside the page
+ * under test. Playwright serializes functions by their source text, so a
+ * factory must not close over anything at module scope; cross-kit
+ * dependencies are passed in through the shared `window.__a11y` namespace.
+ */
+
+/**
+ * Install a kit factory into the page as `window.__a11y[name]`.
+ *
+ * Registered as an init script so the kit survives navigations, and also
+ * evaluated immediately so it is available on the page already loaded.
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {string} name - Namespace key, e.g. 'contrast'
+ * @param {Function} factory - Self-contained factory `(kits) => api`
+ */
+export async function installKit(page, name, factory) {
+  const script = `(() => {
+    const kits = (window.__a11y = window.__a11y || {});
+    kits[${JSON.stringify(name)}] = (${factory.toString()})(kits);
+  })();`;
+
+  await page.addInitScript(script);
+  await page.evaluate(script);
+}
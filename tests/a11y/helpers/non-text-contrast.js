@@ -0,0 +1,336 @@
+/**
+ * WCAG 1.4.11 Non-text Contrast
+ *
+ * User interface components and meaningful graphics need 3:1 against the
+ * colors next to them. This kit measures the parts that identify a
+ * component or its state:
+ *
+ * - Input borders: the border (or fill) of text fields, selects and
+ *   textareas against the surrounding background
+ * - Choice outlines: custom checkboxes and radios (`appearance: none` or
+ *   ARIA roles); native ones are exempt unless `accent-color` restyles
+ *   the checked state
+ * - Toggle states: a switch thumb against its track, or the "on" fill of
+ *   switches and pressed buttons against the surroundings
+ * - Icons: SVG fills and strokes against the background behind the icon,
+ *   for icons that are not decorative
+ *
+ * The same checks run through Playwright (collectNonTextContrast) and as
+ * the axe rule `non-text-contrast` (configureAxeNonTextRule). Inactive
+ * components are exempt, as in WCAG.
+ */
+
+import { createContrastKit, installContrastKit } from './contrast.js';
+import { installKit } from './inject.js';
+
+/**
+ * Build the non-text contrast API. Must stay self-contained: it is
+ * serialized into the page by source text.
+ * @param {Object} kits - Needs `kits.contrast` (createContrastKit())
+ * @returns {Object} Non-text contrast kit
+ */
+export function createNonTextKit(kits) {
+  const { parseColor, composite, contrastRatio, resolveBackground } = kits.contrast;
+
+  const MIN_RATIO = 3;
+
+  const TARGETS = {
+    'input-border': [
+      'input:not([type="hidden"]):not([type="checkbox"]):not([type="radio"]):not([type="range"])' +
+        ':not([type="color"]):not([type="file"]):not([type="image"]):not([type="button"])' +
+        ':not([type="submit"]):not([type="reset"])',
+      'select',
+      'textarea'
+    ].join(', '),
+    'choice-outline': 'input[type="checkbox"]:not([role="switch"]), input[type="radio"], [role="checkbox"], [role="radio"]',
+    'toggle-state': '[role="switch"], [aria-pressed="true"]',
+    icon: 'svg'
+  };
+
+  const SIDES = ['Top', 'Right', 'Bottom', 'Left'];
+  const SHAPES = 'path, circle, rect, ellipse, line, polyline, polygon, text, use';
+
+  const toCss = c => `rgb(${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)})`;
+  const visible = color => Boolean(color) && color.a > 0;
+
+  function describe(el) {
+    const id = el.id ? `#${el.id}` : '';
+    const name = (el.getAttribute('aria-label') || el.getAttribute('name') || el.textContent || '')
+      .trim().replace(/\s+/g, ' ').slice(0, 40);
+    return `${el.tagName.toLowerCase()}${id}${name ? ` "${name}"` : ''}`;
+  }
+
+  function isDisabled(el) {
+    return (typeof el.matches === 'function' && el.matches(':disabled')) ||
+      Boolean(el.closest('[aria-disabled="true"]'));
+  }
+
+  function isRendered(el) {
+    return el.getClientRects().length > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+  }
+
+  // Colors around the element, and the element's own painted fill
+  function surroundings(el) {
+    const outside = resolveBackground(el.parentElement || el);
+    const own = resolveBackground(el);
+    return { outside, own, indeterminate: outside.indeterminate || own.indeterminate };
+  }
+
+  function finding(check, el, part, foreground, background, indeterminate) {
+    const ratio = contrastRatio(foreground, background);
+    return {
+      check,
+      label: describe(el),
+      part,
+      ratio,
+      required: MIN_RATIO,
+      passes: ratio >= MIN_RATIO,
+      indeterminate,
+      foreground: toCss(foreground),
+      background: toCss(background)
+    };
+  }
+
+  // Solid box shadows (no blur) drawn as borders
+  function shadowBorders(style) {
+    if (!style.boxShadow || style.boxShadow === 'none') return [];
+    return style.boxShadow.split(/,(?![^(]*\))/)
+      .map(shadow => {
+        const color = parseColor((shadow.match(/(rgba?|hsla?|color|oklch|oklab|lab|lch)\([^)]*\)|#[\da-f]+/i) || [])[0]);
+        const [, , blur = 0, spread = 0] = (shadow.match(/-?[\d.]+px/g) || []).map(parseFloat);
+        return blur === 0 && spread >= 1 ? color : null;
+      })
+      .filter(visible);
+  }
+
+  /**
+   * Strongest boundary of a component: any border side, solid shadow or
+   * its fill against the surroundings. One clear edge is enough to
+   * identify the component.
+   */
+  function boundary(check, el) {
+    const style = window.getComputedStyle(el);
+    const { outside, own, indeterminate } = surroundings(el);
+
+    const edges = SIDES
+      .filter(side => style[`border${side}Style`] !== 'none' && parseFloat(style[`border${side}Width`]) > 0)
+      .map(side => parseColor(style[`border${side}Color`]))
+      .concat(shadowBorders(style))
+      .filter(visible)
+      .map(color => finding(check, el, 'border', composite(color, own.color), outside.color, indeterminate));
+
+    const fill = finding(check, el, 'fill', own.color, outside.color, indeterminate);
+    return [fill, ...edges].reduce((best, current) => (current.ratio > best.ratio ? current : best));
+  }
+
+  function checkInput(el) {
+    return [boundary('input-border', el)];
+  }
+
+  function checkChoice(el) {
+    const style = window.getComputedStyle(el);
+    const appearance = style.appearance || style.webkitAppearance;
+    const native = el.tagName === 'INPUT' && appearance !== 'none';
+
+    if (!native) return [boundary('choice-outline', el)];
+
+    // The user agent's own rendering is exempt; an author accent color is not
+    const accent = parseColor(style.accentColor);
+    if (!el.checked || !visible(accent)) return [];
+    const { outside, indeterminate } = surroundings(el);
+    return [finding('choice-outline', el, 'accent', accent, outside.color, indeterminate)];
+  }
+
+  // A switch thumb: a pseudo-element or child painted over the track
+  function thumbColor(el) {
+    for (const pseudo of ['::before', '::after']) {
+      const style = window.getComputedStyle(el, pseudo);
+      const content = style.content;
+      const color = parseColor(style.backgroundColor);
+      if (content && content !== 'none' && content !== 'normal' && visible(color)) return color;
+    }
+    for (const child of el.children) {
+      const color = parseColor(window.getComputedStyle(child).backgroundColor);
+      if (visible(color)) return color;
+    }
+    return null;
+  }
+
+  function checkToggle(el) {
+    const thumb = thumbColor(el);
+    if (!thumb) return [boundary('toggle-state', el)];
+
+    const { own, indeterminate } = surroundings(el);
+    return [finding('toggle-state', el, 'thumb', composite(thumb, own.color), own.color, indeterminate)];
+  }
+
+  // Decorative: hidden from assistive technology, unless it is all a
+  // control shows
+  function isDecorativeIcon(svg) {
+    const role = svg.getAttribute('role');
+    if (role === 'presentation' || role === 'none') return true;
+    if (svg.getAttribute('aria-hidden') !== 'true') return false;
+    const control = svg.closest('button, a[href], [role="button"], [role="link"]');
+    return !control || control.textContent.trim() !== '';
+  }
+
+  // Computed paint, falling back to presentation attributes; undefined
+  // for gradients and patterns, null for no paint
+  function paintOf(shape, property, svg) {
+    let value = window.getComputedStyle(shape)[property];
+    for (let node = shape; !value && node; node = node === svg ? null : node.parentElement) {
+      value = node.getAttribute(property);
+    }
+    if (!value || value === 'none') return null;
+    if (value.startsWith('url(')) return undefined;
+    if (value.toLowerCase() === 'currentcolor') return parseColor(window.getComputedStyle(shape).color);
+    return parseColor(value);
+  }
+
+  function checkIcon(svg) {
+    if (isDecorativeIcon(svg)) return [];
+    const shapes = [...svg.querySelectorAll(SHAPES)];
+    if (shapes.length === 0) return [];
+
+    const background = resolveBackground(svg);
+    const paints = shapes.flatMap(shape => {
+      const stroke = parseFloat(shape.getAttribute('stroke-width') || window.getComputedStyle(shape).strokeWidth || '1');
+      return [
+        { part: 'fill', color: paintOf(shape, 'fill', svg) },
+        { part: 'stroke', color: stroke > 0 ? paintOf(shape, 'stroke', svg) : null }
+      ];
+    });
+
+    // Gradients and patterns cannot be judged from computed style
+    const gradient = paints.some(paint => paint.color === undefined);
+    const measured = paints
+      .filter(paint => visible(paint.color))
+      .map(paint => finding('icon', svg, paint.part, composite(paint.color, background.color), background.color,
+        background.indeterminate || gradient));
+
+    if (measured.length === 0) {
+      return gradient
+        ? [{ check: 'icon', label: describe(svg), part: 'fill', ratio: null, required: MIN_RATIO, passes: false, indeterminate: true }]
+        : [];
+    }
+
+    // The shape that stands out most carries the meaning
+    return [measured.reduce((best, current) => (current.ratio > best.ratio ? current : best))];
+  }
+
+  const CHECKS = {
+    'input-border': checkInput,
+    'choice-outline': checkChoice,
+    'toggle-state': checkToggle,
+    icon: checkIcon
+  };
+
+  /**
+   * Non-text contrast findings for one element
+   * @param {Element} el
+   * @returns {Array<Object>} Empty when no check applies or it is inactive
+   */
+  function check(el) {
+    if (isDisabled(el)) return [];
+    return Object.entries(TARGETS)
+      .filter(([, selector]) => el.matches(selector))
+      .flatMap(([name]) => CHECKS[name](el));
+  }
+
+  /**
+   * Findings for every rendered target in a document or subtree
+   * @param {ParentNode} [root=document]
+   */
+  function audit(root = document) {
+    const elements = new Set(root.querySelectorAll(Object.values(TARGETS).join(', ')));
+    return [...elements].filter(isRendered).flatMap(check);
+  }
+
+  /**
+   * `axe.configure()` spec for the `non-text-contrast` rule: fails
+   * measured findings below 3:1, reports indeterminate ones as incomplete
+   */
+  function axeConfig() {
+    return {
+      checks: [{
+        id: 'non-text-contrast',
+        evaluate(node) {
+          const findings = check(node);
+          if (findings.length === 0) return true;
+          this.data(findings);
+          if (findings.some(item => !item.indeterminate && !item.passes)) return false;
+          return findings.some(item => item.indeterminate) ? undefined : true;
+        },
+        metadata: {
+          impact: 'serious',
+          messages: {
+            pass: 'Element has at least 3:1 contrast with adjacent colors',
+            fail: 'Element has less than 3:1 contrast with adjacent colors',
+            incomplete: 'Contrast could not be determined over a background image or gradient'
+          }
+        }
+      }],
+      rules: [{
+        id: 'non-text-contrast',
+        selector: Object.values(TARGETS).join(', '),
+        any: ['non-text-contrast'],
+        all: [],
+        none: [],
+        tags: ['wcag21aa', 'wcag1411', 'cat.color'],
+        metadata: {
+          description: 'Ensures form controls, component states and icons have 3:1 contrast with adjacent colors',
+          help: 'Non-text elements must have sufficient contrast',
+          helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/non-text-contrast.html'
+        }
+      }]
+    };
+  }
+
+  return {
+    MIN_RATIO,
+    TARGETS,
+    check,
+    audit,
+    axeConfig
+  };
+}
+
+export const { MIN_RATIO: NON_TEXT_MIN_RATIO, TARGETS: NON_TEXT_TARGETS } =
+  createNonTextKit({ contrast: createContrastKit() });
+
+/**
+ * Make the kit available in the page as `window.__a11y.nonText`
+ * @param {import('@playwright/test').Page} page - Playwright page
+ */
+export async function installNonTextKit(page) {
+  await installContrastKit(page);
+  await installKit(page, 'nonText', createNonTextKit);
+}
+
+/**
+ * Non-text contrast findings for the current page
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {Promise<Array<Object>>}
+ */
+export async function collectNonTextContrast(page) {
+  await installNonTextKit(page);
+  return page.evaluate(() => window.__a11y.nonText.audit());
+}
+
+/**
+ * Register the `non-text-contrast` rule with axe; call after injectAxe()
+ * @param {import('@playwright/test').Page} page - Playwright page
+ */
+export async function configureAxeNonTextRule(page) {
+  await installNonTextKit(page);
+  await page.evaluate(() => window.axe.configure(window.__a11y.nonText.axeConfig()));
+}
+
+/**
+ * One-line, human-readable description of a finding
+ */
+export function formatNonTextFinding(result) {
+  const measured = result.ratio === null ? 'indeterminate' : `${result.ratio.toFixed(2)}:1`;
+  const colors = result.foreground ? `, ${result.foreground} on ${result.background}` : '';
+  return `${result.check} ${result.label}: ${result.part} ${measured} (needs ${result.required}:1${colors})`;
+}
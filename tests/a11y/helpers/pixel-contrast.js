@@ -0,0 +1,384 @@
+/**
+ * Pixel-sampled Text Contrast
+ *
+ * axe and the computed-style engine (contrast.js) cannot see the pixels of
+ * background images, gradients, video posters or positioned overlays, so
+ * text in hero sections is either skipped or guessed. This checker
+ * screenshots the page twice, once as rendered and once with all text
+ * made transparent, and compares each text color with the background
+ * that was actually painted behind its line boxes.
+ *
+ * For every text element it reports the worst pixel, a low percentile
+ * and the worst region: the mean color of each `cellSize` CSS px cell.
+ * An element fails when its worst region is below the WCAG ratio for its
+ * size; single stray pixels from photos or antialiasing do not fail it.
+ * Overlays, the rendered crop with failing regions tinted red, show where.
+ */
+
+import { installContrastKit } from './contrast.js';
+import { installImageKit } from './image.js';
+import { installKit } from './inject.js';
+
+export const DEFAULT_PIXEL_OPTIONS = Object.freeze({
+  within: 'body',
+  level: 'AA',
+  cellSize: 8,
+  percentile: 10,
+  overlays: false
+});
+
+/**
+ * Build the pixel contrast API. Must stay self-contained: it is
+ * serialized into the page by source text.
+ * @param {Object} kits - Needs `kits.contrast` (createContrastKit()) and
+ *   `kits.image` (createImageKit())
+ * @returns {Object} Pixel contrast kit
+ */
+export function createPixelContrastKit(kits) {
+  const { parseColor, contrastRatio, requiredRatio } = kits.contrast;
+
+  const MASK_ID = 'a11y-pixel-contrast-mask';
+  const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TITLE'];
+  const OVERLAY_TINT = { r: 220, g: 0, b: 0, a: 0.45 };
+
+  function describe(el) {
+    const id = el.id ? `#${el.id}` : '';
+    const classes = (el.getAttribute('class') || '').trim();
+    return `${el.tagName.toLowerCase()}${id}${classes ? '.' + classes.split(/\s+/).join('.') : ''}`;
+  }
+
+  // Document-coordinate boxes of the element's own text
+  function textBoxes(el) {
+    const boxes = [];
+    for (const node of el.childNodes) {
+      if (node.nodeType !== 3 || !node.textContent.trim()) continue;
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      for (const rect of range.getClientRects()) {
+        if (rect.width > 0 && rect.height > 0) {
+          boxes.push({ x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height });
+        }
+      }
+    }
+    return boxes;
+  }
+
+  // Zero area once `clip-path: inset(...)` percentages are applied
+  function insetHidesAll(clipPath) {
+    const match = /^inset\(([^)]*?)(?:\s+round\b[^)]*)?\)$/.exec(clipPath.trim());
+    if (!match) return false;
+
+    const values = match[1].trim().split(/\s+/).map(value => (value.endsWith('%') ? parseFloat(value) : NaN));
+    const [top, right = top, bottom = top, left = right] = values;
+    return top + bottom >= 100 || left + right >= 100;
+  }
+
+  // `clip: rect(top, right, bottom, left)` with nothing left inside
+  function rectHidesAll(clip) {
+    const match = /^rect\(([^)]*)\)$/.exec(clip.trim());
+    if (!match) return false;
+
+    const [top, right, bottom, left] = match[1].split(/[\s,]+/).map(parseFloat);
+    return right <= left || bottom <= top;
+  }
+
+  /**
+   * Hidden by clipping rather than visibility: the visually hidden (sr-only)
+   * patterns clip the element itself, or wrap it in a 1×1 box with
+   * overflow hidden. Its text is read out but never painted.
+   * @param {Element} el
+   * @returns {boolean}
+   */
+  function isClippedOut(el) {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      const positioned = style.position === 'absolute' || style.position === 'fixed';
+
+      if (positioned && rectHidesAll(style.clip || '')) return true;
+      if (insetHidesAll(style.clipPath || '')) return true;
+      if (
+        [style.overflow, style.overflowX, style.overflowY].some(value => value === 'hidden' || value === 'clip') &&
+        parseFloat(style.width) <= 1 && parseFloat(style.height) <= 1
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Text elements under `within`, with what is needed to judge them;
+   * hidden and clipped-out (sr-only) text is skipped
+   * @param {string} [within='body'] - Selector of the containers to check
+   */
+  function collectTargets(within = 'body') {
+    const elements = new Set();
+    document.querySelectorAll(within).forEach(root => {
+      elements.add(root);
+      root.querySelectorAll('*').forEach(el => elements.add(el));
+    });
+
+    return [...elements]
+      .filter(el => !SKIPPED_TAGS.includes(el.tagName) && window.getComputedStyle(el).visibility !== 'hidden' && !isClippedOut(el))
+      .map(el => ({ el, boxes: textBoxes(el) }))
+      .filter(({ boxes }) => boxes.length > 0)
+      .map(({ el, boxes }, index) => {
+        const style = window.getComputedStyle(el);
+        return {
+          index,
+          label: describe(el),
+          text: el.textContent.trim().replace(/\s+/g, ' ').slice(0, 60),
+          boxes,
+          color: style.color,
+          fontSize: style.fontSize,
+          fontWeight: style.fontWeight
+        };
+      });
+  }
+
+  /**
+   * Make all text transparent, so a screenshot shows only what is behind it
+   * @param {boolean} on
+   */
+  function maskText(on) {
+    document.getElementById(MASK_ID)?.remove();
+    if (!on) return;
+
+    const style = document.createElement('style');
+    style.id = MASK_ID;
+    style.textContent = `*, *::before, *::after, *::placeholder, *::marker {
+      color: transparent !important;
+      -webkit-text-fill-color: transparent !important;
+      text-shadow: none !important;
+      text-decoration-color: transparent !important;
+      caret-color: transparent !important;
+    }`;
+    document.head.appendChild(style);
+  }
+
+  // Both screenshots must show the same frame
+  function freezeMedia() {
+    document.querySelectorAll('video, audio').forEach(media => media.pause());
+  }
+
+  /**
+   * Contrast of a text color against every background pixel under its
+   * boxes, and against the mean color of each cell
+   * @param {Object} background - Masked screenshot, `{ width, height, data }`
+   * @param {Array<{x, y, width, height}>} boxes - CSS px, image coordinates
+   * @param {Object} textColor - `{ r, g, b, a }`
+   * @param {Object} [options]
+   * @param {number} [options.scale=1] - Device pixels per CSS px
+   * @param {number} [options.cellSize=8] - Region size in CSS px
+   * @returns {{ratios: Float64Array, cells: Array<Object>}}
+   */
+  function sampleBoxes(background, boxes, textColor, { scale = 1, cellSize = 8 } = {}) {
+    const ratios = [];
+    const cells = [];
+
+    for (const box of boxes) {
+      const left = Math.max(0, Math.floor(box.x * scale));
+      const top = Math.max(0, Math.floor(box.y * scale));
+      const right = Math.min(background.width, Math.ceil((box.x + box.width) * scale));
+      const bottom = Math.min(background.height, Math.ceil((box.y + box.height) * scale));
+      const cellPixels = Math.max(1, Math.round(cellSize * scale));
+      const grid = new Map();
+
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const i = (y * background.width + x) * 4;
+          const pixel = { r: background.data[i], g: background.data[i + 1], b: background.data[i + 2], a: 1 };
+          ratios.push(contrastRatio(textColor, pixel));
+
+          const key = `${Math.floor((x - left) / cellPixels)},${Math.floor((y - top) / cellPixels)}`;
+          const cell = grid.get(key) || { x, y, right: x, bottom: y, r: 0, g: 0, b: 0, count: 0 };
+          cell.right = Math.max(cell.right, x);
+          cell.bottom = Math.max(cell.bottom, y);
+          cell.r += pixel.r;
+          cell.g += pixel.g;
+          cell.b += pixel.b;
+          cell.count += 1;
+          grid.set(key, cell);
+        }
+      }
+
+      grid.forEach(cell => {
+        const mean = { r: cell.r / cell.count, g: cell.g / cell.count, b: cell.b / cell.count, a: 1 };
+        cells.push({
+          x: cell.x / scale,
+          y: cell.y / scale,
+          width: (cell.right - cell.x + 1) / scale,
+          height: (cell.bottom - cell.y + 1) / scale,
+          ratio: contrastRatio(textColor, mean)
+        });
+      });
+    }
+
+    return { ratios: Float64Array.from(ratios).sort(), cells };
+  }
+
+  const percentileOf = (sorted, rank) => sorted[Math.floor((rank / 100) * (sorted.length - 1))];
+
+  /**
+   * Judge one text element against a masked screenshot
+   * @param {Object} background - Masked screenshot
+   * @param {Object} target - From collectTargets()
+   * @param {Object} [options] - scale, cellSize, percentile (10), level ('AA')
+   * @returns {Object|null} null when none of its text is in the image
+   */
+  function evaluateTarget(background, target, options = {}) {
+    const { percentile = 10, level = 'AA' } = options;
+    const textColor = parseColor(target.color);
+    if (!textColor || textColor.a === 0) return null;
+
+    const { ratios, cells } = sampleBoxes(background, target.boxes, textColor, options);
+    if (ratios.length === 0) return null;
+
+    const required = requiredRatio({ fontSize: target.fontSize, fontWeight: target.fontWeight, level });
+    const worstRegion = Math.min(...cells.map(cell => cell.ratio));
+
+    return {
+      index: target.index,
+      label: target.label,
+      text: target.text,
+      required,
+      worstPixel: ratios[0],
+      percentile,
+      percentileRatio: percentileOf(ratios, percentile),
+      medianRatio: percentileOf(ratios, 50),
+      worstRegion,
+      failingCells: cells.filter(cell => cell.ratio < required),
+      passes: worstRegion >= required
+    };
+  }
+
+  /**
+   * Crop of the rendered page around a result, failing cells tinted
+   * @param {Object} image - Unmasked screenshot
+   * @param {Object} target - From collectTargets()
+   * @param {Array<Object>} cells - Failing cells, CSS px
+   * @param {Object} [options]
+   * @param {number} [options.scale=1]
+   * @param {number} [options.padding=8] - CSS px around the text
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function paintOverlay(image, target, cells, { scale = 1, padding = 8 } = {}) {
+    const left = Math.min(...target.boxes.map(box => box.x)) - padding;
+    const top = Math.min(...target.boxes.map(box => box.y)) - padding;
+    const right = Math.max(...target.boxes.map(box => box.x + box.width)) + padding;
+    const bottom = Math.max(...target.boxes.map(box => box.y + box.height)) + padding;
+    const originX = Math.max(0, Math.floor(left * scale));
+    const originY = Math.max(0, Math.floor(top * scale));
+
+    const overlay = kits.image.crop(image, {
+      x: left * scale,
+      y: top * scale,
+      width: (right - left) * scale,
+      height: (bottom - top) * scale
+    });
+
+    const tint = OVERLAY_TINT;
+    for (const cell of cells) {
+      const x0 = Math.max(0, Math.floor(cell.x * scale) - originX);
+      const y0 = Math.max(0, Math.floor(cell.y * scale) - originY);
+      const x1 = Math.min(overlay.width, Math.ceil((cell.x + cell.width) * scale) - originX);
+      const y1 = Math.min(overlay.height, Math.ceil((cell.y + cell.height) * scale) - originY);
+
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * overlay.width + x) * 4;
+          for (const [offset, channel] of [[0, 'r'], [1, 'g'], [2, 'b']]) {
+            overlay.data[i + offset] = Math.round(tint[channel] * tint.a + overlay.data[i + offset] * (1 - tint.a));
+          }
+        }
+      }
+    }
+    return overlay;
+  }
+
+  /**
+   * Decode both screenshots and judge every target (browser only)
+   * @param {string} rendered - Base64 PNG of the page
+   * @param {string} masked - Base64 PNG with text masked
+   * @param {Array<Object>} targets - From collectTargets()
+   * @param {Object} [options] - See DEFAULT_PIXEL_OPTIONS
+   */
+  async function evaluateScreenshots(rendered, masked, targets, options = {}) {
+    const { decodePng, encodePng } = kits.image;
+    const scale = window.devicePixelRatio || 1;
+    const background = await decodePng(masked);
+
+    const results = targets
+      .map(target => evaluateTarget(background, target, { ...options, scale }))
+      .filter(Boolean);
+
+    if (options.overlays) {
+      const image = await decodePng(rendered);
+      for (const result of results.filter(item => !item.passes)) {
+        const target = targets.find(item => item.index === result.index);
+        result.overlay = await encodePng(paintOverlay(image, target, result.failingCells, { scale }));
+      }
+    }
+    return results;
+  }
+
+  return {
+    isClippedOut,
+    collectTargets,
+    maskText,
+    freezeMedia,
+    sampleBoxes,
+    evaluateTarget,
+    paintOverlay,
+    evaluateScreenshots
+  };
+}
+
+/**
+ * Make the kit available in the page as `window.__a11y.pixelContrast`
+ * @param {import('@playwright/test').Page} page - Playwright page
+ */
+export async function installPixelContrastKit(page) {
+  await installContrastKit(page);
+  await installImageKit(page);
+  await installKit(page, 'pixelContrast', createPixelContrastKit);
+}
+
+/**
+ * Measure text contrast against the rendered background
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} [options] - See DEFAULT_PIXEL_OPTIONS
+ * @returns {Promise<Array<Object>>} One result per text element; failing
+ *   ones carry a base64 PNG `overlay` when `options.overlays` is set
+ */
+export async function measurePixelContrast(page, options = {}) {
+  const settings = { ...DEFAULT_PIXEL_OPTIONS, ...options };
+  const screenshot = { fullPage: true, animations: 'disabled', caret: 'hide' };
+
+  await installPixelContrastKit(page);
+  await page.evaluate(() => window.__a11y.pixelContrast.freezeMedia());
+  const targets = await page.evaluate(within => window.__a11y.pixelContrast.collectTargets(within), settings.within);
+
+  const rendered = await page.screenshot(screenshot);
+  await page.evaluate(() => window.__a11y.pixelContrast.maskText(true));
+  try {
+    const masked = await page.screenshot(screenshot);
+    return await page.evaluate(
+      ([renderedPng, maskedPng, list, opts]) =>
+        window.__a11y.pixelContrast.evaluateScreenshots(renderedPng, maskedPng, list, opts),
+      [rendered.toString('base64'), masked.toString('base64'), targets, settings]
+    );
+  } finally {
+    await page.evaluate(() => window.__a11y.pixelContrast.maskText(false));
+  }
+}
+
+/**
+ * One-line, human-readable description of a result
+ */
+export function formatPixelResult(result) {
+  return `${result.label} "${result.text}": worst region ${result.worstRegion.toFixed(2)}:1, ` +
+    `${result.percentile}th percentile ${result.percentileRatio.toFixed(2)}:1, ` +
+    `worst pixel ${result.worstPixel.toFixed(2)}:1 (needs ${result.required}:1 in every region, ` +
+    `${result.failingCells.length} below)`;
+}
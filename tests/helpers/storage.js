@@ -0,0 +1,14 @@
+/**
+ * Web Storage stand-in backed by a Map, for examples that take a
+ * `storage` option. Share one between two instances to act as two tabs.
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function, items: Map}}
+ */
+export function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    items
+  };
+}
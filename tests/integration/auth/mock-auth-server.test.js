@@ -0,0 +1,235 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Integration tests: AuthenticationService against the mock auth server
+ * over real HTTP
+ */
+
+import { jest } from '@jest/globals';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import { LoginThrottle } from '../../../examples/auth/login-throttle.js';
+import { createRangeLoader, PasswordPolicy } from '../../../examples/auth/password-policy.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { createMockAuthServer } from '../../../examples/testing/mock-auth-server.js';
+
+const credentials = { email: 'test@example.com', password: 'testpassword123' };
+const mfaCredentials = { email: 'mfa@example.com', password: 'testpassword123' };
+
+/**
+ * Minimal axios-style client over fetch: resolves `{ data, headers, status }`
+ * and rejects non-2xx with `error.response`
+ */
+function createFetchClient(baseUrl) {
+  const request = async (method, url, body, config = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...config.headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const result = {
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      data: text ? JSON.parse(text) : null
+    };
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`HTTP ${response.status}`), { response: result });
+    }
+    return result;
+  };
+
+  return {
+    get: (url, config) => request('GET', url, undefined, config),
+    post: (url, body, config) => request('POST', url, body, config)
+  };
+}
+
+let server;
+let url;
+let close;
+
+beforeAll(async () => {
+  server = createMockAuthServer();
+  ({ url, close } = await server.listen());
+});
+
+afterAll(() => close());
+
+beforeEach(() => {
+  server.reset();
+});
+
+function createService(options = {}) {
+  const apiClient = createFetchClient(url);
+  const tokenStorage = new MemoryTokenStorage();
+  const logger = { debug() {}, info() {}, warn() {}, error() {} };
+  const service = new AuthenticationService(apiClient, tokenStorage, {
+    autoRefresh: false,
+    throttle: new LoginThrottle({ storage: null }),
+    logger,
+    csrf: 'endpoint',
+    ...options
+  });
+  return { service, apiClient, tokenStorage };
+}
+
+describe('mock auth server', () => {
+  test('logs in, refreshes and logs out', async () => {
+    const { service, tokenStorage } = createService();
+
+    const { user } = await service.login(credentials);
+    expect(user).toMatchObject({ email: 'test@example.com', role: 'editor' });
+
+    const firstRefreshToken = await tokenStorage.getRefreshToken();
+    await service.refreshAccessToken();
+    expect(await tokenStorage.getRefreshToken()).not.toBe(firstRefreshToken);
+    expect(await service.isTokenExpired()).toBe(false);
+
+    await service.logout();
+    expect(await tokenStorage.getRefreshToken()).toBeNull();
+  });
+
+  test('rejects wrong passwords', async () => {
+    const { service } = createService();
+    await expect(service.login({ ...credentials, password: 'wrongpassword123' }))
+      .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+  });
+
+  test('rejects requests without the CSRF token', async () => {
+    const apiClient = createFetchClient(url);
+    await expect(apiClient.post('/auth/login', credentials)).rejects.toMatchObject({
+      response: { status: 403, data: { code: 'CSRF_INVALID' } }
+    });
+  });
+
+  test('revokes the token family when a rotated refresh token is reused', async () => {
+    const { service, apiClient, tokenStorage } = createService();
+    await service.login(credentials);
+    const stolen = await tokenStorage.getRefreshToken();
+    await service.refreshAccessToken();
+
+    const replay = apiClient.post('/auth/refresh', { refreshToken: stolen, csrfToken: server.csrfToken });
+    await expect(replay).rejects.toMatchObject({ response: { status: 401, data: { code: 'REFRESH_TOKEN_REUSED' } } });
+
+    // The legitimate holder is logged out too
+    await expect(service.refreshAccessToken()).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+  });
+
+  test('passes Retry-After through to the lockout', async () => {
+    const { service } = createService();
+    server.failNext('/auth/login', { status: 429, retryAfter: 30 });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({
+      code: 'RATE_LIMITED',
+      details: { retryAfter: 30 }
+    });
+  });
+
+  test('keeps the session through a transient refresh failure', async () => {
+    const { service, tokenStorage } = createService();
+    await service.login(credentials);
+    server.failNext('/auth/refresh', { status: 500 });
+
+    await expect(service.refreshAccessToken()).rejects.toMatchObject({ code: 'REFRESH_FAILED' });
+    expect(await tokenStorage.getRefreshToken()).not.toBeNull();
+    await expect(service.refreshAccessToken()).resolves.toMatchObject({ user: { email: 'test@example.com' } });
+  });
+
+  test('completes a scripted MFA challenge', async () => {
+    const { service } = createService();
+
+    await expect(service.login(mfaCredentials)).rejects.toMatchObject({
+      code: 'MFA_REQUIRED',
+      details: { methods: ['totp', 'recovery_code'] }
+    });
+    await expect(service.verifyTotp('000000')).rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+    await expect(service.verifyTotp('123456')).resolves.toMatchObject({ user: { email: 'mfa@example.com' } });
+  });
+
+  test('accepts each recovery code once', async () => {
+    const { service } = createService();
+
+    await service.login(mfaCredentials).catch(() => {});
+    await service.verifyRecoveryCode('RECOVERY-0001');
+    await service.logout();
+
+    await service.login(mfaCredentials).catch(() => {});
+    await expect(service.verifyRecoveryCode('RECOVERY-0001')).rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+  });
+
+  test('scripts failures over HTTP for out-of-process use', async () => {
+    const { service } = createService();
+    const control = await fetch(`${url}/__mock/fail`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ route: '/auth/login', status: 401 })
+    });
+    expect(control.status).toBe(204);
+
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    await expect(service.login(credentials)).resolves.toMatchObject({ user: { email: 'test@example.com' } });
+  });
+
+  test('registers, verifies the email and logs in', async () => {
+    const { service } = createService();
+    const account = { email: 'new@example.com', password: 'correct horse battery' };
+
+    await service.register(account);
+    await expect(service.login(account)).rejects.toMatchObject({ code: 'EMAIL_NOT_VERIFIED' });
+    await expect(service.register(account)).rejects.toMatchObject({ code: 'EMAIL_IN_USE' });
+
+    const { token } = server.state.outbox.find(mail => mail.to === account.email && mail.type === 'verification');
+    await expect(service.verifyEmail(token)).resolves.toEqual({ verified: true });
+    await expect(service.verifyEmail(token)).rejects.toMatchObject({ code: 'VERIFICATION_TOKEN_INVALID' });
+    await expect(service.login(account)).resolves.toMatchObject({ user: { email: account.email } });
+  });
+
+  test('resets the password and revokes existing sessions', async () => {
+    const signedIn = createService();
+    await signedIn.service.login(credentials);
+
+    const { service } = createService();
+    await service.requestPasswordReset(credentials.email);
+    await expect(service.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+
+    const { token } = server.state.outbox.find(mail => mail.to === credentials.email && mail.type === 'passwordReset');
+    await expect(service.resetPassword(token, 'a brand new passphrase')).resolves.toEqual({ reset: true });
+
+    await expect(signedIn.service.refreshAccessToken()).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    await expect(service.login({ ...credentials, password: 'a brand new passphrase' })).resolves.toBeDefined();
+  });
+
+  test('rejects breached passwords using the served range files', async () => {
+    const account = { email: 'new@example.com', password: 'correct horse battery staple' };
+    const passwordPolicy = new PasswordPolicy({ breached: { loadRange: createRangeLoader({ baseUrl: `${url}/pwned-passwords`, partial: true }) } });
+    const { service, apiClient } = createService({ passwordPolicy });
+    apiClient.post = jest.fn(apiClient.post);
+
+    await expect(service.register(account)).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      details: { errors: [expect.objectContaining({ path: ['password'], params: { check: 'breached' } })] }
+    });
+    expect(apiClient.post).not.toHaveBeenCalled();
+
+    // The server enforces the same policy when the client check is skipped
+    const { service: unchecked } = createService({ passwordPolicy: new PasswordPolicy({ breached: false }) });
+    await expect(unchecked.register(account)).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'This password has appeared in a data breach. Choose a different one.'
+    });
+  });
+
+  test('refetches a rotated CSRF token and retries once', async () => {
+    const { service } = createService();
+    await service.login(credentials);
+
+    server.rotateCsrfToken();
+
+    await expect(service.refreshAccessToken()).resolves.toMatchObject({ user: { email: 'test@example.com' } });
+    await expect(service.getCSRFToken()).resolves.toBe(server.csrfToken);
+  });
+});
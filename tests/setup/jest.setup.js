@@ -0,0 +1,5 @@
+/**
+ * Jest setup, run after the test framework is installed
+ */
+
+import '@testing-library/jest-dom';
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the WCAG contrast engine
+ */
+
+import {
+  parseColor,
+  composite,
+  contrastRatio,
+  isLargeText,
+  requiredRatio
+} from '../../a11y/helpers/contrast.js';
+
+const rounded = color => color && {
+  r: Math.round(color.r),
+  g: Math.round(color.g),
+  b: Math.round(color.b),
+  a: Math.round(color.a * 100) / 100
+};
+
+describe('parseColor', () => {
+  test.each([
+    ['rgb(255, 0, 0)', { r: 255, g: 0, b: 0, a: 1 }],
+    ['rgba(0, 0, 255, 0.5)', { r: 0, g: 0, b: 255, a: 0.5 }],
+    ['rgb(0 128 0 / 25%)', { r: 0, g: 128, b: 0, a: 0.25 }],
+    ['hsl(120, 100%, 25%)', { r: 0, g: 128, b: 0, a: 1 }],
+    ['hsla(0 0% 100% / 0.3)', { r: 255, g: 255, b: 255, a: 0.3 }],
+    ['#0a0', { r: 0, g: 170, b: 0, a: 1 }],
+    ['#00000080', { r: 0, g: 0, b: 0, a: 0.5 }],
+    ['transparent', { r: 0, g: 0, b: 0, a: 0 }],
+    ['color(srgb 1 0.5 0)', { r: 255, g: 128, b: 0, a: 1 }],
+    ['color(srgb-linear 0.2158 0.2158 0.2158)', { r: 128, g: 128, b: 128, a: 1 }],
+    ['color(display-p3 1 1 1 / 0.5)', { r: 255, g: 255, b: 255, a: 0.5 }],
+    ['lab(100 0 0)', { r: 255, g: 255, b: 255, a: 1 }],
+    ['oklch(0 0 0)', { r: 0, g: 0, b: 0, a: 1 }],
+    ['oklab(1 0 0)', { r: 255, g: 255, b: 255, a: 1 }]
+  ])('parses %s', (input, expected) => {
+    expect(rounded(parseColor(input))).toEqual(expected);
+  });
+
+  test('returns null for unsupported input', () => {
+    expect(parseColor('currentcolor')).toBeNull();
+    expect(parseColor('color(prophoto-rgb 1 0 0)')).toBeNull();
+    expect(parseColor(undefined)).toBeNull();
+  });
+});
+
+describe('composite', () => {
+  test('blends translucent layers over an opaque backdrop', () => {
+    const result = composite(parseColor('rgba(0, 0, 0, 0.5)'), parseColor('#fff'));
+    expect(rounded(result)).toEqual({ r: 128, g: 128, b: 128, a: 1 });
+  });
+});
+
+describe('contrastRatio', () => {
+  test('black on white is 21:1', () => {
+    expect(contrastRatio('#000', '#fff')).toBeCloseTo(21, 5);
+  });
+
+  test('is symmetric', () => {
+    expect(contrastRatio('#777', '#fff')).toBeCloseTo(contrastRatio('#fff', '#777'), 10);
+  });
+
+  test('matches the WCAG reference value for #767676 on white', () => {
+    expect(contrastRatio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+  });
+
+  test('composites translucent text before measuring', () => {
+    expect(contrastRatio('rgba(0, 0, 0, 0.5)', '#fff'))
+      .toBeCloseTo(contrastRatio('#808080', '#fff'), 1);
+  });
+
+  test('throws on unparseable colors', () => {
+    expect(() => contrastRatio('nope', '#fff')).toThrow(TypeError);
+  });
+});
+
+describe('large text thresholds', () => {
+  test('uses point sizes and font weight', () => {
+    expect(isLargeText('24px', '400')).toBe(true);
+    expect(isLargeText('19px', '700')).toBe(true);
+    expect(isLargeText('19px', '600')).toBe(false);
+    expect(isLargeText('18px', 'bold')).toBe(false);
+  });
+
+  test('selects the level threshold', () => {
+    expect(requiredRatio({ fontSize: '16px', fontWeight: '400' })).toBe(4.5);
+    expect(requiredRatio({ fontSize: '16px', fontWeight: '400', level: 'AAA' })).toBe(7);
+    expect(requiredRatio({ fontSize: '32px', fontWeight: '400', level: 'AAA' })).toBe(4.5);
+    expect(() => requiredRatio({ fontSize: '16px', level: 'A' })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for color vision deficiency simulation
+ */
+
+import {
+  CVD_TYPES,
+  simulationMatrix,
+  simulateColor,
+  createVisionProfiles,
+  svgFilter,
+  cssFilter
+} from '../../a11y/helpers/cvd-simulation.js';
+import { parseColor } from '../../a11y/helpers/contrast.js';
+
+const rounded = ({ r, g, b }) => [r, g, b].map(Math.round);
+
+describe('simulationMatrix', () => {
+  test.each(CVD_TYPES)('%s is the identity at severity 0', type => {
+    expect(simulationMatrix(type, 0)).toEqual([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+  });
+
+  test.each(CVD_TYPES)('%s keeps neutral grays neutral', type => {
+    const m = simulationMatrix(type, 0.7);
+    for (let row = 0; row < 3; row++) {
+      expect(m[row * 3] + m[row * 3 + 1] + m[row * 3 + 2]).toBeCloseTo(1, 3);
+    }
+  });
+
+  test('interpolates between tabulated severities', () => {
+    const low = simulationMatrix('deutan', 0.6);
+    const high = simulationMatrix('deutan', 0.7);
+    const mid = simulationMatrix('deutan', 0.65);
+    mid.forEach((value, i) => expect(value).toBeCloseTo((low[i] + high[i]) / 2, 10));
+  });
+
+  test('rejects unknown types and out-of-range severities', () => {
+    expect(() => simulationMatrix('red', 1)).toThrow(RangeError);
+    expect(() => simulationMatrix('protan', 1.5)).toThrow(RangeError);
+  });
+});
+
+describe('simulateColor', () => {
+  const red = parseColor('#d32f2f');
+  const green = parseColor('#388e3c');
+
+  test('leaves colors untouched for normal vision', () => {
+    expect(rounded(simulateColor(red, { type: 'deutan', severity: 0 }))).toEqual([211, 47, 47]);
+  });
+
+  test('red and green converge for deuteranopes', () => {
+    const distance = (a, b) => Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b);
+    const profile = { type: 'deutan', severity: 1 };
+    expect(distance(simulateColor(red, profile), simulateColor(green, profile)))
+      .toBeLessThan(distance(red, green) / 2);
+  });
+
+  test('achromatopsia produces grays', () => {
+    const [r, g, b] = rounded(simulateColor(red, { type: 'achromat', severity: 1 }));
+    expect(r).toBe(g);
+    expect(g).toBe(b);
+  });
+
+  test('preserves alpha', () => {
+    expect(simulateColor({ ...red, a: 0.4 }, { type: 'tritan', severity: 1 }).a).toBe(0.4);
+  });
+});
+
+describe('vision profiles', () => {
+  test('grades dichromacies and adds the monochromacies', () => {
+    const profiles = createVisionProfiles({ severities: [0.5, 1] });
+    expect(profiles.map(p => p.id)).toEqual([
+      'deuteranomaly-50', 'deuteranopia',
+      'protanomaly-50', 'protanopia',
+      'tritanomaly-50', 'tritanopia',
+      'achromatopsia', 'blue-cone-monochromacy'
+    ]);
+  });
+
+  test('emits linear-RGB SVG filters and self-contained CSS', () => {
+    const [profile] = createVisionProfiles({ severities: [1] });
+    expect(svgFilter(profile)).toContain('color-interpolation-filters="linearRGB"');
+    expect(cssFilter(profile)).toMatch(/^url\("data:image\/svg\+xml,.*#deuteranopia"\)$/);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit tests for WCAG 2.2 focus appearance measurement
+ */
+
+import { createContrastKit, parseColor } from '../../a11y/helpers/contrast.js';
+import { createFocusKit, formatFocusResult } from '../../a11y/helpers/focus-appearance.js';
+
+const kit = () => createFocusKit({ contrast: createContrastKit() });
+
+// Solid image with an optional ring `thickness` px wide, `inset` px in
+function image(width, height, background, ring) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const fill = parseColor(background);
+  const stroke = ring && parseColor(ring.color);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const onRing = ring &&
+        x >= ring.inset && y >= ring.inset && x < width - ring.inset && y < height - ring.inset &&
+        (x < ring.inset + ring.thickness || y < ring.inset + ring.thickness ||
+          x >= width - ring.inset - ring.thickness || y >= height - ring.inset - ring.thickness);
+      const { r, g, b } = onRing ? stroke : fill;
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+// A 20 × 10 button captured with a 4 px margin; a 2 px outline sits
+// directly outside its border box
+const box = { width: 20, height: 10 };
+const unfocused = image(28, 18, '#ffffff');
+const outline = color => image(28, 18, '#ffffff', { color, inset: 2, thickness: 2 });
+
+describe('createFocusKit', () => {
+  test('perimeterArea is a 2 px band around the component', () => {
+    expect(kit().perimeterArea(20, 10)).toBe(120);
+    expect(kit().perimeterArea(20, 10, 1)).toBe(60);
+  });
+
+  test('counts changed pixels and those that change by 3:1', () => {
+    const strong = kit().compareStates(unfocused, outline('#005fcc'));
+    expect(strong.changedPixels).toBe(24 * 14 - 20 * 10);
+    expect(strong.contrastingPixels).toBe(strong.changedPixels);
+    expect(strong.maxContrast).toBeGreaterThan(5);
+
+    const faint = kit().compareStates(unfocused, outline('#cccccc'));
+    expect(faint.changedPixels).toBe(136);
+    expect(faint.contrastingPixels).toBe(0);
+  });
+
+  test('ignores antialiasing noise below the tolerance', () => {
+    expect(kit().compareStates(unfocused, image(28, 18, '#fdfefd')).changedPixels).toBe(0);
+  });
+
+  test('rejects captures of different sizes', () => {
+    expect(() => kit().compareStates(unfocused, image(28, 20, '#ffffff'))).toThrow(RangeError);
+  });
+
+  test('passes a 2 px outline with enough contrast', () => {
+    const result = kit().evaluateCapture({ unfocused, focused: outline('#005fcc'), scale: 1, box });
+
+    expect(result).toMatchObject({ indicatorArea: 136, requiredArea: 120, hiddenFraction: 0 });
+    expect(result.passes).toEqual({
+      focusVisible: true,
+      notObscured: true,
+      notObscuredEnhanced: true,
+      focusAppearance: true
+    });
+  });
+
+  test('fails a visible but faint indicator on focus appearance only', () => {
+    const result = kit().evaluateCapture({ unfocused, focused: outline('#cccccc'), scale: 1, box });
+
+    expect(result.passes.focusVisible).toBe(true);
+    expect(result.passes.focusAppearance).toBe(false);
+    expect(result.indicatorArea).toBe(0);
+  });
+
+  test('converts device pixels to CSS px', () => {
+    const hiDpi = image(56, 36, '#ffffff', { color: '#005fcc', inset: 4, thickness: 2 });
+    const result = kit().evaluateCapture({ unfocused: image(56, 36, '#ffffff'), focused: hiDpi, scale: 2, box });
+
+    // A 1 CSS px ring on a 2x screen: a quarter of the device pixels each
+    expect(result.indicatorArea).toBe((48 * 28 - 44 * 24) / 4);
+    expect(result.passes.focusAppearance).toBe(false);
+  });
+
+  test('reports obscured stops by how much is hidden', () => {
+    const capture = { unfocused, focused: outline('#005fcc'), scale: 1, box };
+
+    expect(kit().evaluateCapture({ ...capture, hiddenFraction: 0.4 }).passes)
+      .toMatchObject({ notObscured: true, notObscuredEnhanced: false });
+    expect(kit().evaluateCapture({ ...capture, hiddenFraction: 1 }).passes)
+      .toMatchObject({ notObscured: false, notObscuredEnhanced: false });
+  });
+
+  test('records Tab stops in order and notices when focus wraps', () => {
+    document.body.innerHTML = '<button id="first">Sign in</button><input aria-label="Email">';
+    const focus = kit();
+    const [button, input] = document.body.children;
+
+    button.focus();
+    expect(focus.recordStop()).toEqual({ index: 0, label: 'button#first "Sign in"', revisit: false });
+    input.focus();
+    expect(focus.recordStop()).toEqual({ index: 1, label: 'input "Email"', revisit: false });
+    button.focus();
+    expect(focus.recordStop()).toMatchObject({ index: 0, revisit: true });
+
+    button.blur();
+    expect(focus.recordStop()).toBeNull();
+  });
+
+  test('widens the capture for outlines and box shadows', () => {
+    document.body.innerHTML = '<button style="outline-style: solid; outline-width: 3px; outline-offset: 2px">A</button>' +
+      '<button style="box-shadow: 0 0 0 6px rgba(0, 0, 0, 0.5)">B</button><button>C</button>';
+    const [outlined, shadowed, plain] = document.body.children;
+
+    expect(kit().indicatorMargin(outlined)).toBe(5);
+    expect(kit().indicatorMargin(shadowed)).toBe(6);
+    expect(kit().indicatorMargin(plain)).toBe(4);
+  });
+});
+
+describe('formatFocusResult', () => {
+  const passes = { focusVisible: true, notObscured: true, notObscuredEnhanced: true, focusAppearance: true };
+
+  test('describes each failure', () => {
+    expect(formatFocusResult({
+      index: 2,
+      label: 'a "Pricing"',
+      indicatorArea: 60.4,
+      requiredArea: 120,
+      maxContrast: 2.345,
+      hiddenFraction: 0.4,
+      coveredBy: 'header#site-header',
+      passes: { ...passes, focusAppearance: false, notObscuredEnhanced: false }
+    })).toBe('Tab stop 3, a "Pricing": indicator 60 px² at 3:1 (needs 120 px², strongest change 2.35:1); 40% hidden by header#site-header');
+
+    expect(formatFocusResult({ index: 0, label: 'button', hiddenFraction: 0, passes: { ...passes, focusVisible: false } }))
+      .toBe('Tab stop 1, button: no visible change on focus');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for CIEDE2000 and colorblind information-loss detection
+ */
+
+import { deltaE2000, rgbToLab, colorDifference } from '../../a11y/helpers/color-difference.js';
+import { findInformationLoss, formatLoss } from '../../a11y/helpers/information-loss.js';
+import { parseColor } from '../../a11y/helpers/contrast.js';
+
+describe('deltaE2000', () => {
+  // Reference pairs from Sharma, Wu & Dalal (2005)
+  test.each([
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+    [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082]
+  ])('%j vs %j = %d', ([L1, a1, b1], [L2, a2, b2], expected) => {
+    expect(deltaE2000({ L: L1, a: a1, b: b1 }, { L: L2, a: a2, b: b2 })).toBeCloseTo(expected, 4);
+  });
+
+  test('white converts to L*=100 with no chroma', () => {
+    const lab = rgbToLab({ r: 255, g: 255, b: 255 });
+    expect(lab.L).toBeCloseTo(100, 2);
+    expect(Math.abs(lab.a)).toBeLessThan(0.01);
+    expect(Math.abs(lab.b)).toBeLessThan(0.01);
+  });
+});
+
+describe('findInformationLoss', () => {
+  const sample = (label, css) => ({ label, property: 'borderTopColor', color: parseColor(css) });
+  const deuteranopia = { id: 'deuteranopia', type: 'deutan', severity: 1 };
+
+  const collected = [
+    {
+      name: 'Error vs success borders',
+      sides: [[sample('input#email', '#d32f2f')], [sample('input#name', '#388e3c')]]
+    },
+    {
+      name: 'Status badges',
+      members: [
+        sample('span.badge "Online"', '#1565c0'),
+        sample('span.badge "Offline"', '#fbc02d'),
+        sample('span.badge "Away"', '#1565c1')
+      ]
+    }
+  ];
+
+  test('flags red/green pairs for deuteranopes and names both elements', () => {
+    const losses = findInformationLoss(collected, deuteranopia);
+    expect(losses).toHaveLength(1);
+    expect(losses[0]).toMatchObject({
+      rule: 'Error vs success borders',
+      first: 'input#email',
+      second: 'input#name',
+      profile: 'deuteranopia'
+    });
+    expect(formatLoss(losses[0])).toMatch(/^Error vs success borders: input#email vs input#name \(ΔE00 /);
+  });
+
+  test('reports every element pair, not one per color', () => {
+    const losses = findInformationLoss([{
+      name: 'Error vs success borders',
+      sides: [
+        [sample('input#email', '#d32f2f'), sample('input#phone', '#d32f2f')],
+        [sample('input#name', '#388e3c')]
+      ]
+    }], deuteranopia);
+
+    expect(losses.map(loss => `${loss.first} vs ${loss.second}`)).toEqual([
+      'input#email vs input#name',
+      'input#phone vs input#name'
+    ]);
+  });
+
+  test('ignores pairs that were never distinct for typical vision', () => {
+    const losses = findInformationLoss(collected, deuteranopia);
+    expect(losses.some(loss => loss.second.includes('Away'))).toBe(false);
+    expect(colorDifference(parseColor('#1565c0'), parseColor('#1565c1'))).toBeLessThan(1);
+  });
+
+  test('honors a custom threshold', () => {
+    expect(findInformationLoss(collected, deuteranopia, { minDeltaE: 0.5 })).toEqual([]);
+  });
+});
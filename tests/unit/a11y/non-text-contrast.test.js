@@ -0,0 +1,155 @@
+/**
+ * Unit tests for WCAG 1.4.11 non-text contrast checks
+ */
+
+import { jest } from '@jest/globals';
+import { createContrastKit } from '../../a11y/helpers/contrast.js';
+import { createNonTextKit, formatNonTextFinding, NON_TEXT_TARGETS } from '../../a11y/helpers/non-text-contrast.js';
+
+const { check, axeConfig } = createNonTextKit({ contrast: createContrastKit() });
+
+const render = html => {
+  document.body.innerHTML = html;
+  return document.body.firstElementChild;
+};
+
+const summary = findings => findings.map(({ check: name, part, passes }) => `${name} ${part} ${passes ? 'pass' : 'fail'}`);
+
+// jsdom does not compute pseudo-element styles; tests set them here
+let pseudoStyles = new Map();
+
+beforeEach(() => {
+  const getComputedStyle = window.getComputedStyle.bind(window);
+  jest.spyOn(window, 'getComputedStyle').mockImplementation((el, pseudo) => (pseudo
+    ? { content: 'none', backgroundColor: 'rgba(0, 0, 0, 0)', ...pseudoStyles.get(el)?.[pseudo] }
+    : getComputedStyle(el)));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  pseudoStyles = new Map();
+  document.body.innerHTML = '';
+});
+
+describe('input borders', () => {
+  test('passes a #767676 border on white', () => {
+    const [finding] = check(render('<input id="email" style="border: 1px solid #767676">'));
+
+    expect(finding).toMatchObject({ check: 'input-border', label: 'input#email', part: 'border', passes: true });
+    expect(finding.ratio).toBeCloseTo(4.54, 2);
+  });
+
+  test('fails a faint border and a fill that matches the page', () => {
+    const [finding] = check(render('<textarea style="border: 1px solid #cccccc; background-color: #ffffff"></textarea>'));
+
+    expect(finding).toMatchObject({ part: 'border', passes: false, foreground: 'rgb(204, 204, 204)', background: 'rgb(255, 255, 255)' });
+  });
+
+  test('accepts one clear edge: a bottom border, a solid shadow or the fill', () => {
+    expect(summary(check(render('<input style="border-bottom: 2px solid #595959">')))).toEqual(['input-border border pass']);
+    expect(summary(check(render('<input style="border: none; box-shadow: rgb(118, 118, 118) 0px 0px 0px 1px inset">'))))
+      .toEqual(['input-border border pass']);
+    expect(summary(check(render('<select style="border: none; background-color: #595959"></select>')))).toEqual(['input-border fill pass']);
+  });
+
+  test('measures against the surrounding background', () => {
+    const input = render('<div style="background-color: #121212"><input style="border: 1px solid #333333; background-color: #121212"></div>')
+      .firstElementChild;
+
+    expect(summary(check(input))).toEqual(['input-border border fail']);
+  });
+
+  test('exempts inactive controls', () => {
+    expect(check(render('<input disabled style="border: 1px solid #eeeeee">'))).toEqual([]);
+    expect(check(render('<div aria-disabled="true"><input style="border: 1px solid #eeeeee"></div>').firstElementChild)).toEqual([]);
+  });
+});
+
+describe('choices and toggles', () => {
+  test('checks custom checkboxes and radios, not native ones', () => {
+    expect(summary(check(render('<div role="checkbox" aria-checked="false" style="border: 2px solid #949494"></div>'))))
+      .toEqual(['choice-outline border pass']);
+    expect(summary(check(render('<span role="radio" style="border: 1px solid #d0d0d0"></span>'))))
+      .toEqual(['choice-outline border fail']);
+    expect(check(render('<input type="checkbox">'))).toEqual([]);
+  });
+
+  test('compares a switch thumb with its track', () => {
+    const on = render('<button role="switch" aria-checked="true" style="background-color: #0056b3"><span style="background-color: #ffffff"></span></button>');
+    expect(summary(check(on))).toEqual(['toggle-state thumb pass']);
+
+    const faint = render('<button role="switch" aria-checked="true" style="background-color: #0056b3"><span style="background-color: #4d88cc"></span></button>');
+    expect(summary(check(faint))).toEqual(['toggle-state thumb fail']);
+  });
+
+  test('finds a thumb drawn with a pseudo-element', () => {
+    const toggle = render('<button role="switch" aria-checked="true" style="background-color: #0056b3"></button>');
+    pseudoStyles.set(toggle, { '::after': { content: '""', backgroundColor: 'rgb(255, 255, 255)' } });
+
+    expect(summary(check(toggle))).toEqual(['toggle-state thumb pass']);
+  });
+
+  test('needs the fill of a pressed button to stand out without a thumb', () => {
+    expect(summary(check(render('<button aria-pressed="true" style="background-color: #e8e8e8">Bold</button>'))))
+      .toEqual(['toggle-state fill fail']);
+    expect(summary(check(render('<button aria-pressed="true" style="background-color: #1a1a1a">Bold</button>'))))
+      .toEqual(['toggle-state fill pass']);
+  });
+});
+
+describe('icons', () => {
+  test('measures the strongest fill or stroke against the background', () => {
+    const icon = render('<svg aria-label="Warning"><path fill="#cccccc"></path><circle fill="#949494"></circle></svg>');
+    const [finding] = check(icon);
+
+    expect(finding).toMatchObject({ check: 'icon', label: 'svg "Warning"', part: 'fill', passes: true });
+    expect(summary(check(render('<svg role="img"><path fill="none" stroke="#dddddd"></path></svg>')))).toEqual(['icon stroke fail']);
+  });
+
+  test('skips decorative icons next to text, but not icon-only controls', () => {
+    expect(check(render('<button><svg aria-hidden="true"><path fill="#eeeeee"></path></svg> Delete</button>').firstElementChild))
+      .toEqual([]);
+    expect(check(render('<svg role="presentation"><path fill="#eeeeee"></path></svg>'))).toEqual([]);
+    expect(summary(check(render('<button aria-label="Delete"><svg aria-hidden="true"><path fill="#eeeeee"></path></svg></button>')
+      .firstElementChild))).toEqual(['icon fill fail']);
+  });
+
+  test('reports gradient-only icons as indeterminate', () => {
+    expect(check(render('<svg aria-label="Logo"><path fill="url(#brand)"></path></svg>'))).toEqual([
+      { check: 'icon', label: 'svg "Logo"', part: 'fill', ratio: null, required: 3, passes: false, indeterminate: true }
+    ]);
+  });
+});
+
+describe('axe rule', () => {
+  const { checks: [axeCheck], rules: [rule] } = axeConfig();
+  const evaluate = node => {
+    const context = { data: jest.fn() };
+    return { result: axeCheck.evaluate.call(context, node), data: context.data };
+  };
+
+  test('targets the same elements as the Playwright checks', () => {
+    expect(rule).toMatchObject({ id: 'non-text-contrast', any: ['non-text-contrast'], tags: expect.arrayContaining(['wcag1411']) });
+    expect(rule.selector).toBe(Object.values(NON_TEXT_TARGETS).join(', '));
+  });
+
+  test('fails, passes or leaves incomplete like the findings', () => {
+    const failing = evaluate(render('<input style="border: 1px solid #cccccc">'));
+    expect(failing.result).toBe(false);
+    expect(failing.data).toHaveBeenCalledWith([expect.objectContaining({ check: 'input-border', passes: false })]);
+
+    expect(evaluate(render('<input style="border: 1px solid #767676">')).result).toBe(true);
+    expect(evaluate(render('<svg aria-label="Logo"><path fill="url(#brand)"></path></svg>')).result).toBeUndefined();
+    expect(evaluate(render('<input disabled style="border: 1px solid #cccccc">')).result).toBe(true);
+  });
+});
+
+describe('formatNonTextFinding', () => {
+  test('describes measured and indeterminate findings', () => {
+    const [finding] = check(render('<input id="q" style="border: 1px solid #cccccc">'));
+
+    expect(formatNonTextFinding(finding)).toBe('input-border input#q: border 1.61:1 (needs 3:1, rgb(204, 204, 204) on rgb(255, 255, 255))');
+    expect(formatNonTextFinding({ check: 'icon', label: 'svg', part: 'fill', ratio: null, required: 3 }))
+      .toBe('icon svg: fill indeterminate (needs 3:1)');
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for pixel-sampled text contrast
+ */
+
+import { createContrastKit, parseColor } from '../../a11y/helpers/contrast.js';
+import { createImageKit } from '../../a11y/helpers/image.js';
+import { createPixelContrastKit, formatPixelResult } from '../../a11y/helpers/pixel-contrast.js';
+
+const { isClippedOut, sampleBoxes, evaluateTarget, paintOverlay } = createPixelContrastKit({
+  contrast: createContrastKit(),
+  image: createImageKit()
+});
+
+// Image filled by `paint(x, y)` returning a CSS color
+function image(width, height, paint) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { r, g, b } = parseColor(paint(x, y));
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+const target = (overrides = {}) => ({
+  index: 0,
+  label: 'h1.hero-title',
+  text: 'Welcome',
+  boxes: [{ x: 0, y: 0, width: 32, height: 16 }],
+  color: 'rgb(255, 255, 255)',
+  fontSize: '16px',
+  fontWeight: '400',
+  ...overrides
+});
+
+// A hero photo: dark on the left, light on the right
+const hero = image(32, 16, x => (x < 16 ? '#1a1a1a' : '#f0f0f0'));
+
+describe('isClippedOut', () => {
+  afterEach(() => {
+    document.body.replaceChildren();
+  });
+
+  const render = (html) => {
+    document.body.innerHTML = html;
+    return document.querySelector('[data-target]');
+  };
+
+  test.each([
+    // jsdom drops the space-separated form; browsers compute it with commas
+    ['clip: rect(0, 0, 0, 0)', '<span data-target style="position: absolute; clip: rect(0px, 0px, 0px, 0px)">Menu</span>'],
+    ['clip-path: inset(50%)', '<span data-target style="clip-path: inset(50%)">Menu</span>'],
+    ['the sr-only pattern', '<span data-target style="position: absolute; width: 1px; height: 1px; overflow: hidden; margin: -1px">Menu</span>'],
+    ['a 1×1 ancestor with overflow hidden', '<div style="width: 1px; height: 1px; overflow: hidden"><p><b data-target>Menu</b></p></div>'],
+    ['a clipped ancestor', '<div style="clip-path: inset(50% 0)"><b data-target>Menu</b></div>']
+  ])('skips text hidden by %s', (label, html) => {
+    expect(isClippedOut(render(html))).toBe(true);
+  });
+
+  test.each([
+    ['plain text', '<p data-target>Welcome</p>'],
+    ['clip on a static element, where it does not apply', '<span data-target style="clip: rect(0 0 0 0)">Welcome</span>'],
+    ['a partial inset', '<span data-target style="clip-path: inset(10%)">Welcome</span>'],
+    ['a small box that does not hide overflow', '<div style="width: 1px; height: 1px"><span data-target>Welcome</span></div>'],
+    ['a large box with overflow hidden', '<div style="width: 200px; height: 40px; overflow: hidden"><span data-target>Welcome</span></div>']
+  ])('keeps %s', (label, html) => {
+    expect(isClippedOut(render(html))).toBe(false);
+  });
+});
+
+describe('sampleBoxes', () => {
+  test('measures every pixel and the mean of each cell', () => {
+    const { ratios, cells } = sampleBoxes(hero, target().boxes, parseColor('#ffffff'), { cellSize: 8 });
+
+    expect(ratios).toHaveLength(32 * 16);
+    expect(ratios[0]).toBeCloseTo(1.14, 2);
+    expect(ratios[ratios.length - 1]).toBeCloseTo(17.4, 1);
+    expect(cells).toHaveLength(8);
+    expect(cells[0]).toMatchObject({ x: 0, y: 0, width: 8, height: 8 });
+  });
+
+  test('converts CSS px boxes to device pixels', () => {
+    const hiDpi = image(64, 32, x => (x < 32 ? '#1a1a1a' : '#f0f0f0'));
+    const { ratios, cells } = sampleBoxes(hiDpi, target().boxes, parseColor('#ffffff'), { scale: 2, cellSize: 8 });
+
+    expect(ratios).toHaveLength(64 * 32);
+    expect(cells).toHaveLength(8);
+    expect(cells[1]).toMatchObject({ x: 8, y: 0, width: 8, height: 8 });
+  });
+});
+
+describe('evaluateTarget', () => {
+  test('fails text whose worst region is below the ratio for its size', () => {
+    const result = evaluateTarget(hero, target());
+
+    expect(result).toMatchObject({ index: 0, label: 'h1.hero-title', required: 4.5, passes: false, percentile: 10 });
+    expect(result.worstRegion).toBeCloseTo(1.14, 2);
+    expect(result.medianRatio).toBeCloseTo(1.14, 2);
+    expect(result.failingCells.map(cell => cell.x)).toEqual([16, 24, 16, 24]);
+  });
+
+  test('passes dark backgrounds with stray light pixels', () => {
+    // Photo noise: one light pixel in every 8 × 8 cell
+    const noisy = image(32, 16, (x, y) => (x % 8 === 0 && y % 8 === 0 ? '#ffffff' : '#1a1a1a'));
+    const result = evaluateTarget(noisy, target());
+
+    expect(result.worstPixel).toBe(1);
+    expect(result.percentileRatio).toBeGreaterThan(15);
+    expect(result.worstRegion).toBeGreaterThan(4.5);
+    expect(result.passes).toBe(true);
+  });
+
+  test('uses the large-text threshold and the requested level', () => {
+    const grey = image(32, 16, () => '#767676');
+
+    expect(evaluateTarget(grey, target({ fontSize: '24px' }))).toMatchObject({ required: 3, passes: true });
+    expect(evaluateTarget(grey, target({ fontSize: '24px' }), { level: 'AAA' })).toMatchObject({ required: 4.5, passes: true });
+    expect(evaluateTarget(grey, target(), { level: 'AAA' })).toMatchObject({ required: 7, passes: false });
+  });
+
+  test('composites translucent text over each background pixel', () => {
+    const white = image(32, 16, () => '#ffffff');
+
+    expect(evaluateTarget(white, target({ color: 'rgba(0, 0, 0, 0.5)' })).worstRegion).toBeCloseTo(3.95, 1);
+  });
+
+  test('skips transparent text and text outside the screenshot', () => {
+    expect(evaluateTarget(hero, target({ color: 'transparent' }))).toBeNull();
+    expect(evaluateTarget(hero, target({ boxes: [{ x: 100, y: 100, width: 20, height: 10 }] }))).toBeNull();
+  });
+});
+
+describe('paintOverlay', () => {
+  test('crops around the text and tints failing cells only', () => {
+    const rendered = image(48, 32, x => (x < 24 ? '#1a1a1a' : '#f0f0f0'));
+    const text = target({ boxes: [{ x: 8, y: 8, width: 32, height: 16 }] });
+    const failing = [{ x: 24, y: 8, width: 8, height: 8, ratio: 1.1 }];
+
+    const overlay = paintOverlay(rendered, text, failing, { padding: 4 });
+    const pixel = (x, y) => [...overlay.data.subarray((y * overlay.width + x) * 4, (y * overlay.width + x) * 4 + 3)];
+
+    expect([overlay.width, overlay.height]).toEqual([40, 24]);
+    expect(pixel(24, 8)).toEqual([231, 132, 132]);
+    expect(pixel(32, 8)).toEqual([240, 240, 240]);
+    expect(pixel(0, 0)).toEqual([26, 26, 26]);
+  });
+});
+
+describe('createImageKit', () => {
+  test('crops within the image bounds', () => {
+    const { crop, pixelAt } = createImageKit();
+    const source = image(4, 4, (x, y) => (x === 3 && y === 3 ? '#ff0000' : '#000000'));
+
+    const corner = crop(source, { x: 2, y: 2, width: 10, height: 10 });
+    expect([corner.width, corner.height]).toEqual([2, 2]);
+    expect(pixelAt(corner, 1, 1)).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+    expect(crop(source, { x: 8, y: 8, width: 2, height: 2 }).data).toHaveLength(0);
+  });
+});
+
+describe('formatPixelResult', () => {
+  test('summarises the failing measurements', () => {
+    expect(formatPixelResult(evaluateTarget(hero, target()))).toBe(
+      'h1.hero-title "Welcome": worst region 1.14:1, 10th percentile 1.14:1, ' +
+      'worst pixel 1.14:1 (needs 4.5:1 in every region, 4 below)'
+    );
+  });
+});
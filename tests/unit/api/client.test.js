@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the authenticated API client wrapper
+ */
+
+import { jest } from '@jest/globals';
+import { AuthenticatedApiClient } from '../../../examples/api/client.js';
+import { AuthError } from '../../../examples/auth/login-flow.js';
+
+const unauthorized = () => Object.assign(new Error('Unauthorized'), { response: { status: 401 } });
+
+function setup({ refreshResult = 'ok' } = {}) {
+  let accessToken = 'expired-token';
+  const tokenStorage = { getAccessToken: jest.fn(async () => accessToken) };
+
+  const apiClient = {
+    get: jest.fn(async (url, config) => {
+      if (config.headers?.Authorization !== 'Bearer fresh-token') throw unauthorized();
+      return { data: url };
+    }),
+    post: jest.fn(async (url, data, config) => ({ data: { url, config } }))
+  };
+
+  let release;
+  const authService = {
+    refreshPromise: null,
+    refreshAccessToken: jest.fn(() => new Promise((resolve, reject) => {
+      release = () => {
+        if (refreshResult === 'ok') {
+          accessToken = 'fresh-token';
+          resolve();
+        } else if (refreshResult === 'transient') {
+          reject(new AuthError('Unable to refresh session. Retrying shortly.', 'REFRESH_FAILED'));
+        } else {
+          reject(new AuthError('Session expired. Please login again.', 'SESSION_EXPIRED'));
+        }
+      };
+    }))
+  };
+
+  const client = new AuthenticatedApiClient({ apiClient, tokenStorage, authService });
+  return { client, apiClient, authService, release: () => release() };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('AuthenticatedApiClient', () => {
+  test('attaches the bearer token', async () => {
+    const { client, apiClient } = setup();
+    await client.post('/reports', { a: 1 });
+    expect(apiClient.post.mock.calls[0][2].headers.Authorization).toBe('Bearer expired-token');
+  });
+
+  test('queues concurrent 401s behind one refresh and replays each once', async () => {
+    const { client, apiClient, authService, release } = setup();
+
+    const requests = [client.get('/a'), client.get('/b'), client.get('/c')];
+    await flush();
+    expect(authService.refreshAccessToken).toHaveBeenCalledTimes(1);
+
+    release();
+    await expect(Promise.all(requests)).resolves.toEqual([
+      { data: '/a' }, { data: '/b' }, { data: '/c' }
+    ]);
+    expect(authService.refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(apiClient.get).toHaveBeenCalledTimes(6);
+  });
+
+  test('rejects every queued request with SESSION_EXPIRED when refresh fails', async () => {
+    const { client, release } = setup({ refreshResult: 'fail' });
+
+    const requests = [client.get('/a'), client.get('/b')];
+    await flush();
+    release();
+
+    for (const request of requests) {
+      await expect(request).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+    }
+  });
+
+  test('passes a transient refresh failure through unchanged', async () => {
+    const { client, release } = setup({ refreshResult: 'transient' });
+
+    const request = client.get('/a');
+    await flush();
+    release();
+
+    await expect(request).rejects.toMatchObject({ code: 'REFRESH_FAILED' });
+  });
+
+  test('sends with the stored token when a scheduled refresh fails', async () => {
+    const { client, apiClient, authService } = setup();
+    authService.refreshPromise = Promise.reject(new AuthError('Unable to refresh session. Retrying shortly.', 'REFRESH_FAILED'));
+
+    await expect(client.post('/reports', {})).resolves.toMatchObject({ data: { url: '/reports' } });
+    expect(apiClient.post.mock.calls[0][2].headers.Authorization).toBe('Bearer expired-token');
+    expect(authService.refreshAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('never refreshes for /auth/* endpoints', async () => {
+    const { client, apiClient, authService } = setup();
+    apiClient.post.mockRejectedValueOnce(unauthorized());
+
+    await expect(client.post('/auth/login', {})).rejects.toThrow('Unauthorized');
+    expect(authService.refreshAccessToken).not.toHaveBeenCalled();
+    expect(apiClient.post.mock.calls[0][2].headers).toBeUndefined();
+  });
+});
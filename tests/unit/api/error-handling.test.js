@@ -0,0 +1,181 @@
+/**
+ * Unit tests for API error classification, field error mapping and
+ * retry with backoff, and how login() reports each failure kind
+ */
+
+import { jest } from '@jest/globals';
+import {
+  backoffDelay,
+  classifyError,
+  extractFieldErrors,
+  fieldErrorMap,
+  isRetryable,
+  retryWithBackoff
+} from '../../../examples/api/error-handling.js';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import { LoginThrottle } from '../../../examples/auth/login-throttle.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { buildJwt } from '../../../examples/testing/mocks.js';
+
+const httpError = (status, data = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {}, data } });
+
+const online = { navigator: { onLine: true } };
+
+describe('classifyError', () => {
+  test.each([
+    ['401', httpError(401), 'unauthorized'],
+    ['429', httpError(429), 'rate_limited'],
+    ['408', httpError(408), 'timeout'],
+    ['422', httpError(422), 'validation'],
+    ['400 with field errors', httpError(400, { errors: { email: 'Taken' } }), 'validation'],
+    ['400 without field errors', httpError(400), 'client'],
+    ['503', httpError(503), 'server'],
+    ['axios timeout', Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }), 'timeout'],
+    ['fetch abort', Object.assign(new Error('aborted'), { name: 'AbortError' }), 'timeout'],
+    ['fetch failure', new TypeError('Failed to fetch'), 'network'],
+    ['axios no response', Object.assign(new Error('Network Error'), { request: {} }), 'network'],
+    ['programming error', new TypeError('x is undefined'), 'unknown']
+  ])('%s → %s', (label, error, kind) => {
+    expect(classifyError(error, online)).toBe(kind);
+  });
+
+  test('reports offline when the browser says so', () => {
+    expect(classifyError(new TypeError('Failed to fetch'), { navigator: { onLine: false } })).toBe('offline');
+  });
+
+  test('retries only transient kinds', () => {
+    expect(isRetryable(httpError(503), online)).toBe(true);
+    expect(isRetryable(httpError(501), online)).toBe(false);
+    expect(isRetryable(new TypeError('Failed to fetch'), online)).toBe(true);
+    expect(isRetryable(new TypeError('Failed to fetch'), { navigator: { onLine: false } })).toBe(false);
+    expect(isRetryable(httpError(401), online)).toBe(false);
+    expect(isRetryable(httpError(422), online)).toBe(false);
+  });
+});
+
+describe('extractFieldErrors', () => {
+  const expected = [
+    { path: ['email'], message: 'Already registered', code: 'server' },
+    { path: ['profile', 'name'], message: 'Required', code: 'server' }
+  ];
+
+  test.each([
+    ['an object of arrays', { errors: { email: ['Already registered'], 'profile.name': 'Required' } }],
+    ['a list of fields', { errors: [{ field: 'email', message: 'Already registered' }, { path: ['profile', 'name'], message: 'Required' }] }],
+    ['RFC 9457 invalid-params', { 'invalid-params': [{ name: 'email', reason: 'Already registered' }, { name: 'profile.name', reason: 'Required' }] }]
+  ])('reads %s', (label, body) => {
+    expect(extractFieldErrors(body)).toEqual(expected);
+  });
+
+  test('returns nothing for bodies without field errors', () => {
+    expect(extractFieldErrors({ error: 'Bad request' })).toEqual([]);
+    expect(extractFieldErrors(undefined)).toEqual([]);
+  });
+
+  test('maps issues to the first message per field', () => {
+    expect(fieldErrorMap([
+      { path: ['email'], message: 'Invalid email address' },
+      { path: ['email'], message: 'Too long' },
+      { path: [], message: 'Form error' }
+    ])).toEqual({ email: 'Invalid email address', '': 'Form error' });
+  });
+});
+
+describe('retryWithBackoff', () => {
+  test('caps the exponential delay and applies full jitter', () => {
+    const max = { random: () => 1 };
+    expect(backoffDelay(1, max)).toBe(500);
+    expect(backoffDelay(3, max)).toBe(2000);
+    expect(backoffDelay(10, max)).toBe(4000);
+    expect(backoffDelay(3, { random: () => 0.5 })).toBe(1000);
+  });
+
+  test('retries transient failures, then gives up with the last error', async () => {
+    const sleep = jest.fn(async () => {});
+    const task = jest.fn().mockRejectedValue(httpError(503));
+
+    await expect(retryWithBackoff(task, { retries: 2, sleep })).rejects.toMatchObject({ response: { status: 503 } });
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry permanent failures', async () => {
+    const task = jest.fn().mockRejectedValue(httpError(422));
+    await expect(retryWithBackoff(task, { sleep: async () => {} })).rejects.toBeDefined();
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('login() failure codes', () => {
+  const credentials = { email: 'user@example.com', password: 'correct horse battery' };
+  const user = { id: 'u1', email: 'user@example.com', role: 'user', permissions: [] };
+
+  function setup(post) {
+    const apiClient = { post: jest.fn(post) };
+    const service = new AuthenticationService(apiClient, new MemoryTokenStorage(), {
+      autoRefresh: false,
+      throttle: new LoginThrottle({ storage: null }),
+      logger: { debug() {}, info() {}, warn() {}, error() {} },
+      retry: { sleep: async () => {} }
+    });
+    return { service, apiClient };
+  }
+
+  test.each([
+    ['a timeout', () => Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }), 'TIMEOUT'],
+    ['a network failure', () => new TypeError('Failed to fetch'), 'NETWORK_ERROR'],
+    ['a 5xx', () => httpError(503), 'SERVER_ERROR']
+  ])('retries %s and reports %s', async (label, buildError, code) => {
+    const { service, apiClient } = setup(async () => {
+      throw buildError();
+    });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({ code });
+    expect(apiClient.post).toHaveBeenCalledTimes(3);
+  });
+
+  test('succeeds when a retry gets through', async () => {
+    let calls = 0;
+    const { service } = setup(async () => {
+      calls += 1;
+      if (calls === 1) throw httpError(502);
+      return { data: { accessToken: buildJwt({ sub: 'u1' }), refreshToken: 'r1', expiresIn: 900, user } };
+    });
+
+    await expect(service.login(credentials)).resolves.toMatchObject({ user });
+  });
+
+  test('reports being offline without retrying', async () => {
+    const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+    const { service, apiClient } = setup(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'OFFLINE' });
+    expect(apiClient.post).toHaveBeenCalledTimes(1);
+    onLine.mockRestore();
+  });
+
+  test('maps 422 field errors onto the client validation shape', async () => {
+    const { service, apiClient } = setup(async () => {
+      throw httpError(422, { errors: { email: ['This account is disabled'] } });
+    });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'This account is disabled',
+      details: { status: 422, errors: [{ path: ['email'], message: 'This account is disabled', code: 'server' }] }
+    });
+    expect(apiClient.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports a malformed response as INVALID_RESPONSE, not VALIDATION_ERROR', async () => {
+    const { service } = setup(async () => ({ data: { token: 'abc' } }));
+
+    await expect(service.login(credentials)).rejects.toMatchObject({
+      code: 'INVALID_RESPONSE',
+      details: { issues: expect.arrayContaining([expect.objectContaining({ path: ['accessToken'] })]) }
+    });
+  });
+});
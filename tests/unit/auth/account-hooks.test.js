@@ -0,0 +1,207 @@
+/**
+ * Unit tests for registration, email verification and password reset:
+ * the AuthenticationService methods and their hooks
+ */
+
+import { jest } from '@jest/globals';
+import { createElement, StrictMode } from 'react';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import {
+  useEmailVerification,
+  usePasswordReset,
+  usePasswordResetRequest,
+  useRegistration
+} from '../../../examples/auth/account-hooks.js';
+import { AuthProvider } from '../../../examples/auth/auth-provider.js';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { announcer } from '../../../examples/patterns/announcer.js';
+
+const httpError = (status, data = {}, headers = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), { response: { status, data, headers } });
+
+const logger = { debug() {}, info() {}, warn() {}, error: jest.fn() };
+
+function setup(post = async () => ({ data: {} })) {
+  const apiClient = { post: jest.fn(post) };
+  const tokenStorage = new MemoryTokenStorage();
+  const service = new AuthenticationService(apiClient, tokenStorage, { autoRefresh: false, logger });
+  return { service, apiClient, tokenStorage };
+}
+
+describe('AuthenticationService account flows', () => {
+  test('registers with validated input and the CSRF token', async () => {
+    const { service, apiClient } = setup();
+    document.head.innerHTML = '<meta name="csrf-token" content="csrf-1">';
+
+    await expect(service.register({ email: ' new@example.com ', password: 'correct horse battery', name: 'Ada' }))
+      .resolves.toEqual({ email: 'new@example.com', verificationRequired: true });
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/register', {
+      email: 'new@example.com',
+      password: 'correct horse battery',
+      name: 'Ada',
+      csrfToken: 'csrf-1'
+    }, expect.objectContaining({ retry: false }));
+    document.head.innerHTML = '';
+  });
+
+  test('reports invalid registration input per field without a request', async () => {
+    const { service, apiClient } = setup();
+
+    await expect(service.register({ email: 'nope', password: 'short' })).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      details: {
+        errors: expect.arrayContaining([
+          expect.objectContaining({ path: ['email'] }),
+          expect.objectContaining({ path: ['password'], message: 'Password must be at least 12 characters' })
+        ])
+      }
+    });
+    expect(apiClient.post).not.toHaveBeenCalled();
+  });
+
+  test('maps 409 to EMAIL_IN_USE with an email field error', async () => {
+    const { service } = setup(async () => {
+      throw httpError(409);
+    });
+
+    await expect(service.register({ email: 'taken@example.com', password: 'correct horse battery' }))
+      .rejects.toMatchObject({ code: 'EMAIL_IN_USE', details: { errors: [expect.objectContaining({ path: ['email'] })] } });
+  });
+
+  test.each([
+    ['requestPasswordReset', service => service.requestPasswordReset('ghost@example.com')],
+    ['resendVerification', service => service.resendVerification('ghost@example.com')]
+  ])('%s resolves for unknown emails', async (label, call) => {
+    const { service } = setup(async () => {
+      throw httpError(404);
+    });
+    await expect(call(service)).resolves.toBeUndefined();
+  });
+
+  test.each([
+    ['verifyEmail', service => service.verifyEmail('used-token'), 'VERIFICATION_TOKEN_INVALID'],
+    ['resetPassword', service => service.resetPassword('used-token', 'correct horse battery'), 'RESET_TOKEN_INVALID']
+  ])('%s reports an expired or used link', async (label, call, code) => {
+    const { service } = setup(async () => {
+      throw httpError(410);
+    });
+    await expect(call(service)).rejects.toMatchObject({ code });
+  });
+
+  test('resetPassword keeps server password rules as field errors', async () => {
+    const { service } = setup(async () => {
+      throw httpError(422, { errors: { password: ['Password was found in a data breach'] } });
+    });
+
+    await expect(service.resetPassword('token', 'correct horse battery')).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      details: { errors: [expect.objectContaining({ path: ['password'], message: 'Password was found in a data breach' })] }
+    });
+  });
+
+  test('resetPassword ends the session stored in this tab', async () => {
+    const { service, tokenStorage } = setup();
+    const onLogout = jest.fn();
+    service.on('logout', onLogout);
+    await tokenStorage.setTokens({ accessToken: 'a', refreshToken: 'r', expiresIn: 60 });
+
+    await expect(service.resetPassword('token', 'correct horse battery')).resolves.toEqual({ reset: true });
+    expect(await tokenStorage.getRefreshToken()).toBeNull();
+    expect(onLogout).toHaveBeenCalledWith({ reason: 'passwordReset' });
+  });
+
+  test('passes Retry-After through on rate limited requests', async () => {
+    const { service } = setup(async () => {
+      throw httpError(429, {}, { 'retry-after': '120' });
+    });
+
+    await expect(service.requestPasswordReset('user@example.com')).rejects.toMatchObject({
+      code: 'RATE_LIMITED',
+      details: { retryAfter: 120 }
+    });
+  });
+});
+
+describe('account hooks', () => {
+  function renderWithAuth(hook, { post, strict = false } = {}) {
+    const apiClient = { post: jest.fn(post ?? (async () => ({ data: {} }))) };
+    const wrapper = ({ children }) => {
+      const provider = createElement(AuthProvider, {
+        apiClient,
+        tokenStorage: new MemoryTokenStorage(),
+        options: { autoRefresh: false, logger }
+      }, children);
+      return strict ? createElement(StrictMode, null, provider) : provider;
+    };
+    return { ...renderHook(hook, { wrapper }), apiClient };
+  }
+
+  const announced = politeness => announcer.getAnnouncements({ politeness }).map(({ message }) => message);
+
+  afterEach(() => announcer.destroy());
+
+  test('useRegistration tracks the request and announces the outcome', async () => {
+    const { result } = renderWithAuth(() => useRegistration());
+    expect(result.current.status).toBe('idle');
+
+    await act(() => result.current.submit({ email: 'new@example.com', password: 'correct horse battery' }));
+
+    expect(result.current.isSuccess).toBe(true);
+    expect(result.current.result).toEqual({ email: 'new@example.com', verificationRequired: true });
+    await waitFor(() => expect(announced('polite')).toContain('Account created. Check your email for a verification link.'));
+  });
+
+  test('useRegistration exposes client and server field messages alike', async () => {
+    const { result } = renderWithAuth(() => useRegistration(), {
+      post: async () => {
+        throw httpError(422, { errors: [{ field: 'email', message: 'Domain not allowed' }] });
+      }
+    });
+
+    await act(() => result.current.submit({ email: 'x', password: 'short' }).catch(() => {}));
+    expect(result.current.fieldErrors).toEqual({
+      email: 'Invalid email address',
+      password: 'Password must be at least 12 characters'
+    });
+
+    await act(() => result.current.submit({ email: 'a@blocked.example', password: 'correct horse battery' }).catch(() => {}));
+    expect(result.current.fieldErrors).toEqual({ email: 'Domain not allowed' });
+    // Shown next to the field, so it does not interrupt
+    await waitFor(() => expect(announced('polite')).toContain('Registration failed: Domain not allowed'));
+  });
+
+  test('useEmailVerification verifies the link once, even in StrictMode', async () => {
+    const { result, apiClient } = renderWithAuth(() => useEmailVerification('link-token'), { strict: true });
+
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+    const verifications = apiClient.post.mock.calls.filter(([url]) => url === '/auth/verify-email');
+    expect(verifications).toHaveLength(1);
+    expect(verifications[0][1]).toMatchObject({ token: 'link-token' });
+  });
+
+  test('usePasswordResetRequest announces the same message for any email', async () => {
+    const { result } = renderWithAuth(() => usePasswordResetRequest(), {
+      post: async () => {
+        throw httpError(404);
+      }
+    });
+
+    await act(() => result.current.submit('ghost@example.com'));
+    await waitFor(() => expect(announced('polite')).toContain('If an account exists for that email, a reset link is on its way.'));
+  });
+
+  test('usePasswordReset reports an expired link', async () => {
+    const { result } = renderWithAuth(() => usePasswordReset('old-token'), {
+      post: async () => {
+        throw httpError(410);
+      }
+    });
+
+    await act(() => result.current.submit('correct horse battery').catch(() => {}));
+    expect(result.current.error).toMatchObject({ code: 'RESET_TOKEN_INVALID' });
+    await waitFor(() => expect(announced('assertive')).toEqual([
+      `Password reset failed: ${result.current.error.message}`
+    ]));
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for the idle and session-length activity tracker
+ */
+
+import { jest } from '@jest/globals';
+import { ActivityTracker } from '../../../examples/auth/activity-tracker.js';
+import { createStorage } from '../../helpers/storage.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+function createTracker(options = {}) {
+  const target = new EventTarget();
+  const tracker = new ActivityTracker({
+    idleTimeout: 10 * MINUTE,
+    maxSessionLength: 60 * MINUTE,
+    warningTime: MINUTE,
+    storage: createStorage(),
+    target,
+    ...options
+  });
+  const states = [];
+  tracker.subscribe(state => states.push(state));
+  return { tracker, target, states };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('warns warningTime before the idle deadline, then expires', () => {
+  const { tracker, states } = createTracker();
+  const startedAt = Date.now();
+  tracker.start();
+
+  jest.advanceTimersByTime(9 * MINUTE - 1);
+  expect(tracker.state.status).toBe('active');
+
+  jest.advanceTimersByTime(1);
+  expect(tracker.state).toEqual({ status: 'warning', reason: 'idle', expiresAt: startedAt + 10 * MINUTE });
+
+  jest.advanceTimersByTime(MINUTE);
+  expect(states.map(({ status }) => status)).toEqual(['active', 'warning', 'expired']);
+  expect(tracker.state.reason).toBe('idle');
+});
+
+test('activity pushes the idle deadline back', () => {
+  const { tracker, target } = createTracker();
+  tracker.start();
+
+  jest.advanceTimersByTime(5 * MINUTE);
+  target.dispatchEvent(new Event('keydown'));
+  jest.advanceTimersByTime(5 * MINUTE);
+
+  expect(tracker.state.status).toBe('active');
+  expect(tracker.getDeadline().expiresAt).toBe(Date.now() + 5 * MINUTE);
+});
+
+test('activity during the warning does not silently extend the session', () => {
+  const { tracker, target } = createTracker();
+  tracker.start();
+
+  jest.advanceTimersByTime(9 * MINUTE + SECOND);
+  target.dispatchEvent(new Event('pointerdown'));
+  jest.advanceTimersByTime(MINUTE);
+
+  expect(tracker.state.status).toBe('expired');
+});
+
+test('ends at the session limit however active the user is', () => {
+  const { tracker, target } = createTracker({ maxSessionLength: 20 * MINUTE });
+  tracker.start();
+
+  for (let minute = 0; minute < 19; minute += 1) {
+    jest.advanceTimersByTime(MINUTE);
+    target.dispatchEvent(new Event('keydown'));
+  }
+  expect(tracker.state).toMatchObject({ status: 'warning', reason: 'sessionLimit' });
+
+  jest.advanceTimersByTime(MINUTE);
+  expect(tracker.state).toMatchObject({ status: 'expired', reason: 'sessionLimit' });
+});
+
+test('extend() restarts the idle clock but not the session limit', () => {
+  const { tracker } = createTracker({ maxSessionLength: 30 * MINUTE });
+  const startedAt = Date.now();
+  tracker.start();
+
+  jest.advanceTimersByTime(9 * MINUTE + 30 * SECOND);
+  expect(tracker.state).toMatchObject({ status: 'warning', reason: 'idle' });
+  tracker.extend();
+  expect(tracker.state).toMatchObject({ status: 'active', expiresAt: Date.now() + 10 * MINUTE });
+
+  // Extending every few minutes never gets past the limit
+  for (let extensions = 0; extensions < 3; extensions += 1) {
+    jest.advanceTimersByTime(5 * MINUTE);
+    tracker.extend();
+  }
+  jest.advanceTimersByTime(5 * MINUTE);
+  expect(tracker.state).toMatchObject({ status: 'warning', reason: 'sessionLimit' });
+  tracker.extend();
+  expect(tracker.state).toEqual({ status: 'warning', reason: 'sessionLimit', expiresAt: startedAt + 30 * MINUTE });
+
+  jest.advanceTimersByTime(30 * SECOND);
+  expect(tracker.state.status).toBe('expired');
+});
+
+test('shares activity and extensions across tabs', () => {
+  const storage = createStorage();
+  const first = createTracker({ storage });
+  const second = createTracker({ storage });
+  first.tracker.start();
+  second.tracker.start();
+
+  jest.advanceTimersByTime(9 * MINUTE + 30 * SECOND);
+  expect(second.tracker.state.status).toBe('warning');
+
+  first.tracker.extend();
+  second.tracker.check();
+  expect(second.tracker.state.status).toBe('active');
+
+  // Activity in one tab keeps the other from expiring
+  jest.advanceTimersByTime(5 * MINUTE);
+  first.target.dispatchEvent(new Event('wheel'));
+  jest.advanceTimersByTime(5 * MINUTE);
+  expect(second.tracker.state.status).toBe('active');
+});
+
+test('resumes the stored session start unless a new session begins', () => {
+  const storage = createStorage();
+  const { tracker } = createTracker({ storage, maxSessionLength: 20 * MINUTE, idleTimeout: 60 * MINUTE });
+  tracker.start();
+  jest.advanceTimersByTime(10 * MINUTE);
+  tracker.stop();
+
+  // Page reload: the 20-minute limit still counts from the first start
+  const reloaded = createTracker({ storage, maxSessionLength: 20 * MINUTE, idleTimeout: 60 * MINUTE }).tracker;
+  reloaded.start();
+  expect(reloaded.getDeadline()).toEqual({ expiresAt: Date.now() + 10 * MINUTE, reason: 'sessionLimit' });
+
+  reloaded.start({ newSession: true });
+  expect(reloaded.getDeadline().expiresAt).toBe(Date.now() + 20 * MINUTE);
+});
+
+test('stop() ends tracking and, after a logout, forgets the session', () => {
+  const storage = createStorage();
+  const { tracker, target } = createTracker({ storage });
+  tracker.start();
+  jest.advanceTimersByTime(9 * MINUTE + SECOND);
+
+  tracker.stop({ endSession: true });
+  target.dispatchEvent(new Event('keydown'));
+  jest.advanceTimersByTime(60 * MINUTE);
+
+  expect(tracker.state).toEqual({ status: 'active', reason: null, expiresAt: null });
+  expect(storage.getItem('auth.sessionStartedAt')).toBeNull();
+});
+
+test('works without storage', () => {
+  const { tracker } = createTracker({ storage: null, maxSessionLength: null });
+  tracker.start();
+
+  jest.advanceTimersByTime(10 * MINUTE);
+  expect(tracker.state).toMatchObject({ status: 'expired', reason: 'idle' });
+});
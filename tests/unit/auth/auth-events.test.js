@@ -0,0 +1,148 @@
+/**
+ * Unit tests for auth lifecycle events
+ */
+
+import { jest } from '@jest/globals';
+import { AuthEventEmitter } from '../../../examples/auth/auth-events.js';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import { LoginThrottle } from '../../../examples/auth/login-throttle.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { buildJwt } from '../../../examples/testing/mocks.js';
+import { createStorage } from '../../helpers/storage.js';
+
+const credentials = { email: 'user@example.com', password: 'correct horse battery' };
+const user = { id: 'u1', email: 'user@example.com', role: 'user', permissions: [] };
+const authResponse = { accessToken: buildJwt({ sub: 'u1' }), refreshToken: 'refresh-1', expiresIn: 900, user };
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+describe('AuthEventEmitter', () => {
+  test('delivers to typed and wildcard listeners until unsubscribed', () => {
+    const events = new AuthEventEmitter();
+    const onLogout = jest.fn();
+    const onAny = jest.fn();
+
+    const unsubscribe = events.on('logout', onLogout);
+    events.on('*', onAny);
+    events.emit('logout', { reason: 'user' });
+    unsubscribe();
+    events.emit('logout', { reason: 'user' });
+
+    expect(onLogout).toHaveBeenCalledTimes(1);
+    expect(onLogout).toHaveBeenCalledWith({ reason: 'user' });
+    expect(onAny).toHaveBeenCalledTimes(2);
+    expect(onAny).toHaveBeenCalledWith('logout', { reason: 'user' });
+  });
+
+  test('once() delivers a single event', () => {
+    const events = new AuthEventEmitter();
+    const listener = jest.fn();
+
+    events.once('refreshed', listener);
+    events.emit('refreshed', { expiresAt: 1 });
+    events.emit('refreshed', { expiresAt: 2 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ expiresAt: 1 });
+  });
+
+  test('rejects unknown event types', () => {
+    const events = new AuthEventEmitter();
+    expect(() => events.on('signedIn', () => {})).toThrow(TypeError);
+    expect(() => events.emit('*')).toThrow(TypeError);
+  });
+
+  test('logs a throwing listener and keeps delivering', () => {
+    const logger = { warn: jest.fn() };
+    const events = new AuthEventEmitter({ logger });
+    const next = jest.fn();
+
+    events.on('login', () => {
+      throw new Error('analytics down');
+    });
+    events.on('login', next);
+    events.emit('login', { user });
+
+    expect(next).toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith('Auth event listener failed', expect.objectContaining({ event: 'login' }));
+  });
+});
+
+describe('AuthenticationService events', () => {
+  function setup(post) {
+    const throttle = new LoginThrottle({ storage: createStorage() });
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const apiClient = { post: jest.fn(post ?? (async () => ({ data: authResponse }))) };
+    const service = new AuthenticationService(apiClient, new MemoryTokenStorage(), {
+      autoRefresh: false,
+      throttle,
+      logger
+    });
+    const seen = [];
+    service.on('*', (type, payload) => seen.push([type, payload]));
+    return { service, logger, seen };
+  }
+
+  test('emits login, refreshed and logout', async () => {
+    const { service, seen } = setup();
+
+    await service.login(credentials);
+    await service.refreshAccessToken();
+    await service.logout();
+
+    expect(seen.map(([type]) => type)).toEqual(['login', 'refreshed', 'logout']);
+    expect(seen[0][1]).toEqual({ user, method: 'password' });
+    expect(seen[2][1]).toEqual({ reason: 'user' });
+  });
+
+  test('emits loginFailed with the code but never the password', async () => {
+    const { service, seen } = setup(async () => {
+      throw httpError(401);
+    });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    expect(seen).toEqual([
+      ['loginFailed', { email: 'user@example.com', code: 'INVALID_CREDENTIALS', method: 'password' }]
+    ]);
+  });
+
+  test('emits rateLimited for a server 429', async () => {
+    const { service, seen } = setup(async () => {
+      throw httpError(429, { 'retry-after': '30' });
+    });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+    expect(seen).toEqual([
+      ['rateLimited', { email: 'user@example.com', retryAt: expect.any(Number), retryAfter: 30 }]
+    ]);
+  });
+
+  test('emits logout and sessionExpired when the refresh token is rejected', async () => {
+    const { service, seen } = setup(async (url) => {
+      if (url === '/auth/refresh') throw httpError(401);
+      return { data: authResponse };
+    });
+    const onSessionExpired = jest.fn();
+    service.on('sessionExpired', onSessionExpired);
+
+    await service.login(credentials);
+    await expect(service.refreshAccessToken()).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+
+    expect(seen.map(([type]) => type)).toEqual(['login', 'logout', 'sessionExpired']);
+    expect(seen[1][1]).toEqual({ reason: 'sessionExpired' });
+    expect(onSessionExpired).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'SESSION_EXPIRED' }) });
+  });
+
+  test('logs unexpected failures through the configured logger', async () => {
+    const { service, logger } = setup(async () => {
+      throw new RangeError('Invalid time value');
+    });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'UNKNOWN_ERROR' });
+    expect(logger.error).toHaveBeenCalledWith('Login error', {
+      error: expect.any(RangeError),
+      email: 'user@example.com'
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Unit tests for the shared auth state machine and AuthProvider
+ */
+
+import { jest } from '@jest/globals';
+import { createElement } from 'react';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import {
+  AUTH_STATUS,
+  AuthProvider,
+  authReducer,
+  initialAuthState,
+  useAuth
+} from '../../../examples/auth/auth-provider.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { SessionSync } from '../../../examples/auth/session-sync.js';
+import { buildJwt } from '../../../examples/testing/mocks.js';
+import { announcer } from '../../../examples/patterns/announcer.js';
+
+const user = { id: 'u1', email: 'user@example.com', role: 'user', permissions: [] };
+const authResponse = { accessToken: buildJwt({ sub: 'u1' }), refreshToken: 'refresh-1', expiresIn: 900, user };
+const credentials = { email: 'user@example.com', password: 'correct horse battery' };
+
+describe('authReducer', () => {
+  const at = (status, extra = {}) => ({ ...initialAuthState, status, ...extra });
+
+  test('follows the restore path', () => {
+    const restoring = authReducer(initialAuthState, { type: 'RESTORE' });
+    expect(restoring.status).toBe(AUTH_STATUS.RESTORING);
+    expect(authReducer(restoring, { type: 'RESTORED', user })).toMatchObject({ status: 'authenticated', user });
+    expect(authReducer(restoring, { type: 'NO_SESSION' }).status).toBe('unauthenticated');
+  });
+
+  test('keeps a session that could not be checked restorable', () => {
+    const error = new Error('offline');
+    const unavailable = authReducer(at(AUTH_STATUS.RESTORING), { type: 'RESTORE_UNAVAILABLE', error });
+    expect(unavailable).toMatchObject({ status: 'unavailable', error });
+    expect(authReducer(unavailable, { type: 'RESTORE' }).status).toBe('restoring');
+  });
+
+  test('ignores events that are invalid in the current state', () => {
+    const state = at(AUTH_STATUS.UNAUTHENTICATED);
+    expect(authReducer(state, { type: 'SESSION_EXPIRED' })).toBe(state);
+    expect(authReducer(at(AUTH_STATUS.IDLE), { type: 'LOGGED_IN', user })).toEqual(at(AUTH_STATUS.IDLE));
+  });
+
+  test('settles every request, whatever state it started in', () => {
+    const error = new Error('MFA_NOT_STARTED');
+    const loading = (status, extra) => authReducer(at(status, extra), { type: 'REQUEST_STARTED' });
+    const other = { ...user, id: 'u2' };
+
+    expect(authReducer(loading(AUTH_STATUS.UNAUTHENTICATED), { type: 'LOGGED_OUT' }))
+      .toMatchObject({ status: 'unauthenticated', isLoading: false });
+    expect(authReducer(loading(AUTH_STATUS.AUTHENTICATED, { user }), { type: 'LOGGED_IN', user: other }))
+      .toMatchObject({ status: 'authenticated', user: other, isLoading: false });
+    expect(authReducer(loading(AUTH_STATUS.UNAUTHENTICATED), { type: 'MFA_RESET', error }))
+      .toMatchObject({ status: 'unauthenticated', isLoading: false, error });
+    expect(authReducer(loading(AUTH_STATUS.RESTORING), { type: 'LOGGED_IN', user }))
+      .toMatchObject({ status: 'authenticated', user, isLoading: false });
+  });
+
+  test('ends the request when its outcome is ignored', () => {
+    const error = new Error('MFA_NOT_STARTED');
+    const loading = authReducer(at(AUTH_STATUS.EXPIRED), { type: 'REQUEST_STARTED' });
+
+    expect(authReducer(loading, { type: 'MFA_RESET', error })).toMatchObject({ status: 'expired', isLoading: false, error });
+  });
+
+  test('keeps the challenge only while MFA is pending', () => {
+    const challenge = { challengeId: 'ch-1', methods: ['totp'] };
+    const pending = authReducer(at(AUTH_STATUS.UNAUTHENTICATED), { type: 'MFA_REQUIRED', challenge });
+    expect(pending).toMatchObject({ status: 'mfa-pending', mfaChallenge: challenge });
+
+    const done = authReducer(pending, { type: 'LOGGED_IN', user });
+    expect(done).toMatchObject({ status: 'authenticated', user, mfaChallenge: null });
+  });
+
+  test('expires an authenticated session and clears the user', () => {
+    const error = new Error('expired');
+    const state = authReducer(at(AUTH_STATUS.AUTHENTICATED, { user }), { type: 'SESSION_EXPIRED', error });
+    expect(state).toMatchObject({ status: 'expired', user: null, error });
+  });
+
+  test('tracks requests without changing status', () => {
+    const error = new Error('nope');
+    const loading = authReducer(at(AUTH_STATUS.UNAUTHENTICATED), { type: 'REQUEST_STARTED' });
+    expect(loading).toMatchObject({ status: 'unauthenticated', isLoading: true });
+    expect(authReducer(loading, { type: 'REQUEST_FAILED', error })).toMatchObject({
+      status: 'unauthenticated',
+      isLoading: false,
+      error
+    });
+  });
+});
+
+describe('AuthProvider', () => {
+  afterEach(() => announcer.destroy());
+
+  function renderAuth({ tokenStorage = new MemoryTokenStorage(), post, options = {} } = {}) {
+    const apiClient = { post: jest.fn(post ?? (async () => ({ data: authResponse }))) };
+    const wrapper = ({ children }) =>
+      createElement(AuthProvider, { apiClient, tokenStorage, options: { autoRefresh: false, ...options } }, children);
+
+    // Two consumers of the same provider
+    const hook = renderHook(() => ({ a: useAuth(), b: useAuth() }), { wrapper });
+    return { ...hook, apiClient };
+  }
+
+  test('settles as unauthenticated when nothing is stored', async () => {
+    const { result, apiClient } = renderAuth();
+
+    await waitFor(() => expect(result.current.a.status).toBe('unauthenticated'));
+    expect(apiClient.post).not.toHaveBeenCalled();
+  });
+
+  test('restores a stored session on mount', async () => {
+    const tokenStorage = new MemoryTokenStorage();
+    await tokenStorage.setTokens({ accessToken: 'old', refreshToken: 'stored', expiresIn: 60 });
+
+    const { result, apiClient } = renderAuth({ tokenStorage });
+
+    await waitFor(() => expect(result.current.a.isAuthenticated).toBe(true));
+    expect(result.current.a.user).toEqual(user);
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/refresh', expect.objectContaining({ refreshToken: 'stored' }));
+  });
+
+  test('moves to expired when the stored session is rejected', async () => {
+    const tokenStorage = new MemoryTokenStorage();
+    await tokenStorage.setTokens({ accessToken: 'old', refreshToken: 'revoked', expiresIn: 60 });
+
+    const { result } = renderAuth({
+      tokenStorage,
+      post: async () => {
+        throw Object.assign(new Error('Unauthorized'), { response: { status: 401 } });
+      }
+    });
+
+    await waitFor(() => expect(result.current.a.status).toBe('expired'));
+    expect(result.current.a.error).toMatchObject({ code: 'SESSION_EXPIRED' });
+  });
+
+  test('retries a restore that failed on the network and keeps the tokens', async () => {
+    const tokenStorage = new MemoryTokenStorage();
+    await tokenStorage.setTokens({ accessToken: 'old', refreshToken: 'stored', expiresIn: 60 });
+    let online = false;
+
+    const { result, apiClient } = renderAuth({
+      tokenStorage,
+      options: { retry: { retries: 1, baseDelay: 0 } },
+      post: async () => {
+        if (!online) throw new TypeError('Failed to fetch');
+        return { data: authResponse };
+      }
+    });
+
+    await waitFor(() => expect(result.current.a.isSessionUnavailable).toBe(true));
+    expect(apiClient.post).toHaveBeenCalledTimes(2);
+    expect(result.current.a.error).toMatchObject({ code: 'REFRESH_FAILED' });
+    expect(await tokenStorage.getRefreshToken()).toBe('stored');
+
+    online = true;
+    await act(() => result.current.b.restore());
+    expect(result.current.a.isAuthenticated).toBe(true);
+  });
+
+  test('every consumer sees the same login and logout', async () => {
+    const { result } = renderAuth();
+    await waitFor(() => expect(result.current.a.status).toBe('unauthenticated'));
+
+    await act(() => result.current.a.login(credentials));
+    expect(result.current.b.isAuthenticated).toBe(true);
+    expect(result.current.b.user).toEqual(user);
+
+    await act(() => result.current.b.logout());
+    expect(result.current.a.status).toBe('unauthenticated');
+  });
+
+  test('announces success politely and a failed login assertively', async () => {
+    let attempts = 0;
+    const { result } = renderAuth({
+      post: async () => {
+        if ((attempts += 1) === 1) throw Object.assign(new Error('Unauthorized'), { response: { status: 401 } });
+        return { data: authResponse };
+      }
+    });
+    await waitFor(() => expect(result.current.a.status).toBe('unauthenticated'));
+
+    await act(() => result.current.a.login(credentials).catch(() => {}));
+    await act(() => result.current.a.login(credentials));
+
+    await waitFor(() => expect(announcer.getAnnouncements().map(({ politeness, message }) => [politeness, message])).toEqual([
+      ['assertive', 'Login failed: Invalid email or password'],
+      ['polite', 'Login successful']
+    ]));
+  });
+
+  test('exposes the awaiting-second-factor state', async () => {
+    const { result } = renderAuth({
+      post: async (url) => ({
+        data: url === '/auth/login'
+          ? { mfaRequired: true, challengeId: 'ch-1', methods: ['totp'] }
+          : authResponse
+      })
+    });
+    await waitFor(() => expect(result.current.a.status).toBe('unauthenticated'));
+
+    await act(() => result.current.a.login(credentials));
+    expect(result.current.b.isAwaitingSecondFactor).toBe(true);
+    expect(result.current.b.mfaChallenge).toEqual({ challengeId: 'ch-1', methods: ['totp'] });
+
+    await act(() => result.current.b.verifyTotp('123456'));
+    expect(result.current.a.status).toBe('authenticated');
+  });
+
+  test('exposes per-field messages from server validation', async () => {
+    const { result } = renderAuth({
+      post: async () => {
+        throw Object.assign(new Error('Unprocessable'), {
+          response: { status: 422, data: { errors: [{ field: 'email', message: 'This account is disabled' }] } }
+        });
+      }
+    });
+    await waitFor(() => expect(result.current.a.status).toBe('unauthenticated'));
+
+    await act(() => result.current.a.login(credentials).catch(() => {}));
+
+    expect(result.current.b.fieldErrors).toEqual({ email: 'This account is disabled' });
+  });
+
+  test('follows a logout made in another tab', async () => {
+    const window = new EventTarget();
+    const storage = {
+      // Deliver each write as another tab's window would see it
+      setItem: (key, newValue) => window.dispatchEvent(Object.assign(new Event('storage'), { key, newValue })),
+      removeItem: () => {}
+    };
+    const sync = tabId => new SessionSync({ BroadcastChannel: null, storage, window, tabId });
+    const { result } = renderAuth({ options: { sessionSync: sync('here') } });
+    await waitFor(() => expect(result.current.a.status).toBe('unauthenticated'));
+    await act(() => result.current.a.login(credentials));
+
+    await act(async () => {
+      sync('elsewhere').broadcast('logout', { reason: 'user' });
+    });
+
+    await waitFor(() => expect(result.current.b.status).toBe('unauthenticated'));
+  });
+
+  test('throws outside a provider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => renderHook(() => useAuth())).toThrow('useAuth must be used within an <AuthProvider>');
+    console.error.mockRestore();
+  });
+});
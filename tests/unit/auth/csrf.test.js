@@ -0,0 +1,220 @@
+/**
+ * Unit tests for the CSRF strategies and the service's retry on a CSRF 403
+ */
+
+import { jest } from '@jest/globals';
+import {
+  cookieStrategy,
+  endpointStrategy,
+  headerStrategy,
+  isCsrfError,
+  metaTagStrategy,
+  resolveCsrfStrategy
+} from '../../../examples/auth/csrf.js';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import { LoginThrottle } from '../../../examples/auth/login-throttle.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { buildJwt } from '../../../examples/testing/mocks.js';
+
+const httpError = (status, data = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {}, data } });
+
+const request = { body: { refreshToken: 'r1' }, config: { timeout: 10000 } };
+
+afterEach(() => {
+  document.head.innerHTML = '';
+  document.cookie = 'XSRF-TOKEN=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+});
+
+describe('isCsrfError', () => {
+  test.each([
+    ['403 CSRF_INVALID', httpError(403, { code: 'CSRF_INVALID' }), true],
+    ['403 with a CSRF message', httpError(403, { error: 'invalid csrf token' }), true],
+    ['419 page expired', httpError(419), true],
+    ['403 forbidden', httpError(403, { code: 'FORBIDDEN' }), false],
+    ['401', httpError(401, { code: 'CSRF_INVALID' }), false],
+    ['network error', new TypeError('Failed to fetch'), false]
+  ])('%s → %s', (label, error, expected) => {
+    expect(isCsrfError(error)).toBe(expected);
+  });
+});
+
+describe('strategies', () => {
+  test('meta tag puts the token in the body', async () => {
+    document.head.innerHTML = '<meta name="csrf-token" content="meta-1">';
+
+    await expect(metaTagStrategy().prepare(request)).resolves.toEqual({
+      body: { refreshToken: 'r1', csrfToken: 'meta-1' },
+      config: { timeout: 10000 }
+    });
+  });
+
+  test('double-submit cookie echoes the cookie in a header', async () => {
+    document.cookie = 'XSRF-TOKEN=cookie%2B1';
+
+    await expect(cookieStrategy().prepare(request)).resolves.toEqual({
+      body: { refreshToken: 'r1' },
+      config: { timeout: 10000, headers: { 'X-XSRF-TOKEN': 'cookie+1' } }
+    });
+  });
+
+  test('custom header needs no token', async () => {
+    const strategy = headerStrategy();
+
+    await expect(strategy.prepare(request)).resolves.toEqual({
+      body: { refreshToken: 'r1' },
+      config: { timeout: 10000, headers: { 'X-Requested-With': 'XMLHttpRequest' } }
+    });
+    await expect(strategy.refresh()).resolves.toBe(false);
+  });
+
+  test.each([
+    ['meta', metaTagStrategy],
+    ['cookie', cookieStrategy]
+  ])('%s sends nothing where there is no document', async (label, create) => {
+    const strategy = create({ document: null });
+
+    await expect(strategy.getToken()).resolves.toBeNull();
+    await expect(strategy.prepare(request)).resolves.toEqual(request);
+  });
+
+  test('meta and cookie only offer a retry when the token changed', async () => {
+    document.cookie = 'XSRF-TOKEN=first';
+    const strategy = cookieStrategy();
+    await strategy.prepare(request);
+
+    await expect(strategy.refresh()).resolves.toBe(false);
+    document.cookie = 'XSRF-TOKEN=second';
+    await expect(strategy.refresh()).resolves.toBe(true);
+  });
+
+  describe('endpoint', () => {
+    function setup(options = {}) {
+      let issued = 0;
+      const apiClient = {
+        get: jest.fn(async () => {
+          issued += 1;
+          return { data: { csrfToken: `endpoint-${issued}` } };
+        })
+      };
+      return { apiClient, strategy: endpointStrategy({ apiClient, ...options }) };
+    }
+
+    test('fetches once for concurrent callers and caches the token', async () => {
+      const { apiClient, strategy } = setup();
+
+      const tokens = await Promise.all([strategy.getToken(), strategy.getToken()]);
+      await strategy.getToken();
+
+      expect(tokens).toEqual(['endpoint-1', 'endpoint-1']);
+      expect(apiClient.get).toHaveBeenCalledTimes(1);
+      expect(apiClient.get).toHaveBeenCalledWith('/auth/csrf');
+    });
+
+    test('sends the token in the body and the X-CSRF-Token header', async () => {
+      const { strategy } = setup();
+
+      await expect(strategy.prepare(request)).resolves.toEqual({
+        body: { refreshToken: 'r1', csrfToken: 'endpoint-1' },
+        config: { timeout: 10000, headers: { 'X-CSRF-Token': 'endpoint-1' } }
+      });
+    });
+
+    test('refetches after maxAge and on refresh()', async () => {
+      let time = 0;
+      const { strategy } = setup({ maxAge: 1000, now: () => time });
+
+      await strategy.getToken();
+      time = 1000;
+      await expect(strategy.getToken()).resolves.toBe('endpoint-2');
+      await expect(strategy.refresh()).resolves.toBe(true);
+      await expect(strategy.getToken()).resolves.toBe('endpoint-3');
+    });
+
+    test('adopts a token the server rotates in a response header', async () => {
+      const { apiClient, strategy } = setup();
+      await strategy.getToken();
+
+      strategy.observe({ headers: { 'x-csrf-token': 'rotated' } });
+
+      await expect(strategy.getToken()).resolves.toBe('rotated');
+      expect(apiClient.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('resolves names and rejects unknown ones', () => {
+    expect(resolveCsrfStrategy('cookie').name).toBe('cookie');
+    expect(resolveCsrfStrategy('endpoint', { apiClient: {} }).name).toBe('endpoint');
+    const custom = headerStrategy({ headerName: 'X-App' });
+    expect(resolveCsrfStrategy(custom)).toBe(custom);
+    expect(() => resolveCsrfStrategy('session')).toThrow(TypeError);
+  });
+});
+
+describe('AuthenticationService with a CSRF strategy', () => {
+  const credentials = { email: 'user@example.com', password: 'correct horse battery' };
+  const user = { id: 'u1', email: 'user@example.com', role: 'user', permissions: [] };
+  const authResponse = { accessToken: buildJwt({ sub: 'u1' }), refreshToken: 'r1', expiresIn: 900, user };
+
+  function setup(post, csrf = 'endpoint') {
+    let issued = 0;
+    const apiClient = {
+      get: jest.fn(async () => {
+        issued += 1;
+        return { data: { csrfToken: `csrf-${issued}` } };
+      }),
+      post: jest.fn(post)
+    };
+    const logger = { debug() {}, info: jest.fn(), warn() {}, error() {} };
+    const service = new AuthenticationService(apiClient, new MemoryTokenStorage(), {
+      autoRefresh: false,
+      throttle: new LoginThrottle({ storage: null }),
+      logger,
+      retry: { retries: 0 },
+      csrf
+    });
+    return { service, apiClient, logger };
+  }
+
+  test('retries once with a new token after a CSRF 403', async () => {
+    const { service, apiClient, logger } = setup(async (url, body) => {
+      if (body.csrfToken === 'csrf-1') throw httpError(403, { code: 'CSRF_INVALID' });
+      return { data: authResponse };
+    });
+
+    await expect(service.login(credentials)).resolves.toMatchObject({ user });
+    expect(apiClient.post).toHaveBeenCalledTimes(2);
+    expect(apiClient.post.mock.calls[1][1]).toMatchObject({ csrfToken: 'csrf-2' });
+    expect(logger.info).toHaveBeenCalledWith('CSRF token rejected; retrying with a new one', {
+      url: '/auth/login',
+      strategy: 'endpoint'
+    });
+  });
+
+  test('gives up after the retry', async () => {
+    const { service, apiClient } = setup(async () => {
+      throw httpError(403, { code: 'CSRF_INVALID' });
+    });
+
+    await expect(service.login(credentials)).rejects.toBeDefined();
+    expect(apiClient.post).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry when the strategy cannot produce a new token', async () => {
+    const { service, apiClient } = setup(async () => {
+      throw httpError(403, { code: 'CSRF_INVALID' });
+    }, 'header');
+
+    await expect(service.login(credentials)).rejects.toBeDefined();
+    expect(apiClient.post).toHaveBeenCalledTimes(1);
+    expect(apiClient.post.mock.calls[0][2].headers).toEqual({ 'X-Requested-With': 'XMLHttpRequest' });
+  });
+
+  test('works without a document', async () => {
+    const { service, apiClient } = setup(async () => ({ data: authResponse }), metaTagStrategy({ document: null }));
+
+    await expect(service.login(credentials)).resolves.toMatchObject({ user });
+    await expect(service.getCSRFToken()).resolves.toBe('');
+    expect(apiClient.post.mock.calls[0][1]).not.toHaveProperty('csrfToken');
+  });
+});
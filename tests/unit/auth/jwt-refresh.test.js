@@ -0,0 +1,110 @@
+/**
+ * Unit tests for the proactive token refresh scheduler
+ */
+
+import { jest } from '@jest/globals';
+import { TokenRefreshScheduler } from '../../../examples/auth/jwt-refresh.js';
+
+const fakeDocument = () => {
+  const listeners = new Set();
+  return {
+    visibilityState: 'visible',
+    addEventListener: (type, fn) => listeners.add(fn),
+    removeEventListener: (type, fn) => listeners.delete(fn),
+    setVisibility(state) {
+      this.visibilityState = state;
+      listeners.forEach(fn => fn());
+    }
+  };
+};
+
+describe('TokenRefreshScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('refreshes the lead time before expiry', async () => {
+    const refresh = jest.fn().mockResolvedValue();
+    const scheduler = new TokenRefreshScheduler({ refresh, leadTime: 60000, document: fakeDocument() });
+
+    scheduler.schedule(15 * 60 * 1000);
+    await jest.advanceTimersByTimeAsync(14 * 60 * 1000 - 1);
+    expect(refresh).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    scheduler.stop();
+  });
+
+  test('resumes from the stored expiry after a reload', async () => {
+    const refresh = jest.fn().mockResolvedValue();
+    const scheduler = new TokenRefreshScheduler({
+      refresh,
+      getExpiresAt: async () => 5 * 60 * 1000,
+      leadTime: 60000,
+      document: fakeDocument()
+    });
+
+    await scheduler.start();
+    await jest.advanceTimersByTimeAsync(4 * 60 * 1000);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    scheduler.stop();
+  });
+
+  test('backs off with jitter after transient failures', async () => {
+    const refresh = jest.fn().mockRejectedValue(Object.assign(new Error('offline'), { code: 'REFRESH_FAILED' }));
+    const scheduler = new TokenRefreshScheduler({
+      refresh,
+      leadTime: 0,
+      backoff: { initial: 1000, factor: 2 },
+      random: () => 1,
+      document: fakeDocument()
+    });
+
+    scheduler.schedule(10000);
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(refresh).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(refresh).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(refresh).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(refresh).toHaveBeenCalledTimes(3);
+    scheduler.stop();
+  });
+
+  test('stops and reports terminal failures', async () => {
+    const expired = Object.assign(new Error('expired'), { code: 'SESSION_EXPIRED' });
+    const onSessionExpired = jest.fn();
+    const refresh = jest.fn().mockRejectedValue(expired);
+    const scheduler = new TokenRefreshScheduler({ refresh, onSessionExpired, leadTime: 0, document: fakeDocument() });
+
+    scheduler.schedule(1000);
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(onSessionExpired).toHaveBeenCalledWith(expired);
+  });
+
+  test('pauses while the tab is hidden and catches up when visible', async () => {
+    const doc = fakeDocument();
+    const refresh = jest.fn().mockResolvedValue();
+    const scheduler = new TokenRefreshScheduler({ refresh, leadTime: 0, document: doc });
+
+    scheduler.schedule(5000);
+    doc.setVisibility('hidden');
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(refresh).not.toHaveBeenCalled();
+
+    doc.setVisibility('visible');
+    await jest.advanceTimersByTimeAsync(0);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    scheduler.stop();
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for the second factor step of AuthenticationService
+ */
+
+import { jest } from '@jest/globals';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { buildJwt } from '../../../examples/testing/mocks.js';
+
+const credentials = { email: 'user@example.com', password: 'correct horse battery', rememberMe: true };
+
+const accessToken = buildJwt({ sub: 'u1' });
+
+const authResponse = {
+  accessToken,
+  refreshToken: 'refresh-1',
+  expiresIn: 900,
+  user: { id: 'u1', email: 'user@example.com', role: 'user', permissions: [] }
+};
+
+const challengeResponse = {
+  mfaRequired: true,
+  challengeId: 'ch-1',
+  methods: ['totp', 'recovery_code', 'webauthn'],
+  expiresIn: 300,
+  webauthn: {
+    challenge: 'AQID',
+    allowCredentials: [{ id: 'BAUG', type: 'public-key' }]
+  }
+};
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+
+function setup(loginResponse = challengeResponse) {
+  const tokenStorage = new MemoryTokenStorage();
+  const apiClient = {
+    post: jest.fn(async (url) => ({ data: url === '/auth/login' ? loginResponse : authResponse }))
+  };
+  const service = new AuthenticationService(apiClient, tokenStorage, { autoRefresh: false });
+  return { service, apiClient, tokenStorage };
+}
+
+describe('AuthenticationService MFA', () => {
+  test('logs in directly when no second factor is required', async () => {
+    const { service, tokenStorage } = setup(authResponse);
+
+    await expect(service.login(credentials)).resolves.toMatchObject({ user: authResponse.user });
+    expect(await tokenStorage.getAccessToken()).toBe(accessToken);
+  });
+
+  test('rejects with MFA_REQUIRED and stores no tokens', async () => {
+    const { service, tokenStorage } = setup();
+
+    await expect(service.login(credentials)).rejects.toMatchObject({
+      code: 'MFA_REQUIRED',
+      details: { challengeId: 'ch-1', methods: ['totp', 'recovery_code', 'webauthn'] }
+    });
+    expect(await tokenStorage.getAccessToken()).toBeNull();
+  });
+
+  test('verifyTotp completes the login through storeTokens', async () => {
+    const { service, apiClient, tokenStorage } = setup();
+    const storeTokens = jest.spyOn(service, 'storeTokens');
+    await service.login(credentials).catch(() => {});
+
+    await expect(service.verifyTotp(' 123456 ')).resolves.toMatchObject({ user: authResponse.user });
+
+    expect(apiClient.post).toHaveBeenLastCalledWith(
+      '/auth/mfa/verify',
+      expect.objectContaining({ challengeId: 'ch-1', method: 'totp', code: '123456' }),
+      expect.any(Object)
+    );
+    expect(storeTokens).toHaveBeenCalledWith(expect.objectContaining({ accessToken }), true);
+    expect(await tokenStorage.getRefreshToken()).toBe('refresh-1');
+    expect(service.pendingMfa).toBeNull();
+  });
+
+  test('never sends the password with the second factor', async () => {
+    const { service, apiClient } = setup();
+    await service.login(credentials).catch(() => {});
+    await service.verifyRecoveryCode('abcd-efgh-ijkl');
+
+    const [, body] = apiClient.post.mock.calls.at(-1);
+    expect(body).toMatchObject({ method: 'recovery_code', code: 'abcd-efgh-ijkl' });
+    expect(JSON.stringify(body)).not.toContain(credentials.password);
+  });
+
+  test('keeps the challenge open after a wrong code', async () => {
+    const { service, apiClient } = setup();
+    await service.login(credentials).catch(() => {});
+    apiClient.post.mockRejectedValueOnce(httpError(401));
+
+    await expect(service.verifyTotp('000000')).rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+    await expect(service.verifyTotp('123456')).resolves.toMatchObject({ user: authResponse.user });
+  });
+
+  test('rejects malformed codes without calling the server', async () => {
+    const { service, apiClient } = setup();
+    await service.login(credentials).catch(() => {});
+
+    await expect(service.verifyTotp('12ab')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    expect(apiClient.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('expires the challenge locally and when the server forgets it', async () => {
+    const { service, apiClient } = setup();
+    await service.login(credentials).catch(() => {});
+    apiClient.post.mockRejectedValueOnce(httpError(410));
+
+    await expect(service.verifyTotp('123456')).rejects.toMatchObject({ code: 'MFA_CHALLENGE_EXPIRED' });
+    await expect(service.verifyTotp('123456')).rejects.toMatchObject({ code: 'MFA_NOT_STARTED' });
+
+    await service.login(credentials).catch(() => {});
+    service.pendingMfa.expiresAt = Date.now() - 1;
+    await expect(service.verifyTotp('123456')).rejects.toMatchObject({ code: 'MFA_CHALLENGE_EXPIRED' });
+  });
+
+  test('refuses methods the challenge did not offer', async () => {
+    const { service } = setup({ ...challengeResponse, methods: ['totp'], webauthn: undefined });
+    await service.login(credentials).catch(() => {});
+
+    await expect(service.verifyWebAuthn()).rejects.toMatchObject({ code: 'MFA_METHOD_UNAVAILABLE' });
+  });
+
+  describe('WebAuthn', () => {
+    const bytes = (...values) => new Uint8Array(values).buffer;
+    let originalNavigator;
+
+    beforeEach(() => {
+      originalNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    });
+
+    afterEach(() => {
+      if (originalNavigator) {
+        Object.defineProperty(globalThis, 'navigator', originalNavigator);
+      } else {
+        delete globalThis.navigator;
+      }
+    });
+
+    const mockCredentials = (get) => {
+      Object.defineProperty(globalThis, 'navigator', { value: { credentials: { get } }, configurable: true });
+    };
+
+    test('sends a serialized assertion for the server challenge', async () => {
+      const get = jest.fn(async () => ({
+        id: 'cred',
+        rawId: bytes(4, 5, 6),
+        type: 'public-key',
+        response: {
+          clientDataJSON: bytes(1),
+          authenticatorData: bytes(2),
+          signature: bytes(3),
+          userHandle: null
+        }
+      }));
+      mockCredentials(get);
+
+      const { service, apiClient } = setup();
+      await service.login(credentials).catch(() => {});
+      await service.verifyWebAuthn();
+
+      const { publicKey } = get.mock.calls[0][0];
+      expect(new Uint8Array(publicKey.challenge)).toEqual(new Uint8Array([1, 2, 3]));
+      expect(new Uint8Array(publicKey.allowCredentials[0].id)).toEqual(new Uint8Array([4, 5, 6]));
+
+      const [, body] = apiClient.post.mock.calls.at(-1);
+      expect(body.assertion).toMatchObject({
+        rawId: 'BAUG',
+        response: { clientDataJSON: 'AQ', authenticatorData: 'Ag', signature: 'Aw', userHandle: null }
+      });
+    });
+
+    test('maps a cancelled prompt to WEBAUTHN_CANCELLED', async () => {
+      mockCredentials(async () => {
+        throw Object.assign(new Error('cancelled'), { name: 'NotAllowedError' });
+      });
+
+      const { service } = setup();
+      await service.login(credentials).catch(() => {});
+
+      await expect(service.verifyWebAuthn()).rejects.toMatchObject({ code: 'WEBAUTHN_CANCELLED' });
+      expect(service.pendingMfa).not.toBeNull();
+    });
+  });
+});
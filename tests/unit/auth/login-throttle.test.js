@@ -0,0 +1,182 @@
+/**
+ * Unit tests for the persistent login throttle
+ */
+
+import { jest } from '@jest/globals';
+import { act, renderHook } from '@testing-library/react';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import {
+  formatCountdown,
+  LoginThrottle,
+  parseRetryAfter,
+  useLockoutCountdown
+} from '../../../examples/auth/login-throttle.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { createStorage } from '../../helpers/storage.js';
+
+const NOW = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+describe('parseRetryAfter', () => {
+  test('reads delta-seconds', () => {
+    expect(parseRetryAfter('120', NOW)).toBe(120000);
+    expect(parseRetryAfter(5, NOW)).toBe(5000);
+  });
+
+  test('reads HTTP-dates relative to now', () => {
+    expect(parseRetryAfter('Mon, 01 Jan 2024 12:01:30 GMT', NOW)).toBe(90000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 11:00:00 GMT', NOW)).toBe(0);
+  });
+
+  test('returns null for missing or garbage values', () => {
+    expect(parseRetryAfter(undefined, NOW)).toBeNull();
+    expect(parseRetryAfter('soon', NOW)).toBeNull();
+    expect(parseRetryAfter('-5', NOW)).toBeNull();
+  });
+});
+
+describe('LoginThrottle', () => {
+  let now;
+  let storage;
+  const create = (options = {}) => new LoginThrottle({ storage, now: () => now, ...options });
+
+  beforeEach(() => {
+    now = NOW;
+    storage = createStorage();
+  });
+
+  test('escalates after the free attempts', () => {
+    const throttle = create({ escalation: { freeAttempts: 2, initialDelay: 1000, factor: 2 } });
+
+    expect(throttle.recordFailure('a@example.com')).toBeNull();
+    expect(throttle.recordFailure('a@example.com')).toBeNull();
+    expect(throttle.recordFailure('a@example.com')).toEqual({ retryAt: NOW + 1000, retryAfter: 1 });
+
+    now += 1000;
+    expect(throttle.recordFailure('a@example.com')).toEqual({ retryAt: now + 2000, retryAfter: 2 });
+    now += 2000;
+    expect(throttle.recordFailure('a@example.com').retryAfter).toBe(4);
+  });
+
+  test('caps the delay and resets after a quiet period', () => {
+    const throttle = create({
+      escalation: { freeAttempts: 0, initialDelay: 1000, factor: 10, maxDelay: 5000, resetAfter: 60000 }
+    });
+
+    throttle.recordFailure('a@example.com');
+    throttle.recordFailure('a@example.com');
+    expect(throttle.recordFailure('a@example.com').retryAfter).toBe(5);
+
+    now += 120000;
+    expect(throttle.recordFailure('a@example.com').retryAfter).toBe(1);
+  });
+
+  test('persists lockouts per email across instances, without plain emails', () => {
+    create().recordRateLimit('A@Example.com ', 'Mon, 01 Jan 2024 12:02:00 GMT');
+
+    const reloaded = create();
+    expect(reloaded.getLockout('a@example.com')).toEqual({ retryAt: NOW + 120000, retryAfter: 120 });
+    expect(reloaded.getLockout('b@example.com')).toBeNull();
+    expect([...storage.items.values()].join()).not.toContain('example.com');
+  });
+
+  test('falls back to 60 seconds for unparseable Retry-After', () => {
+    expect(create().recordRateLimit('a@example.com', 'later').retryAfter).toBe(60);
+  });
+
+  test('clears everything on success', () => {
+    const throttle = create({ escalation: { freeAttempts: 0 } });
+    throttle.recordFailure('a@example.com');
+    throttle.recordSuccess('a@example.com');
+
+    expect(throttle.getLockout('a@example.com')).toBeNull();
+    expect(throttle.recordFailure('a@example.com').retryAfter).toBe(5);
+  });
+
+  test('keeps working when storage throws', () => {
+    storage.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+    const throttle = create({ escalation: { freeAttempts: 0 } });
+
+    expect(throttle.recordFailure('a@example.com')).not.toBeNull();
+    expect(throttle.getLockout('a@example.com')).not.toBeNull();
+  });
+});
+
+describe('AuthenticationService throttling', () => {
+  const credentials = { email: 'user@example.com', password: 'correct horse battery' };
+  const reject = status => Object.assign(new Error(`HTTP ${status}`), {
+    response: { status, headers: { 'retry-after': 'Mon, 01 Jan 2024 12:00:30 GMT' } }
+  });
+
+  function setup(post) {
+    const throttle = new LoginThrottle({ storage: createStorage(), escalation: { freeAttempts: 1 } });
+    const apiClient = { post: jest.fn(post) };
+    const service = new AuthenticationService(apiClient, new MemoryTokenStorage(), { autoRefresh: false, throttle });
+    return { service, apiClient };
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('counts 401s and blocks the next attempt without a request', async () => {
+    const { service, apiClient } = setup(async () => {
+      throw reject(401);
+    });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS', details: {} });
+    await expect(service.login(credentials)).rejects.toMatchObject({
+      code: 'INVALID_CREDENTIALS',
+      details: { retryAfter: 5 }
+    });
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+    expect(apiClient.post).toHaveBeenCalledTimes(2);
+  });
+
+  test('turns an HTTP-date Retry-After into seconds', async () => {
+    const { service } = setup(async () => {
+      throw reject(429);
+    });
+
+    await expect(service.login(credentials)).rejects.toMatchObject({
+      code: 'RATE_LIMITED',
+      message: 'Too many attempts. Please try again in 30 seconds.',
+      details: { retryAt: NOW + 30000, retryAfter: 30 }
+    });
+  });
+});
+
+describe('useLockoutCountdown', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('counts down and reports the end once', () => {
+    const onExpire = jest.fn();
+    const { result } = renderHook(() => useLockoutCountdown(NOW + 3000, { onExpire }));
+    expect(result.current).toBe(3);
+
+    act(() => jest.advanceTimersByTime(1000));
+    expect(result.current).toBe(2);
+
+    act(() => jest.advanceTimersByTime(5000));
+    expect(result.current).toBe(0);
+    expect(onExpire).toHaveBeenCalledTimes(1);
+  });
+
+  test('formats m:ss', () => {
+    expect(formatCountdown(65)).toBe('1:05');
+    expect(formatCountdown(9)).toBe('0:09');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit tests for the password policy: strength scoring, rules and the
+ * breached password check
+ */
+
+import { jest } from '@jest/globals';
+import { createHash } from 'node:crypto';
+import {
+  createRangeLoader,
+  estimateStrength,
+  parseRangeFile,
+  PasswordPolicy,
+  sha1Hex,
+  userInputWords
+} from '../../../examples/auth/password-policy.js';
+
+const sha1 = text => createHash('sha1').update(text).digest('hex').toUpperCase();
+
+const silentLogger = { debug() {}, info() {}, warn: jest.fn(), error() {} };
+
+describe('estimateStrength', () => {
+  test.each([
+    ['password', 0, 'This is a commonly used password'],
+    ['Password1234', 0, 'Contains a commonly used password'],
+    ['drowssap12345', 0, 'Contains a commonly used password'],
+    ['aaaaaaaaaaaa', 0, 'Repeats like "aaa" or "abcabc" are easy to guess'],
+    ['abcdefghijkl', 0, 'Sequences like "abc" or "6543" are easy to guess'],
+    ['asdfghjkl;12', 1, 'Contains a commonly used password'],
+    ['Summer2024Summer', 1, 'Contains a commonly used password']
+  ])('%s scores %i: %s', (password, score, warning) => {
+    expect(estimateStrength(password)).toMatchObject({ score, warning });
+  });
+
+  test('scores long unpatterned passwords as very strong', () => {
+    const result = estimateStrength('correct horse battery');
+    expect(result.score).toBe(4);
+    expect(result.warning).toBeNull();
+    expect(result.guessesLog10).toBeCloseTo(21);
+  });
+
+  test('explains predictable substitutions', () => {
+    const result = estimateStrength('P@ssw0rd');
+    expect(result.sequence[0]).toMatchObject({ pattern: 'dictionary', leet: true, uppercase: true });
+    expect(result.suggestions).toEqual(expect.arrayContaining([
+      'Capitalisation doesn\'t help very much',
+      'Predictable substitutions like "@" instead of "a" don\'t help very much'
+    ]));
+  });
+
+  test('treats banned words like the most common password', () => {
+    expect(estimateStrength('acmeacmeacme', { bannedWords: ['acme'] }).score).toBe(0);
+    expect(estimateStrength('ada.lovelace99', { bannedWords: ['ada.lovelace'] }).warning)
+      .toBe('Avoid your name, email or the name of this site');
+  });
+});
+
+describe('PasswordPolicy#check', () => {
+  const policy = new PasswordPolicy({ appName: 'Acme', breached: false });
+
+  test('reports every rule with a label and, when failed, a message', () => {
+    const feedback = policy.check('hello');
+
+    expect(feedback).toMatchObject({ valid: false, score: 0, label: 'Very weak' });
+    expect(feedback.checks.map(({ id, passed }) => [id, passed])).toEqual([
+      ['length', false],
+      ['maxLength', true],
+      ['banned', true],
+      ['strength', false]
+    ]);
+    expect(feedback.checks[0]).toEqual({
+      id: 'length',
+      passed: false,
+      label: 'At least 12 characters',
+      message: 'Password must be at least 12 characters'
+    });
+    expect(feedback.checks[1].message).toBeNull();
+  });
+
+  test('bans the app name and the user\'s details, also with substitutions', () => {
+    const context = { email: 'ada.lovelace@example.com', name: 'Ada Lovelace' };
+
+    expect(policy.check('rocket-ACME-launch', context).checks.find(check => check.id === 'banned').passed).toBe(false);
+    expect(policy.check('l0v3l4ce-engine-notes', context).checks.find(check => check.id === 'banned').passed).toBe(false);
+    expect(policy.check('analytical engine notes', context).valid).toBe(true);
+  });
+
+  test('takes words from the email and name', () => {
+    expect(userInputWords({ email: 'Ada.Lovelace+news@example.com', name: 'Ada King' }))
+      .toEqual(['ada.lovelace+news', 'ada', 'lovelace', 'news', 'example', 'king']);
+  });
+
+  test('applies configured limits', () => {
+    const strict = new PasswordPolicy({ minLength: 16, maxLength: 20, minScore: 4, breached: false });
+
+    expect(strict.check('correct horse battery').checks.find(check => check.id === 'maxLength').passed).toBe(false);
+    expect(strict.check('xK9#mQ2$vL7!pR4w').valid).toBe(true);
+    expect(strict.check('xK9#mQ2$vL7!').checks[0].message).toBe('Password must be at least 16 characters');
+  });
+});
+
+describe('breached password check', () => {
+  const breached = 'correct horse battery staple';
+  const hash = sha1(breached);
+
+  function createPolicy(loadRange) {
+    return new PasswordPolicy({
+      breached: { loadRange: jest.fn(loadRange), crypto: globalThis.crypto },
+      logger: silentLogger
+    });
+  }
+
+  test('hashes like Pwned Passwords', async () => {
+    await expect(sha1Hex('password')).resolves.toBe('5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8');
+  });
+
+  test('parses range files and drops padding', () => {
+    const range = parseRangeFile('0018A45C4D1DEF81644B54AB7F969B88D65:3\r\n00D4F6E8FA6EECAD2A3AA415EEC418D38EC:0\r\n');
+    expect([...range]).toEqual([['0018A45C4D1DEF81644B54AB7F969B88D65', 3]]);
+  });
+
+  test('rejects a password found in its range file, requesting only the prefix', async () => {
+    const policy = createPolicy(async () => `${hash.slice(5)}:42\r\n`);
+
+    const feedback = await policy.validate(breached);
+
+    expect(policy.breached.loadRange).toHaveBeenCalledWith(hash.slice(0, 5));
+    expect(feedback).toMatchObject({ valid: false, breachCount: 42 });
+    expect(feedback.checks.at(-1)).toMatchObject({
+      id: 'breached',
+      passed: false,
+      message: 'This password has appeared in a data breach. Choose a different one.'
+    });
+  });
+
+  test('caches range files per prefix', async () => {
+    const policy = createPolicy(async () => '');
+
+    await policy.validate(breached);
+    await policy.validate(breached);
+
+    expect(policy.breached.loadRange).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips the lookup while other rules fail', async () => {
+    const policy = createPolicy(async () => '');
+
+    await expect(policy.validate('password1')).resolves.toMatchObject({ valid: false, breachCount: null });
+    expect(policy.breached.loadRange).not.toHaveBeenCalled();
+  });
+
+  test('fails open and logs when the range file is unavailable', async () => {
+    const policy = createPolicy(async () => {
+      throw new Error('HTTP 503');
+    });
+
+    const feedback = await policy.validate(breached);
+
+    expect(feedback).toMatchObject({ valid: true, breachCount: null });
+    expect(feedback.checks.map(({ id }) => id)).not.toContain('breached');
+    expect(silentLogger.warn).toHaveBeenCalledWith('Breached password check unavailable', { error: expect.any(Error) });
+  });
+
+  const rangeFetch = () => jest.fn(async url => (url.endsWith('/5BAA6.txt')
+    ? { ok: true, status: 200, text: async () => '1E4C9B93F3F0682250B6CF8331B7EE68FD8:9\r\n' }
+    : { ok: false, status: 404 }));
+
+  test('loads <PREFIX>.txt from the app\'s origin; a missing file is unavailable', async () => {
+    const fetch = rangeFetch();
+    const loadRange = createRangeLoader({ fetch });
+
+    await expect(loadRange('5BAA6')).resolves.toContain('1E4C9B93F3F0682250B6CF8331B7EE68FD8:9');
+    await expect(loadRange('00000')).rejects.toThrow('Range 00000 unavailable (HTTP 404)');
+    expect(fetch).toHaveBeenCalledWith('/pwned-passwords/5BAA6.txt', { credentials: 'omit' });
+  });
+
+  test('treats missing files as no matches only for a partial mirror', async () => {
+    const loadRange = createRangeLoader({ partial: true, fetch: rangeFetch() });
+
+    await expect(loadRange('00000')).resolves.toBe('');
+  });
+
+  test('rejects a response that is not a range file', async () => {
+    const fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => '<!doctype html><div id="root"></div>' }));
+    const loadRange = createRangeLoader({ fetch });
+
+    await expect(loadRange('5BAA6')).rejects.toThrow('Range 5BAA6 is not a SUFFIX:COUNT file');
+  });
+
+  test('reports the check unavailable, not passed, when the app serves its SPA fallback', async () => {
+    const fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => '<!doctype html><div id="root"></div>' }));
+    const policy = new PasswordPolicy({ breached: { loadRange: createRangeLoader({ fetch }) }, logger: silentLogger });
+
+    const feedback = await policy.validate(breached);
+
+    expect(feedback.breachCount).toBeNull();
+    expect(feedback.checks.map(({ id }) => id)).not.toContain('breached');
+  });
+});
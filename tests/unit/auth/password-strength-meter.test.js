@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the password strength meter
+ */
+
+import { jest } from '@jest/globals';
+import { createElement } from 'react';
+import { act, render, screen, within } from '@testing-library/react';
+import { AuthProvider } from '../../../examples/auth/auth-provider.js';
+import { PasswordPolicy } from '../../../examples/auth/password-policy.js';
+import { describePasswordFeedback, PasswordStrengthMeter } from '../../../examples/auth/password-strength-meter.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function renderMeter(props, policy = new PasswordPolicy({ appName: 'Acme', breached: false, logger })) {
+  const ui = meterProps => createElement(
+    AuthProvider,
+    {
+      apiClient: { post: jest.fn() },
+      tokenStorage: new MemoryTokenStorage(),
+      options: { autoRefresh: false, logger, passwordPolicy: policy }
+    },
+    createElement(PasswordStrengthMeter, { id: 'password-strength', delay: 300, ...meterProps })
+  );
+  const view = render(ui(props));
+  return { ...view, update: nextProps => view.rerender(ui(nextProps)) };
+}
+
+// Lets the provider finish restoring the (empty) session
+const settle = () => act(async () => {});
+
+// The meter's own region, not the provider's shared announcer
+const liveRegion = () => within(document.getElementById('password-strength')).getByRole('status');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('exposes the score as a meter with a text value', async () => {
+  renderMeter({ password: 'password1234' });
+  await settle();
+
+  const meter = screen.getByRole('meter', { name: 'Password strength: Very weak' });
+  expect(meter.getAttribute('aria-valuenow')).toBe('0');
+  expect(meter.getAttribute('aria-valuemax')).toBe('4');
+  expect(meter.getAttribute('aria-valuetext')).toBe('Very weak');
+});
+
+test('lists every rule as met or not met', async () => {
+  renderMeter({ password: 'acme' });
+  await settle();
+
+  const items = screen.getAllByRole('listitem').map(item => item.textContent);
+  expect(items).toEqual(expect.arrayContaining([
+    '✗ Not met: At least 12 characters',
+    '✓ Met: No more than 128 characters',
+    '✗ Not met: Does not contain your name, email or the site name'
+  ]));
+});
+
+test('announces only once typing pauses', async () => {
+  const { update } = renderMeter({ password: 'pass' });
+
+  update({ password: 'password' });
+  update({ password: 'password-for-ada', email: 'ada@example.com' });
+  expect(liveRegion().textContent).toBe('');
+
+  await act(async () => {
+    await jest.advanceTimersByTimeAsync(300);
+  });
+  expect(liveRegion().textContent).toBe('Password strength: Weak. Contains a commonly used password.');
+
+  update({ password: 'analytical engine notes', email: 'ada@example.com' });
+  expect(liveRegion().textContent).toBe('');
+  await act(async () => {
+    await jest.advanceTimersByTimeAsync(300);
+  });
+  expect(liveRegion().textContent).toBe('Password strength: Very strong. All requirements met.');
+});
+
+test('adds the breached check once the other rules pass', async () => {
+  const policy = new PasswordPolicy({ breached: { loadRange: async () => '' }, logger });
+  policy.breachCount = jest.fn(async () => 3);
+  renderMeter({ password: 'analytical engine notes' }, policy);
+
+  await act(async () => {
+    await jest.advanceTimersByTimeAsync(300);
+  });
+
+  expect(policy.breachCount).toHaveBeenCalledTimes(1);
+  expect(screen.getByText('Not found in known data breaches').closest('li').dataset.passed).toBe('false');
+  expect(liveRegion().textContent).toBe('Password strength: Very strong. This password has appeared in a data breach. Choose a different one.');
+});
+
+test('describes feedback as one sentence per part', () => {
+  expect(describePasswordFeedback({
+    label: 'Fair',
+    checks: [{ id: 'strength', passed: false, message: 'Sequences like "abc" or "6543" are easy to guess' }]
+  })).toBe('Password strength: Fair. Sequences like "abc" or "6543" are easy to guess.');
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for permission checks and guard components
+ */
+
+import { jest } from '@jest/globals';
+import { createElement } from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { AuthProvider } from '../../../examples/auth/auth-provider.js';
+import {
+  can,
+  checkRouteAccess,
+  expandRole,
+  isAuthorized,
+  permissionMatches,
+  ProtectedRoute,
+  RequirePermission
+} from '../../../examples/auth/role-guard.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { buildAuthResponse, buildUser, buildUserWithGrants, resetMockSequence } from '../../../examples/testing/mocks.js';
+
+beforeEach(() => {
+  resetMockSequence();
+});
+
+describe('permissionMatches', () => {
+  test.each([
+    ['reports:read', 'reports:read', true],
+    ['reports:read', 'reports:write', false],
+    ['reports:*', 'reports:read', true],
+    ['reports:*', 'reports:export:pdf', true],
+    ['reports:*', 'reports', false],
+    ['*:read', 'users:read', true],
+    ['*:read', 'users:read:all', false],
+    ['*', 'anything:at:all', true],
+    ['reports', 'reports:read', false]
+  ])('%s grants %s → %s', (granted, required, expected) => {
+    expect(permissionMatches(granted, required)).toBe(expected);
+  });
+});
+
+describe('roles', () => {
+  test('expand through inheritance', () => {
+    expect(expandRole('admin')).toEqual(expect.arrayContaining(['users:*', 'reports:write', 'reports:read']));
+  });
+
+  test('survive inheritance cycles and unknown roles', () => {
+    const roles = { a: { inherits: ['b'], permissions: ['x'] }, b: { inherits: ['a'], permissions: ['y'] } };
+    expect(expandRole('a', roles).sort()).toEqual(['x', 'y']);
+    expect(expandRole('ghost', roles)).toEqual([]);
+  });
+});
+
+describe('can / isAuthorized', () => {
+  test('combine explicit grants with the role', () => {
+    const user = buildUser({ role: 'viewer', permissions: ['billing:read'] });
+    expect(can(user, 'reports:read')).toBe(true);
+    expect(can(user, 'billing:read')).toBe(true);
+    expect(can(user, 'reports:write')).toBe(false);
+    expect(can(null, 'reports:read')).toBe(false);
+  });
+
+  test('apply allOf and anyOf', () => {
+    const user = buildUserWithGrants('reports:read', 'reports:export:csv');
+    expect(isAuthorized(user, { allOf: ['reports:read', 'reports:export:csv'] })).toBe(true);
+    expect(isAuthorized(user, { allOf: ['reports:read', 'reports:write'] })).toBe(false);
+    expect(isAuthorized(user, { anyOf: ['reports:write', 'reports:export:csv'] })).toBe(true);
+    expect(isAuthorized(user, { anyOf: ['reports:write'] })).toBe(false);
+  });
+
+  test('checkRouteAccess covers every session status', () => {
+    const user = buildUserWithGrants('reports:read');
+    expect(checkRouteAccess({ status: 'restoring' }, {})).toBe('pending');
+    expect(checkRouteAccess({ status: 'unavailable' }, {})).toBe('unavailable');
+    expect(checkRouteAccess({ status: 'expired' }, {})).toBe('login');
+    expect(checkRouteAccess({ status: 'authenticated', user }, { permission: 'reports:read' })).toBe('allow');
+    expect(checkRouteAccess({ status: 'authenticated', user }, { permission: 'users:read' })).toBe('forbidden');
+  });
+});
+
+describe('guard components', () => {
+  async function renderAs(user, ui, post = async () => ({ data: buildAuthResponse(user ?? buildUser()) })) {
+    const tokenStorage = new MemoryTokenStorage();
+    if (user) {
+      await tokenStorage.setTokens({ accessToken: 'a', refreshToken: 'r', expiresIn: 60 });
+    }
+    const apiClient = { post: jest.fn(post) };
+    const options = { autoRefresh: false, retry: { retries: 0 } };
+
+    return render(createElement(AuthProvider, { apiClient, tokenStorage, options }, ui));
+  }
+
+  test('RequirePermission renders children or the fallback', async () => {
+    await renderAs(
+      buildUserWithGrants('reports:read'),
+      createElement('div', null,
+        createElement(RequirePermission, { permission: 'reports:read' }, createElement('span', null, 'can read')),
+        createElement(
+          RequirePermission,
+          { permission: 'reports:write', fallback: createElement('span', null, 'read only') },
+          createElement('span', null, 'can write')
+        ))
+    );
+
+    await screen.findByText('can read');
+    expect(screen.getByText('read only')).toBeTruthy();
+    expect(screen.queryByText('can write')).toBeNull();
+  });
+
+  test('ProtectedRoute shows a focused, labelled "not authorized" view', async () => {
+    await renderAs(
+      buildUserWithGrants('reports:read'),
+      createElement(ProtectedRoute, { permission: 'users:manage' }, 'admin area')
+    );
+
+    const region = await screen.findByRole('region', { name: 'You do not have access to this page' });
+    expect(region.textContent).toContain('"users:manage"');
+    expect(document.activeElement).toBe(screen.getByRole('heading', { level: 1 }));
+    expect(screen.queryByText('admin area')).toBeNull();
+  });
+
+  test('ProtectedRoute redirects anonymous users once', async () => {
+    const navigate = jest.fn();
+    await renderAs(null, createElement(ProtectedRoute, { permission: 'reports:read', navigate }, 'reports'));
+
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith('/login'));
+    expect(navigate).toHaveBeenCalledTimes(1);
+  });
+
+  test('ProtectedRoute offers a retry instead of a redirect when the session cannot be checked', async () => {
+    const navigate = jest.fn();
+    let online = false;
+    await renderAs(
+      buildUserWithGrants('reports:read'),
+      createElement(ProtectedRoute, { permission: 'reports:read', navigate }, 'reports'),
+      async () => {
+        if (!online) throw new TypeError('Failed to fetch');
+        return { data: buildAuthResponse(buildUserWithGrants('reports:read')) };
+      }
+    );
+
+    const retry = await screen.findByRole('button', { name: 'Try again' });
+    expect(retry.closest('[role="alert"]').textContent).toContain('could not check your session');
+
+    online = true;
+    await act(async () => fireEvent.click(retry));
+    await screen.findByText('reports');
+    expect(navigate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Unit tests for cross-tab session sync
+ */
+
+import { jest } from '@jest/globals';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import { SessionSync } from '../../../examples/auth/session-sync.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { buildJwt } from '../../../examples/testing/mocks.js';
+
+const credentials = { email: 'user@example.com', password: 'correct horse battery' };
+const user = { id: 'u1', email: 'user@example.com', role: 'user', permissions: [] };
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * In-memory BroadcastChannel: delivers asynchronously to every other
+ * open channel with the same name, like the browser does
+ */
+function createBus() {
+  const open = new Set();
+
+  return class FakeBroadcastChannel extends EventTarget {
+    constructor(name) {
+      super();
+      this.name = name;
+      open.add(this);
+    }
+
+    postMessage(data) {
+      for (const channel of open) {
+        if (channel !== this && channel.name === this.name) {
+          setTimeout(() => channel.dispatchEvent(Object.assign(new Event('message'), { data })), 0);
+        }
+      }
+    }
+
+    close() {
+      open.delete(this);
+    }
+  };
+}
+
+/**
+ * Exclusive-only LockManager
+ */
+function createLocks() {
+  const queues = new Map();
+  return {
+    request: jest.fn((name, options, task) => {
+      const previous = queues.get(name) ?? Promise.resolve();
+      const result = previous.then(() => task());
+      queues.set(name, result.catch(() => {}));
+      return result;
+    })
+  };
+}
+
+describe('SessionSync', () => {
+  test('delivers messages to other tabs but not back to the sender', async () => {
+    const BroadcastChannel = createBus();
+    const a = new SessionSync({ BroadcastChannel, tabId: 'a' });
+    const b = new SessionSync({ BroadcastChannel, tabId: 'b' });
+    const onA = jest.fn();
+    const onB = jest.fn();
+    a.subscribe(onA);
+    const unsubscribeB = b.subscribe(onB);
+
+    a.broadcast('logout', { reason: 'user' });
+    await flush();
+
+    expect(onA).not.toHaveBeenCalled();
+    expect(onB).toHaveBeenCalledWith(expect.objectContaining({ type: 'logout', payload: { reason: 'user' }, tabId: 'a' }));
+
+    unsubscribeB();
+    a.broadcast('logout', { reason: 'user' });
+    await flush();
+    expect(onB).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to storage events without BroadcastChannel', () => {
+    const window = new EventTarget();
+    const storage = { setItem: jest.fn(), removeItem: jest.fn() };
+    const sender = new SessionSync({ BroadcastChannel: null, storage, window, tabId: 'a' });
+    const receiver = new SessionSync({ BroadcastChannel: null, storage, window, tabId: 'b' });
+    const listener = jest.fn();
+    receiver.subscribe(listener);
+
+    sender.broadcast('refreshed', { expiresAt: 1 });
+    const [key, value] = storage.setItem.mock.calls[0];
+    expect(storage.removeItem).toHaveBeenCalledWith(key);
+
+    // What another tab's window receives
+    window.dispatchEvent(Object.assign(new Event('storage'), { key, newValue: value }));
+    window.dispatchEvent(Object.assign(new Event('storage'), { key, newValue: null }));
+    window.dispatchEvent(Object.assign(new Event('storage'), { key, newValue: '{not json' }));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'refreshed', payload: { expiresAt: 1 } }));
+  });
+
+  test('rejects unknown message types', () => {
+    const sync = new SessionSync({ BroadcastChannel: createBus() });
+    expect(() => sync.broadcast('tokens', {})).toThrow(TypeError);
+  });
+
+  test('runs the task directly without Web Locks', async () => {
+    const sync = new SessionSync({ BroadcastChannel: createBus(), locks: undefined });
+    await expect(sync.withRefreshLock(async () => 'done')).resolves.toBe('done');
+  });
+});
+
+describe('AuthenticationService across tabs', () => {
+  function setupTabs() {
+    const BroadcastChannel = createBus();
+    const locks = createLocks();
+    // Shared by both tabs, like cookies or IndexedDB
+    const tokenStorage = new MemoryTokenStorage();
+    let issued = 0;
+    const apiClient = {
+      post: jest.fn(async (url) => {
+        if (url === '/auth/logout') return { data: {} };
+        issued += 1;
+        return {
+          data: { accessToken: buildJwt({ sub: 'u1' }), refreshToken: `refresh-${issued}`, expiresIn: 900, user }
+        };
+      })
+    };
+
+    const tab = (tabId) => {
+      const logger = { debug() {}, info() {}, warn: jest.fn(), error: jest.fn() };
+      const service = new AuthenticationService(apiClient, tokenStorage, {
+        autoRefresh: false,
+        logger,
+        sessionSync: new SessionSync({ BroadcastChannel, locks, tabId })
+      });
+      const events = [];
+      service.on('*', (type, payload) => events.push([type, payload]));
+      return { service, events };
+    };
+
+    return { apiClient, tokenStorage, locks, a: tab('a'), b: tab('b') };
+  }
+
+  test('a login in one tab reaches the other', async () => {
+    const { a, b } = setupTabs();
+
+    await a.service.login(credentials);
+    await flush();
+
+    expect(b.events).toEqual([['login', { user, method: 'password', remote: true }]]);
+  });
+
+  test('a logout in one tab clears the other', async () => {
+    const { a, b, tokenStorage } = setupTabs();
+    await a.service.login(credentials);
+    await flush();
+
+    await a.service.logout();
+    await flush();
+
+    expect(b.events.at(-1)).toEqual(['logout', { reason: 'user', remote: true }]);
+    expect(await tokenStorage.getRefreshToken()).toBeNull();
+  });
+
+  test('only one tab rotates the refresh token when both refresh at once', async () => {
+    const { a, b, apiClient, locks } = setupTabs();
+    await a.service.login(credentials);
+    await flush();
+    apiClient.post.mockClear();
+
+    const [fromA, fromB] = await Promise.all([a.service.refreshAccessToken(), b.service.refreshAccessToken()]);
+
+    const refreshes = apiClient.post.mock.calls.filter(([url]) => url === '/auth/refresh');
+    expect(refreshes).toHaveLength(1);
+    expect(refreshes[0][1]).toMatchObject({ refreshToken: 'refresh-1' });
+    expect(locks.request).toHaveBeenCalledTimes(2);
+    expect(fromB.user).toEqual(user);
+    expect(fromB.expiresAt).toBe(fromA.expiresAt);
+  });
+
+  test('a new tab without a known user rotates with the latest token', async () => {
+    const { a, b, apiClient } = setupTabs();
+    await a.service.login(credentials);
+    await a.service.refreshAccessToken();
+    await flush();
+    // As if this tab had just been opened
+    b.service.user = null;
+    apiClient.post.mockClear();
+
+    await b.service.restoreSession();
+
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/refresh', expect.objectContaining({ refreshToken: 'refresh-2' }));
+  });
+
+  test('ignores remote logins when storage is not shared', async () => {
+    const BroadcastChannel = createBus();
+    const sender = new SessionSync({ BroadcastChannel, tabId: 'x' });
+    const service = new AuthenticationService({ post: jest.fn() }, new MemoryTokenStorage(), {
+      autoRefresh: false,
+      sessionSync: new SessionSync({ BroadcastChannel, tabId: 'y' })
+    });
+    const listener = jest.fn();
+    service.on('login', listener);
+
+    sender.broadcast('login', { user, method: 'password' });
+    await flush();
+
+    expect(listener).not.toHaveBeenCalled();
+    service.dispose();
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Unit tests for the session timeout warning dialog
+ */
+
+import { jest } from '@jest/globals';
+import { createElement } from 'react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import { AuthProvider, useAuth } from '../../../examples/auth/auth-provider.js';
+import { SESSION_DIALOG_THEME, SessionTimeoutDialog } from '../../../examples/auth/session-timeout.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { buildJwt } from '../../../examples/testing/mocks.js';
+import { contrastRatio, parseColor, composite } from '../../a11y/helpers/contrast.js';
+import { createStorage } from '../../helpers/storage.js';
+
+const user = { id: 'u1', email: 'user@example.com', role: 'user', permissions: [] };
+const authResponse = { accessToken: buildJwt({ sub: 'u1' }), refreshToken: 'refresh-1', expiresIn: 900, user };
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function Status() {
+  const { status, error } = useAuth();
+  return createElement('output', { 'data-testid': 'auth-status' }, [status, error?.code].filter(Boolean).join(' '));
+}
+
+async function renderDialog({ post, ...timeouts } = {}) {
+  const tokenStorage = new MemoryTokenStorage();
+  await tokenStorage.setTokens({ accessToken: 'old', refreshToken: 'stored', expiresIn: 60 });
+  const apiClient = { post: jest.fn(post ?? (async () => ({ data: authResponse }))) };
+
+  render(createElement(
+    AuthProvider,
+    { apiClient, tokenStorage, options: { autoRefresh: false, logger } },
+    createElement('button', { type: 'button' }, 'Save draft'),
+    createElement(Status),
+    createElement(SessionTimeoutDialog, {
+      idleTimeout: 60 * 1000,
+      warningTime: 30 * 1000,
+      maxSessionLength: null,
+      storage: createStorage(),
+      ...timeouts
+    })
+  ));
+  await advance(0);
+  return { apiClient };
+}
+
+const advance = ms => act(async () => {
+  await jest.advanceTimersByTimeAsync(ms);
+});
+
+const dialog = () => screen.getByRole('alertdialog');
+const status = () => screen.getByTestId('auth-status').textContent;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('opens a labelled alertdialog warningTime before the timeout', async () => {
+  await renderDialog();
+  expect(status()).toBe('authenticated');
+  expect(screen.queryByRole('alertdialog')).toBeNull();
+
+  await advance(30 * 1000);
+
+  expect(dialog().getAttribute('aria-modal')).toBe('true');
+  expect(screen.getByRole('alertdialog', { name: 'Your session is about to expire' })).toBe(dialog());
+  const description = document.getElementById(dialog().getAttribute('aria-describedby'));
+  expect(description.textContent).toBe(
+    'Your session will expire in 30 seconds because you have been inactive. Unsaved changes may be lost.'
+  );
+});
+
+test('counts down and announces at thresholds, not every second', async () => {
+  await renderDialog();
+  await advance(30 * 1000);
+  const liveRegion = within(dialog()).getByRole('status');
+
+  expect(liveRegion.textContent).toBe('Your session will expire in 30 seconds.');
+
+  await advance(5 * 1000);
+  expect(document.getElementById(dialog().getAttribute('aria-describedby')).textContent)
+    .toMatch(/^Your session will expire in 25 seconds/);
+  expect(liveRegion.textContent).toBe('Your session will expire in 30 seconds.');
+
+  await advance(15 * 1000);
+  expect(liveRegion.textContent).toBe('Your session will expire in 10 seconds.');
+});
+
+test('moves focus in, keeps Tab inside and restores focus on close', async () => {
+  await renderDialog();
+  const saveDraft = screen.getByRole('button', { name: 'Save draft' });
+  saveDraft.focus();
+
+  await advance(30 * 1000);
+  const stay = screen.getByRole('button', { name: 'Stay signed in' });
+  const logOut = screen.getByRole('button', { name: 'Log out' });
+  expect(document.activeElement).toBe(stay);
+
+  logOut.focus();
+  fireEvent.keyDown(logOut, { key: 'Tab' });
+  expect(document.activeElement).toBe(stay);
+
+  fireEvent.keyDown(stay, { key: 'Tab', shiftKey: true });
+  expect(document.activeElement).toBe(logOut);
+
+  await act(async () => {
+    fireEvent.click(stay);
+  });
+  expect(screen.queryByRole('alertdialog')).toBeNull();
+  expect(document.activeElement).toBe(saveDraft);
+});
+
+test('Stay signed in refreshes the session and restarts the clock', async () => {
+  const { apiClient } = await renderDialog();
+  await advance(45 * 1000);
+  apiClient.post.mockClear();
+
+  await act(async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Stay signed in' }));
+  });
+
+  expect(apiClient.post).toHaveBeenCalledWith('/auth/refresh', expect.objectContaining({ refreshToken: 'refresh-1' }));
+  expect(screen.queryByRole('alertdialog')).toBeNull();
+
+  await advance(29 * 1000);
+  expect(screen.queryByRole('alertdialog')).toBeNull();
+  expect(status()).toBe('authenticated');
+});
+
+test('Escape extends instead of logging out', async () => {
+  const { apiClient } = await renderDialog();
+  await advance(30 * 1000);
+
+  await act(async () => {
+    fireEvent.keyDown(document.activeElement, { key: 'Escape' });
+  });
+
+  expect(apiClient.post).toHaveBeenLastCalledWith('/auth/refresh', expect.anything());
+  expect(status()).toBe('authenticated');
+});
+
+test('shows why an extension failed and keeps the dialog open', async () => {
+  let refreshes = 0;
+  await renderDialog({
+    post: async (url) => {
+      if (url === '/auth/refresh' && (refreshes += 1) > 1) {
+        throw Object.assign(new Error('Service Unavailable'), { response: { status: 503 } });
+      }
+      return { data: authResponse };
+    }
+  });
+  await advance(30 * 1000);
+
+  await act(async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Stay signed in' }));
+  });
+
+  expect(within(dialog()).getByRole('alert').textContent)
+    .toBe('Your session could not be extended: Unable to refresh session. Retrying shortly.');
+  expect(status()).toBe('authenticated');
+});
+
+test('Log out ends the session', async () => {
+  const { apiClient } = await renderDialog();
+  await advance(30 * 1000);
+
+  await act(async () => {
+    fireEvent.click(screen.getByRole('button', { name: 'Log out' }));
+  });
+
+  expect(apiClient.post).toHaveBeenLastCalledWith('/auth/logout', expect.objectContaining({ refreshToken: 'refresh-1' }));
+  expect(status()).toBe('unauthenticated');
+  expect(screen.queryByRole('alertdialog')).toBeNull();
+});
+
+test('logs out with the timeout reason when the countdown ends', async () => {
+  const { apiClient } = await renderDialog();
+
+  await advance(60 * 1000);
+
+  expect(apiClient.post).toHaveBeenLastCalledWith('/auth/logout', expect.anything());
+  expect(status()).toBe('expired SESSION_TIMEOUT');
+  expect(screen.queryByRole('alertdialog')).toBeNull();
+});
+
+test('offers to log in again instead of extending at the session limit', async () => {
+  const { apiClient } = await renderDialog({ idleTimeout: 10 * 60 * 1000, maxSessionLength: 60 * 1000 });
+  await advance(30 * 1000);
+
+  expect(document.getElementById(dialog().getAttribute('aria-describedby')).textContent).toBe(
+    'Your session will expire in 30 seconds because it has reached its time limit. Save your work, then log in again to continue.'
+  );
+  expect(screen.queryByRole('button', { name: 'Stay signed in' })).toBeNull();
+  const logInAgain = screen.getByRole('button', { name: 'Log in again' });
+  expect(document.activeElement).toBe(logInAgain);
+
+  apiClient.post.mockClear();
+  await act(async () => {
+    fireEvent.keyDown(logInAgain, { key: 'Escape' });
+  });
+  expect(apiClient.post).not.toHaveBeenCalled();
+  expect(dialog()).toBeTruthy();
+
+  await act(async () => {
+    fireEvent.click(logInAgain);
+  });
+  expect(apiClient.post).toHaveBeenLastCalledWith('/auth/logout', expect.anything());
+  expect(status()).toBe('expired SESSION_TIMEOUT');
+  expect(screen.queryByRole('alertdialog')).toBeNull();
+});
+
+describe('SESSION_DIALOG_THEME', () => {
+  // WCAG AAA for normal text (1.4.6)
+  test.each([
+    ['body text', SESSION_DIALOG_THEME.text, SESSION_DIALOG_THEME.background],
+    ['primary button', SESSION_DIALOG_THEME.primaryText, SESSION_DIALOG_THEME.primaryBackground],
+    ['secondary button', SESSION_DIALOG_THEME.text, SESSION_DIALOG_THEME.background],
+    ['error', SESSION_DIALOG_THEME.error, SESSION_DIALOG_THEME.background]
+  ])('%s meets 7:1', (label, foreground, background) => {
+    expect(contrastRatio(foreground, background)).toBeGreaterThanOrEqual(7);
+  });
+
+  test('button borders stand out from the dialog (1.4.11)', () => {
+    expect(contrastRatio(SESSION_DIALOG_THEME.border, SESSION_DIALOG_THEME.background)).toBeGreaterThanOrEqual(3);
+    expect(contrastRatio(SESSION_DIALOG_THEME.primaryBackground, SESSION_DIALOG_THEME.background)).toBeGreaterThanOrEqual(3);
+  });
+
+  test('the backdrop dims the page behind the dialog', () => {
+    const dimmed = composite(parseColor(SESSION_DIALOG_THEME.backdrop), parseColor('#ffffff'));
+    expect(contrastRatio(SESSION_DIALOG_THEME.background, dimmed)).toBeGreaterThanOrEqual(3);
+  });
+});
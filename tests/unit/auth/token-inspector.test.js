@@ -0,0 +1,144 @@
+/**
+ * Unit tests for JWT claim inspection and clock skew handling
+ */
+
+import { jest } from '@jest/globals';
+import { AuthenticationService } from '../../../examples/auth/login-flow.js';
+import { decodeJwt, estimateClockSkew, TokenInspector } from '../../../examples/auth/token-inspector.js';
+import { MemoryTokenStorage } from '../../../examples/auth/token-storage.js';
+import { buildJwt } from '../../../examples/testing/mocks.js';
+
+const NOW = Date.UTC(2024, 0, 1, 12, 0, 0);
+const seconds = ms => Math.floor(ms / 1000);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('decodeJwt', () => {
+  test('returns header and claims', () => {
+    const { header, claims } = decodeJwt(buildJwt({ sub: 'u1', aud: 'web' }));
+    expect(header).toEqual({ alg: 'none', typ: 'JWT' });
+    expect(claims).toMatchObject({ sub: 'u1', aud: 'web', exp: seconds(NOW) + 900 });
+  });
+
+  test.each([
+    ['not a string', 42],
+    ['two parts', 'a.b'],
+    ['non-base64url', 'a+b.c.d'],
+    ['non-JSON payload', `${btoa('{}')}.${btoa('nope')}.sig`],
+    ['array payload', `${btoa('{}')}.${btoa('[]')}.sig`],
+    ['string exp', buildJwt({ exp: 'tomorrow' })]
+  ])('rejects %s with MALFORMED_TOKEN', (label, token) => {
+    expect(() => decodeJwt(token)).toThrow(expect.objectContaining({ code: 'MALFORMED_TOKEN' }));
+  });
+});
+
+describe('estimateClockSkew', () => {
+  test('measures against the middle of the round trip', () => {
+    const header = new Date(NOW + 60000).toUTCString();
+    expect(estimateClockSkew(header, NOW - 1000, NOW + 1000)).toBe(60000);
+  });
+
+  test('ignores sub-second noise and missing headers', () => {
+    expect(estimateClockSkew(new Date(NOW).toUTCString(), NOW - 400, NOW)).toBe(0);
+    expect(estimateClockSkew(undefined, NOW, NOW)).toBeNull();
+  });
+});
+
+describe('TokenInspector', () => {
+  test('lists every failed expectation', () => {
+    const inspector = new TokenInspector({ audience: ['web', 'mobile'], issuer: 'https://auth.example.com' });
+    const token = buildJwt({
+      exp: seconds(NOW) - 60,
+      nbf: seconds(NOW) + 60,
+      iat: seconds(NOW) + 60,
+      aud: 'admin',
+      iss: 'https://evil.example.com'
+    });
+
+    expect(() => inspector.inspect(token)).toThrow(expect.objectContaining({
+      code: 'INVALID_TOKEN_CLAIMS',
+      details: { problems: [expect.stringMatching(/^exp/), expect.stringMatching(/^nbf/), expect.stringMatching(/^iat/), expect.stringMatching(/^aud/), expect.stringMatching(/^iss/)] }
+    }));
+  });
+
+  test('accepts any matching audience in an aud array', () => {
+    const inspector = new TokenInspector({ audience: 'web' });
+    expect(() => inspector.inspect(buildJwt({ aud: ['api', 'web'] }))).not.toThrow();
+  });
+
+  test('corrects expiry for a client clock that runs behind', () => {
+    const inspector = new TokenInspector();
+    // Server is 10 minutes ahead; token issued "now" on the server
+    inspector.updateSkew({ date: new Date(NOW + 600000).toUTCString() }, NOW);
+    const token = buildJwt({ iat: seconds(NOW + 600000), exp: seconds(NOW + 600000) + 900 });
+
+    const { expiresAt } = inspector.inspect(token);
+    expect(expiresAt).toBe(NOW + 900000);
+    expect(inspector.timeUntilExpiry(token)).toBe(900000);
+  });
+
+  test('treats malformed tokens as expired', () => {
+    const inspector = new TokenInspector();
+    expect(inspector.isExpired('garbage')).toBe(true);
+    expect(inspector.isExpired(buildJwt())).toBe(false);
+    expect(inspector.isExpired(buildJwt(), 900000)).toBe(true);
+  });
+});
+
+describe('AuthenticationService token checks', () => {
+  const credentials = { email: 'user@example.com', password: 'correct horse battery' };
+  const user = { id: 'u1', email: 'user@example.com', role: 'user', permissions: [] };
+
+  function setup(accessToken, options = {}) {
+    const tokenStorage = new MemoryTokenStorage();
+    const apiClient = {
+      post: jest.fn(async () => ({
+        data: { accessToken, refreshToken: 'refresh-1', expiresIn: 3600, user },
+        headers: { date: new Date(NOW).toUTCString() }
+      }))
+    };
+    const service = new AuthenticationService(apiClient, tokenStorage, { autoRefresh: false, ...options });
+    return { service, tokenStorage };
+  }
+
+  test('rejects a malformed access token with its own code', async () => {
+    const { service, tokenStorage } = setup('opaque-token');
+
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'MALFORMED_TOKEN' });
+    expect(await tokenStorage.getAccessToken()).toBeNull();
+  });
+
+  test('rejects a token for another audience', async () => {
+    const { service } = setup(buildJwt({ aud: 'admin' }), { tokenValidation: { audience: 'web' } });
+    await expect(service.login(credentials)).rejects.toMatchObject({ code: 'INVALID_TOKEN_CLAIMS' });
+  });
+
+  test('stores the earlier of exp and expiresIn and exposes the time left', async () => {
+    const { service, tokenStorage } = setup(buildJwt({ exp: seconds(NOW) + 600 }));
+
+    await expect(service.login(credentials)).resolves.toMatchObject({ expiresAt: NOW + 600000 });
+    expect(await tokenStorage.getExpiresAt()).toBe(NOW + 600000);
+    expect(await service.timeUntilExpiry()).toBe(600000);
+    expect(await service.isTokenExpired()).toBe(false);
+
+    jest.setSystemTime(NOW + 600000);
+    expect(await service.isTokenExpired()).toBe(true);
+  });
+
+  test('logs out and reports a malformed token returned by refresh', async () => {
+    const onSessionExpired = jest.fn();
+    const { service, tokenStorage } = setup('opaque-token', { onSessionExpired });
+    await tokenStorage.setTokens({ accessToken: 'old', refreshToken: 'stored', expiresIn: 60 });
+
+    await expect(service.refreshAccessToken()).rejects.toMatchObject({ code: 'MALFORMED_TOKEN' });
+    expect(onSessionExpired).toHaveBeenCalledWith(expect.objectContaining({ code: 'MALFORMED_TOKEN' }));
+    expect(await tokenStorage.getRefreshToken()).toBeNull();
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * @jest-environment node
+ *
+ * Contract tests shared by every tokenStorage adapter
+ *
+ * Each adapter gets a fresh backing store per test. `reload()` builds a
+ * second adapter on the same backing store, which is what a page reload
+ * looks like to the adapter.
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  MemoryTokenStorage,
+  SessionTokenStorage,
+  CookieTokenStorage,
+  EncryptedIndexedDBTokenStorage
+} from '../../../examples/auth/token-storage.js';
+import { createStorage } from '../../helpers/storage.js';
+
+// Minimal document.cookie jar honoring Max-Age
+function createCookieDocument() {
+  const jar = new Map();
+  return {
+    jar,
+    get cookie() {
+      return [...jar].map(([name, { value }]) => `${name}=${value}`).join('; ');
+    },
+    set cookie(header) {
+      const [pair, ...attributes] = header.split('; ');
+      const [name, value] = pair.split('=');
+      const maxAge = attributes.find(a => a.startsWith('Max-Age='));
+      if (maxAge && Number(maxAge.slice(8)) <= 0) {
+        jar.delete(name);
+      } else {
+        jar.set(name, { value, attributes });
+      }
+    }
+  };
+}
+
+const adapters = [
+  {
+    name: 'MemoryTokenStorage',
+    create: () => {
+      const make = () => new MemoryTokenStorage();
+      return { storage: make(), reload: make };
+    }
+  },
+  {
+    name: 'SessionTokenStorage',
+    create: () => {
+      const backing = createStorage();
+      const make = () => new SessionTokenStorage({ storage: backing });
+      return { storage: make(), reload: make };
+    }
+  },
+  {
+    name: 'CookieTokenStorage',
+    create: () => {
+      const doc = createCookieDocument();
+      const make = () => new CookieTokenStorage({ document: doc });
+      return { storage: make(), reload: make, doc };
+    }
+  },
+  {
+    name: 'EncryptedIndexedDBTokenStorage',
+    create: () => {
+      const factory = new IDBFactory();
+      const make = () => new EncryptedIndexedDBTokenStorage({ indexedDB: factory, crypto: globalThis.crypto });
+      return { storage: make(), reload: make, factory };
+    }
+  }
+];
+
+const tokens = { accessToken: 'access-1', refreshToken: 'refresh-1', expiresIn: 900 };
+
+describe.each(adapters)('$name', ({ create }) => {
+  let storage;
+  let reload;
+
+  beforeEach(() => {
+    ({ storage, reload } = create());
+  });
+
+  test('is empty before tokens are stored', async () => {
+    expect(await storage.getAccessToken()).toBeNull();
+    expect(await storage.getRefreshToken()).toBeNull();
+    expect(await storage.getExpiresAt()).toBeNull();
+  });
+
+  test('stores tokens and derives expiresAt from expiresIn', async () => {
+    const before = Date.now();
+    await storage.setTokens(tokens, { rememberMe: false });
+
+    expect(await storage.getAccessToken()).toBe('access-1');
+    expect(await storage.getRefreshToken()).toBe('refresh-1');
+    const expiresAt = await storage.getExpiresAt();
+    expect(expiresAt).toBeGreaterThanOrEqual(before + 900 * 1000);
+    expect(expiresAt).toBeLessThanOrEqual(Date.now() + 900 * 1000);
+  });
+
+  test('keeps an explicit expiresAt', async () => {
+    await storage.setTokens({ ...tokens, expiresAt: 1234567890000 }, { rememberMe: true });
+    expect(await storage.getExpiresAt()).toBe(1234567890000);
+  });
+
+  test('updateTokens rotates both tokens', async () => {
+    await storage.setTokens(tokens, { rememberMe: true });
+    await storage.updateTokens({ accessToken: 'access-2', refreshToken: 'refresh-2', expiresAt: 42 });
+
+    expect(await storage.getAccessToken()).toBe('access-2');
+    expect(await storage.getRefreshToken()).toBe('refresh-2');
+    expect(await storage.getExpiresAt()).toBe(42);
+  });
+
+  test('clearTokens removes everything and is idempotent', async () => {
+    await storage.setTokens(tokens, { rememberMe: true });
+    await storage.clearTokens();
+    await storage.clearTokens();
+
+    expect(await storage.getAccessToken()).toBeNull();
+    expect(await storage.getRefreshToken()).toBeNull();
+    expect(await storage.getExpiresAt()).toBeNull();
+    expect(await reload().getRefreshToken()).toBeNull();
+  });
+
+  test.each([true, false])('reload behavior matches survivesReload (rememberMe: %s)', async rememberMe => {
+    await storage.setTokens(tokens, { rememberMe });
+    const expected = storage.survivesReload(rememberMe) ? 'refresh-1' : null;
+
+    expect(await reload().getRefreshToken()).toBe(expected);
+  });
+
+  test('rotated tokens survive a reload the same way', async () => {
+    await storage.setTokens(tokens, { rememberMe: true });
+    await storage.updateTokens({ accessToken: 'access-2', refreshToken: 'refresh-2' });
+    const expected = storage.survivesReload(true) ? 'refresh-2' : null;
+
+    expect(await reload().getRefreshToken()).toBe(expected);
+  });
+});
+
+describe('adapter specifics', () => {
+  test('CookieTokenStorage only sets Max-Age when remembered', async () => {
+    const { storage, doc } = adapters[2].create();
+
+    await storage.setTokens(tokens, { rememberMe: false });
+    expect(doc.jar.get('auth.refresh').attributes.some(a => a.startsWith('Max-Age'))).toBe(false);
+
+    await storage.setTokens(tokens, { rememberMe: true, maxAge: 3600 });
+    expect(doc.jar.get('auth.refresh').attributes).toEqual(
+      expect.arrayContaining(['Max-Age=3600', 'Secure', 'SameSite=Strict'])
+    );
+
+    // Rotation keeps the remembered lifetime
+    await storage.updateTokens({ refreshToken: 'refresh-2' });
+    expect(doc.jar.get('auth.refresh').attributes).toContain('Max-Age=3600');
+  });
+
+  test('EncryptedIndexedDBTokenStorage never writes tokens in plaintext', async () => {
+    const { storage, factory } = adapters[3].create();
+    await storage.setTokens(tokens, { rememberMe: true });
+
+    const db = await new Promise(resolve => {
+      factory.open('auth-token-store').onsuccess = event => resolve(event.target.result);
+    });
+    const record = await new Promise(resolve => {
+      db.transaction('tokens').objectStore('tokens').get('current').onsuccess = event => resolve(event.target.result);
+    });
+
+    const bytes = new TextDecoder().decode(new Uint8Array(record.data));
+    expect(bytes).not.toContain('refresh-1');
+    expect(record.iv).toHaveLength(12);
+  });
+
+  test('EncryptedIndexedDBTokenStorage drops remembered sessions after maxAge', async () => {
+    const factory = new IDBFactory();
+    let now = Date.now();
+    const make = () => new EncryptedIndexedDBTokenStorage({ indexedDB: factory, now: () => now });
+
+    await make().setTokens(tokens, { rememberMe: true, maxAge: 60 });
+    now += 61 * 1000;
+    expect(await make().getRefreshToken()).toBeNull();
+  });
+
+  test('EncryptedIndexedDBTokenStorage drops a record it cannot decrypt', async () => {
+    const { storage, reload, factory } = adapters[3].create();
+    await storage.setTokens(tokens, { rememberMe: true });
+
+    // Replace the key, as a cleared or rotated key store would
+    const db = await new Promise(resolve => {
+      factory.open('auth-token-store').onsuccess = event => resolve(event.target.result);
+    });
+    const key = await globalThis.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await new Promise(resolve => {
+      const tx = db.transaction('keys', 'readwrite');
+      tx.objectStore('keys').put(key, 'aes');
+      tx.oncomplete = resolve;
+    });
+    db.close();
+
+    const next = reload();
+    expect(await next.getRefreshToken()).toBeNull();
+    expect(await next.getRefreshToken()).toBeNull();
+    await next.setTokens(tokens, { rememberMe: true });
+    expect(await reload().getRefreshToken()).toBe('refresh-1');
+  });
+
+  test('EncryptedIndexedDBTokenStorage without indexedDB reads and writes nothing', async () => {
+    const storage = new EncryptedIndexedDBTokenStorage({ indexedDB: null });
+
+    await storage.setTokens(tokens, { rememberMe: true });
+    await storage.updateTokens({ refreshToken: 'refresh-2' });
+    expect(await storage.getRefreshToken()).toBeNull();
+    expect(await storage.getAccessToken()).toBeNull();
+    await expect(storage.clearTokens()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for the live region announcer
+ */
+
+import { jest } from '@jest/globals';
+import { renderHook } from '@testing-library/react';
+import { Announcer, politenessFor, useAnnouncer } from '../../../examples/patterns/announcer.js';
+import { AuthError } from '../../../examples/auth/login-flow.js';
+
+const region = politeness => document.querySelector(`[data-announcer="${politeness}"]`);
+const messagesIn = politeness => [...region(politeness).children].map(node => node.textContent);
+
+let announcer;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  announcer = new Announcer({ delay: 100, clearAfter: 5000, dedupeWindow: 1000 });
+});
+
+afterEach(() => {
+  announcer.destroy();
+  jest.useRealTimers();
+});
+
+test('mounts one polite and one assertive region and keeps them', () => {
+  announcer.mount();
+  announcer.mount();
+
+  expect(document.querySelectorAll('[data-announcer]')).toHaveLength(2);
+  expect(region('polite').getAttribute('role')).toBe('status');
+  expect(region('polite').getAttribute('aria-live')).toBe('polite');
+  expect(region('assertive').getAttribute('role')).toBe('alert');
+  expect(region('assertive').getAttribute('aria-live')).toBe('assertive');
+
+  announcer.announce('Saved');
+  jest.advanceTimersByTime(6000);
+  expect(region('polite').isConnected).toBe(true);
+});
+
+test('writes the first message only after the region is in place', () => {
+  announcer.announce('Login successful');
+
+  expect(region('polite')).not.toBeNull();
+  expect(messagesIn('polite')).toEqual([]);
+
+  jest.advanceTimersByTime(100);
+  expect(messagesIn('polite')).toEqual(['Login successful']);
+});
+
+test('queues quick successive messages instead of overwriting them', () => {
+  announcer.announce('Password accepted. Verification code required.');
+  announcer.announce('Code sent to your authenticator app.');
+
+  jest.advanceTimersByTime(100);
+  expect(messagesIn('polite')).toEqual(['Password accepted. Verification code required.']);
+
+  jest.advanceTimersByTime(100);
+  expect(messagesIn('polite')).toEqual([
+    'Password accepted. Verification code required.',
+    'Code sent to your authenticator app.'
+  ]);
+});
+
+test('drops duplicates that are queued or were just announced', () => {
+  expect(announcer.announce('Saved')).toBe(true);
+  expect(announcer.announce('Saved')).toBe(false);
+  jest.advanceTimersByTime(100);
+
+  expect(announcer.announce('Saved')).toBe(false);
+  jest.advanceTimersByTime(1000);
+  expect(announcer.announce('Saved')).toBe(true);
+  jest.advanceTimersByTime(100);
+
+  expect(announcer.getAnnouncements().map(({ message }) => message)).toEqual(['Saved', 'Saved']);
+});
+
+test('routes errors by code', () => {
+  const invalid = new AuthError('Invalid email or password', 'INVALID_CREDENTIALS');
+  const validation = new AuthError('Please correct the highlighted fields.', 'VALIDATION_ERROR');
+
+  expect(politenessFor(invalid)).toBe('assertive');
+  expect(politenessFor(validation)).toBe('polite');
+  expect(politenessFor(new Error('Failed to fetch'))).toBe('assertive');
+  expect(politenessFor(undefined)).toBe('polite');
+
+  announcer.announce(`Login failed: ${invalid.message}`, { error: invalid });
+  announcer.announce(validation);
+  announcer.announce('Session expires soon', { politeness: 'assertive' });
+  jest.advanceTimersByTime(300);
+
+  expect(messagesIn('assertive')).toEqual(['Login failed: Invalid email or password', 'Session expires soon']);
+  expect(messagesIn('polite')).toEqual(['Please correct the highlighted fields.']);
+});
+
+test('puts assertive messages ahead of queued polite ones', () => {
+  announcer.announce('Loading results');
+  announcer.announce('Saving draft');
+  announcer.announce(new AuthError('Session expired. Please login again.', 'SESSION_EXPIRED'));
+  jest.advanceTimersByTime(300);
+
+  expect(announcer.getAnnouncements().map(({ message, politeness }) => [politeness, message])).toEqual([
+    ['assertive', 'Session expired. Please login again.'],
+    ['polite', 'Loading results'],
+    ['polite', 'Saving draft']
+  ]);
+});
+
+test('removes messages after clearAfter but keeps the history', () => {
+  announcer.announce('Saved');
+  jest.advanceTimersByTime(100);
+
+  jest.advanceTimersByTime(5000);
+  expect(messagesIn('polite')).toEqual([]);
+  expect(announcer.getAnnouncements({ politeness: 'polite' })).toEqual([
+    { message: 'Saved', politeness: 'polite', timestamp: expect.any(Number) }
+  ]);
+});
+
+test('keeps only the last maxHistory messages', () => {
+  const bounded = new Announcer({ delay: 100, maxHistory: 3 });
+
+  ['One', 'Two', 'Three', 'Four', 'Five'].forEach(message => {
+    bounded.announce(message);
+    jest.advanceTimersByTime(100);
+  });
+
+  expect(bounded.getAnnouncements().map(({ message }) => message)).toEqual(['Three', 'Four', 'Five']);
+  bounded.destroy();
+});
+
+test('clear() drops queued messages; destroy() removes the regions', () => {
+  announcer.announce('First');
+  announcer.announce('Second');
+  jest.advanceTimersByTime(100);
+
+  announcer.clear();
+  jest.advanceTimersByTime(1000);
+  expect(messagesIn('polite')).toEqual([]);
+  expect(announcer.getAnnouncements()).toHaveLength(1);
+
+  announcer.destroy();
+  expect(document.querySelector('[data-announcer]')).toBeNull();
+  expect(announcer.getAnnouncements()).toEqual([]);
+});
+
+test('ignores empty messages and runs without a document', () => {
+  expect(announcer.announce('   ')).toBe(false);
+
+  const serverSide = new Announcer({ document: null });
+  expect(serverSide.mount()).toBe(false);
+  expect(serverSide.announce('Saved')).toBe(false);
+});
+
+test('useAnnouncer mounts the regions with the component', () => {
+  const { result } = renderHook(() => useAnnouncer(announcer));
+
+  expect(region('polite')).not.toBeNull();
+
+  result.current.announce('Profile updated');
+  jest.advanceTimersByTime(100);
+  expect(messagesIn('polite')).toEqual(['Profile updated']);
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the redacting structured logger
+ */
+
+import { jest } from '@jest/globals';
+import { createLogger, hashString, maskEmail, redact, REDACTED } from '../../../examples/patterns/logger.js';
+
+const NOW = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+describe('redact', () => {
+  test('redacts secrets by key name at any depth', () => {
+    const input = {
+      password: 'correct horse battery',
+      request: { csrfToken: 'abc', headers: { Authorization: 'Bearer xyz', 'x-xsrf-token': 'def' } },
+      refresh_token: 'r1',
+      otp: '123456',
+      method: 'totp',
+      footprint: 'kept'
+    };
+
+    expect(redact(input)).toEqual({
+      password: REDACTED,
+      request: { csrfToken: REDACTED, headers: { Authorization: REDACTED, 'x-xsrf-token': REDACTED } },
+      refresh_token: REDACTED,
+      otp: REDACTED,
+      method: 'totp',
+      footprint: 'kept'
+    });
+    expect(input.password).toBe('correct horse battery');
+  });
+
+  test('redacts tokens and credentials inside free text', () => {
+    const jwt = 'eyJhbGciOiJub25lIn0.eyJzdWIiOiJ1MSJ9.';
+    expect(redact(`sent Bearer abc.def and ${jwt}`)).toBe(`sent Bearer ${REDACTED} and ${REDACTED}`);
+  });
+
+  test.each([
+    ['mask', 'Login failed for j***@example.com'],
+    ['hash', `Login failed for email:${hashString('jane@example.com')}`],
+    ['omit', `Login failed for ${REDACTED}`],
+    ['plain', 'Login failed for jane@example.com']
+  ])('handles emails in %s mode', (emails, expected) => {
+    expect(redact('Login failed for jane@example.com', { emails })).toBe(expected);
+  });
+
+  test('hashes emails case-insensitively and per salt', () => {
+    const hashed = email => redact(email, { emails: 'hash', salt: 's1' });
+    expect(hashed('Jane@Example.com')).toBe(hashed('jane@example.com'));
+    expect(hashed('jane@example.com')).not.toBe(redact('jane@example.com', { emails: 'hash', salt: 's2' }));
+  });
+
+  test('reduces errors to name, message and code and survives cycles', () => {
+    const error = Object.assign(new Error('Failed for jane@example.com'), { code: 'E1' });
+    const cyclic = { error };
+    cyclic.self = cyclic;
+
+    expect(redact(cyclic)).toEqual({
+      error: { name: 'Error', message: `Failed for ${maskEmail('jane@example.com')}`, code: 'E1' },
+      self: '[Circular]'
+    });
+  });
+
+  test('logs an object shared by two keys in full both times', () => {
+    const user = { id: 'u1', email: 'jane@example.com' };
+    const expected = { id: 'u1', email: maskEmail('jane@example.com') };
+
+    expect(redact({ user, previous: user, list: [user, user] })).toEqual({
+      user: expected,
+      previous: expected,
+      list: [expected, expected]
+    });
+  });
+});
+
+describe('createLogger', () => {
+  test('writes redacted entries with context to the sink', () => {
+    const sink = jest.fn();
+    const logger = createLogger({ sink, now: () => NOW, context: { module: 'auth' } });
+
+    logger.error('Login error', { email: 'jane@example.com', password: 'secret' });
+
+    expect(sink).toHaveBeenCalledWith({
+      level: 'error',
+      message: 'Login error',
+      timestamp: '2024-01-01T12:00:00.000Z',
+      module: 'auth',
+      email: 'j***@example.com',
+      password: REDACTED
+    });
+  });
+
+  test('drops entries below the level and child loggers add context', () => {
+    const sink = jest.fn();
+    const logger = createLogger({ sink, level: 'warn' });
+
+    logger.info('ignored');
+    logger.child({ requestId: 'r1' }).warn('kept');
+
+    expect(sink).toHaveBeenCalledTimes(1);
+    expect(sink).toHaveBeenCalledWith(expect.objectContaining({ level: 'warn', requestId: 'r1' }));
+  });
+
+  test('rejects unknown levels and email modes up front', () => {
+    expect(() => createLogger({ level: 'verbose' })).toThrow(TypeError);
+    expect(() => createLogger({ emails: 'base64' })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit tests for the range file builder (scripts/generate-pwned-ranges.js)
+ */
+
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { parseHashLine, writeRangeFiles } from '../../../scripts/generate-pwned-ranges.js';
+import { parseRangeFile } from '../../../examples/auth/password-policy.js';
+
+// SHA-1 of "password" and "password1"
+const PASSWORD = '5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8';
+const PASSWORD1 = 'E38AD214943DAAD1D64C102FAEC29DE4AFE9DA3D';
+
+describe('parseHashLine', () => {
+  test('splits a downloader line into prefix, suffix and count', () => {
+    expect(parseHashLine(`${PASSWORD.toLowerCase()}:10434004\r`)).toEqual({
+      prefix: '5BAA6',
+      suffix: '1E4C9B93F3F0682250B6CF8331B7EE68FD8',
+      count: 10434004
+    });
+  });
+
+  test('rejects lines that are not SHA-1 hashes', () => {
+    expect(parseHashLine('8846F7EAEE8FB117AD06BDD830B7586C:1')).toBeNull();
+    expect(parseHashLine('<!doctype html>')).toBeNull();
+  });
+});
+
+describe('writeRangeFiles', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'pwned-ranges-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes one range file per prefix that PasswordPolicy can parse', async () => {
+    const lines = [`${PASSWORD}:9`, `5BAA6${'0'.repeat(35)}:2`, '', `${PASSWORD1}:3`];
+
+    await expect(writeRangeFiles(lines, dir)).resolves.toEqual({ files: 2, hashes: 3 });
+
+    expect(readdirSync(dir).sort()).toEqual(['5BAA6.txt', 'E38AD.txt']);
+    expect([...parseRangeFile(readFileSync(path.join(dir, '5BAA6.txt'), 'utf8'))]).toEqual([
+      ['1E4C9B93F3F0682250B6CF8331B7EE68FD8', 9],
+      ['0'.repeat(35), 2]
+    ]);
+  });
+
+  test('keeps only hashes seen --min-count times, replacing old range files', async () => {
+    writeFileSync(path.join(dir, 'E38AD.txt'), 'stale');
+    writeFileSync(path.join(dir, 'README.md'), 'kept');
+
+    await writeRangeFiles([`${PASSWORD}:9`, `${PASSWORD1}:3`], dir, { minCount: 5 });
+
+    expect(readdirSync(dir).sort()).toEqual(['5BAA6.txt', 'README.md']);
+  });
+
+  test('appends when the input revisits a prefix', async () => {
+    await writeRangeFiles([`${PASSWORD}:9`, `${PASSWORD1}:3`, `5BAA6${'0'.repeat(35)}:2`], dir);
+
+    expect(parseRangeFile(readFileSync(path.join(dir, '5BAA6.txt'), 'utf8')).size).toBe(2);
+  });
+
+  test('stops at a line that is not HASH:COUNT', async () => {
+    await expect(writeRangeFiles([`${PASSWORD}:9`, 'password:1'], dir)).rejects.toThrow('Line 2 is not a SHA-1 HASH:COUNT line');
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit tests for the static contrast audit (scripts/test-contrast.js)
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  audit,
+  auditFiles,
+  findSources,
+  grade,
+  measure,
+  mergeSources,
+  parseCss,
+  parseCssRules,
+  parseTokenJson,
+  renderHtml,
+  resolveColor,
+  themeOf,
+  unusablePaths
+} from '../../../scripts/test-contrast.js';
+
+const THEME_CSS = `
+:root {
+  --color-text: #1a1a1a;
+  --color-muted: #767676;
+  --color-background: #ffffff;
+  --color-surface: #f5f5f5;
+  --color-primary: #0056b3;
+  --color-border: #767676;
+  --color-scrim: rgb(0 0 0 / 0.1);
+}
+
+[data-theme="dark"] {
+  --color-text: #f0f0f0;
+  --color-muted: #6b6b6b;
+  --color-background: #121212;
+  --color-surface: #1e1e1e;
+  --color-primary: #8ab4f8;
+}
+
+@media (prefers-contrast: more) {
+  :root {
+    --color-muted: #333333;
+  }
+}
+
+.card {
+  color: var(--color-text);
+  background-color: var(--color-surface);
+  border-color: var(--color-border);
+}
+
+.hero { color: white; background: url(hero.jpg) var(--color-primary); }
+.link { color: inherit; background: var(--color-scrim); }
+
+/* @contrast --color-muted on --color-background text */
+/* @contrast --color-primary on --color-surface large-text AAA */
+`;
+
+const summarise = results => results.map(({ theme, foreground, background, passed }) =>
+  `${theme}: ${foreground} on ${background} ${passed ? 'pass' : 'FAIL'}`);
+
+describe('parseCss', () => {
+  test('assigns custom properties to themes by selector and media query', () => {
+    const { themes } = parseCss(THEME_CSS);
+
+    expect(themes.light['--color-muted']).toBe('#767676');
+    expect(themes.dark['--color-muted']).toBe('#6b6b6b');
+    expect(themes['high-contrast']).toEqual({ '--color-muted': '#333333' });
+
+    expect(themeOf(['.theme-dark .card'])).toBe('dark');
+    expect(themeOf(['@media (prefers-color-scheme: dark)', ':root'])).toBe('dark');
+    expect(themeOf(['html.high-contrast'])).toBe('high-contrast');
+    expect(themeOf([':root'])).toBeNull();
+  });
+
+  test('only treats real theme hooks as themes', () => {
+    expect(themeOf(['[data-theme="dark"] .card'])).toBe('dark');
+    expect(themeOf(['.dark'])).toBe('dark');
+    expect(themeOf(['.btn-dark'])).toBeNull();
+    expect(themeOf(['.navbar-dark .nav-link'])).toBeNull();
+    expect(themeOf(['.sidebar .dark'])).toBeNull();
+    expect(themeOf(['.btn-high-contrast'])).toBeNull();
+  });
+
+  test('scopes custom properties outside theme roots to their own rule', () => {
+    const css = `
+:root { --color-text: #1a1a1a; --color-background: #ffffff; }
+.card { --color-background: #222222; color: #ffffff; background-color: var(--color-background); }
+body { color: var(--color-text); background-color: var(--color-background); }
+`;
+    const { themes, pairings } = parseCss(css, 'app.css');
+
+    expect(themes.light).toEqual({ '--color-text': '#1a1a1a', '--color-background': '#ffffff' });
+    expect(pairings.map(({ foreground, background }) => [foreground, background])).toEqual([
+      ['#ffffff', '#222222'],
+      ['--color-text', '--color-background']
+    ]);
+    expect(audit(mergeSources([{ themes, pairings }])).summary.passed).toBe(true);
+  });
+
+  test('collects pairings from rules and @contrast comments', () => {
+    const { pairings } = parseCss(THEME_CSS, 'theme.css');
+
+    expect(pairings).toEqual([
+      { foreground: '--color-text', background: '--color-surface', use: 'text', level: 'AA', theme: null, source: 'theme.css:26 .card' },
+      { foreground: '--color-border', background: '--color-surface', use: 'non-text', level: 'AA', theme: null, source: 'theme.css:26 .card' },
+      { foreground: '--color-muted', background: '--color-background', use: 'text', level: 'AA', theme: null, source: 'theme.css:35 @contrast' },
+      { foreground: '--color-primary', background: '--color-surface', use: 'large-text', level: 'AAA', theme: null, source: 'theme.css:36 @contrast' }
+    ]);
+  });
+
+  test('keeps !important values and ignores commented-out rules', () => {
+    const rules = parseCssRules('/* .old { color: red; } */\n.btn {\n  color: #fff !important;\n  background: #0056b3\n}');
+
+    expect(rules).toEqual([
+      { selector: '.btn', context: ['.btn'], line: 2, declarations: { color: '#fff', background: '#0056b3' } }
+    ]);
+  });
+});
+
+describe('parseTokenJson', () => {
+  test('flattens themed token groups and aliases', () => {
+    const { themes, pairings } = parseTokenJson({
+      light: {
+        color: {
+          text: { $value: '#1a1a1a' },
+          surface: { value: '#ffffff' },
+          link: '{color.brand}',
+          brand: '#0056b3'
+        }
+      },
+      dark: { color: { text: '#f0f0f0', surface: '#121212' } },
+      $pairings: [
+        { foreground: 'color.link', background: 'color.surface' },
+        { foreground: '{color.text}', background: '--color-surface', use: 'text', level: 'AAA', theme: 'dark' }
+      ]
+    }, 'tokens/color.tokens.json');
+
+    expect(themes.light).toEqual({
+      '--color-text': '#1a1a1a',
+      '--color-surface': '#ffffff',
+      '--color-link': 'var(--color-brand)',
+      '--color-brand': '#0056b3'
+    });
+    expect(themes.dark).toEqual({ '--color-text': '#f0f0f0', '--color-surface': '#121212' });
+    expect(pairings.map(({ foreground, background, level, theme }) => [foreground, background, level, theme])).toEqual([
+      ['--color-link', '--color-surface', 'AA', null],
+      ['--color-text', '--color-surface', 'AAA', 'dark']
+    ]);
+  });
+
+  test('takes the theme of a single-theme file from its name', () => {
+    const { themes } = parseTokenJson({ color: { text: '#f0f0f0' } }, 'tokens.dark.json');
+
+    expect(themes.dark).toEqual({ '--color-text': '#f0f0f0' });
+    expect(themes.light).toEqual({});
+  });
+
+  test('rejects unknown uses and levels', () => {
+    expect(() => parseTokenJson({ $pairings: [{ foreground: '#000', background: '#fff', use: 'icon' }] }))
+      .toThrow('Unknown pairing use "icon"');
+    expect(() => parseTokenJson({ $pairings: [{ foreground: '#000', background: '#fff', level: 'A' }] }))
+      .toThrow('Unknown WCAG level "A"');
+  });
+});
+
+describe('resolveColor and measure', () => {
+  const tokens = {
+    '--color-background': '#000000',
+    '--color-text': 'var(--color-ink)',
+    '--color-ink': 'var(--missing, #ffffff)',
+    '--color-scrim': 'rgb(255 255 255 / 0.5)',
+    '--loop-a': 'var(--loop-b)',
+    '--loop-b': 'var(--loop-a)'
+  };
+
+  test('follows references and fallbacks', () => {
+    expect(resolveColor('--color-text', tokens)).toEqual({
+      color: { r: 255, g: 255, b: 255, a: 1 },
+      value: '#ffffff',
+      error: null
+    });
+    expect(resolveColor('--missing', tokens).error).toBe('--missing is not defined');
+    expect(resolveColor('--loop-a', tokens).error).toBe('--loop-a refers to itself');
+    expect(resolveColor('--color-background', { '--color-background': '12px' }).error).toBe('"12px" is not a color');
+  });
+
+  test('composites translucent backgrounds over the theme canvas', () => {
+    // 50% white over black is mid-grey, far from the 21:1 of white
+    const { ratio } = measure('#000000', '--color-scrim', tokens);
+
+    expect(ratio).toBeGreaterThan(5);
+    expect(ratio).toBeLessThan(6);
+    expect(measure('#000000', '--color-scrim', { '--color-scrim': 'rgb(255 255 255 / 0.5)' }).ratio).toBe(21);
+  });
+
+  test('grades ratios against text, large-text and non-text thresholds', () => {
+    expect(grade(4.6)).toEqual({
+      text: { AA: true, AAA: false },
+      'large-text': { AA: true, AAA: true },
+      'non-text': { AA: true, AAA: true }
+    });
+    expect(grade(null).text.AA).toBe(false);
+  });
+});
+
+describe('audit', () => {
+  test('checks every pairing in every declared theme', () => {
+    const report = audit(mergeSources([parseCss(THEME_CSS, 'theme.css')]));
+
+    expect(report.summary).toEqual({
+      themes: ['light', 'dark', 'high-contrast'],
+      pairings: 12,
+      failed: 1,
+      passed: false
+    });
+    expect(summarise(report.results.filter(result => !result.passed))).toEqual([
+      'dark: --color-muted on --color-background FAIL'
+    ]);
+    expect(report.results.find(result => result.theme === 'dark' && !result.passed)).toMatchObject({
+      use: 'text',
+      level: 'AA',
+      ratio: 3.51,
+      required: 4.5,
+      sources: ['theme.css:35 @contrast']
+    });
+  });
+
+  test('builds a foreground × background matrix per theme', () => {
+    const { matrices } = audit(mergeSources([parseCss(THEME_CSS)]));
+
+    expect(matrices.dark.foregrounds).toEqual(['--color-text', '--color-border', '--color-muted', '--color-primary']);
+    expect(matrices.dark.backgrounds).toEqual(['--color-surface', '--color-background']);
+    expect(matrices.dark.cells[2]).toEqual([3.12, 3.51]);
+  });
+
+  test('skips themes that repeat light and merges duplicate pairings', () => {
+    const report = audit(mergeSources([
+      parseCss(':root { --fg: #595959; --bg: #ffffff; }\n.a { color: var(--fg); background: var(--bg); }', 'a.css'),
+      parseCss('/* @contrast --fg on --bg text AAA */', 'b.css')
+    ]));
+
+    expect(report.summary.themes).toEqual(['light']);
+    expect(report.results).toHaveLength(1);
+    expect(report.results[0]).toMatchObject({ level: 'AAA', required: 7, ratio: 7, passed: true, sources: ['a.css:2 .a', 'b.css:1 @contrast'] });
+  });
+
+  test('fails pairings that cannot be resolved', () => {
+    const report = audit(mergeSources([parseCss('/* @contrast --color-text on --color-page */')]));
+
+    expect(report.results[0]).toMatchObject({ passed: false, ratio: null, error: '--color-text is not defined' });
+    expect(report.summary.passed).toBe(false);
+  });
+});
+
+describe('renderHtml', () => {
+  test('lists failures first in accessible, escaped tables', () => {
+    const report = audit(mergeSources([parseCss(`${THEME_CSS}\n/* @contrast <b>x</b> on #fff */`)]));
+    const html = renderHtml(report);
+
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<caption>dark theme: foreground (rows) on background (columns)</caption>');
+    expect(html).toContain('<th scope="col">Result</th>');
+    expect(html).toContain('&lt;b&gt;x&lt;/b&gt;');
+    expect(html).not.toContain('<b>x</b>');
+    expect(html.indexOf('<strong>Fail</strong>')).toBeLessThan(html.indexOf('<td>Pass</td>'));
+  });
+});
+
+describe('findSources and auditFiles', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'test-contrast-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads stylesheets and token files, skipping node_modules', () => {
+    mkdirSync(path.join(dir, 'styles'));
+    mkdirSync(path.join(dir, 'node_modules'));
+    writeFileSync(path.join(dir, 'styles', 'theme.css'), ':root { --fg: #1a1a1a; --bg: #ffffff; }');
+    writeFileSync(path.join(dir, 'tokens.dark.json'), JSON.stringify({ fg: '#f0f0f0', bg: '#121212' }));
+    writeFileSync(path.join(dir, 'package.json'), '{}');
+    writeFileSync(path.join(dir, 'node_modules', 'vendor.css'), '.x { color: red; background: red; }');
+    writeFileSync(path.join(dir, 'pairings.tokens.json'), JSON.stringify({ $pairings: [{ foreground: '--fg', background: '--bg' }] }));
+
+    const files = findSources([dir, path.join(dir, 'missing')]);
+    expect(files.map(file => path.relative(dir, file)).sort()).toEqual([
+      'pairings.tokens.json',
+      path.join('styles', 'theme.css'),
+      'tokens.dark.json'
+    ]);
+
+    const report = auditFiles(files);
+    expect(summarise(report.results)).toEqual(['light: --fg on --bg pass', 'dark: --fg on --bg pass']);
+  });
+
+  test('reports command-line paths that are missing or hold nothing to audit', () => {
+    writeFileSync(path.join(dir, 'theme.css'), ':root { --fg: #1a1a1a; }');
+    writeFileSync(path.join(dir, 'notes.md'), '# Notes');
+
+    expect(unusablePaths([dir, path.join(dir, 'missing'), path.join(dir, 'notes.md')])).toEqual([
+      { path: path.join(dir, 'missing'), reason: 'does not exist' },
+      { path: path.join(dir, 'notes.md'), reason: 'has no stylesheets or token files' }
+    ]);
+  });
+});